@@ -0,0 +1,26 @@
+/**
+ * ANALYSIS WORKER - Track analizini main thread dışında çalıştırır
+ *
+ * Mesaj formatı:
+ * - in:  { id, type, channels: Array<Float32Array>, sampleRate } (type: 'tempo' | 'waveform')
+ * - out: { id, result } veya { id, error }
+ */
+
+import { analyzeTempo } from './tempoAnalysis.js';
+import { computeWaveform } from './waveform.js';
+
+const TASKS = {
+  tempo: analyzeTempo,
+  waveform: computeWaveform
+};
+
+self.onmessage = (event) => {
+  const { id, type, channels, sampleRate } = event.data;
+
+  try {
+    const result = TASKS[type](channels, sampleRate);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
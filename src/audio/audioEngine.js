@@ -3,16 +3,43 @@
  *
  * Sorumluluklar:
  * - Tek bir AudioContext yönetimi
- * - Master gain (ana volume)
+ * - Master gain (ana volume) ve limiter (clip koruması)
+ * - Cue bus (kulaklık / PFL) ve çıkış yönlendirmesi
+ * - Seviye ölçümü (peak / RMS meter'lar, subscription API)
  * - Audio dosyası yükleme ve decode
+ * - AudioWorklet modüllerini yükleme (key lock, bitcrusher, kayıt vb.)
  * - Decks için merkezi API
  */
 
+import { CueBus } from './cueBus.js';
+import { LevelMeter } from './levelMeter.js';
+import { Limiter } from './limiter.js';
+
+/**
+ * AudioWorklet modülleri: processor adı → modül URL'i
+ * Vite, new URL(..., import.meta.url) ile dosyayı asset olarak kopyalar
+ */
+const WORKLET_MODULES = {
+  'pitch-shifter': new URL('./worklets/pitchShifter.worklet.js', import.meta.url),
+  'bitcrusher': new URL('./worklets/bitcrusher.worklet.js', import.meta.url),
+  'pcm-recorder': new URL('./worklets/pcmRecorder.worklet.js', import.meta.url),
+  'vinyl-scratch': new URL('./worklets/vinylScratch.worklet.js', import.meta.url)
+};
+
 class AudioEngine {
   constructor() {
     this.context = null;
     this.masterGain = null;
+    this.masterVolume = 0.7; // Varsayılan master volume
+    this.limiter = null;
+    this.cueBus = null;
     this.isInitialized = false;
+
+    // Level meter'lar: id → { meter: LevelMeter, subscribers: Set<Function> }
+    this.meters = new Map();
+
+    // Başarıyla yüklenen worklet processor adları
+    this.loadedWorklets = new Set();
   }
 
   /**
@@ -26,13 +53,54 @@ class AudioEngine {
 
     // Master gain node
     this.masterGain = this.context.createGain();
-    this.masterGain.gain.value = 0.7; // Varsayılan master volume
-    this.masterGain.connect(this.context.destination);
+    this.masterGain.gain.value = this.masterVolume;
+
+    // Master chain: masterGain → limiter → cue bus (→ destination)
+    this.limiter = new Limiter(this.context);
+    this.masterGain.connect(this.limiter.input);
+
+    // Cue bus: master → destination bağlantısını da yönetir (split mod için)
+    this.cueBus = new CueBus(this.context, this.limiter.output);
+
+    // Master meter'lar: limiter öncesi (clip göstergesi) ve sonrası (çıkış seviyesi)
+    this.registerMeter('masterPre', this.masterGain);
+    this.registerMeter('master', this.limiter.output);
+
+    await this._loadWorklets();
 
     this.isInitialized = true;
     console.log('AudioEngine initialized:', this.context.state);
   }
 
+  /**
+   * AudioWorklet modüllerini yükle
+   * Hata fatal değil: worklet'e bağlı özellikler (key lock vb.) devre dışı kalır
+   */
+  async _loadWorklets() {
+    if (!this.context.audioWorklet) {
+      console.warn('AudioEngine: AudioWorklet not supported, worklet features disabled');
+      return;
+    }
+
+    for (const [name, url] of Object.entries(WORKLET_MODULES)) {
+      try {
+        await this.context.audioWorklet.addModule(url);
+        this.loadedWorklets.add(name);
+      } catch (error) {
+        console.warn(`AudioEngine: Failed to load worklet "${name}"`, error);
+      }
+    }
+  }
+
+  /**
+   * Worklet processor kullanılabilir mi?
+   * @param {string} name - Processor adı (örn: 'pitch-shifter')
+   * @returns {boolean}
+   */
+  hasWorklet(name) {
+    return this.loadedWorklets.has(name);
+  }
+
   /**
    * AudioContext'i resume et (tarayıcı suspend ederse)
    */
@@ -65,8 +133,86 @@ class AudioEngine {
    * @param {number} value - 0.0 - 1.0 arası
    */
   setMasterVolume(value) {
+    this.masterVolume = Math.max(0, Math.min(1, value));
+
     if (this.masterGain) {
-      this.masterGain.gain.value = Math.max(0, Math.min(1, value));
+      const now = this.context.currentTime;
+      this.masterGain.gain.setTargetAtTime(this.masterVolume, now, 0.015);
+    }
+  }
+
+  /**
+   * Limiter açık / bypass
+   * @param {boolean} enabled
+   */
+  setLimiterEnabled(enabled) {
+    this.limiter?.setEnabled(enabled);
+  }
+
+  /**
+   * Limiter ayarları
+   * @param {Object} settings - { ceiling (dBFS), attack (s), release (s) }
+   */
+  configureLimiter(settings) {
+    this.limiter?.configure(settings);
+  }
+
+  /**
+   * Limiter durumu (UI için)
+   * @returns {{ enabled: boolean, ceiling: number, attack: number, release: number, reduction: number }}
+   */
+  getLimiterState() {
+    if (!this.limiter) {
+      return { enabled: false, ceiling: 0, attack: 0, release: 0, reduction: 0 };
+    }
+
+    const { enabled, ceiling, attack, release } = this.limiter;
+    return { enabled, ceiling, attack, release, reduction: this.limiter.getReduction() };
+  }
+
+  /**
+   * Bir node'un çıkışına level meter bağla
+   * Aynı id ile tekrar çağrılırsa eski meter değiştirilir (subscriber'lar korunur)
+   * @param {string} id - Meter adı (örn: 'master', 'Deck A')
+   * @param {AudioNode} node - Ölçülecek node
+   */
+  registerMeter(id, node) {
+    const existing = this.meters.get(id);
+    if (existing) existing.meter.disconnect();
+
+    this.meters.set(id, {
+      meter: new LevelMeter(this.context, node),
+      subscribers: existing ? existing.subscribers : new Set()
+    });
+  }
+
+  /**
+   * Meter seviyelerine abone ol
+   * Meter henüz yoksa (örn: deck sonradan oluşturulacak) abonelik bekletilir
+   * @param {string} id - Meter adı
+   * @param {Function} callback - (reading: MeterReading) => void, her updateMeters()'da
+   * @returns {Function} - Aboneliği iptal eden fonksiyon
+   */
+  subscribeMeter(id, callback) {
+    if (!this.meters.has(id)) {
+      this.meters.set(id, { meter: null, subscribers: new Set() });
+    }
+
+    const { subscribers } = this.meters.get(id);
+    subscribers.add(callback);
+    return () => subscribers.delete(callback);
+  }
+
+  /**
+   * Abonesi olan meter'ları oku ve callback'leri çağır
+   * Render loop'tan (requestAnimationFrame) çağrılır
+   */
+  updateMeters() {
+    for (const { meter, subscribers } of this.meters.values()) {
+      if (!meter || subscribers.size === 0) continue;
+
+      const reading = meter.read();
+      subscribers.forEach(callback => callback(reading));
     }
   }
 
@@ -0,0 +1,246 @@
+/**
+ * CUE BUS - Kulaklık (PFL) bus'ı ve ikinci çıkış yönlendirmesi
+ *
+ * Sorumluluklar:
+ * - Deck'lerin PFL send'lerini toplama (input)
+ * - Cue / master karışımı (kulaklık mix knob'u)
+ * - Çıkış modları:
+ *   - 'master': cue yok, master → destination (varsayılan)
+ *   - 'device': kulaklık mix → MediaStream → <audio>.setSinkId(ikinci cihaz)
+ *   - 'split':  tek cihaz → sol kulak cue mix, sağ kulak master (mono)
+ *
+ * Master'ın destination'a bağlantısını da bu sınıf yönetir (split modda
+ * master doğrudan destination'a gitmez). Context ve sink DI ile verilir:
+ * OfflineAudioContext + mock sink ile test edilebilir.
+ */
+
+/**
+ * Cue çıkış modları
+ */
+export const CueOutputMode = {
+  MASTER: 'master',
+  DEVICE: 'device',
+  SPLIT: 'split'
+};
+
+/**
+ * Varsayılan sink: gizli <audio> element (setSinkId ile cihaz seçimi)
+ * @returns {HTMLAudioElement}
+ */
+function createAudioElementSink() {
+  const element = new Audio();
+  element.autoplay = true;
+  return element;
+}
+
+export class CueBus {
+  /**
+   * @param {BaseAudioContext} context - AudioContext veya OfflineAudioContext
+   * @param {AudioNode} masterNode - Master çıkış node'u
+   * @param {Object} [options]
+   * @param {AudioNode} [options.destination] - Default: context.destination
+   * @param {Function} [options.createSink] - () => { srcObject, setSinkId(id), play() } (test için mock)
+   * @param {Function} [options.enumerateDevices] - () => Promise<MediaDeviceInfo[]> (test için mock)
+   */
+  constructor(context, masterNode, options = {}) {
+    this.context = context;
+    this.masterNode = masterNode;
+    this.destination = options.destination || context.destination;
+    this.createSink = options.createSink || createAudioElementSink;
+    this.enumerateDevices = options.enumerateDevices
+      || (() => navigator.mediaDevices?.enumerateDevices?.() ?? Promise.resolve([]));
+
+    // PFL send'leri buraya bağlanır
+    this.input = context.createGain();
+
+    // Kulaklık mix: cue (1 - mix) + master (mix)
+    this.cueMixGain = context.createGain();
+    this.masterMixGain = context.createGain();
+    this.headphoneMix = context.createGain();
+
+    this.input.connect(this.cueMixGain);
+    this.masterNode.connect(this.masterMixGain);
+    this.cueMixGain.connect(this.headphoneMix);
+    this.masterMixGain.connect(this.headphoneMix);
+
+    // Split mod: kanalları mono'ya indirip sol / sağ'a yerleştir
+    this.splitCue = this._createMonoDownmix();
+    this.splitMaster = this._createMonoDownmix();
+    this.splitMerger = context.createChannelMerger(2);
+    this.splitCue.connect(this.splitMerger, 0, 0);     // Sol: kulaklık mix
+    this.splitMaster.connect(this.splitMerger, 0, 1);  // Sağ: master
+
+    // Device mod: MediaStream → sink element
+    this.streamDestination = null;
+    this.sink = null;
+    this.deviceId = null;
+
+    this.mode = null;
+    this.mix = 0.5;
+    this.setMix(this.mix);
+    this._route(CueOutputMode.MASTER);
+  }
+
+  /**
+   * Mono downmix node (explicit 1 kanal → speakers downmix kuralı)
+   */
+  _createMonoDownmix() {
+    const node = this.context.createGain();
+    node.channelCount = 1;
+    node.channelCountMode = 'explicit';
+    node.channelInterpretation = 'speakers';
+    return node;
+  }
+
+  /**
+   * Çıkış bağlantılarını moda göre yeniden kur
+   * @param {string} mode - CueOutputMode
+   */
+  _route(mode) {
+    // Önceki bağlantıları kaldır (bağlı olmayan node'lar için disconnect hata atar)
+    const safeDisconnect = (node, target) => {
+      try { node.disconnect(target); } catch { /* bağlı değil */ }
+    };
+    safeDisconnect(this.masterNode, this.destination);
+    safeDisconnect(this.masterNode, this.splitMaster);
+    safeDisconnect(this.headphoneMix, this.splitCue);
+    safeDisconnect(this.splitMerger, this.destination);
+    if (this.streamDestination) safeDisconnect(this.headphoneMix, this.streamDestination);
+
+    if (mode === CueOutputMode.SPLIT) {
+      this.masterNode.connect(this.splitMaster);
+      this.headphoneMix.connect(this.splitCue);
+      this.splitMerger.connect(this.destination);
+    } else {
+      this.masterNode.connect(this.destination);
+      if (mode === CueOutputMode.DEVICE) {
+        this.headphoneMix.connect(this.streamDestination);
+      }
+    }
+
+    this.mode = mode;
+  }
+
+  /**
+   * Kulaklık mix knob'u
+   * @param {number} value - 0.0 (sadece cue) - 1.0 (sadece master)
+   */
+  setMix(value) {
+    this.mix = Math.max(0, Math.min(1, value));
+    const now = this.context.currentTime;
+
+    // Equal-power: ortada iki kaynak da -3dB
+    this._rampGain(this.cueMixGain.gain, Math.cos(this.mix * Math.PI / 2), now);
+    this._rampGain(this.masterMixGain.gain, Math.sin(this.mix * Math.PI / 2), now);
+  }
+
+  /**
+   * Gain'i o anki değerinden hedefe yumuşat (bekleyen rampalar üst üste binmez)
+   * @param {AudioParam} param
+   * @param {number} value
+   * @param {number} now - Context time
+   */
+  _rampGain(param, value, now) {
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.setTargetAtTime(value, now, 0.015);
+  }
+
+  /**
+   * Ses çıkış cihazlarını listele
+   * @returns {Promise<Array<{deviceId: string, groupId: string, label: string}>>}
+   */
+  async listOutputDevices() {
+    const devices = await this.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audiooutput')
+      .map(device => ({ deviceId: device.deviceId, groupId: device.groupId || '', label: device.label || device.deviceId }));
+  }
+
+  /**
+   * Kulaklık çıkışını ikinci bir cihaza yönlendir
+   * @param {string} deviceId - MediaDeviceInfo.deviceId
+   * @returns {Promise<boolean>} - Başarılı mı? (desteklenmiyorsa split moda düşülür)
+   */
+  async setOutputDevice(deviceId) {
+    try {
+      if (typeof this.context.createMediaStreamDestination !== 'function') {
+        throw new Error('MediaStreamDestination not supported by this context');
+      }
+
+      if (!this.sink) {
+        this.streamDestination = this.context.createMediaStreamDestination();
+        this.sink = this.createSink();
+        this.sink.srcObject = this.streamDestination.stream;
+      }
+
+      if (typeof this.sink.setSinkId !== 'function') {
+        throw new Error('setSinkId not supported');
+      }
+
+      await this.sink.setSinkId(deviceId);
+      await this.sink.play?.();
+
+      this.deviceId = deviceId;
+      this._route(CueOutputMode.DEVICE);
+      console.log(`CueBus: Headphones → device ${deviceId}`);
+      return true;
+    } catch (error) {
+      console.warn('CueBus: Cue output device unavailable, using split mode', error);
+      this.enableSplitMode();
+      return false;
+    }
+  }
+
+  /**
+   * Tek cihaz modu: sol kulak cue mix, sağ kulak master
+   */
+  enableSplitMode() {
+    this._stopSink();
+    this._route(CueOutputMode.SPLIT);
+    console.log('CueBus: Split mode (L = cue, R = master)');
+  }
+
+  /**
+   * Cue çıkışını kapat (master normal stereo)
+   */
+  disable() {
+    this._stopSink();
+    this._route(CueOutputMode.MASTER);
+  }
+
+  /**
+   * Otomatik kurulum: master'dan ayrı bir cihaz varsa ona, yoksa split moda
+   * Chrome varsayılan cihazı hem 'default' hem gerçek deviceId ile listeler (aynı groupId):
+   * master cihazının tüm girişleri elenir, kalan ilk cihaz kulaklık olur
+   * @returns {Promise<string>} - Seçilen mod
+   */
+  async autoConfigure() {
+    const devices = await this.listOutputDevices();
+
+    // Master çıkışı: 'default' girişi (yoksa listedeki ilk cihaz, Firefox)
+    const master = devices.find(device => device.deviceId === 'default') || devices[0];
+    const secondary = devices.find(device =>
+      device !== master
+      && device.deviceId !== 'default' && device.deviceId !== 'communications' && device.deviceId !== ''
+      && !(master?.groupId && device.groupId === master.groupId)
+    );
+
+    if (secondary && await this.setOutputDevice(secondary.deviceId)) {
+      return this.mode;
+    }
+
+    this.enableSplitMode();
+    return this.mode;
+  }
+
+  /**
+   * Sink element'i durdur (device moddan çıkarken)
+   */
+  _stopSink() {
+    if (this.sink) {
+      this.sink.pause?.();
+    }
+    this.deviceId = null;
+  }
+}
@@ -2,12 +2,56 @@
  * DECK - DJ Deck simülasyonu
  *
  * Audio chain:
- * source → gain (channel volume) → filter → master gain
+ * source → filter → EQ → FX → gain (channel volume) → master gain
+ *                             └→ PFL send → cue bus (kulaklık, fader'dan önce)
  *
  * Her deck bağımsız çalışır ve kendi audio parametrelerini yönetir
  */
 
 import { audioEngine } from './audioEngine.js';
+import { EffectUnit } from './effects.js';
+import { PlayheadClock } from './playheadClock.js';
+
+/**
+ * Number of hot cue slots per deck (performance pads)
+ */
+export const HOT_CUE_COUNT = 8;
+
+/**
+ * Auto-loop lengths in beats (1/8 → 32), also the halve/double steps
+ */
+export const LOOP_BEAT_LENGTHS = [0.125, 0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+/**
+ * Pitch fader ranges (±8%, ±16%, ±50%)
+ */
+export const PITCH_RANGES = [0.08, 0.16, 0.5];
+
+/**
+ * Jog modes: vinyl (top plate scratches, ring nudges), nudge (pitch bend only), search (fast seek)
+ */
+export const JOG_MODES = ['vinyl', 'nudge', 'search'];
+
+/**
+ * Track seconds per platter turn at 1.0x (33⅓ RPM = 1.8 s)
+ */
+export const PLATTER_SECONDS_PER_TURN = 60 / (100 / 3);
+
+/**
+ * Brake times in seconds (how long the platter takes to stop), cycled with Shift+BRAKE
+ */
+export const BRAKE_TIMES = [0.25, 0.5, 1, 2, 4];
+
+// Power off coasts the platter down slowly (tape-style slowdown), power on spins it back up (seconds)
+const POWER_OFF_TIME = 2.5;
+const POWER_ON_TIME = 1.2;
+
+// Spinback: the platter is flicked backwards at this rate, friction stops it in SPINBACK_TIME
+const SPINBACK_RATE = 4;
+const SPINBACK_TIME = 1.5;
+
+// Source ↔ vinyl worklet handover is scheduled this far ahead (seconds) so both sides switch on the same sample
+const PLATTER_HANDOVER_DELAY = 0.01;
 
 export class Deck {
   constructor(name = 'Deck') {
@@ -16,18 +60,62 @@ export class Deck {
 
     // Audio nodes (each control = separate node/param)
     this.source = null;
-    this.gainNode = null;       // Channel fader (user volume control)
+    this.keyLockNode = null;    // Pitch shifter (key lock / master tempo), null if unsupported
+    this.vinylNode = null;      // Vinyl scratch player (signed rate), null if unsupported
+    this.inputNode = null;      // Where sources connect (keyLockNode or filterNode)
     this.filterNode = null;     // Bipolar filter knob
     this.eqLowNode = null;      // EQ Low knob
     this.eqMidNode = null;      // EQ Mid knob
     this.eqHighNode = null;     // EQ High knob
+    this.fx = null;             // FX unit (dry/wet, effect select)
+    this.gainNode = null;       // Channel fader (user volume control)
+    this.pflGain = null;        // PFL send to the cue bus (pre-fader)
     this.deckGainNode = null;   // Crossfader control (managed by main.js)
 
     // Playback state
     this.isPlaying = false;
-    this.startTime = 0;
+    this.clock = new PlayheadClock(); // Rate-integrated playhead (mirrors source.playbackRate automation)
     this.pauseTime = 0;
-    this.playbackRate = 1.0;
+    this.playbackRate = 1.0;  // Current source rate (tempo × scratch)
+    this.tempoRate = 1.0;     // Persistent tempo offset (sync / pitch), survives scratching
+
+    // Vinyl platter: null = buffer source plays, { touched } = vinyl worklet drives the playhead
+    this.platter = null;
+    this.vinylBuffer = null;  // AudioBuffer whose PCM the vinyl worklet holds (sent on first touch)
+
+    // Sync: tempo locked to another deck (main.js re-syncs when the master changes)
+    this.syncLocked = false;
+
+    // Pitch fader: range (±fraction) and key lock (tempo change keeps musical key)
+    this.pitchRange = PITCH_RANGES[0];
+    this.keyLock = false;
+
+    // Jog mode (how jog input is applied, see JOG_MODES)
+    this.jogMode = JOG_MODES[0];
+
+    // Brake stop length (seconds, see BRAKE_TIMES)
+    this.brakeTime = BRAKE_TIMES[1];
+
+    // PFL: deck is sent to the headphone cue bus
+    this.pfl = false;
+
+    // Hot cues: one slot per performance pad (null = empty, number = seconds)
+    this.hotCues = new Array(HOT_CUE_COUNT).fill(null);
+
+    // Track tempo (needed for beat-length loops, null = unknown)
+    this.bpm = null;
+    this.firstBeatOffset = 0; // First downbeat (seconds) - beat grid anchor
+
+    // Loop state (start/end in seconds, beats = null for manual loops)
+    this.loop = {
+      active: false,
+      start: null,
+      end: null,
+      beats: null
+    };
+
+    // Loop roll: where the track would have been ({ position, distance (clock), previousLoop })
+    this.loopRoll = null;
 
     // Independent control states (for UI feedback)
     this.filterState = {
@@ -47,54 +135,94 @@ export class Deck {
 
   /**
    * Audio node chain'i oluştur
-   * Chain: source → gain (channel fader) → filter → eqLow → eqMid → eqHigh → deckGain (crossfader) → master
+   * Chain: source → keyLock → filter → eqLow → eqMid → eqHigh → fx → gain (channel fader) → deckGain (crossfader) → master
+   *                                                                 └→ pfl → cue bus
    */
   _initNodes() {
     const ctx = audioEngine.context;
     if (!ctx) return;
 
-    // 1. Gain node (channel fader - user volume control)
-    this.gainNode = ctx.createGain();
-    this.gainNode.gain.value = 0.8;
+    // 0. Key lock (pitch shifter worklet) - tempo değişiminin pitch etkisini geri alır
+    if (audioEngine.hasWorklet('pitch-shifter')) {
+      this.keyLockNode = new AudioWorkletNode(ctx, 'pitch-shifter', {
+        outputChannelCount: [2]
+      });
+    }
 
-    // 2. Filter node (bipolar: low-pass / high-pass)
+    // 1. Filter node (bipolar: low-pass / high-pass)
     this.filterNode = ctx.createBiquadFilter();
     this.filterNode.type = 'lowpass';
     this.filterNode.frequency.value = 20000; // Başlangıç: bypass (tam açık)
     this.filterNode.Q.value = 1.0;
 
-    // 3. EQ Low (bass) - peaking filter
+    // 2. EQ Low (bass) - peaking filter
     this.eqLowNode = ctx.createBiquadFilter();
     this.eqLowNode.type = 'peaking';
     this.eqLowNode.frequency.value = 100;  // Low freq (bass)
     this.eqLowNode.Q.value = 0.7;
     this.eqLowNode.gain.value = 0; // Neutral (0dB)
 
-    // 4. EQ Mid - peaking filter
+    // 3. EQ Mid - peaking filter
     this.eqMidNode = ctx.createBiquadFilter();
     this.eqMidNode.type = 'peaking';
     this.eqMidNode.frequency.value = 1000; // Mid freq
     this.eqMidNode.Q.value = 0.7;
     this.eqMidNode.gain.value = 0; // Neutral (0dB)
 
-    // 5. EQ High (treble) - peaking filter
+    // 4. EQ High (treble) - peaking filter
     this.eqHighNode = ctx.createBiquadFilter();
     this.eqHighNode.type = 'peaking';
     this.eqHighNode.frequency.value = 10000; // High freq (treble)
     this.eqHighNode.Q.value = 0.7;
     this.eqHighNode.gain.value = 0; // Neutral (0dB)
 
-    // 6. Deck gain node (crossfader control - managed by main.js)
+    // 5. FX unit (echo, reverb, flanger, phaser, bitcrusher, gater)
+    this.fx = new EffectUnit({ getNextBeatTime: () => this._getNextBeatTime() });
+
+    // 6. Gain node (channel fader - user volume control)
+    // Fader PFL tap'inden sonra: fader kapalıyken de kulaklıkta dinlenebilir
+    this.gainNode = ctx.createGain();
+    this.gainNode.gain.value = 0.8;
+
+    // 7. PFL send (0 = kapalı, 1 = cue bus'a gönder)
+    this.pflGain = ctx.createGain();
+    this.pflGain.gain.value = 0;
+
+    // 8. Deck gain node (crossfader control - managed by main.js)
     this.deckGainNode = ctx.createGain();
     this.deckGainNode.gain.value = 1.0; // Default: full volume (crossfader will control this)
 
-    // Chain: gain → filter → eqLow → eqMid → eqHigh → deckGain → master
-    this.gainNode.connect(this.filterNode);
+    // Chain: (keyLock →) filter → eqLow → eqMid → eqHigh → fx → gain → deckGain → master
+    if (this.keyLockNode) {
+      this.keyLockNode.connect(this.filterNode);
+    }
+    this.inputNode = this.keyLockNode || this.filterNode;
+
+    // Vinyl scratch player: source'un yerine geçer (source gibi inputNode'a bağlı)
+    if (audioEngine.hasWorklet('vinyl-scratch')) {
+      this.vinylNode = new AudioWorkletNode(ctx, 'vinyl-scratch', {
+        numberOfInputs: 0,
+        outputChannelCount: [2]
+      });
+      this.vinylNode.port.onmessage = ({ data }) => this._onVinylMessage(data);
+      this.vinylNode.connect(this.inputNode);
+    }
     this.filterNode.connect(this.eqLowNode);
     this.eqLowNode.connect(this.eqMidNode);
     this.eqMidNode.connect(this.eqHighNode);
-    this.eqHighNode.connect(this.deckGainNode);
+    this.eqHighNode.connect(this.fx.input);
+    this.fx.output.connect(this.gainNode);
+    this.gainNode.connect(this.deckGainNode);
     this.deckGainNode.connect(audioEngine.masterGain);
+
+    // Level meter: crossfader sonrası (master'a giden gerçek seviye)
+    audioEngine.registerMeter(this.name, this.deckGainNode);
+
+    // PFL: fx → pfl → cue bus (channel fader / crossfader'dan bağımsız)
+    this.fx.output.connect(this.pflGain);
+    if (audioEngine.cueBus) {
+      this.pflGain.connect(audioEngine.cueBus.input);
+    }
   }
 
   /**
@@ -103,8 +231,19 @@ export class Deck {
    */
   loadTrack(audioBuffer) {
     this.stop(); // Önceki çalan varsa durdur
+    this._endPlatter();
+    if (this.vinylBuffer) {
+      // Önceki track'in worklet'teki kopyası bırakılır (yeni track ilk dokunuşta gönderilir)
+      this._postVinyl({ type: 'clear' }, true);
+      this.vinylBuffer = null;
+    }
     this.audioBuffer = audioBuffer;
     this.pauseTime = 0;
+    this.hotCues = new Array(HOT_CUE_COUNT).fill(null);
+    this.bpm = null;
+    this.firstBeatOffset = 0;
+    this.loop = { active: false, start: null, end: null, beats: null };
+    this.loopRoll = null;
     console.log(`${this.name}: Track loaded`);
   }
 
@@ -119,40 +258,499 @@ export class Deck {
 
     if (this.isPlaying) return;
 
-    // Yeni source oluştur (AudioBufferSourceNode tek kullanımlık)
+    if (this.platter) {
+      // Platter vinyl worklet'te: motor açılır, hız oturunca source devralır
+      this._postVinyl({ type: 'motor', rate: this.tempoRate });
+    } else {
+      // Kaldığı yerden başlat
+      this._startSource(audioEngine.getCurrentTime(), this.pauseTime);
+    }
+
+    this.isPlaying = true;
+    this._updateEffectTempo();
+    console.log(`${this.name}: Playing from ${this.pauseTime.toFixed(2)}s`);
+  }
+
+  /**
+   * Yeni source oluştur ve başlat (AudioBufferSourceNode tek kullanımlık)
+   * @param {number} time - Başlama anı (context time)
+   * @param {number} position - Track pozisyonu (saniye)
+   */
+  _startSource(time, position) {
     this.source = audioEngine.context.createBufferSource();
     this.source.buffer = this.audioBuffer;
     this.source.playbackRate.value = this.playbackRate;
-    this.source.connect(this.gainNode);
+    this.source.connect(this.inputNode);
 
-    // Loop için (opsiyonel)
+    // Loop: tüm track (default) veya aktif loop bölgesi
     this.source.loop = true;
+    this._applyLoopToSource();
 
-    // Kaldığı yerden başlat
-    this.startTime = audioEngine.getCurrentTime() - this.pauseTime;
-    this.source.start(0, this.pauseTime);
-
-    this.isPlaying = true;
-    console.log(`${this.name}: Playing from ${this.pauseTime.toFixed(2)}s`);
+    this.clock.start(time, position, this.playbackRate);
+    this.source.start(time, position);
   }
 
   /**
    * Stop
    */
   stop() {
-    if (!this.isPlaying || !this.source) return;
-
-    this.source.stop();
-    this.source.disconnect();
-    this.source = null;
-
-    // Pause zamanını kaydet
-    this.pauseTime = audioEngine.getCurrentTime() - this.startTime;
+    if (!this.isPlaying) return;
+
+    // Pause zamanını kaydet (source durdurulmadan önce, loop wrap dahil)
+    this.pauseTime = this.getPosition();
+
+    if (this.platter) {
+      // Motor kapanır: platter ataletle durur (pauseTime duruşta güncellenir)
+      this._postVinyl({ type: 'motor', rate: 0 });
+    } else if (this.source) {
+      this.source.stop();
+      this.source.disconnect();
+      this.source = null;
+      this.clock.setRate(audioEngine.getCurrentTime(), 0); // Duraklarken distance ilerlemez
+    }
 
     this.isPlaying = false;
     console.log(`${this.name}: Stopped at ${this.pauseTime.toFixed(2)}s`);
   }
 
+  /**
+   * Track içindeki mevcut pozisyon (saniye)
+   * Source loop'ta olduğu için buffer süresine göre wrap edilir
+   * @returns {number}
+   */
+  getPosition() {
+    if (!this.audioBuffer) return 0;
+    if (!this.isPlaying && !this.platter) return this.pauseTime;
+
+    // Anchor'dan beri playback rate'in integrali (tempo geçişleri ve scratch dahil)
+    return this._wrapPosition(this.clock.getPosition(audioEngine.getCurrentTime()));
+  }
+
+  /**
+   * Wrap edilmemiş pozisyonu loop bölgesine / track süresine getir
+   * @param {number} elapsed - Saniye (geri scratch'te negatif olabilir)
+   * @returns {number}
+   */
+  _wrapPosition(elapsed) {
+    const { active, start, end } = this.loop;
+
+    // Aktif loop: loop sonunu geçen kısım loop bölgesine wrap edilir
+    if (active && elapsed >= end) {
+      return start + (elapsed - start) % (end - start);
+    }
+
+    const duration = this.audioBuffer.duration;
+    return ((elapsed % duration) + duration) % duration;
+  }
+
+  /**
+   * Şu anki işaretli playback rate (geri scratch'te negatif, duruyorsa 0)
+   * @returns {number}
+   */
+  getCurrentRate() {
+    if (!this.isPlaying && !this.platter) return 0;
+    return this.clock.getRate(audioEngine.getCurrentTime());
+  }
+
+  /**
+   * Çalınan süre, kalan süre ve track uzunluğu (saniye, kalan = track sonuna kadar)
+   * @returns {{ elapsed: number, remaining: number, duration: number }}
+   */
+  getTimeInfo() {
+    const duration = this.audioBuffer ? this.audioBuffer.duration : 0;
+    const elapsed = this.getPosition();
+    return { elapsed, remaining: Math.max(0, duration - elapsed), duration };
+  }
+
+  /**
+   * Pozisyon referansını wrap edilmiş pozisyona taşı (loop değişmeden önce çağrılır)
+   * Böylece getPosition() loop açılıp kapansa da doğru kalır (rate değişimleri clock'ta)
+   */
+  _reanchor() {
+    if (this.isPlaying || this.platter) {
+      this.clock.setPosition(audioEngine.getCurrentTime(), this.getPosition());
+    }
+  }
+
+  /**
+   * Playhead'i verilen pozisyona taşı
+   * Çalıyorsa source yeniden oluşturulur (AudioBufferSourceNode seek desteklemiyor)
+   * @param {number} position - Saniye
+   */
+  _startAt(position) {
+    const duration = this.audioBuffer.duration;
+    const clamped = Math.max(0, Math.min(duration, position));
+
+    // Loop dışına atlanırsa loop kapanır
+    if (this.loop.active && (clamped < this.loop.start || clamped >= this.loop.end)) {
+      this.exitLoop();
+    }
+
+    if (this.platter) {
+      // Vinyl worklet çalıyor: playhead orada taşınır (el / motor durumu korunur)
+      const now = audioEngine.getCurrentTime();
+      this.pauseTime = clamped;
+      this.clock.start(now, clamped, this.clock.getRate(now));
+      this._postVinyl({ type: 'seek', position: clamped });
+    } else if (this.isPlaying) {
+      this.source.stop();
+      this.source.disconnect();
+      this.source = null;
+      this.isPlaying = false;
+      this.pauseTime = clamped;
+      this.play();
+    } else {
+      this.pauseTime = clamped;
+    }
+
+    // Beat fazı değişti: tempo'ya bağlı FX (gater) yeni pozisyonun beat'ine hizalanır
+    this._updateEffectTempo();
+  }
+
+  /**
+   * Track içinde pozisyona git (çalıyorsa çalmaya devam eder)
+   * @param {number} position - Saniye
+   */
+  seek(position) {
+    if (!this.audioBuffer) return;
+    this._startAt(position);
+  }
+
+  // ================= HOT CUES =================
+
+  /**
+   * Hot cue set et (boş slot'a veya üzerine yaz)
+   * @param {number} index - 0 - 7 arası pad index
+   * @param {number} [time] - Saniye (default: mevcut pozisyon)
+   * @returns {boolean} - Başarılı mı?
+   */
+  setHotCue(index, time = this.getPosition()) {
+    if (!this.audioBuffer || index < 0 || index >= HOT_CUE_COUNT) return false;
+
+    this.hotCues[index] = Math.max(0, Math.min(this.audioBuffer.duration, time));
+    console.log(`${this.name}: Hot cue ${index + 1} set at ${this.hotCues[index].toFixed(2)}s`);
+    return true;
+  }
+
+  /**
+   * Hot cue'ya atla (çalıyorsa çalmaya devam eder, duruyorsa cue'da bekler)
+   * @param {number} index - 0 - 7 arası pad index
+   * @returns {boolean} - Slot dolu muydu?
+   */
+  jumpToHotCue(index) {
+    const time = this.hotCues[index];
+    if (!this.audioBuffer || time === null || time === undefined) return false;
+
+    this._startAt(time);
+    console.log(`${this.name}: Jumped to hot cue ${index + 1} (${time.toFixed(2)}s)`);
+    return true;
+  }
+
+  /**
+   * Hot cue sil
+   * @param {number} index - 0 - 7 arası pad index
+   * @returns {boolean} - Slot dolu muydu?
+   */
+  deleteHotCue(index) {
+    if (this.hotCues[index] === null || this.hotCues[index] === undefined) return false;
+
+    this.hotCues[index] = null;
+    console.log(`${this.name}: Hot cue ${index + 1} deleted`);
+    return true;
+  }
+
+  /**
+   * Kaydedilmiş hot cue'ları yükle (track yüklendikten sonra, trackLibrary'den)
+   * @param {Array<number|null>} cues
+   */
+  setHotCues(cues) {
+    this.hotCues = new Array(HOT_CUE_COUNT).fill(null);
+    if (!Array.isArray(cues)) return;
+
+    cues.slice(0, HOT_CUE_COUNT).forEach((time, index) => {
+      if (typeof time === 'number') this.hotCues[index] = time;
+    });
+  }
+
+  // ================= LOOPS =================
+
+  /**
+   * Track tempo'sunu ve beat grid başlangıcını set et (analiz sonucu)
+   * @param {number|null} bpm
+   * @param {number} [firstBeatOffset=0] - İlk downbeat (saniye)
+   */
+  setBpm(bpm, firstBeatOffset = 0) {
+    this.bpm = bpm > 0 ? bpm : null;
+    this.firstBeatOffset = firstBeatOffset;
+    this._updateEffectTempo();
+  }
+
+  /**
+   * FX zamanlamasını çalan tempo'ya ve beat fazına göre güncelle
+   * (tempo / pozisyon değiştiğinde çağrılır)
+   */
+  _updateEffectTempo() {
+    if (!this.fx) return;
+
+    this.fx.setTempo(this.getEffectiveBpm(), this._getNextBeatTime());
+  }
+
+  /**
+   * Bir sonraki beat'in context time'ı (FX faz hizalama)
+   * @returns {number|null} - Tempo bilinmiyorsa veya deck çalmıyorsa null
+   */
+  _getNextBeatTime() {
+    const bpm = this.getEffectiveBpm();
+    if (!bpm || !this.isPlaying) return null;
+
+    const secondsPerBeat = 60 / bpm;
+    return audioEngine.getCurrentTime() + (1 - this.getBeatPhase()) * secondsPerBeat;
+  }
+
+  /**
+   * Zamanı beat grid'de bir önceki beat'e yuvarla (quantize)
+   * Tempo bilinmiyorsa zaman aynen döner
+   * @param {number} time - Saniye
+   * @returns {number}
+   */
+  _quantizeToBeat(time) {
+    const beatLength = this.getBeatLength();
+    if (!beatLength) return time;
+
+    const beats = Math.floor((time - this.firstBeatOffset) / beatLength + 1e-6);
+    return Math.max(0, this.firstBeatOffset + beats * beatLength);
+  }
+
+  /**
+   * Bir beat'in süresi (saniye), tempo bilinmiyorsa null
+   * @returns {number|null}
+   */
+  getBeatLength() {
+    return this.bpm ? 60 / this.bpm : null;
+  }
+
+  /**
+   * Loop bölgesini çalan source'a uygula
+   * Loop kapalıyken loopStart/loopEnd = 0 → tüm buffer loop'lanır
+   */
+  _applyLoopToSource() {
+    this._postVinyl({ type: 'loop', loop: this._getVinylLoop() });
+    if (!this.source) return;
+
+    if (this.loop.active) {
+      this.source.loopStart = this.loop.start;
+      this.source.loopEnd = this.loop.end;
+    } else {
+      this.source.loopStart = 0;
+      this.source.loopEnd = 0;
+    }
+  }
+
+  /**
+   * Loop bölgesini aktif et
+   * @param {number} start - Saniye
+   * @param {number} end - Saniye
+   * @param {number|null} beats - Beat cinsinden uzunluk (manuel loop'ta null)
+   */
+  _activateLoop(start, end, beats) {
+    const duration = this.audioBuffer.duration;
+    end = Math.min(end, duration);
+    if (end - start <= 0.001) return false;
+
+    this._reanchor();
+    this.loop = { active: true, start, end, beats };
+    this._applyLoopToSource();
+    return true;
+  }
+
+  /**
+   * Manuel loop başlangıcı (loop in)
+   * @param {number} [time] - Saniye (default: mevcut pozisyon)
+   */
+  loopIn(time = this.getPosition()) {
+    if (!this.audioBuffer) return;
+
+    this._reanchor();
+    this.loop = { active: false, start: time, end: null, beats: null };
+    this._applyLoopToSource();
+    console.log(`${this.name}: Loop in at ${time.toFixed(2)}s`);
+  }
+
+  /**
+   * Manuel loop sonu (loop out) - loop in'den buraya kadar loop başlar
+   * @param {number} [time] - Saniye (default: mevcut pozisyon)
+   * @returns {boolean} - Loop aktif oldu mu?
+   */
+  loopOut(time = this.getPosition()) {
+    if (!this.audioBuffer || this.loop.start === null || time <= this.loop.start) {
+      console.warn(`${this.name}: Loop out needs a loop in point before it`);
+      return false;
+    }
+
+    const activated = this._activateLoop(this.loop.start, time, null);
+    if (activated) {
+      console.log(`${this.name}: Loop ${this.loop.start.toFixed(2)}s → ${this.loop.end.toFixed(2)}s`);
+    }
+    return activated;
+  }
+
+  /**
+   * Sabit beat uzunluğunda loop (beat grid'e quantize edilir)
+   * @param {number} beats - LOOP_BEAT_LENGTHS içinden (1/8 - 32)
+   * @returns {boolean} - Loop aktif oldu mu?
+   */
+  autoLoop(beats) {
+    const beatLength = this.getBeatLength();
+    if (!this.audioBuffer) return false;
+    if (!beatLength) {
+      console.warn(`${this.name}: Auto-loop needs the track tempo (BPM unknown)`);
+      return false;
+    }
+
+    // Loop grid'e oturur: bir beat'ten kısa loop'lar mevcut pozisyondan başlar
+    const position = this.getPosition();
+    const start = beats >= 1 ? this._quantizeToBeat(position) : position;
+    const activated = this._activateLoop(start, start + beats * beatLength, beats);
+    if (activated) {
+      console.log(`${this.name}: Auto-loop ${this._formatBeats(beats)} beats`);
+    }
+    return activated;
+  }
+
+  /**
+   * Aktif loop'u yarıya indir
+   */
+  halveLoop() {
+    this._resizeLoop(0.5);
+  }
+
+  /**
+   * Aktif loop'u iki katına çıkar
+   */
+  doubleLoop() {
+    this._resizeLoop(2);
+  }
+
+  /**
+   * Loop uzunluğunu çarpanla değiştir (loop start sabit kalır)
+   * Beat loop'ları LOOP_BEAT_LENGTHS aralığında tutulur
+   * @param {number} factor - 0.5 veya 2
+   */
+  _resizeLoop(factor) {
+    if (!this.loop.active) return;
+
+    const { start, end, beats } = this.loop;
+    let newBeats = beats;
+
+    if (beats !== null) {
+      newBeats = beats * factor;
+      const min = LOOP_BEAT_LENGTHS[0];
+      const max = LOOP_BEAT_LENGTHS[LOOP_BEAT_LENGTHS.length - 1];
+      if (newBeats < min || newBeats > max) return;
+    }
+
+    // Loop yeni sonunu geçmişse playhead loop başına wrap eder
+    this._activateLoop(start, start + (end - start) * factor, newBeats);
+    console.log(`${this.name}: Loop ${newBeats !== null ? this._formatBeats(newBeats) + ' beats' : (this.loop.end - start).toFixed(2) + 's'}`);
+  }
+
+  /**
+   * Loop'tan çık (track loop sonundan devam eder)
+   */
+  exitLoop() {
+    if (!this.loop.active) return;
+
+    this._reanchor();
+    this.loop = { ...this.loop, active: false };
+    this._applyLoopToSource();
+    console.log(`${this.name}: Loop exit`);
+  }
+
+  /**
+   * Kaydedilmiş loop state'ini yükle (session restore)
+   * Aktif değilse sadece loop in / out noktaları geri gelir
+   * @param {{ active: boolean, start: number|null, end: number|null, beats: number|null }} loop
+   */
+  setLoop({ active = false, start = null, end = null, beats = null } = {}) {
+    if (!this.audioBuffer) return;
+
+    if (active && typeof start === 'number' && typeof end === 'number' && this._activateLoop(start, end, beats)) {
+      return;
+    }
+
+    this._reanchor();
+    this.loop = { active: false, start, end, beats };
+    this._applyLoopToSource();
+  }
+
+  /**
+   * Loop roll başlat (momentary) - bırakınca track'in olacağı yerden devam eder
+   * @param {number} beats - Roll uzunluğu (beat)
+   * @returns {boolean} - Roll başladı mı?
+   */
+  startLoopRoll(beats) {
+    if (!this.isPlaying || this.loopRoll) return false;
+
+    const rollState = {
+      position: this.getPosition(),
+      distance: this.clock.getDistance(audioEngine.getCurrentTime()),
+      previousLoop: { ...this.loop }
+    };
+
+    if (!this.autoLoop(beats)) return false;
+
+    this.loopRoll = rollState;
+    return true;
+  }
+
+  /**
+   * Loop roll bitir: roll hiç olmamış gibi ilerlemiş pozisyona atla
+   */
+  endLoopRoll() {
+    if (!this.loopRoll) return;
+
+    const { position, distance, previousLoop } = this.loopRoll;
+    this.loopRoll = null;
+
+    // Roll boyunca gerçekten çalınan süre: tempo / pitch / scratch dahil, duraklarken ilerlemez
+    const played = this.clock.getDistance(audioEngine.getCurrentTime()) - distance;
+    const target = this._wrapRollPosition(position + played, previousLoop);
+
+    this.exitLoop();
+    this._startAt(target);
+
+    // Roll'dan önce aktif bir loop varsa geri getir
+    if (previousLoop.active) {
+      this._activateLoop(previousLoop.start, previousLoop.end, previousLoop.beats);
+    } else {
+      this.loop = { ...previousLoop };
+    }
+  }
+
+  /**
+   * Roll'un gölge pozisyonunu roll'dan önceki loop'a (aktifse) veya track süresine wrap et
+   * @param {number} position - Wrap edilmemiş gölge pozisyon (saniye)
+   * @param {Object} previousLoop
+   * @returns {number}
+   */
+  _wrapRollPosition(position, { active, start, end }) {
+    if (active && position >= end) {
+      return start + (position - start) % (end - start);
+    }
+
+    const duration = this.audioBuffer.duration;
+    return ((position % duration) + duration) % duration;
+  }
+
+  /**
+   * Beat sayısını okunur formatta göster (0.125 → 1/8)
+   * @param {number} beats
+   * @returns {string}
+   */
+  _formatBeats(beats) {
+    return beats < 1 ? `1/${Math.round(1 / beats)}` : `${beats}`;
+  }
+
   /**
    * Channel volume (fader)
    * @param {number} value - 0.0 - 1.0
@@ -170,6 +768,24 @@ export class Deck {
     this.gainNode.gain.setTargetAtTime(clampedValue, now, smoothTime);
   }
 
+  /**
+   * PFL (pre-fader listen) - deck'i kulaklık cue bus'ına gönder
+   * @param {boolean} enabled
+   */
+  setPfl(enabled) {
+    if (!this.pflGain) return;
+
+    this.pfl = enabled;
+    // Hızlı aç / kapa: bekleyen rampa iptal, o anki değerden başlanır
+    const now = audioEngine.getCurrentTime();
+    const gain = this.pflGain.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.setTargetAtTime(enabled ? 1 : 0, now, 0.015);
+
+    console.log(`${this.name}: PFL ${enabled ? 'ON' : 'OFF'}`);
+  }
+
   /**
    * Filter frequency (knob) - BIPOLAR
    * @param {number} normalizedValue - 0.0 - 1.0 (UI'dan gelecek)
@@ -307,6 +923,141 @@ export class Deck {
     this.eqState.high.gain = gainDB;
   }
 
+  // ================= TEMPO / SYNC =================
+
+  /**
+   * Kalıcı tempo oranı (sync / pitch) - scratch bitince buraya dönülür
+   * @param {number} rate - 0.25 - 4.0 arası
+   */
+  setTempoRate(rate) {
+    this.tempoRate = Math.max(0.25, Math.min(4.0, rate));
+    this.setPlaybackRate(this.tempoRate);
+    if (this.platter && this.isPlaying) this._postVinyl({ type: 'motor', rate: this.tempoRate });
+    this._updateKeyLock();
+    this._updateEffectTempo();
+  }
+
+  /**
+   * Pitch fader (tempo)
+   * @param {number} normalizedValue - 0.0 - 1.0 (0.5 = 0%, 1.0 = +range)
+   * Tempo oranı = 1 + (value - 0.5) × 2 × range
+   */
+  setPitch(normalizedValue) {
+    const clamped = Math.max(0, Math.min(1, normalizedValue));
+    this.setTempoRate(1 + (clamped - 0.5) * 2 * this.pitchRange);
+  }
+
+  /**
+   * Mevcut tempo oranına karşılık gelen fader pozisyonu (sync sonrası mesh güncellemesi için)
+   * @returns {number} - 0.0 - 1.0 (range dışındaysa uca clamp edilir)
+   */
+  getPitchValue() {
+    const value = 0.5 + (this.tempoRate - 1) / (2 * this.pitchRange);
+    return Math.max(0, Math.min(1, value));
+  }
+
+  /**
+   * Pitch fader aralığını değiştir (fader pozisyonu korunur, tempo yeni aralığa göre değişir)
+   * @param {number} range - PITCH_RANGES içinden (0.08, 0.16, 0.5)
+   */
+  setPitchRange(range) {
+    if (!PITCH_RANGES.includes(range)) return;
+
+    const faderValue = this.getPitchValue();
+    this.pitchRange = range;
+    this.setPitch(faderValue);
+    console.log(`${this.name}: Pitch range ±${Math.round(range * 100)}%`);
+  }
+
+  /**
+   * Key lock (master tempo): tempo değişse de pitch sabit kalır
+   * @param {boolean} enabled
+   * @returns {boolean} - Key lock destekleniyor mu?
+   */
+  setKeyLock(enabled) {
+    if (!this.keyLockNode) {
+      console.warn(`${this.name}: Key lock unavailable (AudioWorklet not supported)`);
+      this.keyLock = false;
+      return false;
+    }
+
+    this.keyLock = enabled;
+    this._updateKeyLock();
+    console.log(`${this.name}: Key lock ${enabled ? 'ON' : 'OFF'}`);
+    return true;
+  }
+
+  /**
+   * Pitch shifter oranını tempo'ya göre güncelle (key lock kapalıyken bypass = 1)
+   * Scratch sapmaları düzeltilmez (scratch sesi pitch değiştirmeli)
+   */
+  _updateKeyLock() {
+    if (!this.keyLockNode) return;
+
+    const ratio = this.keyLock ? 1 / this.tempoRate : 1;
+    const now = audioEngine.getCurrentTime();
+    const pitchRatio = this.keyLockNode.parameters.get('pitchRatio');
+    pitchRatio.cancelScheduledValues(now);
+    pitchRatio.setValueAtTime(ratio, now);
+  }
+
+  /**
+   * Çalan tempo (track BPM × tempo oranı), tempo bilinmiyorsa null
+   * @returns {number|null}
+   */
+  getEffectiveBpm() {
+    return this.bpm ? this.bpm * this.tempoRate : null;
+  }
+
+  /**
+   * Beat grid içindeki faz (0 = beat üstünde, 0.5 = iki beat arası)
+   * @returns {number|null} - Tempo bilinmiyorsa null
+   */
+  getBeatPhase() {
+    const beatLength = this.getBeatLength();
+    if (!beatLength) return null;
+
+    const beats = (this.getPosition() - this.firstBeatOffset) / beatLength;
+    return beats - Math.floor(beats);
+  }
+
+  /**
+   * Tempo'yu (ve opsiyonel olarak beat fazını) başka bir deck'e eşitle
+   * @param {Deck} masterDeck - Tempo kaynağı
+   * @param {Object} [options]
+   * @param {boolean} [options.alignPhase=true] - Beat'leri de hizala (iki deck de çalıyorsa)
+   * @returns {boolean} - Sync yapılabildi mi? (iki track'in de tempo'su bilinmeli)
+   */
+  syncTo(masterDeck, { alignPhase = true } = {}) {
+    const masterBpm = masterDeck.getEffectiveBpm();
+    if (!this.bpm || !masterBpm) {
+      console.warn(`${this.name}: Sync needs the tempo of both decks`);
+      return false;
+    }
+
+    this.setTempoRate(masterBpm / this.bpm);
+    this.syncLocked = true;
+
+    if (alignPhase && this.isPlaying && masterDeck.isPlaying) {
+      // En kısa yoldan hizala: faz farkı -0.5 / +0.5 beat aralığına getirilir
+      let phaseDiff = masterDeck.getBeatPhase() - this.getBeatPhase();
+      if (phaseDiff > 0.5) phaseDiff -= 1;
+      if (phaseDiff < -0.5) phaseDiff += 1;
+
+      this._startAt(this.getPosition() + phaseDiff * this.getBeatLength());
+    }
+
+    console.log(`${this.name}: Synced to ${masterDeck.name} (${masterBpm.toFixed(2)} BPM, rate ${this.tempoRate.toFixed(4)}x)`);
+    return true;
+  }
+
+  /**
+   * Sync lock'u kapat (tempo olduğu yerde kalır)
+   */
+  unsync() {
+    this.syncLocked = false;
+  }
+
   /**
    * Playback rate (scratch / pitch)
    * @param {number} rate - 0.25 - 4.0 arası (negatif yok)
@@ -322,6 +1073,7 @@ export class Deck {
 
       this.source.playbackRate.cancelScheduledValues(now);
       this.source.playbackRate.setTargetAtTime(this.playbackRate, now, smoothTime);
+      this.clock.setTargetRate(now, this.playbackRate, smoothTime);
     }
   }
 
@@ -332,7 +1084,8 @@ export class Deck {
    * Uses smooth automation for natural pitch bend feel
    */
   scratch(delta, sensitivity = 3.0) {
-    const newRate = 1.0 + delta * sensitivity;
+    // Scratch tempo oranının üzerine uygulanır (sync / pitch korunur)
+    const newRate = this.tempoRate * (1.0 + delta * sensitivity);
     const clampedRate = Math.max(0.25, Math.min(4.0, newRate));
 
     this.playbackRate = clampedRate;
@@ -344,16 +1097,17 @@ export class Deck {
       // Smooth transition to new playback rate
       this.source.playbackRate.cancelScheduledValues(now);
       this.source.playbackRate.setTargetAtTime(clampedRate, now, smoothTime);
+      this.clock.setTargetRate(now, clampedRate, smoothTime);
     }
   }
 
   /**
-   * Playback rate'i normale döndür (scratch bittiğinde)
+   * Playback rate'i tempo oranına döndür (scratch bittiğinde)
    * Uses smooth ramp for natural "pitch bend back" feel
    */
   resetPlaybackRate() {
     if (!this.source || !this.isPlaying) {
-      this.playbackRate = 1.0;
+      this.playbackRate = this.tempoRate;
       return;
     }
 
@@ -363,10 +1117,271 @@ export class Deck {
     // Cancel any scheduled changes
     this.source.playbackRate.cancelScheduledValues(now);
 
-    // Smooth linear ramp to 1.0 (more natural than setTargetAtTime for this use case)
-    this.source.playbackRate.linearRampToValueAtTime(1.0, now + rampTime);
+    // Smooth linear ramp back to tempo rate (more natural than setTargetAtTime for this use case)
+    this.source.playbackRate.setValueAtTime(this.source.playbackRate.value, now);
+    this.source.playbackRate.linearRampToValueAtTime(this.tempoRate, now + rampTime);
+    this.clock.rampRate(now, this.tempoRate, now + rampTime);
 
     // Update internal state
-    this.playbackRate = 1.0;
+    this.playbackRate = this.tempoRate;
+  }
+
+  // ================= JOG =================
+
+  /**
+   * Jog modunu değiştir (vinyl modundan çıkarken elde tutulan plak bırakılır)
+   * @param {string} mode - JOG_MODES içinden
+   */
+  setJogMode(mode) {
+    if (!JOG_MODES.includes(mode)) return;
+
+    if (mode !== 'vinyl') this.releasePlatter();
+    this.jogMode = mode;
+    console.log(`${this.name}: Jog mode ${mode.toUpperCase()}`);
+  }
+
+  /**
+   * Hızlı arama: playhead'i ileri / geri atlat (çalıyorsa çalmaya devam eder)
+   * @param {number} seconds - + ileri, - geri
+   */
+  search(seconds) {
+    if (!this.audioBuffer) return;
+    this._startAt(this.getPosition() + seconds);
+  }
+
+  // ================= STOP EFFECTS =================
+
+  /**
+   * Brake: motor kapanır, platter brakeTime içinde sabit yavaşlamayla durur
+   * @param {number} [duration=this.brakeTime] - Saniye
+   * @returns {boolean} - Efekt başladı mı?
+   */
+  brake(duration = this.brakeTime) {
+    if (!this._stopMotor(duration)) return false;
+    console.log(`${this.name}: Brake (${duration}s)`);
+    return true;
+  }
+
+  /**
+   * Power off: motor gücü kesilir, platter yavaşça durur (tape-style slowdown)
+   * @param {number} [duration=POWER_OFF_TIME] - Saniye
+   * @returns {boolean}
+   */
+  powerOff(duration = POWER_OFF_TIME) {
+    if (!this._stopMotor(duration)) return false;
+    console.log(`${this.name}: Power off`);
+    return true;
+  }
+
+  /**
+   * Power on: duran plak duration içinde tempo hızına çıkar, hız oturunca source devralır
+   * @param {number} [duration=POWER_ON_TIME] - Saniye
+   * @returns {boolean}
+   */
+  powerOn(duration = POWER_ON_TIME) {
+    if (!this.audioBuffer || this.isPlaying) return false;
+    if (!this._startVinylEffect()) return false;
+
+    this.isPlaying = true;
+    this._postVinyl({ type: 'motor', rate: this.tempoRate, acceleration: this.tempoRate / duration });
+    this._updateEffectTempo();
+    console.log(`${this.name}: Power on from ${this.getPosition().toFixed(2)}s`);
+    return true;
+  }
+
+  /**
+   * Spinback: plak geriye fırlatılır ve sürtünmeyle durur (deck durur)
+   * @param {number} [duration=SPINBACK_TIME] - Saniye
+   * @returns {boolean}
+   */
+  spinback(duration = SPINBACK_TIME) {
+    if (!this.audioBuffer) return false;
+    if (!this._startVinylEffect()) return false;
+
+    // Fırlatma eli platter'dan kaldırır
+    this.platter.touched = false;
+    this.isPlaying = false;
+    this._postVinyl({ type: 'spin', rate: -SPINBACK_RATE, acceleration: SPINBACK_RATE / duration });
+    console.log(`${this.name}: Spinback`);
+    return true;
+  }
+
+  /**
+   * Motoru kapat: platter o anki hızından duration içinde durur (pauseTime duruşta güncellenir)
+   * @param {number} duration - Saniye
+   * @returns {boolean}
+   */
+  _stopMotor(duration) {
+    if (!this.isPlaying) return false;
+    if (!this._startVinylEffect()) return false;
+
+    const rate = Math.abs(this.clock.getRate(audioEngine.getCurrentTime()));
+    this.pauseTime = this.getPosition();
+    this.isPlaying = false;
+    this._postVinyl({ type: 'motor', rate: 0, acceleration: Math.max(rate, this.tempoRate) / duration });
+    return true;
+  }
+
+  /**
+   * Durdurma efektleri vinyl worklet'te çalışır (platter ataleti)
+   * @returns {boolean} - Vinyl worklet kullanılabilir mi?
+   */
+  _startVinylEffect() {
+    if (this._startPlatter()) return true;
+
+    console.warn(`${this.name}: Stop effects unavailable (AudioWorklet not supported)`);
+    return false;
+  }
+
+  /**
+   * Brake süresi
+   * @param {number} seconds - BRAKE_TIMES içinden
+   */
+  setBrakeTime(seconds) {
+    if (!BRAKE_TIMES.includes(seconds)) return;
+
+    this.brakeTime = seconds;
+    console.log(`${this.name}: Brake time ${seconds}s`);
+  }
+
+  // ================= VINYL PLATTER =================
+
+  /**
+   * Vinyl scratch (ileri / geri, platter ataleti) destekleniyor mu?
+   * Desteklenmiyorsa jog scratch() ile pitch bend yapar
+   * @returns {boolean}
+   */
+  hasVinyl() {
+    return this.vinylNode !== null;
+  }
+
+  /**
+   * Platter'ın üstüne dokun: plak elde durur, çalma vinyl worklet'e geçer
+   * Dokunma sürerken movePlatter() playhead'i doğrudan sürer (geri dahil)
+   * @returns {boolean} - Vinyl scratch başladı mı?
+   */
+  touchPlatter() {
+    if (!this._startPlatter()) return false;
+
+    this.platter.touched = true;
+    this._postVinyl({ type: 'touch' });
+    return true;
+  }
+
+  /**
+   * Çalmayı vinyl worklet'e devret (platter zaten worklet'teyse bir şey yapmaz)
+   * @returns {boolean} - Platter worklet'te mi?
+   */
+  _startPlatter() {
+    if (!this.vinylNode || !this.audioBuffer) return false;
+    if (this.platter) return true;
+
+    // Worklet PCM'in kopyasını tutar: sadece ilk devirde (ve track değişince) gönderilir
+    if (this.vinylBuffer !== this.audioBuffer) {
+      const channels = Array.from({ length: this.audioBuffer.numberOfChannels },
+        (_, channel) => this.audioBuffer.getChannelData(channel).slice());
+      this.vinylNode.port.postMessage(
+        { type: 'load', channels, sampleRate: this.audioBuffer.sampleRate },
+        channels.map(data => data.buffer)
+      );
+      this.vinylBuffer = this.audioBuffer;
+    }
+
+    // Çalan source devir anında durur, worklet aynı örnekten devam eder
+    const time = this.source ? audioEngine.getCurrentTime() + PLATTER_HANDOVER_DELAY : audioEngine.getCurrentTime();
+    const position = this.source ? this._wrapPosition(this.clock.getPosition(time)) : this.pauseTime;
+    const rate = this.source ? this.clock.getRate(time) : 0;
+
+    if (this.source) {
+      const source = this.source;
+      source.onended = () => source.disconnect();
+      source.stop(time);
+      this.source = null;
+    }
+
+    this.platter = { touched: false };
+    this.clock.start(time, position, rate);
+    this._postVinyl({ type: 'start', position, rate, time, loop: this._getVinylLoop() });
+    return true;
+  }
+
+  /**
+   * Platter'ı elle döndür
+   * @param {number} seconds - Track zamanı (+ ileri, - geri; bir tur = PLATTER_SECONDS_PER_TURN)
+   */
+  movePlatter(seconds) {
+    if (!this.platter?.touched) return;
+    this._postVinyl({ type: 'move', delta: seconds });
+  }
+
+  /**
+   * Platter'ı bırak: motor plağı ataletle tempo hızına çıkarır (deck duruyorsa plak durur)
+   */
+  releasePlatter() {
+    if (!this.platter?.touched) return;
+
+    this.platter.touched = false;
+    this._postVinyl({ type: 'release', rate: this.isPlaying ? this.tempoRate : 0 });
+  }
+
+  /**
+   * Vinyl worklet mesajları: pozisyon raporu, hızın motor hızına oturması
+   * @param {Object} data
+   */
+  _onVinylMessage(data) {
+    if (!this.platter) return;
+
+    if (data.type === 'position') {
+      this.clock.start(data.time, data.position, data.rate);
+      return;
+    }
+
+    // Settled: eski motor hızına aitse (arada play / stop / tempo değiştiyse) yeni rapor beklenir
+    const motorRate = this.isPlaying ? this.tempoRate : 0;
+    if (data.type !== 'settled' || this.platter.touched || data.rate !== motorRate) return;
+
+    const time = Math.max(data.time, audioEngine.getCurrentTime() + PLATTER_HANDOVER_DELAY);
+    const position = this._wrapPosition(data.position + (time - data.time) * data.rate);
+    this.platter = null;
+    this._postVinyl({ type: 'stop', time }, true);
+
+    if (this.isPlaying) {
+      this.playbackRate = this.tempoRate;
+      this._startSource(time, position);
+    } else {
+      this.pauseTime = position;
+      this.clock.start(time, position, 0);
+    }
+  }
+
+  /**
+   * Vinyl worklet'i hemen sustur (track değişimi): pozisyon pauseTime'da kalır
+   */
+  _endPlatter() {
+    if (!this.platter) return;
+
+    this.pauseTime = this.getPosition();
+    this.platter = null;
+    this._postVinyl({ type: 'stop', time: 0 }, true);
+  }
+
+  /**
+   * Vinyl worklet'e mesaj (platter worklet'te değilse gönderilmez)
+   * @param {Object} message
+   * @param {boolean} [force=false] - Platter kapalıyken de gönder
+   */
+  _postVinyl(message, force = false) {
+    if (this.vinylNode && (this.platter || force)) {
+      this.vinylNode.port.postMessage(message);
+    }
+  }
+
+  /**
+   * Worklet'in wrap edeceği loop bölgesi (aktif değilse null)
+   * @returns {{ start: number, end: number }|null}
+   */
+  _getVinylLoop() {
+    const { active, start, end } = this.loop;
+    return active ? { start, end } : null;
   }
 }
@@ -0,0 +1,289 @@
+/**
+ * DJ IMPORT - Rekordbox ve Serato verilerini okuma
+ *
+ * Sorumluluklar:
+ * - Rekordbox collection.xml: track'ler (tempo, beat grid, hot cue'lar) + playlist ağacı
+ * - Serato .crate dosyaları (_Serato_/Subcrates): track path listesi
+ * - Serato "Markers2" (hot cue'lar) ve "BeatGrid" verisi (tagReader'ın dosyadan çıkardığı byte'lar)
+ *
+ * Saf fonksiyonlar: library'yi bilmez, track eşleştirmesi trackLibrary.importRekordbox() /
+ * importSeratoCrate()'te. Rekordbox XML parse için DOMParser gerekir (tarayıcı)
+ */
+
+import { pathToName } from './m3u.js';
+
+/**
+ * Dış yazılımdan gelen track verisi (path / title / artist ile library'deki track'e eşleştirilir)
+ * @typedef {Object} ImportedTrack
+ * @property {string} key - Kaynaktaki ID (Rekordbox TrackID), playlist entry'leri buna bağlanır
+ * @property {string} path - Dosya yolu
+ * @property {string|null} title
+ * @property {string|null} artist
+ * @property {number|null} bpm
+ * @property {number|null} firstBeatOffset - İlk downbeat (saniye)
+ * @property {Array<number|null>} hotCues - Slot → saniye (boş slot = null)
+ */
+
+/**
+ * @typedef {Object} ImportedPlaylist
+ * @property {string} name - Klasörler dahil: "Folder / Playlist"
+ * @property {Array<string>} trackKeys - ImportedTrack.key listesi (sıralı)
+ */
+
+// Rekordbox'ta bir bar = 4 beat (TEMPO Battito: Inizio'daki beat'in bar içindeki sırası, 1-4)
+const BEATS_PER_BAR = 4;
+
+const utf16Decoder = new TextDecoder('utf-16be');
+const latin1Decoder = new TextDecoder('latin1');
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+/**
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ================= REKORDBOX =================
+
+/**
+ * Rekordbox Location URL'i → dosya yolu ("file://localhost/C:/Music/a%20b.mp3" → "C:/Music/a b.mp3")
+ * @param {string} location
+ * @returns {string}
+ */
+function locationToPath(location) {
+  const path = location.replace(/^file:\/\/localhost/, '').replace(/^file:\/\//, '');
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Rekordbox TRACK element'i
+ * İlk TEMPO marker'ı grid'i belirler (değişken tempolu grid'lerde sonraki marker'lar yok sayılır),
+ * POSITION_MARK Num >= 0 hot cue / hot loop başlangıcı, Num = -1 memory cue (alınmaz)
+ * @param {Element} element
+ * @returns {ImportedTrack}
+ */
+function readRekordboxTrack(element) {
+  // TEMPO yoksa track Rekordbox'ta analiz edilmemiş: AverageBpm tek başına grid vermez
+  const tempo = element.querySelector('TEMPO');
+  const bpm = parseNumber(tempo?.getAttribute('Bpm')) || null;
+  let firstBeatOffset = null;
+
+  if (bpm) {
+    // Inizio her zaman downbeat değil: bar başına kadar ilerle
+    const start = parseNumber(tempo.getAttribute('Inizio')) || 0;
+    const beat = Math.min(BEATS_PER_BAR, Math.max(1, parseInt(tempo.getAttribute('Battito'), 10) || 1));
+    firstBeatOffset = start + ((BEATS_PER_BAR + 1 - beat) % BEATS_PER_BAR) * (60 / bpm);
+  }
+
+  const hotCues = [];
+  element.querySelectorAll('POSITION_MARK').forEach(mark => {
+    const slot = parseInt(mark.getAttribute('Num'), 10);
+    const time = parseNumber(mark.getAttribute('Start'));
+    if (slot >= 0 && time !== null) hotCues[slot] = time;
+  });
+
+  return {
+    key: element.getAttribute('TrackID') || '',
+    path: locationToPath(element.getAttribute('Location') || ''),
+    title: element.getAttribute('Name') || null,
+    artist: element.getAttribute('Artist') || null,
+    bpm,
+    firstBeatOffset,
+    hotCues: Array.from(hotCues, time => time ?? null)
+  };
+}
+
+/**
+ * Playlist ağacını dolaş: NODE Type="0" klasör, Type="1" playlist
+ * Entry'ler KeyType="0" ise TrackID, "1" ise Location ile gelir
+ * @param {Element} node
+ * @param {Array<string>} folders - Üst klasör adları
+ * @param {Map<string, string>} keyByLocation - Location → TrackID
+ * @param {Array<ImportedPlaylist>} playlists - Sonuç (in-place)
+ */
+function readRekordboxNode(node, folders, keyByLocation, playlists) {
+  const name = node.getAttribute('Name') || 'Untitled';
+
+  if (node.getAttribute('Type') === '1') {
+    const byLocation = node.getAttribute('KeyType') === '1';
+    const trackKeys = Array.from(node.children)
+      .filter(child => child.tagName === 'TRACK')
+      .map(child => {
+        const key = child.getAttribute('Key') || '';
+        return byLocation ? keyByLocation.get(key) || key : key;
+      });
+    playlists.push({ name: [...folders, name].join(' / '), trackKeys });
+    return;
+  }
+
+  Array.from(node.children)
+    .filter(child => child.tagName === 'NODE')
+    .forEach(child => readRekordboxNode(child, [...folders, name], keyByLocation, playlists));
+}
+
+/**
+ * Rekordbox "Export Collection in xml format" dosyasını parse et
+ * @param {string} text - collection.xml içeriği
+ * @returns {{ tracks: Array<ImportedTrack>, playlists: Array<ImportedPlaylist> }}
+ * @throws {Error} - Geçerli bir Rekordbox XML değilse
+ */
+export function parseRekordboxXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (doc.querySelector('parsererror') || root?.tagName !== 'DJ_PLAYLISTS') {
+    throw new Error('Not a Rekordbox collection XML');
+  }
+
+  const collection = root.querySelector('COLLECTION');
+  const trackElements = Array.from(collection?.children || []).filter(child => child.tagName === 'TRACK');
+  const tracks = trackElements.map(readRekordboxTrack);
+  const keyByLocation = new Map(trackElements.map(element => [
+    element.getAttribute('Location'),
+    element.getAttribute('TrackID')
+  ]));
+
+  // ROOT klasörü adı playlist adlarına eklenmez
+  const playlists = [];
+  const rootNode = root.querySelector('PLAYLISTS > NODE');
+  if (rootNode) {
+    Array.from(rootNode.children)
+      .filter(child => child.tagName === 'NODE')
+      .forEach(node => readRekordboxNode(node, [], keyByLocation, playlists));
+  }
+
+  return { tracks, playlists };
+}
+
+// ================= SERATO CRATE =================
+
+/**
+ * Serato tag-length-value yapısı: 4 byte ASCII tag + 4 byte big-endian uzunluk + değer
+ * @param {Uint8Array} bytes
+ * @param {Function} callback - (tag, value) => void
+ */
+function forEachSeratoField(bytes, callback) {
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    const tag = latin1Decoder.decode(bytes.subarray(offset, offset + 4));
+    const length = readUint32BE(bytes, offset + 4);
+    const value = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 8 + length;
+    callback(tag, value);
+  }
+}
+
+/**
+ * Crate dosya adından crate adı: "House%%Deep.crate" → "House / Deep" (%% = alt crate)
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function seratoCrateName(fileName) {
+  return pathToName(fileName).split('%%').join(' / ');
+}
+
+/**
+ * Serato .crate dosyasını parse et
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Array<string>} - Track path'leri (crate sırasıyla, sürücü harfi / kök dizin olmadan)
+ * @throws {Error} - Geçerli bir crate dosyası değilse
+ */
+export function parseSeratoCrate(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (latin1Decoder.decode(bytes.subarray(0, 4)) !== 'vrsn') {
+    throw new Error('Not a Serato crate file');
+  }
+
+  const paths = [];
+  forEachSeratoField(bytes, (tag, value) => {
+    if (tag !== 'otrk') return;
+    forEachSeratoField(value, (innerTag, innerValue) => {
+      if (innerTag === 'ptrk') paths.push(utf16Decoder.decode(innerValue));
+    });
+  });
+  return paths;
+}
+
+// ================= SERATO MARKERS / BEATGRID =================
+
+/**
+ * Base64 (Serato satır sonu ekler ve padding'i atlar)
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function decodeLenientBase64(text) {
+  let base64 = text.replace(/[^A-Za-z0-9+/]/g, '');
+  if (base64.length % 4 === 1) base64 = base64.slice(0, -1);
+  base64 = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * "Serato Markers2" verisi → hot cue'lar
+ * Format: 0x01 0x01 + base64 → 0x01 0x01 + entry'ler (null-terminated isim, uzunluk, değer)
+ * CUE entry'si: 0x00, slot, pozisyon (ms, uint32), renk ve isim
+ * @param {Uint8Array} bytes - ID3 GEOB içeriği (FLAC / MP4'te tagReader zarfı açar)
+ * @returns {Array<number|null>|null} - Slot → saniye, veri geçersizse null
+ */
+export function parseSeratoMarkers(bytes) {
+  if (!bytes || bytes.length < 2 || bytes[0] !== 1 || bytes[1] !== 1) return null;
+
+  const end = bytes.indexOf(0, 2);
+  const data = decodeLenientBase64(latin1Decoder.decode(bytes.subarray(2, end === -1 ? bytes.length : end)));
+  if (data[0] !== 1 || data[1] !== 1) return null;
+
+  const hotCues = [];
+  let offset = 2;
+  while (offset < data.length) {
+    const nameEnd = data.indexOf(0, offset);
+    if (nameEnd <= offset) break;
+    const name = latin1Decoder.decode(data.subarray(offset, nameEnd));
+    const length = readUint32BE(data, nameEnd + 1);
+    const value = data.subarray(nameEnd + 5, nameEnd + 5 + length);
+    offset = nameEnd + 5 + length;
+
+    if (name === 'CUE' && value.length >= 6) {
+      hotCues[value[1]] = readUint32BE(value, 2) / 1000;
+    }
+  }
+
+  return Array.from(hotCues, time => time ?? null);
+}
+
+/**
+ * "Serato BeatGrid" verisi → tempo ve ilk downbeat
+ * Format: 0x01 0x00, marker sayısı (uint32), marker'lar (8 byte): pozisyon (float32 saniye) +
+ * sonraki marker'a kadar beat sayısı; son marker'da beat sayısı yerine BPM (float32)
+ * Değişken tempolu grid'lerde son bölümün BPM'i kullanılır
+ * @param {Uint8Array} bytes
+ * @returns {{ bpm: number, firstBeatOffset: number }|null}
+ */
+export function parseSeratoBeatGrid(bytes) {
+  if (!bytes || bytes.length < 6 || bytes[0] !== 1 || bytes[1] !== 0) return null;
+
+  const count = readUint32BE(bytes, 2);
+  if (!count || bytes.length < 6 + count * 8) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const firstBeatOffset = view.getFloat32(6);
+  const bpm = view.getFloat32(6 + (count - 1) * 8 + 4);
+  if (!Number.isFinite(bpm) || bpm <= 0 || !Number.isFinite(firstBeatOffset)) return null;
+
+  return {
+    bpm: Math.round(bpm * 100) / 100,
+    firstBeatOffset: Math.round(firstBeatOffset * 10000) / 10000
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * DOWNLOAD - Blob'u dosya olarak indirme (kayıt, tracklist, session, MIDI mapping, M3U export)
+ *
+ * Geçici object URL + <a download> tıklaması, URL kısa süre sonra bırakılır
+ */
+
+/**
+ * Blob'u dosya olarak indir
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
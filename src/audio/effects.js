@@ -0,0 +1,585 @@
+/**
+ * EFFECTS - Deck başına FX unit (echo, reverb, flanger, phaser, bitcrusher, gater)
+ *
+ * Sorumluluklar:
+ * - Her efekt: input → ... → output node grafiği + tek "param" kontrolü (0.0 - 1.0)
+ * - FX unit: dry/wet mix, on/off, efekt seçimi
+ * - Zamanlama: BPM biliniyorsa beat'e göre (delay süresi, LFO hızı, gate), yoksa saniye/Hz
+ *
+ * Deck chain'e eklenme:
+ * eqHigh → fxUnit.input → (dry + wet) → fxUnit.output → deckGain
+ */
+
+import { audioEngine } from './audioEngine.js';
+
+/**
+ * Efekt türleri (FX select butonu bu sırayla döner)
+ */
+export const EFFECT_TYPES = ['echo', 'reverb', 'flanger', 'phaser', 'bitcrusher', 'gater'];
+
+/**
+ * Kısa etiketler (3D buton / HUD)
+ */
+export const EFFECT_LABELS = {
+  echo: 'ECHO',
+  reverb: 'REV',
+  flanger: 'FLNG',
+  phaser: 'PHSR',
+  bitcrusher: 'CRSH',
+  gater: 'GATE'
+};
+
+const SMOOTH_TIME = 0.015; // 15ms param smoothing (zipper noise önleme)
+
+/**
+ * Param (0-1) → liste elemanı
+ * @param {Array} options
+ * @param {number} value - 0.0 - 1.0
+ */
+function pickOption(options, value) {
+  const index = Math.min(options.length - 1, Math.floor(value * options.length));
+  return options[index];
+}
+
+/**
+ * Beat sayısını okunur formatta göster (0.25 → 1/4)
+ * @param {number} beats
+ * @returns {string}
+ */
+function formatBeats(beats) {
+  if (beats >= 1) return `${beats}`;
+  if (beats === 0.75) return '3/4';
+  return `1/${Math.round(1 / beats)}`;
+}
+
+/**
+ * AudioParam'ı yumuşak geçişle set et
+ */
+function smoothSet(param, value) {
+  const now = audioEngine.getCurrentTime();
+  param.cancelScheduledValues(now);
+  param.setTargetAtTime(value, now, SMOOTH_TIME);
+}
+
+// ================= ECHO =================
+
+/**
+ * Echo / delay: feedback'li delay, feedback yolunda low-pass (analog his)
+ * Param: delay süresi (BPM varsa beat bölümü, yoksa 50ms - 1s)
+ */
+class EchoEffect {
+  constructor(ctx) {
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    this.delay = ctx.createDelay(4.0);
+    this.feedback = ctx.createGain();
+    this.feedback.gain.value = 0.45;
+    this.damping = ctx.createBiquadFilter();
+    this.damping.type = 'lowpass';
+    this.damping.frequency.value = 4000;
+
+    this.input.connect(this.delay);
+    this.delay.connect(this.damping);
+    this.damping.connect(this.feedback);
+    this.feedback.connect(this.delay);
+    this.damping.connect(this.output);
+
+    this.beatOptions = [0.125, 0.25, 0.5, 0.75, 1, 2];
+    this.param = 0.5;
+    this.bpm = null;
+  }
+
+  _update() {
+    const seconds = this.bpm
+      ? pickOption(this.beatOptions, this.param) * 60 / this.bpm
+      : 0.05 + this.param * 0.95;
+    smoothSet(this.delay.delayTime, Math.min(4.0, seconds));
+  }
+
+  setParam(value) {
+    this.param = value;
+    this._update();
+  }
+
+  setTempo(bpm) {
+    this.bpm = bpm;
+    this._update();
+  }
+
+  describe() {
+    if (this.bpm) return `${formatBeats(pickOption(this.beatOptions, this.param))} beat`;
+    return `${Math.round((0.05 + this.param * 0.95) * 1000)} ms`;
+  }
+}
+
+// ================= REVERB =================
+
+/**
+ * Reverb: ConvolverNode + üretilmiş impulse response (decaying noise)
+ * Param: decay süresi (0.5s - 6s), impulse'lar adım adım cache'lenir
+ */
+class ReverbEffect {
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    this.convolver = ctx.createConvolver();
+    this.input.connect(this.convolver);
+    this.convolver.connect(this.output);
+
+    this.impulseCache = new Map();
+    this.decayOptions = [0.5, 1, 1.5, 2, 3, 4, 6];
+    this.param = 0.5;
+    this.decay = null;
+    this.setParam(this.param);
+  }
+
+  /**
+   * Stereo impulse response: üstel sönümlenen beyaz gürültü
+   * @param {number} decay - Saniye
+   * @returns {AudioBuffer}
+   */
+  _createImpulse(decay) {
+    if (this.impulseCache.has(decay)) return this.impulseCache.get(decay);
+
+    const rate = this.ctx.sampleRate;
+    const length = Math.floor(rate * decay);
+    const impulse = this.ctx.createBuffer(2, length, rate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+      }
+    }
+
+    this.impulseCache.set(decay, impulse);
+    return impulse;
+  }
+
+  setParam(value) {
+    this.param = value;
+    const decay = pickOption(this.decayOptions, value);
+    if (decay === this.decay) return;
+
+    this.decay = decay;
+    this.convolver.buffer = this._createImpulse(decay);
+  }
+
+  setTempo() {
+    // Reverb tempo'dan bağımsız
+  }
+
+  describe() {
+    return `Decay ${this.decay}s`;
+  }
+}
+
+// ================= FLANGER =================
+
+/**
+ * Flanger: LFO ile modüle edilen kısa delay (1 - 6ms) + feedback
+ * Param: LFO periyodu (BPM varsa 1 - 16 beat, yoksa 0.1 - 2 Hz)
+ */
+class FlangerEffect {
+  constructor(ctx) {
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    this.delay = ctx.createDelay(0.05);
+    this.delay.delayTime.value = 0.0035;
+    this.feedback = ctx.createGain();
+    this.feedback.gain.value = 0.6;
+
+    this.lfo = ctx.createOscillator();
+    this.lfo.type = 'triangle';
+    this.lfoDepth = ctx.createGain();
+    this.lfoDepth.gain.value = 0.0025; // ±2.5ms
+
+    this.lfo.connect(this.lfoDepth);
+    this.lfoDepth.connect(this.delay.delayTime);
+    this.lfo.start();
+
+    // Dry + delayed (comb filter) → output
+    this.input.connect(this.output);
+    this.input.connect(this.delay);
+    this.delay.connect(this.feedback);
+    this.feedback.connect(this.delay);
+    this.delay.connect(this.output);
+
+    this.beatOptions = [1, 2, 4, 8, 16];
+    this.param = 0.5;
+    this.bpm = null;
+  }
+
+  _frequency() {
+    return this.bpm
+      ? this.bpm / 60 / pickOption(this.beatOptions, this.param)
+      : 0.1 + this.param * 1.9;
+  }
+
+  setParam(value) {
+    this.param = value;
+    smoothSet(this.lfo.frequency, this._frequency());
+  }
+
+  setTempo(bpm) {
+    this.bpm = bpm;
+    smoothSet(this.lfo.frequency, this._frequency());
+  }
+
+  describe() {
+    if (this.bpm) return `${pickOption(this.beatOptions, this.param)} beat sweep`;
+    return `${this._frequency().toFixed(2)} Hz`;
+  }
+}
+
+// ================= PHASER =================
+
+/**
+ * Phaser: 4 allpass filtre, frekansları LFO ile taranır
+ * Param: LFO periyodu (BPM varsa 1 - 16 beat, yoksa 0.1 - 2 Hz)
+ */
+class PhaserEffect {
+  constructor(ctx) {
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    this.lfo = ctx.createOscillator();
+    this.lfo.type = 'sine';
+    this.lfoDepth = ctx.createGain();
+    this.lfoDepth.gain.value = 700; // ±700 Hz sweep
+
+    this.stages = [];
+    let previous = this.input;
+    for (let i = 0; i < 4; i++) {
+      const stage = ctx.createBiquadFilter();
+      stage.type = 'allpass';
+      stage.frequency.value = 1000;
+      stage.Q.value = 0.5;
+      this.lfoDepth.connect(stage.frequency);
+      previous.connect(stage);
+      previous = stage;
+      this.stages.push(stage);
+    }
+
+    this.lfo.connect(this.lfoDepth);
+    this.lfo.start();
+
+    // Dry + phase-shifted (notch'lar) → output
+    this.input.connect(this.output);
+    previous.connect(this.output);
+
+    this.beatOptions = [1, 2, 4, 8, 16];
+    this.param = 0.5;
+    this.bpm = null;
+  }
+
+  _frequency() {
+    return this.bpm
+      ? this.bpm / 60 / pickOption(this.beatOptions, this.param)
+      : 0.1 + this.param * 1.9;
+  }
+
+  setParam(value) {
+    this.param = value;
+    smoothSet(this.lfo.frequency, this._frequency());
+  }
+
+  setTempo(bpm) {
+    this.bpm = bpm;
+    smoothSet(this.lfo.frequency, this._frequency());
+  }
+
+  describe() {
+    if (this.bpm) return `${pickOption(this.beatOptions, this.param)} beat sweep`;
+    return `${this._frequency().toFixed(2)} Hz`;
+  }
+}
+
+// ================= BITCRUSHER =================
+
+/**
+ * Bitcrusher: bit depth + sample rate reduction (AudioWorklet)
+ * Worklet yoksa WaveShaper ile sadece bit depth quantization
+ * Param: crush miktarı (0 = 12 bit, 1 = 2 bit + ağır downsample)
+ */
+class BitcrusherEffect {
+  constructor(ctx) {
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    if (audioEngine.hasWorklet('bitcrusher')) {
+      this.crusher = new AudioWorkletNode(ctx, 'bitcrusher', { outputChannelCount: [2] });
+    } else {
+      this.crusher = ctx.createWaveShaper();
+    }
+
+    this.input.connect(this.crusher);
+    this.crusher.connect(this.output);
+
+    this.param = 0.5;
+    this.setParam(this.param);
+  }
+
+  _bitDepth() {
+    return Math.round(12 - this.param * 10); // 12 → 2 bit
+  }
+
+  setParam(value) {
+    this.param = value;
+    const bitDepth = this._bitDepth();
+
+    if (this.crusher instanceof WaveShaperNode) {
+      // Quantization curve: 2^bitDepth seviye
+      const steps = Math.pow(2, bitDepth);
+      const curve = new Float32Array(4096);
+      for (let i = 0; i < curve.length; i++) {
+        const x = (i / (curve.length - 1)) * 2 - 1;
+        curve[i] = Math.round(x * steps / 2) / (steps / 2);
+      }
+      this.crusher.curve = curve;
+    } else {
+      const now = audioEngine.getCurrentTime();
+      this.crusher.parameters.get('bitDepth').setValueAtTime(bitDepth, now);
+      this.crusher.parameters.get('reduction').setValueAtTime(1 + Math.round(this.param * 15), now);
+    }
+  }
+
+  setTempo() {
+    // Bitcrusher tempo'dan bağımsız
+  }
+
+  describe() {
+    return `${this._bitDepth()} bit`;
+  }
+}
+
+// ================= GATER =================
+
+/**
+ * Gater: kare dalga LFO ile gain kapısı, beat grid'e hizalı başlar
+ * Param: gate bölümü (BPM varsa 1/16 - 1 beat, yoksa 2 - 16 Hz)
+ */
+class GaterEffect {
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    // gate.gain = 0.5 + 0.5 × square → 0 / 1
+    this.gate = ctx.createGain();
+    this.gate.gain.value = 0.5;
+    this.lfoDepth = ctx.createGain();
+    this.lfoDepth.gain.value = 0.5;
+    this.lfoDepth.connect(this.gate.gain);
+
+    this.input.connect(this.gate);
+    this.gate.connect(this.output);
+
+    this.lfo = null;
+    this.beatOptions = [0.0625, 0.125, 0.25, 0.5, 1];
+    this.param = 0.5;
+    this.bpm = null;
+    this._restartLfo(0);
+  }
+
+  _frequency() {
+    return this.bpm
+      ? this.bpm / 60 / pickOption(this.beatOptions, this.param)
+      : 2 + this.param * 14;
+  }
+
+  /**
+   * LFO'yu yeniden başlat (kare dalga yüksek fazda başlar → kapı beat üstünde açılır)
+   * @param {number} startTime - Context time (bir sonraki beat)
+   */
+  _restartLfo(startTime) {
+    if (this.lfo) {
+      this.lfo.stop(Math.max(startTime, audioEngine.getCurrentTime()));
+    }
+
+    this.lfo = this.ctx.createOscillator();
+    this.lfo.type = 'square';
+    this.lfo.frequency.value = this._frequency();
+    this.lfo.connect(this.lfoDepth);
+    this.lfo.start(startTime);
+  }
+
+  setParam(value) {
+    this.param = value;
+    smoothSet(this.lfo.frequency, this._frequency());
+  }
+
+  /**
+   * @param {number|null} bpm
+   * @param {number|null} nextBeatTime - Bir sonraki beat'in context time'ı (faz hizalama)
+   */
+  setTempo(bpm, nextBeatTime) {
+    this.bpm = bpm;
+    if (bpm && nextBeatTime !== null) {
+      this._restartLfo(nextBeatTime);
+    } else {
+      smoothSet(this.lfo.frequency, this._frequency());
+    }
+  }
+
+  describe() {
+    if (this.bpm) return `${formatBeats(pickOption(this.beatOptions, this.param))} beat gate`;
+    return `${this._frequency().toFixed(1)} Hz gate`;
+  }
+}
+
+const EFFECT_CLASSES = {
+  echo: EchoEffect,
+  reverb: ReverbEffect,
+  flanger: FlangerEffect,
+  phaser: PhaserEffect,
+  bitcrusher: BitcrusherEffect,
+  gater: GaterEffect
+};
+
+// ================= FX UNIT =================
+
+/**
+ * Deck başına FX unit: seçili efekt + dry/wet + on/off
+ * Efektler ilk seçildiklerinde oluşturulur (lazy)
+ */
+export class EffectUnit {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getNextBeatTime] - () => bir sonraki beat'in context time'ı (çalmıyorsa null)
+   */
+  constructor({ getNextBeatTime = null } = {}) {
+    const ctx = audioEngine.context;
+
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+    this.dryGain = ctx.createGain();
+    this.wetGain = ctx.createGain();
+    this.wetGain.gain.value = 0; // Kapalı başlar
+
+    this.input.connect(this.dryGain);
+    this.dryGain.connect(this.output);
+    this.wetGain.connect(this.output);
+
+    this.effects = new Map();
+    this.type = null;
+    this.enabled = false;
+    this.mix = 0.5;
+    this.param = 0.5;
+    this.bpm = null;
+    this.nextBeatTime = null;
+    this.getNextBeatTime = getNextBeatTime;
+
+    this.setType(EFFECT_TYPES[0]);
+  }
+
+  /**
+   * Efekt instance'ı al (yoksa oluştur)
+   */
+  _getEffect(type) {
+    if (!this.effects.has(type)) {
+      const effect = new EFFECT_CLASSES[type](audioEngine.context);
+      effect.setTempo(this.bpm, this._getNextBeatTime());
+      this.effects.set(type, effect);
+    }
+    return this.effects.get(type);
+  }
+
+  /**
+   * Yeni oluşturulan efektin faz hizası: deck'ten o anki bir sonraki beat
+   * (deck yoksa geçmişte kalmış beat zamanı kullanılmaz)
+   * @returns {number|null}
+   */
+  _getNextBeatTime() {
+    if (this.getNextBeatTime) return this.getNextBeatTime();
+    return this.nextBeatTime !== null && this.nextBeatTime >= audioEngine.getCurrentTime() ? this.nextBeatTime : null;
+  }
+
+  /**
+   * Seçili efekti değiştir
+   * @param {string} type - EFFECT_TYPES içinden
+   */
+  setType(type) {
+    if (!EFFECT_CLASSES[type] || type === this.type) return;
+
+    if (this.type) {
+      const previous = this.effects.get(this.type);
+      this.input.disconnect(previous.input);
+      previous.output.disconnect(this.wetGain);
+    }
+
+    // Param knob tek: cache'teki efekt başka efekt seçiliyken çevrilen değeri alır
+    const effect = this._getEffect(type);
+    effect.setParam(this.param);
+    this.input.connect(effect.input);
+    effect.output.connect(this.wetGain);
+    this.type = type;
+  }
+
+  /**
+   * Sıradaki efekte geç (FX select butonu)
+   * @returns {string} - Yeni efekt türü
+   */
+  nextType() {
+    const index = EFFECT_TYPES.indexOf(this.type);
+    this.setType(EFFECT_TYPES[(index + 1) % EFFECT_TYPES.length]);
+    return this.type;
+  }
+
+  /**
+   * FX on/off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this._updateMix();
+  }
+
+  /**
+   * Dry/wet
+   * @param {number} value - 0.0 (dry) - 1.0 (wet), 0.5 = ikisi de tam
+   */
+  setMix(value) {
+    this.mix = Math.max(0, Math.min(1, value));
+    this._updateMix();
+  }
+
+  _updateMix() {
+    const wet = this.enabled ? Math.min(1, this.mix * 2) : 0;
+    const dry = this.enabled ? Math.min(1, (1 - this.mix) * 2) : 1;
+    smoothSet(this.wetGain.gain, wet);
+    smoothSet(this.dryGain.gain, dry);
+  }
+
+  /**
+   * Efekt parametresi (her efekt kendi anlamını verir: süre, decay, hız, bit...)
+   * @param {number} value - 0.0 - 1.0
+   */
+  setParam(value) {
+    this.param = Math.max(0, Math.min(1, value));
+    this._getEffect(this.type).setParam(this.param);
+  }
+
+  /**
+   * Deck tempo'su (efektif BPM) ve beat fazı
+   * @param {number|null} bpm - Tempo bilinmiyorsa null (efektler saniye/Hz'e döner)
+   * @param {number|null} nextBeatTime - Bir sonraki beat'in context time'ı
+   */
+  setTempo(bpm, nextBeatTime = null) {
+    this.bpm = bpm;
+    this.nextBeatTime = nextBeatTime;
+    this.effects.forEach(effect => effect.setTempo(bpm, nextBeatTime));
+  }
+
+  /**
+   * HUD için param açıklaması (örn: "1/2 beat", "Decay 2s")
+   * @returns {string}
+   */
+  describeParam() {
+    return this._getEffect(this.type).describe();
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * LEVEL METER - AnalyserNode tabanlı peak / RMS ölçümü
+ *
+ * Sorumluluklar:
+ * - Bir node'un çıkışını L/R analyser'lara bölme (sinyal akışını etkilemez)
+ * - Her okumada kanal başına peak ve RMS hesaplama
+ * - Meter balistiği: peak hold + düşüş, clip latch
+ *
+ * Okuma pull-based'dir: audioEngine.updateMeters() (render loop) çağırır
+ */
+
+// Sessizlik tabanı (dBFS) - log(0) yerine
+export const METER_FLOOR_DB = -60;
+
+// Peak hold süresi ve sonrasında düşüş hızı
+const PEAK_HOLD_TIME = 1.0;      // saniye
+const PEAK_FALL_RATE = 20;       // dB / saniye
+
+// Clip göstergesi son clip'ten sonra bu kadar yanık kalır
+const CLIP_HOLD_TIME = 1.5;      // saniye
+
+// 0 dBFS'e bu kadar yakın örnekler clip sayılır (float → fixed dönüşümde taşar)
+const CLIP_THRESHOLD = 0.999;
+
+/**
+ * Lineer genlik → dBFS (tabanla sınırlı)
+ * @param {number} amplitude
+ * @returns {number}
+ */
+export function toDecibels(amplitude) {
+  if (amplitude <= 0) return METER_FLOOR_DB;
+  return Math.max(METER_FLOOR_DB, 20 * Math.log10(amplitude));
+}
+
+/**
+ * @typedef {Object} MeterChannelLevel
+ * @property {number} peak - Bu okumadaki anlık peak (lineer)
+ * @property {number} rms - Bu okumadaki RMS (lineer)
+ * @property {number} peakDb
+ * @property {number} rmsDb
+ */
+
+/**
+ * @typedef {Object} MeterReading
+ * @property {Array<MeterChannelLevel>} channels - [L, R]
+ * @property {number} peakDb - Kanalların en yükseği (dBFS)
+ * @property {number} rmsDb - Kanalların en yükseği (dBFS)
+ * @property {number} peakHoldDb - Peak hold (dBFS)
+ * @property {boolean} clipping - Son CLIP_HOLD_TIME içinde clip oldu mu?
+ */
+
+export class LevelMeter {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {AudioNode} sourceNode - Ölçülecek node (çıkışına paralel bağlanılır)
+   */
+  constructor(context, sourceNode) {
+    this.context = context;
+    this.sourceNode = sourceNode;
+
+    // L/R ayrı ölçülür: AnalyserNode girişi mono'ya indirir, tek kanal clip'i kaçar
+    this.splitter = context.createChannelSplitter(2);
+    this.analysers = [0, 1].map(channel => {
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 2048; // ~46ms @ 44.1kHz: 60fps okuma aralığını kapsar
+      this.splitter.connect(analyser, channel);
+      return analyser;
+    });
+    this.buffer = new Float32Array(this.analysers[0].fftSize);
+
+    sourceNode.connect(this.splitter);
+
+    // Balistik state
+    this.peakHoldDb = METER_FLOOR_DB;
+    this.peakHoldTime = 0;
+    this.lastClipTime = -Infinity;
+    this.lastReadTime = null;
+  }
+
+  /**
+   * Güncel seviyeleri oku
+   * @returns {MeterReading}
+   */
+  read() {
+    const now = this.context.currentTime;
+    const elapsed = this.lastReadTime === null ? 0 : now - this.lastReadTime;
+    this.lastReadTime = now;
+
+    const channels = this.analysers.map(analyser => {
+      analyser.getFloatTimeDomainData(this.buffer);
+
+      let peak = 0;
+      let sumSquares = 0;
+      for (let i = 0; i < this.buffer.length; i++) {
+        const sample = Math.abs(this.buffer[i]);
+        if (sample > peak) peak = sample;
+        sumSquares += sample * sample;
+      }
+      const rms = Math.sqrt(sumSquares / this.buffer.length);
+
+      return { peak, rms, peakDb: toDecibels(peak), rmsDb: toDecibels(rms) };
+    });
+
+    const peakDb = Math.max(...channels.map(channel => channel.peakDb));
+    const rmsDb = Math.max(...channels.map(channel => channel.rmsDb));
+
+    // Peak hold: yeni peak tutulur, süre dolunca sabit hızla düşer
+    if (peakDb >= this.peakHoldDb) {
+      this.peakHoldDb = peakDb;
+      this.peakHoldTime = now;
+    } else if (now - this.peakHoldTime > PEAK_HOLD_TIME) {
+      this.peakHoldDb = Math.max(peakDb, this.peakHoldDb - PEAK_FALL_RATE * elapsed);
+    }
+
+    if (channels.some(channel => channel.peak >= CLIP_THRESHOLD)) {
+      this.lastClipTime = now;
+    }
+
+    return {
+      channels,
+      peakDb,
+      rmsDb,
+      peakHoldDb: this.peakHoldDb,
+      clipping: now - this.lastClipTime < CLIP_HOLD_TIME
+    };
+  }
+
+  /**
+   * Analyser'ları kaynaktan ayır
+   */
+  disconnect() {
+    this.sourceNode.disconnect(this.splitter);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * LIMITER - Master bus clip koruması
+ *
+ * Sorumluluklar:
+ * - DynamicsCompressorNode'u limiter olarak ayarlama (hard knee, yüksek ratio, hızlı attack)
+ * - Ceiling (dBFS) seçimi ve compressor'ın otomatik makeup gain'ini geri alma
+ * - Bypass (input → output doğrudan)
+ *
+ * Not: DynamicsCompressor brickwall değildir (6ms lookahead, ratio 20:1);
+ * transient'ler ceiling'i çok kısa süre aşabilir
+ */
+
+/**
+ * Seçilebilir ceiling değerleri (dBFS)
+ */
+export const LIMITER_CEILINGS = [-0.1, -0.3, -1, -3];
+
+// Limiter karakteristiği
+const LIMITER_RATIO = 20;   // DynamicsCompressor maksimumu
+const DEFAULT_ATTACK = 0.001;
+const DEFAULT_RELEASE = 0.1;
+
+export class Limiter {
+  /**
+   * @param {BaseAudioContext} context
+   */
+  constructor(context) {
+    this.context = context;
+
+    this.input = context.createGain();
+    this.output = context.createGain();
+
+    this.compressor = context.createDynamicsCompressor();
+    this.compressor.knee.value = 0;
+    this.compressor.ratio.value = LIMITER_RATIO;
+
+    // Compressor'ın otomatik makeup gain'ini geri alır (ceiling korunsun)
+    this.trim = context.createGain();
+
+    this.compressor.connect(this.trim);
+    this.trim.connect(this.output);
+
+    this.enabled = null;
+    this.ceiling = -1;
+    this.attack = DEFAULT_ATTACK;
+    this.release = DEFAULT_RELEASE;
+
+    this.configure({ ceiling: this.ceiling });
+    this.setEnabled(true);
+  }
+
+  /**
+   * Limiter açık / bypass
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+
+    // İlk çağrıda (enabled === null) input henüz hiçbir yere bağlı değil
+    if (enabled) {
+      if (this.enabled === false) this.input.disconnect(this.output);
+      this.input.connect(this.compressor);
+    } else {
+      if (this.enabled === true) this.input.disconnect(this.compressor);
+      this.input.connect(this.output);
+    }
+
+    this.enabled = enabled;
+  }
+
+  /**
+   * Limiter ayarları (verilmeyen alanlar değişmez)
+   * @param {Object} settings
+   * @param {number} [settings.ceiling] - dBFS (örn: -1)
+   * @param {number} [settings.attack] - saniye
+   * @param {number} [settings.release] - saniye
+   */
+  configure({ ceiling = this.ceiling, attack = this.attack, release = this.release } = {}) {
+    this.ceiling = Math.max(-24, Math.min(0, ceiling));
+    this.attack = attack;
+    this.release = release;
+
+    const now = this.context.currentTime;
+    this.compressor.threshold.setValueAtTime(this.ceiling, now);
+    this.compressor.attack.setValueAtTime(this.attack, now);
+    this.compressor.release.setValueAtTime(this.release, now);
+
+    // Spec: makeupGain = (1 / fullRangeGain)^0.6, hard knee'de fullRangeGain (dB) = threshold · (1 - 1/ratio)
+    const makeupDb = -0.6 * this.ceiling * (1 - 1 / LIMITER_RATIO);
+    this.trim.gain.setValueAtTime(Math.pow(10, -makeupDb / 20), now);
+  }
+
+  /**
+   * Anlık gain reduction (dB, pozitif)
+   * @returns {number}
+   */
+  getReduction() {
+    return this.enabled ? -this.compressor.reduction : 0;
+  }
+}
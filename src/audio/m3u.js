@@ -0,0 +1,116 @@
+/**
+ * M3U - M3U / M3U8 playlist dosyası okuma / yazma
+ *
+ * Sorumluluklar:
+ * - Byte'ları text'e çevirme: M3U8 UTF-8, M3U önce UTF-8 sonra Windows-1252
+ * - Parse: path satırları + #EXTINF (süre, "Artist - Title"), #PLAYLIST adı
+ * - Build: #EXTM3U başlıklı M3U8 (UTF-8)
+ *
+ * Saf fonksiyonlar: library'yi bilmez, entry → track eşleştirmesi trackLibrary.importM3U()'da
+ */
+
+/**
+ * @typedef {Object} M3UEntry
+ * @property {string} path - Dosya yolu veya URL (dosyadaki haliyle)
+ * @property {string|null} title - #EXTINF'ten (yoksa null)
+ * @property {string|null} artist - #EXTINF "Artist - Title" formatındaysa
+ * @property {number|null} duration - Saniye (#EXTINF -1 = bilinmiyor → null)
+ */
+
+/**
+ * Dosya byte'larını text'e çevir
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {string}
+ */
+export function decodePlaylistText(arrayBuffer) {
+  try {
+    // fatal: geçersiz UTF-8 → eski M3U (Windows-1252)
+    return new TextDecoder('utf-8', { fatal: true }).decode(arrayBuffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(arrayBuffer);
+  }
+}
+
+/**
+ * Path'in dosya adı (klasör ve uzantı olmadan): "C:\Music\Artist - Title.mp3" → "Artist - Title"
+ * @param {string} path
+ * @returns {string}
+ */
+export function pathToName(path) {
+  let name = path.split(/[\\/]/).pop() || '';
+  try {
+    name = decodeURIComponent(name); // file:// URL'leri (%20)
+  } catch {
+    // Yüzde işareti içeren normal dosya adı
+  }
+  return name.replace(/\.[^/.]+$/, '');
+}
+
+/**
+ * "Artist - Title" → { artist, title }
+ * @param {string} text
+ * @returns {{ artist: string|null, title: string|null }}
+ */
+function splitDisplayTitle(text) {
+  const trimmed = text.trim();
+  const separator = trimmed.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: trimmed || null };
+  return {
+    artist: trimmed.slice(0, separator).trim() || null,
+    title: trimmed.slice(separator + 3).trim() || null
+  };
+}
+
+/**
+ * M3U / M3U8 text'ini parse et (extended ve basit format)
+ * @param {string} text
+ * @returns {{ name: string|null, entries: Array<M3UEntry> }}
+ */
+export function parseM3U(text) {
+  const entries = [];
+  let name = null;
+  let info = null; // Bir sonraki path'e ait #EXTINF
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<süre> [attr="..."],<Artist - Title>
+      const body = line.slice(8);
+      const comma = body.indexOf(',');
+      const duration = parseFloat(comma === -1 ? body : body.slice(0, comma));
+      info = {
+        duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+        ...splitDisplayTitle(comma === -1 ? '' : body.slice(comma + 1))
+      };
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice(10).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ path: line, title: null, artist: null, duration: null, ...info });
+      info = null;
+    }
+  });
+
+  return { name, entries };
+}
+
+/**
+ * M3U8 text'i oluştur
+ * @param {Object} playlist
+ * @param {string} [playlist.name] - #PLAYLIST satırı
+ * @param {Array<M3UEntry>} playlist.entries
+ * @returns {string}
+ */
+export function buildM3U({ name, entries }) {
+  const lines = ['#EXTM3U'];
+  if (name) lines.push(`#PLAYLIST:${name}`);
+
+  entries.forEach(({ path, title, artist, duration }) => {
+    const display = artist ? `${artist} - ${title || pathToName(path)}` : (title || pathToName(path));
+    lines.push(`#EXTINF:${duration ? Math.round(duration) : -1},${display}`);
+    lines.push(path);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,309 @@
+/**
+ * MIX RECORDER - Master çıkışını kaydetme ve tracklist export
+ *
+ * Sorumluluklar:
+ * - WAV: AudioWorklet ('pcm-recorder') ile 16-bit stereo PCM
+ * - WebM/Opus: MediaStreamDestination + MediaRecorder
+ * - start / pause / resume / stop, kayıt süresi (pause'lar hariç)
+ * - Tracklist: deck yüklemeleri + crossfader hareketlerinden zaman damgaları
+ * - Ses dosyası ve tracklist (CUE / TXT) indirme
+ *
+ * Kayıt noktası master çıkışı (limiter sonrası): dinleyicinin duyduğuyla aynı
+ */
+
+import { audioEngine } from './audioEngine.js';
+import { Tracklist } from './tracklist.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Kayıt formatları
+ */
+export const RECORDING_FORMATS = {
+  wav: { label: 'WAV (PCM 16-bit)', extension: 'wav', mimeType: 'audio/wav' },
+  webm: { label: 'WebM (Opus)', extension: 'webm', mimeType: 'audio/webm;codecs=opus' }
+};
+
+/**
+ * Interleaved 16-bit stereo PCM chunk'larından WAV Blob oluştur
+ * @param {Array<Int16Array>} chunks
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+export function encodeWav(chunks, sampleRate) {
+  const channels = 2;
+  const bytesPerSample = 2;
+  const dataLength = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+
+  const header = new DataView(new ArrayBuffer(44));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  header.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  header.setUint32(16, 16, true);                                   // fmt chunk size
+  header.setUint16(20, 1, true);                                    // PCM
+  header.setUint16(22, channels, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * channels * bytesPerSample, true); // byte rate
+  header.setUint16(32, channels * bytesPerSample, true);             // block align
+  header.setUint16(34, bytesPerSample * 8, true);                    // bits per sample
+  writeString(36, 'data');
+  header.setUint32(40, dataLength, true);
+
+  return new Blob([header, ...chunks], { type: RECORDING_FORMATS.wav.mimeType });
+}
+
+/**
+ * @typedef {Object} Recording
+ * @property {Blob} blob - Ses dosyası
+ * @property {string} format - 'wav' | 'webm'
+ * @property {string} fileName - Örn: 'mix-2024-05-01-2130.wav'
+ * @property {number} duration - Saniye (pause'lar hariç)
+ * @property {Array<import('./tracklist.js').TracklistEntry>} tracklist
+ * @property {string} cue - CUE sheet (fileName'e referansla)
+ * @property {string} text - Düz metin tracklist
+ */
+
+class MixRecorder {
+  constructor() {
+    this.state = 'inactive'; // 'inactive' | 'recording' | 'paused' | 'stopping'
+    this.format = null;
+
+    // WAV (worklet)
+    this.pcmNode = null;
+    this.pcmChunks = [];
+
+    // WebM (MediaRecorder)
+    this.streamDestination = null;
+    this.mediaRecorder = null;
+    this.mediaChunks = [];
+
+    // Süre: pause'lar hariç context zamanı
+    this.segmentStart = 0;  // Son start/resume anı (context time)
+    this.elapsedBefore = 0; // Önceki segment'lerin toplamı
+
+    this.tracklist = new Tracklist();
+    this.lastRecording = null;
+  }
+
+  /**
+   * Format bu tarayıcıda kaydedilebilir mi?
+   * @param {string} format - 'wav' | 'webm'
+   * @returns {boolean}
+   */
+  isSupported(format) {
+    if (format === 'wav') return audioEngine.hasWorklet('pcm-recorder');
+    if (format === 'webm') {
+      return typeof MediaRecorder !== 'undefined'
+        && MediaRecorder.isTypeSupported(RECORDING_FORMATS.webm.mimeType);
+    }
+    return false;
+  }
+
+  /**
+   * Kayıt noktası: master çıkışı (limiter sonrası)
+   */
+  _getSourceNode() {
+    return audioEngine.limiter ? audioEngine.limiter.output : audioEngine.masterGain;
+  }
+
+  /**
+   * Kaydı başlat
+   * @param {Object} [options]
+   * @param {string} [options.format='wav'] - 'wav' | 'webm'
+   */
+  start({ format = 'wav' } = {}) {
+    if (this.state !== 'inactive') return;
+
+    if (!this.isSupported(format)) {
+      throw new Error(`Recording format "${format}" not supported in this browser`);
+    }
+
+    const ctx = audioEngine.context;
+    const source = this._getSourceNode();
+    this.format = format;
+
+    if (format === 'wav') {
+      this.pcmChunks = [];
+      this.pcmNode = new AudioWorkletNode(ctx, 'pcm-recorder', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: 'explicit'
+      });
+      this.pcmNode.port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') this.pcmChunks.push(data.data);
+      };
+      source.connect(this.pcmNode);
+      this.pcmNode.port.postMessage({ type: 'record' });
+    } else {
+      this.mediaChunks = [];
+      this.streamDestination = ctx.createMediaStreamDestination();
+      source.connect(this.streamDestination);
+      this.mediaRecorder = new MediaRecorder(this.streamDestination.stream, {
+        mimeType: RECORDING_FORMATS.webm.mimeType
+      });
+      this.mediaRecorder.ondataavailable = ({ data }) => {
+        if (data.size > 0) this.mediaChunks.push(data);
+      };
+      this.mediaRecorder.start(1000); // 1 sn'lik parçalar (uzun kayıtta tek dev Blob yerine)
+    }
+
+    this.elapsedBefore = 0;
+    this.segmentStart = ctx.currentTime;
+    this.state = 'recording';
+    this.tracklist.start();
+
+    console.log(`MixRecorder: Recording started (${format})`);
+  }
+
+  /**
+   * Kaydı duraklat
+   */
+  pause() {
+    if (this.state !== 'recording') return;
+
+    if (this.pcmNode) this.pcmNode.port.postMessage({ type: 'pause' });
+    if (this.mediaRecorder) this.mediaRecorder.pause();
+
+    this.elapsedBefore += audioEngine.getCurrentTime() - this.segmentStart;
+    this.state = 'paused';
+    console.log(`MixRecorder: Paused at ${this.getElapsed().toFixed(1)}s`);
+  }
+
+  /**
+   * Duraklatılmış kayda devam et
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+
+    if (this.pcmNode) this.pcmNode.port.postMessage({ type: 'record' });
+    if (this.mediaRecorder) this.mediaRecorder.resume();
+
+    this.segmentStart = audioEngine.getCurrentTime();
+    this.state = 'recording';
+    console.log('MixRecorder: Resumed');
+  }
+
+  /**
+   * Kaydı bitir
+   * @returns {Promise<Recording|null>}
+   */
+  async stop() {
+    if (this.state === 'inactive' || this.state === 'stopping') return null;
+
+    // Süre durdurma anında sabitlenir (son chunk'lar beklenirken artmasın)
+    const duration = this.getElapsed();
+    this.elapsedBefore = duration;
+    this.state = 'stopping';
+    const source = this._getSourceNode();
+    let blob;
+
+    if (this.pcmNode) {
+      // Worklet'teki son chunk'ı bekle
+      const node = this.pcmNode;
+      await new Promise(resolve => {
+        node.port.onmessage = ({ data }) => {
+          if (data.type === 'chunk') this.pcmChunks.push(data.data);
+          if (data.type === 'stopped') resolve();
+        };
+        node.port.postMessage({ type: 'stop' });
+      });
+      source.disconnect(node);
+      this.pcmNode = null;
+
+      blob = encodeWav(this.pcmChunks, audioEngine.context.sampleRate);
+      this.pcmChunks = [];
+    } else {
+      const recorder = this.mediaRecorder;
+      await new Promise(resolve => {
+        recorder.onstop = resolve;
+        recorder.stop();
+      });
+      source.disconnect(this.streamDestination);
+      this.mediaRecorder = null;
+      this.streamDestination = null;
+
+      blob = new Blob(this.mediaChunks, { type: recorder.mimeType || RECORDING_FORMATS.webm.mimeType });
+      this.mediaChunks = [];
+    }
+
+    this.state = 'inactive';
+    this.tracklist.stop();
+
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+    const fileName = `mix-${stamp}.${RECORDING_FORMATS[this.format].extension}`;
+
+    // Tracklist snapshot (sonraki kayıt entry'leri sıfırlar)
+    this.lastRecording = {
+      blob,
+      format: this.format,
+      fileName,
+      duration,
+      tracklist: this.tracklist.getEntries(),
+      cue: this.tracklist.toCue(fileName, blob.type),
+      text: this.tracklist.toText()
+    };
+
+    console.log(`MixRecorder: Stopped (${duration.toFixed(1)}s, ${(blob.size / 1048576).toFixed(1)} MB)`);
+    return this.lastRecording;
+  }
+
+  /**
+   * Kayıt süresi (saniye, pause'lar hariç)
+   * @returns {number}
+   */
+  getElapsed() {
+    if (this.state === 'recording') {
+      return this.elapsedBefore + audioEngine.getCurrentTime() - this.segmentStart;
+    }
+    return this.elapsedBefore;
+  }
+
+  /**
+   * Deck'e track yüklendi (kayıt yokken de çağrılmalı: kayıt başında yayındaki track bilinsin)
+   * @param {number} deckId - 1 or 2
+   * @param {string} title
+   */
+  noteTrackLoad(deckId, title) {
+    this.tracklist.noteTrackLoad(deckId, title, this.getElapsed());
+  }
+
+  /**
+   * Crossfader hareketi (kayıt yokken de çağrılmalı)
+   * @param {number} value - 0.0 (A) - 1.0 (B)
+   */
+  noteCrossfader(value) {
+    this.tracklist.noteCrossfader(value, this.getElapsed());
+  }
+
+  /**
+   * Son kaydı ve tracklist'ini indir
+   * @param {Object} [options]
+   * @param {string} [options.tracklistFormat='cue'] - 'cue' | 'txt' | null (sadece ses)
+   * @param {boolean} [options.includeAudio=true] - false: sadece tracklist
+   */
+  download({ tracklistFormat = 'cue', includeAudio = true } = {}) {
+    const recording = this.lastRecording;
+    if (!recording) {
+      console.warn('MixRecorder: Nothing recorded yet');
+      return;
+    }
+
+    if (includeAudio) {
+      downloadBlob(recording.blob, recording.fileName);
+    }
+
+    if (tracklistFormat) {
+      const baseName = recording.fileName.replace(/\.[^.]+$/, '');
+      const text = tracklistFormat === 'cue' ? recording.cue : recording.text;
+      downloadBlob(new Blob([text], { type: 'text/plain' }), `${baseName}.${tracklistFormat}`);
+    }
+  }
+}
+
+// Singleton instance
+export const mixRecorder = new MixRecorder();
@@ -0,0 +1,173 @@
+/**
+ * PLAYHEAD CLOCK - Playback rate'in zaman içindeki integrali (deck pozisyonu)
+ *
+ * Sorumluluklar:
+ * - Source'un playbackRate otomasyonunu aynen modeller: anlık değer, setTargetAtTime, linear ramp
+ * - Pozisyon = anchor pozisyonu + rate eğrisinin anchor'dan beri integrali
+ *   (tempo geçişleri ve scratch sapmaları dahil, rate 1.0 olmasa da doğru)
+ * - Her rate değişikliğinde o anki pozisyon ve rate yeni anchor olur
+ * - Distance: başından beri çalınan toplam süre (seek / loop wrap'ten etkilenmez, loop roll gölgesi)
+ *
+ * Saf sınıf: AudioContext'i bilmez, zamanlar parametre olarak gelir (context time, saniye)
+ * Loop / track sonu wrap'i Deck'te: buradaki pozisyon wrap edilmemiş track zamanıdır
+ */
+
+/**
+ * Anchor'dan başlayan rate eğrisi
+ * @typedef {Object} RateCurve
+ * @property {string} type - 'constant' | 'target' (setTargetAtTime) | 'ramp' (linearRampToValueAtTime)
+ * @property {number} from - Anchor anındaki rate
+ * @property {number} to - Hedef rate (constant'ta from ile aynı)
+ * @property {number} [timeConstant] - 'target': üstel yaklaşma sabiti (saniye)
+ * @property {number} [duration] - 'ramp': hedefe varış süresi (saniye)
+ */
+
+/**
+ * Eğrinin anchor'dan dt saniye sonraki değeri
+ * @param {RateCurve} curve
+ * @param {number} dt
+ * @returns {number}
+ */
+function rateAt(curve, dt) {
+  const { type, from, to } = curve;
+  if (type === 'target') return to + (from - to) * Math.exp(-dt / curve.timeConstant);
+  if (type === 'ramp') return dt >= curve.duration ? to : from + (to - from) * (dt / curve.duration);
+  return from;
+}
+
+/**
+ * Eğrinin anchor'dan dt saniye boyunca integrali (ilerlenen track süresi)
+ * @param {RateCurve} curve
+ * @param {number} dt
+ * @returns {number}
+ */
+function integrate(curve, dt) {
+  const { type, from, to } = curve;
+
+  if (type === 'target') {
+    const { timeConstant } = curve;
+    return to * dt + (from - to) * timeConstant * (1 - Math.exp(-dt / timeConstant));
+  }
+
+  if (type === 'ramp') {
+    const { duration } = curve;
+    if (dt <= duration) return from * dt + ((to - from) * dt * dt) / (2 * duration);
+    return ((from + to) / 2) * duration + to * (dt - duration);
+  }
+
+  return from * dt;
+}
+
+export class PlayheadClock {
+  constructor() {
+    this.anchorTime = 0;      // Context time of the last anchor
+    this.anchorPosition = 0;  // Track position (seconds) at anchorTime
+    this.distance = 0;        // Track seconds played up to anchorTime (jumps not counted)
+    this.curve = { type: 'constant', from: 0, to: 0 };
+  }
+
+  /**
+   * Anchor'ı verilen ana taşı (pozisyon integrale eklenir, eğri kaldığı yerden devam eder)
+   * setTargetAtTime üstel olduğu için kaydırmada şekli değişmez, ramp'in kalan süresi kısalır
+   * @param {number} time - Context time
+   */
+  _advance(time) {
+    const dt = Math.max(0, time - this.anchorTime);
+    const rate = rateAt(this.curve, dt);
+    const travelled = integrate(this.curve, dt);
+
+    this.anchorPosition += travelled;
+    this.distance += travelled;
+    this.anchorTime = Math.max(this.anchorTime, time);
+    this.curve = this.curve.type === 'ramp'
+      ? { ...this.curve, from: rate, duration: Math.max(0, this.curve.duration - dt) }
+      : { ...this.curve, from: rate };
+  }
+
+  /**
+   * Saymaya başla (source.start ile aynı anda)
+   * @param {number} time - Context time
+   * @param {number} position - Başlangıç pozisyonu (saniye)
+   * @param {number} rate - Başlangıç playback rate'i
+   */
+  start(time, position, rate) {
+    this.distance += integrate(this.curve, Math.max(0, time - this.anchorTime));
+    this.anchorTime = time;
+    this.anchorPosition = position;
+    this.curve = { type: 'constant', from: rate, to: rate };
+  }
+
+  /**
+   * Pozisyonu değiştir, rate eğrisine dokunma (loop wrap'i sonrası yeniden anchor)
+   * @param {number} time
+   * @param {number} position
+   */
+  setPosition(time, position) {
+    this._advance(time);
+    this.anchorPosition = position;
+  }
+
+  /**
+   * playbackRate.setValueAtTime(rate, time) karşılığı
+   * @param {number} time
+   * @param {number} rate
+   */
+  setRate(time, rate) {
+    this._advance(time);
+    this.curve = { type: 'constant', from: rate, to: rate };
+  }
+
+  /**
+   * playbackRate.setTargetAtTime(rate, time, timeConstant) karşılığı
+   * (cancelScheduledValues(time) sonrası: mevcut değerden başlar)
+   * @param {number} time
+   * @param {number} rate
+   * @param {number} timeConstant - Saniye
+   */
+  setTargetRate(time, rate, timeConstant) {
+    this._advance(time);
+    this.curve = timeConstant > 0
+      ? { type: 'target', from: this.curve.from, to: rate, timeConstant }
+      : { type: 'constant', from: rate, to: rate };
+  }
+
+  /**
+   * playbackRate.linearRampToValueAtTime(rate, endTime) karşılığı (mevcut değerden, time'dan başlar)
+   * @param {number} time
+   * @param {number} rate
+   * @param {number} endTime
+   */
+  rampRate(time, rate, endTime) {
+    this._advance(time);
+    this.curve = endTime > time
+      ? { type: 'ramp', from: this.curve.from, to: rate, duration: endTime - time }
+      : { type: 'constant', from: rate, to: rate };
+  }
+
+  /**
+   * Wrap edilmemiş track pozisyonu
+   * @param {number} time - Context time
+   * @returns {number} - Saniye
+   */
+  getPosition(time) {
+    return this.anchorPosition + integrate(this.curve, Math.max(0, time - this.anchorTime));
+  }
+
+  /**
+   * Başından beri çalınan toplam track süresi (geri scratch düşer, seek / wrap sayılmaz)
+   * @param {number} time - Context time
+   * @returns {number} - Saniye
+   */
+  getDistance(time) {
+    return this.distance + integrate(this.curve, Math.max(0, time - this.anchorTime));
+  }
+
+  /**
+   * Verilen andaki playback rate
+   * @param {number} time - Context time
+   * @returns {number}
+   */
+  getRate(time) {
+    return rateAt(this.curve, Math.max(0, time - this.anchorTime));
+  }
+}
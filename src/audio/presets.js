@@ -19,16 +19,20 @@ export const PRESET_TRACKS = [
 ];
 
 /**
+ * Not: bpm / beat grid artık her track decode edildiğinde otomatik analiz edilir
+ * (trackAnalyzer.js), cuePoints de hot cue slot'ları olarak kullanılır
+ *
+ * name sadece ilk yüklemeye kadar görünür: dosyada title tag'i varsa onunla değişir.
+ * Artist, album, genre, BPM, key ve kapak resmi de dosyanın tag'lerinden okunur (tagReader.js)
+ *
  * Gelecekte eklenebilecek metadata örneği:
  *
  * {
  *   id: 'preset_4',
  *   name: 'Tech House - Groove',
  *   url: '/audio/tech-house.mp3',
- *   bpm: 128,              // BPM detection için
- *   genre: 'Tech House',   // Filtering için
+ *   bpm: 128,              // Elle girilirse tag'deki BPM'in ve analiz sonucunun önüne geçer
  *   duration: 240,         // Önizleme için (saniye)
- *   artist: 'DJ Name',
  *   cuePoints: [0, 32, 64, 96],  // Cue point sistemi için
  *   waveformColor: '#00ffff'      // UI için
  * }
@@ -0,0 +1,657 @@
+/**
+ * TAG READER - Audio dosyalarındaki gömülü metadata'yı okuma
+ *
+ * Sorumluluklar:
+ * - ID3v2.2 / 2.3 / 2.4 (MP3): text frame'leri + APIC / PIC kapak resmi
+ * - Vorbis comment (FLAC metadata block'ları, OGG Vorbis / Opus): yorumlar + METADATA_BLOCK_PICTURE
+ * - MP4 atom'ları (M4A / AAC / ALAC): moov.udta.meta.ilst item'ları + covr
+ * - Serato'nun dosyaya yazdığı hot cue / beat grid verisi (ham byte'lar, djImport.js parse eder)
+ * - Ortak sonuç: title, artist, album, genre, bpm, key, picture, serato
+ *
+ * Saf fonksiyonlar: Web Audio / DOM bilmez, decode'dan ÖNCE çağrılmalı
+ * (decodeAudioData ArrayBuffer'ı detach eder)
+ */
+
+/**
+ * @typedef {Object} TagPicture
+ * @property {string} mimeType - 'image/jpeg', 'image/png'
+ * @property {Uint8Array} data - Kaynak buffer'ın görünümü (saklamadan önce kopyalanmalı)
+ */
+
+/**
+ * @typedef {Object} TrackTags
+ * @property {string|null} title
+ * @property {string|null} artist
+ * @property {string|null} album
+ * @property {string|null} genre
+ * @property {number|null} bpm - Gömülü tempo (TBPM, BPM, tmpo)
+ * @property {string|null} key - Gömülü ton (TKEY, INITIALKEY: '8A', 'Am', ...)
+ * @property {TagPicture|null} picture - Kapak resmi (ön kapak öncelikli)
+ * @property {SeratoData|null} serato - Serato analiz verisi (yoksa null)
+ */
+
+/**
+ * Serato GEOB frame'leri (MP3) / SERATO_* yorumları (FLAC, OGG) / com.serato.dj item'ları (MP4)
+ * Hepsi ID3 GEOB içeriği formatına getirilir
+ * @typedef {Object} SeratoData
+ * @property {Uint8Array|null} markers - "Serato Markers2" (hot cue'lar)
+ * @property {Uint8Array|null} beatGrid - "Serato BeatGrid"
+ */
+
+// ID3v1 genre listesi (TCON "(17)" referansları ve MP4 'gnre' atom'u için)
+const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap',
+  'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks',
+  'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock',
+  'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream',
+  'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi',
+  'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+// ID3 frame ID → tag alanı (v2.3 / 2.4 ve v2.2 üç harfli ID'ler)
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TCON: 'genre', TCO: 'genre',
+  TBPM: 'bpm', TBP: 'bpm',
+  TKEY: 'key', TKE: 'key'
+};
+
+// Vorbis comment alanı (büyük harf) → tag alanı
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  GENRE: 'genre',
+  BPM: 'bpm',
+  TEMPO: 'bpm',
+  INITIALKEY: 'key',
+  KEY: 'key'
+};
+
+// MP4 ilst item → tag alanı ('©' = 0xA9)
+const MP4_TEXT_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  '©gen': 'genre'
+};
+
+// Serato verisi: GEOB açıklaması / Vorbis alanı / MP4 freeform adı → SeratoData alanı
+const SERATO_GEOB = { 'Serato Markers2': 'markers', 'Serato BeatGrid': 'beatGrid' };
+const SERATO_VORBIS = { SERATO_MARKERS_V2: 'markers', SERATO_BEATGRID: 'beatGrid' };
+const SERATO_MP4 = { markersv2: 'markers', beatgrid: 'beatGrid' };
+
+// ID3 APIC / FLAC picture type: ön kapak
+const FRONT_COVER = 3;
+
+const latin1Decoder = new TextDecoder('latin1');
+const utf8Decoder = new TextDecoder('utf-8');
+
+/**
+ * @returns {TrackTags}
+ */
+function createEmptyTags() {
+  return { title: null, artist: null, album: null, genre: null, bpm: null, key: null, picture: null, serato: null };
+}
+
+/**
+ * bytes[offset...] ASCII olarak text mi?
+ */
+function matches(bytes, offset, text) {
+  if (bytes.length < offset + text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function readAscii(bytes, offset, length) {
+  return latin1Decoder.decode(bytes.subarray(offset, offset + length));
+}
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+function readUint32LE(bytes, offset) {
+  return ((bytes[offset + 3] << 24) >>> 0) + (bytes[offset + 2] << 16) + (bytes[offset + 1] << 8) + bytes[offset];
+}
+
+// ID3 "syncsafe" integer: byte başına 7 bit
+function readSyncsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+/**
+ * Boş / sadece boşluk değerleri null yap, birden fazla değerden ilkini al (ID3v2.4 null ayracı)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function cleanText(value) {
+  const text = value.split('\0')[0].trim();
+  return text || null;
+}
+
+/**
+ * Tag alanına değer yaz (ilk bulunan kazanır)
+ * @param {TrackTags} tags
+ * @param {string} field
+ * @param {string|number|null} value
+ */
+function setField(tags, field, value) {
+  if (tags[field] !== null || value === null || value === undefined) return;
+
+  if (field === 'bpm') {
+    const bpm = parseFloat(value);
+    if (Number.isFinite(bpm) && bpm > 0) tags.bpm = bpm;
+    return;
+  }
+  tags[field] = typeof value === 'string' ? cleanText(value) : value;
+}
+
+/**
+ * "(17)", "17", "(17)Rock" → genre adı
+ * @param {string} genre
+ * @returns {string}
+ */
+function resolveGenre(genre) {
+  const match = genre.match(/^\((\d+)\)(.*)$/) || genre.match(/^(\d+)()$/);
+  if (!match) return genre;
+  return match[2].trim() || ID3V1_GENRES[Number(match[1])] || genre;
+}
+
+/**
+ * Picture MIME tipini düzelt / boşsa byte'lardan tahmin et
+ * @param {string} mimeType
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+function normalizeMimeType(mimeType, data) {
+  const mime = (mimeType || '').toLowerCase();
+  if (mime === 'image/jpg' || mime === 'jpg') return 'image/jpeg';
+  if (mime === 'png') return 'image/png';
+  if (mime.startsWith('image/')) return mime;
+  if (data[0] === 0x89 && data[1] === 0x50) return 'image/png';
+  return 'image/jpeg';
+}
+
+/**
+ * Picture'ı kaydet: ön kapak her zaman kazanır, diğerleri sadece boşsa
+ */
+function setPicture(tags, picture, pictureType) {
+  if (!picture.data.length) return;
+  if (tags.picture && pictureType !== FRONT_COVER) return;
+  if (tags.picture?.isFrontCover) return;
+
+  tags.picture = {
+    mimeType: normalizeMimeType(picture.mimeType, picture.data),
+    data: picture.data,
+    isFrontCover: pictureType === FRONT_COVER
+  };
+}
+
+/**
+ * Serato verisini kaydet
+ * @param {TrackTags} tags
+ * @param {string} field - SeratoData alanı
+ * @param {Uint8Array} data - GEOB içeriği formatında
+ */
+function setSerato(tags, field, data) {
+  if (!data.length) return;
+  if (!tags.serato) tags.serato = { markers: null, beatGrid: null };
+  if (!tags.serato[field]) tags.serato[field] = data;
+}
+
+/**
+ * FLAC / MP4'teki base64 Serato değeri: GEOB zarfı ("application/octet-stream\0\0Serato Markers2\0") + içerik
+ * @param {string} base64
+ * @returns {Uint8Array} - Zarfsız içerik
+ */
+function unwrapSeratoBase64(base64) {
+  const bytes = decodeBase64(base64);
+  if (!matches(bytes, 0, 'application/octet-stream')) return bytes;
+
+  // MIME, dosya adı ve açıklama: üç null-terminated string
+  let offset = 0;
+  for (let i = 0; i < 3; i++) offset = skipId3String(bytes, offset, 0);
+  return bytes.subarray(offset);
+}
+
+// ================= ID3v2 =================
+
+/**
+ * Unsynchronisation'ı geri al (0xFF 0x00 → 0xFF)
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function removeUnsync(bytes) {
+  const out = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+}
+
+/**
+ * ID3 text encoding byte'ına göre decode
+ * @param {Uint8Array} bytes
+ * @param {number} encoding - 0 latin1, 1 UTF-16 (BOM), 2 UTF-16BE, 3 UTF-8
+ * @returns {string}
+ */
+function decodeId3Text(bytes, encoding) {
+  switch (encoding) {
+    case 1:
+      if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+      return new TextDecoder('utf-16le').decode(bytes);
+    case 2:
+      return new TextDecoder('utf-16be').decode(bytes);
+    case 3:
+      return utf8Decoder.decode(bytes);
+    default:
+      return latin1Decoder.decode(bytes);
+  }
+}
+
+/**
+ * Null-terminated string'in sonu (UTF-16'da çift byte, hizalı)
+ * @returns {number} - Terminator'dan sonraki offset
+ */
+function skipId3String(bytes, offset, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+    }
+    return bytes.length;
+  }
+  const end = bytes.indexOf(0, offset);
+  return end === -1 ? bytes.length : end + 1;
+}
+
+/**
+ * APIC (v2.3 / 2.4) veya PIC (v2.2) frame'i
+ */
+function readId3Picture(tags, frame, isV22) {
+  const encoding = frame[0];
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    mimeType = readAscii(frame, 1, 3); // 'JPG' / 'PNG'
+    offset = 4;
+  } else {
+    const mimeEnd = skipId3String(frame, 1, 0);
+    mimeType = readAscii(frame, 1, mimeEnd - 2);
+    offset = mimeEnd;
+  }
+
+  const pictureType = frame[offset];
+  offset = skipId3String(frame, offset + 1, encoding); // Açıklama
+  setPicture(tags, { mimeType, data: frame.subarray(offset) }, pictureType);
+}
+
+/**
+ * GEOB (v2.3 / 2.4) veya GEO (v2.2) frame'i: sadece Serato nesneleri
+ */
+function readId3Object(tags, frame) {
+  const encoding = frame[0];
+  let offset = skipId3String(frame, 1, 0);        // MIME
+  offset = skipId3String(frame, offset, encoding); // Dosya adı
+  const descriptionEnd = skipId3String(frame, offset, encoding);
+  const description = cleanText(decodeId3Text(frame.subarray(offset, descriptionEnd), encoding)) || '';
+
+  const field = SERATO_GEOB[description];
+  if (field) setSerato(tags, field, frame.subarray(descriptionEnd));
+}
+
+/**
+ * @param {Uint8Array} bytes - "ID3" ile başlayan dosya
+ * @returns {TrackTags}
+ */
+function readId3(bytes) {
+  const tags = createEmptyTags();
+  const version = bytes[3];
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+  if (version < 2 || version > 4) return tags;
+
+  let data = bytes.subarray(10, 10 + size);
+  if ((flags & 0x80) && version < 4) data = removeUnsync(data);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    // Extended header: v2.3 boyutu kendisini saymaz, v2.4 sayar (syncsafe)
+    offset = version === 3 ? 4 + readUint32BE(data, 0) : readSyncsafe(data, 0);
+  }
+
+  const isV22 = version === 2;
+  const headerSize = isV22 ? 6 : 10;
+
+  while (offset + headerSize <= data.length) {
+    const id = readAscii(data, offset, isV22 ? 3 : 4);
+    if (!/^[A-Z0-9]{3,4}$/.test(id)) break; // Padding
+
+    let frameSize;
+    let formatFlags = 0;
+    if (isV22) {
+      frameSize = (data[offset + 3] << 16) | (data[offset + 4] << 8) | data[offset + 5];
+    } else {
+      frameSize = version === 4 ? readSyncsafe(data, offset + 4) : readUint32BE(data, offset + 4);
+      formatFlags = data[offset + 9];
+    }
+
+    const start = offset + headerSize;
+    offset = start + frameSize;
+    if (offset > data.length) break;
+    if (!frameSize) continue;
+
+    // Sıkıştırılmış / şifreli frame'ler atlanır
+    const skip = version === 4 ? formatFlags & 0x0c : formatFlags & 0xc0;
+    if (skip) continue;
+
+    let frame = data.subarray(start, offset);
+    if (version === 4) {
+      if (formatFlags & 0x01) frame = frame.subarray(4); // Data length indicator
+      if ((formatFlags & 0x02) || (flags & 0x80)) frame = removeUnsync(frame);
+    }
+
+    const field = ID3_TEXT_FRAMES[id];
+    if (field) {
+      const text = decodeId3Text(frame.subarray(1), frame[0]);
+      setField(tags, field, field === 'genre' ? resolveGenre(cleanText(text) || '') : text);
+    } else if (id === 'APIC' || id === 'PIC') {
+      readId3Picture(tags, frame, isV22);
+    } else if (id === 'GEOB' || id === 'GEO') {
+      readId3Object(tags, frame);
+    }
+  }
+
+  return tags;
+}
+
+// ================= VORBIS COMMENT / FLAC =================
+
+/**
+ * FLAC PICTURE block (big-endian), METADATA_BLOCK_PICTURE yorumunda da aynı format
+ */
+function readFlacPicture(tags, bytes) {
+  const pictureType = readUint32BE(bytes, 0);
+  const mimeLength = readUint32BE(bytes, 4);
+  const mimeType = readAscii(bytes, 8, mimeLength);
+  let offset = 8 + mimeLength;
+  offset += 4 + readUint32BE(bytes, offset); // Açıklama
+  offset += 16;                               // Genişlik, yükseklik, renk derinliği, palet
+  const dataLength = readUint32BE(bytes, offset);
+  setPicture(tags, { mimeType, data: bytes.subarray(offset + 4, offset + 4 + dataLength) }, pictureType);
+}
+
+/**
+ * Base64 → byte'lar
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function decodeBase64(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Vorbis comment listesi (little-endian uzunluklar)
+ * @param {TrackTags} tags
+ * @param {Uint8Array} bytes - Vendor length'ten başlar
+ */
+function readVorbisComments(tags, bytes) {
+  let offset = 4 + readUint32LE(bytes, 0); // Vendor string
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  let coverArtMime = null;
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const comment = utf8Decoder.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+    const name = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+
+    try {
+      if (name === 'METADATA_BLOCK_PICTURE') {
+        readFlacPicture(tags, decodeBase64(value));
+      } else if (name === 'COVERARTMIME') {
+        coverArtMime = value;
+      } else if (name === 'COVERART') {
+        // Eski format: ham base64 resim (tipi COVERARTMIME'da)
+        setPicture(tags, { mimeType: coverArtMime, data: decodeBase64(value) }, FRONT_COVER);
+      } else if (SERATO_VORBIS[name]) {
+        setSerato(tags, SERATO_VORBIS[name], unwrapSeratoBase64(value));
+      } else if (VORBIS_FIELDS[name]) {
+        setField(tags, VORBIS_FIELDS[name], value);
+      }
+    } catch {
+      // Bozuk resim / Serato yorumu: diğer alanlar okunmaya devam eder
+    }
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes - "fLaC" ile başlayan dosya
+ * @returns {TrackTags}
+ */
+function readFlac(bytes) {
+  const tags = createEmptyTags();
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= bytes.length) {
+    const header = bytes[offset];
+    isLast = (header & 0x80) !== 0;
+    const type = header & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const block = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (type === 4) readVorbisComments(tags, block);
+    else if (type === 6) readFlacPicture(tags, block);
+  }
+
+  return tags;
+}
+
+/**
+ * OGG: ilk logical stream'in ikinci packet'ı (comment header), page'ler arasında birleştirilir
+ * @param {Uint8Array} bytes - "OggS" ile başlayan dosya
+ * @returns {TrackTags}
+ */
+function readOgg(bytes) {
+  const tags = createEmptyTags();
+  const serial = readUint32LE(bytes, 14);
+  const packetParts = [];
+  let packetIndex = 0;
+  let offset = 0;
+
+  while (packetIndex < 2 && matches(bytes, offset, 'OggS')) {
+    const segmentCount = bytes[offset + 26];
+    const segmentTable = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    const isOwnStream = readUint32LE(bytes, offset + 14) === serial;
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (const lacing of segmentTable) {
+      if (isOwnStream && packetIndex < 2) {
+        if (packetIndex === 1) packetParts.push(bytes.subarray(dataOffset, dataOffset + lacing));
+        if (lacing < 255) packetIndex++; // Packet sonu
+      }
+      dataOffset += lacing;
+    }
+
+    offset = dataOffset; // Sonraki page
+  }
+
+  const length = packetParts.reduce((sum, part) => sum + part.length, 0);
+  const packet = new Uint8Array(length);
+  packetParts.reduce((position, part) => {
+    packet.set(part, position);
+    return position + part.length;
+  }, 0);
+
+  if (packet[0] === 3 && matches(packet, 1, 'vorbis')) readVorbisComments(tags, packet.subarray(7));
+  else if (matches(packet, 0, 'OpusTags')) readVorbisComments(tags, packet.subarray(8));
+
+  return tags;
+}
+
+// ================= MP4 =================
+
+/**
+ * Atom'ları dolaş
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @param {Function} callback - (type, contentStart, atomEnd) => void
+ */
+function forEachAtom(bytes, start, end, callback) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint32BE(bytes, offset + 8) * 4294967296 + readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // Dosya sonuna kadar
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    callback(type, offset + headerSize, offset + size);
+    offset += size;
+  }
+}
+
+/**
+ * Tek bir alt atom'u bul
+ * @returns {{ start: number, end: number }|null}
+ */
+function findAtom(bytes, start, end, wanted) {
+  let found = null;
+  forEachAtom(bytes, start, end, (type, contentStart, atomEnd) => {
+    if (!found && type === wanted) found = { start: contentStart, end: atomEnd };
+  });
+  return found;
+}
+
+/**
+ * ilst item'ı içindeki 'data' atom'ları: { type, value } (type: 1 UTF-8, 13 JPEG, 14 PNG, 21 integer)
+ */
+function readMp4Data(bytes, start, end) {
+  const values = [];
+  forEachAtom(bytes, start, end, (type, contentStart, atomEnd) => {
+    if (type !== 'data') return;
+    values.push({
+      type: readUint32BE(bytes, contentStart) & 0xffffff,
+      value: bytes.subarray(contentStart + 8, atomEnd) // Type + locale atlanır
+    });
+  });
+  return values;
+}
+
+/**
+ * '----' freeform item (com.apple.iTunes:initialkey, com.serato.dj:markersv2 gibi)
+ */
+function readMp4Freeform(tags, bytes, start, end) {
+  const name = findAtom(bytes, start, end, 'name');
+  const [data] = readMp4Data(bytes, start, end);
+  if (!name || !data) return;
+
+  const itemName = utf8Decoder.decode(bytes.subarray(name.start + 4, name.end));
+  const field = VORBIS_FIELDS[itemName.toUpperCase()];
+  if (field) {
+    setField(tags, field, utf8Decoder.decode(data.value));
+  } else if (SERATO_MP4[itemName]) {
+    try {
+      setSerato(tags, SERATO_MP4[itemName], unwrapSeratoBase64(utf8Decoder.decode(data.value)));
+    } catch {
+      // Bozuk base64: diğer item'lar okunmaya devam eder
+    }
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes - "ftyp" ile başlayan dosya
+ * @returns {TrackTags}
+ */
+function readMp4(bytes) {
+  const tags = createEmptyTags();
+
+  const moov = findAtom(bytes, 0, bytes.length, 'moov');
+  const udta = moov && findAtom(bytes, moov.start, moov.end, 'udta');
+  const meta = udta && findAtom(bytes, udta.start, udta.end, 'meta');
+  if (!meta) return tags;
+
+  // 'meta' bir full box (4 byte version / flags), QuickTime varyantında değil
+  const metaStart = matches(bytes, meta.start + 4, 'hdlr') ? meta.start : meta.start + 4;
+  const ilst = findAtom(bytes, metaStart, meta.end, 'ilst');
+  if (!ilst) return tags;
+
+  forEachAtom(bytes, ilst.start, ilst.end, (type, start, end) => {
+    if (type === '----') {
+      readMp4Freeform(tags, bytes, start, end);
+      return;
+    }
+
+    const values = readMp4Data(bytes, start, end);
+    if (!values.length) return;
+    const { value } = values[0];
+
+    if (MP4_TEXT_ITEMS[type]) {
+      setField(tags, MP4_TEXT_ITEMS[type], utf8Decoder.decode(value));
+    } else if (type === 'tmpo' && value.length >= 2) {
+      setField(tags, 'bpm', (value[0] << 8) | value[1]);
+    } else if (type === 'gnre' && value.length >= 2) {
+      setField(tags, 'genre', ID3V1_GENRES[((value[0] << 8) | value[1]) - 1] || null);
+    } else if (type === 'covr') {
+      values.forEach(({ type: imageType, value: data }) => {
+        setPicture(tags, { mimeType: imageType === 14 ? 'image/png' : imageType === 13 ? 'image/jpeg' : '', data }, FRONT_COVER);
+      });
+    }
+  });
+
+  return tags;
+}
+
+// ================= PUBLIC API =================
+
+/**
+ * Dosya formatını byte'lardan tanı ve tag'leri oku
+ * @param {ArrayBuffer} arrayBuffer - Orijinal dosya (decode'dan önce)
+ * @returns {TrackTags|null} - Tanınmayan format veya hiç tag yoksa null
+ */
+export function readTags(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let tags = null;
+
+  try {
+    if (matches(bytes, 0, 'ID3')) tags = readId3(bytes);
+    else if (matches(bytes, 0, 'fLaC')) tags = readFlac(bytes);
+    else if (matches(bytes, 0, 'OggS')) tags = readOgg(bytes);
+    else if (matches(bytes, 4, 'ftyp')) tags = readMp4(bytes);
+  } catch (error) {
+    console.warn('TagReader: Failed to read tags', error);
+    return null;
+  }
+
+  if (!tags || Object.values(tags).every(value => value === null)) return null;
+  if (tags.picture) delete tags.picture.isFrontCover;
+  return tags;
+}
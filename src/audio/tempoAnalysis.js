@@ -0,0 +1,279 @@
+/**
+ * TEMPO ANALYSIS - Offline BPM ve beat grid tespiti
+ *
+ * Sorumluluklar:
+ * - PCM data'dan onset envelope çıkarma
+ * - Autocorrelation ile BPM tahmini + comb filter ile ince ayar
+ * - Beat fazı ve ilk downbeat offset'i bulma
+ * - Sabit tempolu beat grid üretme
+ *
+ * Saf fonksiyonlar: Web Audio / DOM bilmez
+ * Hem analysis.worker.js içinde hem de main thread fallback'inde çalışır
+ */
+
+// Hedef onset envelope çözünürlüğü (~200 Hz = 5ms hop)
+// Gerçek rate = sampleRate / hopSize (hop tam sayı olduğu için birebir 200 değil)
+const TARGET_ENVELOPE_RATE = 200;
+
+// DJ tempo aralığı: tahminler bu aralığa katlanır (yarım / çift tempo)
+export const MIN_BPM = 85;
+export const MAX_BPM = 175;
+
+// Beat / bar
+const BEATS_PER_BAR = 4;
+
+/**
+ * Kanalları mono'ya indir
+ * @param {Array<Float32Array>} channels
+ * @returns {Float32Array}
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+
+  const length = channels[0].length;
+  const mono = new Float32Array(length);
+  for (const data of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += data[i] / channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Onset envelope: log-energy farkı (spectral flux yaklaşımı)
+ * Low band (kick / bass) ağırlıklı, full band ile toplanır
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @returns {{ envelope: Float32Array, rate: number }} - Onset gücü ve envelope rate'i (Hz)
+ */
+function computeOnsetEnvelope(mono, sampleRate) {
+  const hopSize = Math.max(1, Math.round(sampleRate / TARGET_ENVELOPE_RATE));
+  const frameCount = Math.floor(mono.length / hopSize);
+
+  // One-pole low-pass (~150 Hz) kick'leri öne çıkarmak için
+  const lowAlpha = 1 - Math.exp(-2 * Math.PI * 150 / sampleRate);
+  let low = 0;
+
+  const lowEnergy = new Float32Array(frameCount);
+  const fullEnergy = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let lowSum = 0;
+    let fullSum = 0;
+    const offset = frame * hopSize;
+
+    for (let i = 0; i < hopSize; i++) {
+      const sample = mono[offset + i];
+      low += lowAlpha * (sample - low);
+      lowSum += low * low;
+      fullSum += sample * sample;
+    }
+
+    lowEnergy[frame] = Math.log1p(1000 * lowSum / hopSize);
+    fullEnergy[frame] = Math.log1p(1000 * fullSum / hopSize);
+  }
+
+  // Half-wave rectified fark: sadece enerji artışları (onset'ler)
+  const envelope = new Float32Array(frameCount);
+  for (let frame = 1; frame < frameCount; frame++) {
+    const lowFlux = Math.max(0, lowEnergy[frame] - lowEnergy[frame - 1]);
+    const fullFlux = Math.max(0, fullEnergy[frame] - fullEnergy[frame - 1]);
+    envelope[frame] = 2 * lowFlux + fullFlux;
+  }
+
+  // Ortalama çıkar (autocorrelation DC bias'ı olmasın)
+  let mean = 0;
+  for (let i = 0; i < frameCount; i++) mean += envelope[i];
+  mean /= frameCount || 1;
+  for (let i = 0; i < frameCount; i++) envelope[i] = Math.max(0, envelope[i] - mean);
+
+  return { envelope, rate: sampleRate / hopSize };
+}
+
+/**
+ * BPM'i DJ aralığına katla (yarım / çift tempo)
+ * @param {number} bpm
+ * @returns {number}
+ */
+function foldBpm(bpm) {
+  while (bpm < MIN_BPM) bpm *= 2;
+  while (bpm >= MAX_BPM) bpm /= 2;
+  return bpm;
+}
+
+/**
+ * Kaba BPM tahmini: onset envelope autocorrelation
+ * 120 BPM çevresine hafif ağırlık (insan tempo algısı)
+ * @param {Float32Array} envelope
+ * @param {number} rate - Envelope rate (Hz)
+ * @returns {number}
+ */
+function estimateBpm(envelope, rate) {
+  const minLag = Math.floor(rate * 60 / (MAX_BPM * 2));
+  const maxLag = Math.ceil(rate * 60 / (MIN_BPM / 2));
+
+  const scores = new Float32Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    const bpm = rate * 60 / lag;
+    const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+    scores[lag] = sum * weight;
+  }
+
+  let bestLag = minLag;
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[bestLag]) bestLag = lag;
+  }
+
+  // Parabolic interpolation (sub-frame lag)
+  const prev = scores[bestLag - 1] || 0;
+  const next = scores[bestLag + 1] || 0;
+  const denominator = prev - 2 * scores[bestLag] + next;
+  const shift = denominator !== 0 ? 0.5 * (prev - next) / denominator : 0;
+
+  return foldBpm(rate * 60 / (bestLag + shift));
+}
+
+/**
+ * Beat pozisyonlarındaki envelope toplamı (linear interpolation)
+ * @param {Float32Array} envelope
+ * @param {number} period - Frame cinsinden beat aralığı
+ * @param {number} phase - Frame cinsinden ilk beat
+ * @param {number} [step=1] - Her kaç beat'te bir (downbeat için 4)
+ * @returns {number}
+ */
+function combScore(envelope, period, phase, step = 1) {
+  let sum = 0;
+  for (let position = phase; position < envelope.length - 1; position += period * step) {
+    const index = Math.floor(position);
+    const frac = position - index;
+    sum += envelope[index] * (1 - frac) + envelope[index + 1] * frac;
+  }
+  return sum;
+}
+
+/**
+ * En iyi beat fazını bul (frame cinsinden, 0 ≤ phase < period)
+ * @returns {{ phase: number, score: number }}
+ */
+function findPhase(envelope, period) {
+  let best = { phase: 0, score: -Infinity };
+  for (let phase = 0; phase < period; phase += 0.5) {
+    const score = combScore(envelope, period, phase);
+    if (score > best.score) best = { phase, score };
+  }
+  return best;
+}
+
+/**
+ * Tahmini BPM'i tüm track boyunca comb filter ile ince ayarla
+ * @returns {number}
+ */
+function refineBpm(envelope, rate, roughBpm) {
+  let bestBpm = roughBpm;
+  let bestScore = -Infinity;
+
+  for (let bpm = roughBpm - 1.5; bpm <= roughBpm + 1.5; bpm += 0.05) {
+    const period = rate * 60 / bpm;
+    const { phase, score } = findPhase(envelope, period);
+    // Uzun periyotlar daha az beat toplar: beat sayısına göre normalize et
+    const normalized = score / Math.floor((envelope.length - phase) / period);
+    if (normalized > bestScore) {
+      bestScore = normalized;
+      bestBpm = bpm;
+    }
+  }
+
+  // DJ yazılımları gibi 0.01 BPM hassasiyetine yuvarla
+  return Math.round(bestBpm * 100) / 100;
+}
+
+/**
+ * Sabit tempolu beat grid üret
+ * @param {number} bpm
+ * @param {number} firstBeatOffset - İlk downbeat (saniye)
+ * @param {number} duration - Track süresi (saniye)
+ * @returns {Array<number>} - Beat zamanları (saniye)
+ */
+export function buildBeatGrid(bpm, firstBeatOffset, duration) {
+  const beatLength = 60 / bpm;
+  const grid = [];
+
+  // Offset'ten önceki beat'ler de grid'e dahil (track başına kadar)
+  let time = firstBeatOffset - Math.floor(firstBeatOffset / beatLength) * beatLength;
+  for (; time < duration; time += beatLength) {
+    grid.push(Math.round(time * 10000) / 10000);
+  }
+  return grid;
+}
+
+/**
+ * Analizin downbeat'ini başka bir tempoya (elle girilen / tag BPM'i) taşı
+ * Analizin firstBeatOffset'i kendi tempo'suna göre: farklı BPM'le aynen kullanılırsa grid track boyunca kayar
+ * Yeni grid track ortasındaki analiz beat'inden geçer (uçlardaki hata yarıya iner), bar fazı korunur
+ * @param {number} bpm - Kullanılacak tempo
+ * @param {{ bpm: number|null, firstBeatOffset: number, beatGrid: Array<number> }} analysis
+ * @returns {number} - Yeni tempo'da ilk downbeat (saniye)
+ */
+export function fitBeatOffset(bpm, analysis) {
+  const { beatGrid, firstBeatOffset } = analysis;
+  if (!analysis.bpm || !beatGrid.length || bpm === analysis.bpm) return firstBeatOffset;
+
+  const anchor = beatGrid[Math.floor((beatGrid.length - 1) / 2)];
+  const beatsToAnchor = Math.round((anchor - firstBeatOffset) / (60 / analysis.bpm));
+  const offset = anchor - beatsToAnchor * (60 / bpm);
+
+  // Track başındaki ilk downbeat (tam bar kaydırmak fazı değiştirmez)
+  const barLength = BEATS_PER_BAR * 60 / bpm;
+  return Math.round((offset - Math.floor(offset / barLength) * barLength) * 10000) / 10000;
+}
+
+/**
+ * PCM data'dan tempo ve beat grid analizi
+ * @param {Array<Float32Array>} channels - AudioBuffer channel data
+ * @param {number} sampleRate
+ * @returns {{ bpm: number|null, firstBeatOffset: number, beatGrid: Array<number>, confidence: number }}
+ */
+export function analyzeTempo(channels, sampleRate) {
+  const mono = mixToMono(channels);
+  const duration = mono.length / sampleRate;
+  const { envelope, rate } = computeOnsetEnvelope(mono, sampleRate);
+
+  // Çok kısa / sessiz buffer: tempo yok
+  const energy = envelope.reduce((sum, value) => sum + value, 0);
+  if (envelope.length < rate * 4 || energy === 0) {
+    return { bpm: null, firstBeatOffset: 0, beatGrid: [], confidence: 0 };
+  }
+
+  const bpm = refineBpm(envelope, rate, estimateBpm(envelope, rate));
+  const period = rate * 60 / bpm;
+  const { phase, score } = findPhase(envelope, period);
+
+  // Downbeat: 4 beat'lik fazlardan en güçlüsü (bar başı genelde en vurgulu beat)
+  let downbeatShift = 0;
+  let downbeatScore = -Infinity;
+  for (let shift = 0; shift < BEATS_PER_BAR; shift++) {
+    const barScore = combScore(envelope, period, phase + shift * period, BEATS_PER_BAR);
+    if (barScore > downbeatScore) {
+      downbeatScore = barScore;
+      downbeatShift = shift;
+    }
+  }
+
+  const firstBeatOffset = (phase + downbeatShift * period) / rate;
+
+  // Confidence: beat pozisyonlarındaki ortalama / genel ortalama (≥1 → belirgin pulse)
+  const beatCount = Math.max(1, Math.floor((envelope.length - phase) / period));
+  const confidence = (score / beatCount) / (energy / envelope.length);
+
+  return {
+    bpm,
+    firstBeatOffset: Math.round(firstBeatOffset * 10000) / 10000,
+    beatGrid: buildBeatGrid(bpm, firstBeatOffset, duration),
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
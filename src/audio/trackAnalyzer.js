@@ -0,0 +1,148 @@
+/**
+ * TRACK ANALYZER - Decode edilen buffer'lar için offline analiz
+ *
+ * Sorumluluklar:
+ * - Analizi Web Worker'da çalıştırma (UI / audio thread bloklanmaz)
+ * - Worker yoksa main thread fallback
+ * - İstek / cevap eşleştirme (aynı anda birden fazla track analiz edilebilir)
+ *
+ * Sonuçlar:
+ * - analyze(): { bpm, firstBeatOffset, beatGrid, confidence }
+ * - computeWaveform(): { sampleRate, duration, levels } (waveform.js)
+ */
+
+import { analyzeTempo } from './tempoAnalysis.js';
+import { computeWaveform } from './waveform.js';
+
+// Worker yoksa main thread'de çalışan karşılıkları
+const FALLBACKS = {
+  tempo: analyzeTempo,
+  waveform: computeWaveform
+};
+
+/**
+ * AudioBuffer channel data'sının kopyası
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Array<Float32Array>}
+ */
+function getChannels(audioBuffer) {
+  const channels = [];
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i).slice());
+  }
+  return channels;
+}
+
+class TrackAnalyzer {
+  constructor() {
+    this.worker = null;
+    this.workerFailed = false; // Worker yüklenemedi / çöktü: sonraki istekler main thread'de
+    this.pending = new Map();
+    this.requestCounter = 0;
+  }
+
+  /**
+   * Worker'ı ilk kullanımda oluştur
+   * @returns {Worker|null} - Desteklenmiyorsa null
+   */
+  _getWorker() {
+    if (this.worker) return this.worker;
+    if (this.workerFailed || typeof Worker === 'undefined') return null;
+
+    try {
+      this.worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this._handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        console.error('TrackAnalyzer: Worker failed, falling back to main thread', event.message);
+        this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+        this._retryAllOnMainThread();
+      };
+    } catch (error) {
+      console.warn('TrackAnalyzer: Web Worker unavailable, analyzing on main thread', error);
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Worker cevabını ilgili promise'e ilet
+   */
+  _handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Bekleyen tüm istekleri main thread'de yeniden çalıştır (worker çöktüğünde)
+   */
+  _retryAllOnMainThread() {
+    this.pending.forEach(({ type, audioBuffer, resolve, reject }) => {
+      this._runOnMainThread(type, audioBuffer).then(resolve, reject);
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * AudioBuffer'ı analiz et
+   * @param {AudioBuffer} audioBuffer
+   * @returns {Promise<{bpm: number|null, firstBeatOffset: number, beatGrid: Array<number>, confidence: number}>}
+   */
+  analyze(audioBuffer) {
+    return this._run('tempo', audioBuffer);
+  }
+
+  /**
+   * Renkli waveform için çok çözünürlüklü peak verisi
+   * @param {AudioBuffer} audioBuffer
+   * @returns {Promise<import('./waveform.js').Waveform>}
+   */
+  computeWaveform(audioBuffer) {
+    return this._run('waveform', audioBuffer);
+  }
+
+  /**
+   * İşi worker'a gönder (yoksa main thread'de çalıştır)
+   * @param {string} type - 'tempo' | 'waveform'
+   * @param {AudioBuffer} audioBuffer
+   * @returns {Promise<Object>}
+   */
+  _run(type, audioBuffer) {
+    const worker = this._getWorker();
+    if (!worker) return this._runOnMainThread(type, audioBuffer);
+
+    // Channel data kopyalanır: buffer deck'te çalmaya devam ederken worker'a transfer edilebilir
+    const channels = getChannels(audioBuffer);
+    const id = ++this.requestCounter;
+    return new Promise((resolve, reject) => {
+      // Buffer saklanır: worker çökerse istek main thread'de tekrarlanır (transfer edilen kopya gitti)
+      this.pending.set(id, { type, audioBuffer, resolve, reject });
+      worker.postMessage(
+        { id, type, channels, sampleRate: audioBuffer.sampleRate },
+        channels.map(data => data.buffer)
+      );
+    });
+  }
+
+  /**
+   * Analizi main thread'de çalıştır (worker yok / çöktü)
+   * @param {string} type - 'tempo' | 'waveform'
+   * @param {AudioBuffer} audioBuffer
+   * @returns {Promise<Object>}
+   */
+  _runOnMainThread(type, audioBuffer) {
+    return Promise.resolve().then(() => FALLBACKS[type](getChannels(audioBuffer), audioBuffer.sampleRate));
+  }
+}
+
+// Singleton instance
+export const trackAnalyzer = new TrackAnalyzer();
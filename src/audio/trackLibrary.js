@@ -4,14 +4,27 @@
  * Sorumluluklar:
  * - Preset audio dosyalarını yönetme
  * - User-uploaded dosyaları yükleme ve decode etme
- * - AudioBuffer cache'leme
+ * - User upload'larını IndexedDB'de kalıcı tutma (trackStorage: orijinal byte'lar + metadata)
+ * - AudioBuffer cache'leme (buffer'lar kalıcı değil, gerektiğinde lazy decode)
+ * - Decode sonrası waveform (3 bantlı peak'ler, worker'da) - bellekte cache'lenir, kaydedilmez
  * - Track metadata (id, name, sourceType) yönetimi
+ * - Gömülü tag'ler (tagReader: title, artist, album, genre, BPM, key, kapak resmi)
+ * - Playlist'ler (sıralı) ve crate'ler (sırasız koleksiyon), M3U / M3U8 import / export
+ * - Rekordbox / Serato import: tempo, beat grid ve hot cue'lar (analizin yerine geçer), playlist / crate'ler
+ * - onChange(): track / playlist eklenince, silinince, tag, süre veya analiz gelince (library browser)
  *
  * Deck tarafı track source'u bilmez, sadece AudioBuffer alır
  */
 
 import { audioEngine } from './audioEngine.js';
 import { PRESET_TRACKS } from './presets.js';
+import { HOT_CUE_COUNT } from './deck.js';
+import { trackAnalyzer } from './trackAnalyzer.js';
+import { buildBeatGrid, fitBeatOffset } from './tempoAnalysis.js';
+import { trackStorage, StorageQuotaError } from './trackStorage.js';
+import { readTags } from './tagReader.js';
+import { parseM3U, buildM3U, pathToName } from './m3u.js';
+import { parseRekordboxXml, parseSeratoCrate, parseSeratoMarkers, parseSeratoBeatGrid } from './djImport.js';
 
 /**
  * Track source türleri
@@ -21,15 +34,102 @@ export const TrackSource = {
   USER_UPLOAD: 'user_upload'
 };
 
+// Tag BPM'i (genelde tam sayıya yuvarlanmış) analizle en fazla bu kadar farklıysa kullanılır
+// Daha farklıysa başka tempo'ya aittir (yarım / çift tempo, yanlış tag): analiz geçerli
+const TAG_BPM_TOLERANCE = 0.5;
+
+/**
+ * Playlist türleri
+ * - PLAYLIST: sıralı, aynı track birden fazla olabilir
+ * - CRATE: sırasız koleksiyon, her track bir kez
+ */
+export const PlaylistKind = {
+  PLAYLIST: 'playlist',
+  CRATE: 'crate'
+};
+
+/**
+ * @typedef {Object} Playlist
+ * @property {string} id
+ * @property {string} name
+ * @property {string} kind - PlaylistKind
+ * @property {Array<string>} trackIds - Entry'ler (playlist'te sıralı)
+ * @property {number} createdAt - Date.now()
+ */
+
+/**
+ * Eşleştirme anahtarı: büyük / küçük harf ve boşluk farkları önemsiz
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeKey(text) {
+  return (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Import edilen grid'den analiz sonucu (analyzer çalıştırılmaz)
+ * @param {ImportedGrid} grid
+ * @param {number} duration - Saniye
+ * @returns {TrackAnalysis}
+ */
+function analysisFromGrid(grid, duration) {
+  return {
+    bpm: grid.bpm,
+    firstBeatOffset: grid.firstBeatOffset,
+    beatGrid: buildBeatGrid(grid.bpm, grid.firstBeatOffset, duration),
+    confidence: 1
+  };
+}
+
 /**
  * Track metadata formatı
  * @typedef {Object} Track
  * @property {string} id - Unique identifier
- * @property {string} name - Track display name
+ * @property {string} name - Track display name (tag'deki title, yoksa dosya adı / preset adı)
  * @property {string} sourceType - 'preset' | 'user_upload'
  * @property {string} [url] - URL (sadece preset için)
+ * @property {string} [fileName] - Orijinal dosya adı (sadece upload, playlist eşleştirme / export)
  * @property {AudioBuffer} [buffer] - Cached AudioBuffer
  * @property {boolean} isLoaded - Buffer yüklenmiş mi?
+ * @property {Array<number|null>} cuePoints - Hot cue slot'ları (saniye, boş = null)
+ * @property {number} [bpm] - Elle girilmiş tempo (presets.js), analizden önceliklidir
+ * @property {TrackAnalysis|null} analysis - Cache'lenmiş analiz sonucu
+ * @property {import('./waveform.js').Waveform|null} [waveform] - İlk decode'da hesaplanır
+ * @property {ImportedGrid|null} [importedGrid] - Rekordbox / Serato grid'i (analiz ve tag BPM'inden öncelikli)
+ * @property {boolean} [isPersisted] - User upload IndexedDB'de mi? (sayfa yenilenince kalır)
+ * @property {Blob|null} [file] - Kaydedilemeyen upload'ın byte'ları (lazy decode için bellekte)
+ * @property {TrackMetadata|null} [tags] - Gömülü tag'ler (undefined = dosya henüz okunmadı)
+ * @property {Blob|null} [cover] - Gömülü kapak resmi
+ * @property {number|null} [duration] - Saniye (ilk decode'da öğrenilir, upload'larda kaydedilir)
+ * @property {number} [addedAt] - Library'ye eklenme zamanı (Date.now(), preset'lerde 0)
+ */
+
+/**
+ * Gömülü tag'ler (kapak resmi hariç, Track.cover'da)
+ * @typedef {Object} TrackMetadata
+ * @property {string|null} title
+ * @property {string|null} artist
+ * @property {string|null} album
+ * @property {string|null} genre
+ * @property {number|null} bpm - Gömülü tempo: analizle uyuşuyorsa (±0.5) analizden önceliklidir, elle girilen bpm'den sonra
+ * @property {string|null} key - Gömülü ton ('8A', 'Am', ...)
+ */
+
+/**
+ * Offline analiz sonucu (trackAnalyzer)
+ * @typedef {Object} TrackAnalysis
+ * @property {number|null} bpm - Tahmini tempo
+ * @property {number} firstBeatOffset - İlk downbeat (saniye)
+ * @property {Array<number>} beatGrid - Beat zamanları (saniye)
+ * @property {number} confidence - Pulse belirginliği (yüksek = güvenilir)
+ */
+
+/**
+ * DJ yazılımında hazırlanmış sabit tempolu grid
+ * @typedef {Object} ImportedGrid
+ * @property {number} bpm
+ * @property {number} firstBeatOffset - İlk downbeat (saniye)
+ * @property {string} source - 'Rekordbox' | 'Serato'
  */
 
 class TrackLibrary {
@@ -42,6 +142,90 @@ class TrackLibrary {
 
     // User upload counter (unique ID için)
     this.uploadCounter = 0;
+
+    // Kalıcı user track'leri (IndexedDB)
+    this.storage = trackStorage;
+    this.initPromise = null;
+
+    // Playlist / crate'ler (ID → Playlist)
+    this.playlists = new Map();
+    this.playlistCounter = 0;
+
+    // Library değişikliği dinleyicileri
+    this.listeners = new Set();
+  }
+
+  /**
+   * Library değişikliklerini dinle (track listesi, tag'ler, süre, analiz)
+   * @param {Function} listener - () => void
+   * @returns {Function} - Aboneliği iptal eden fonksiyon
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emitChange() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Kayıtlı user track'lerini ve playlist'leri IndexedDB'den yükle (sadece metadata, buffer'lar lazy decode)
+   * Birden fazla çağrılabilir, aynı promise döner
+   * @returns {Promise<number>} - Yüklenen track sayısı
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this._restoreStoredTracks();
+    }
+    return this.initPromise;
+  }
+
+  async _restoreStoredTracks() {
+    if (!this.storage.isSupported()) {
+      console.warn('TrackLibrary: IndexedDB not available, uploads will not be kept');
+      return 0;
+    }
+
+    try {
+      const metas = await this.storage.getAllMeta();
+      metas.forEach(meta => {
+        this.tracks.set(meta.id, {
+          id: meta.id,
+          name: meta.name,
+          sourceType: TrackSource.USER_UPLOAD,
+          buffer: null,
+          isLoaded: false,
+          isPersisted: true,
+          file: null,
+          fileName: meta.fileName,
+          size: meta.size,
+          cuePoints: this._normalizeCuePoints(meta.cuePoints),
+          analysis: meta.analysis || null,
+          importedGrid: meta.importedGrid || null,
+          tags: meta.tags,           // Eski kayıtlarda yok: ilk decode'da okunur
+          cover: meta.cover || null,
+          duration: meta.duration || null,
+          addedAt: meta.addedAt || 0
+        });
+      });
+
+      // Playlist'ler: artık olmayan track'lerin entry'leri düşer (kaydedilmemiş upload'lar)
+      const playlists = await this.storage.getAllPlaylists();
+      playlists.forEach(playlist => {
+        this.playlists.set(playlist.id, {
+          ...playlist,
+          trackIds: playlist.trackIds.filter(trackId => this.tracks.has(trackId))
+        });
+      });
+      if (metas.length || playlists.length) this._emitChange();
+
+      console.log(`TrackLibrary: ${metas.length} stored user tracks, ${playlists.length} playlists restored`);
+      return metas.length;
+    } catch (error) {
+      console.warn('TrackLibrary: Failed to read stored tracks', error);
+      return 0;
+    }
   }
 
   /**
@@ -53,7 +237,11 @@ class TrackLibrary {
         ...preset,
         sourceType: TrackSource.PRESET,
         buffer: null,
-        isLoaded: false
+        isLoaded: false,
+        cuePoints: this._normalizeCuePoints(preset.cuePoints),
+        analysis: null,
+        duration: preset.duration || null,
+        addedAt: 0
       });
     });
 
@@ -69,7 +257,14 @@ class TrackLibrary {
       id: track.id,
       name: track.name,
       sourceType: track.sourceType,
-      isLoaded: track.isLoaded
+      isLoaded: track.isLoaded,
+      isPersisted: !!track.isPersisted,
+      artist: track.tags?.artist || null,
+      genre: track.tags?.genre || null,
+      key: track.tags?.key || null,
+      bpm: this._getBpm(track),
+      duration: track.buffer?.duration || track.duration || null,
+      addedAt: track.addedAt
     }));
   }
 
@@ -95,13 +290,22 @@ class TrackLibrary {
       return track.buffer;
     }
 
-    // Audio dosyasını yükle ve decode et
+    // Audio dosyasını yükle, tag'leri oku ve decode et
     try {
-      const buffer = await audioEngine.loadAudio(track.url);
+      const response = await fetch(track.url);
+      const arrayBuffer = await response.arrayBuffer();
+      this._applyTags(track, arrayBuffer);
+      const buffer = await audioEngine.context.decodeAudioData(arrayBuffer);
 
       // Cache'e kaydet
       track.buffer = buffer;
       track.isLoaded = true;
+      track.duration = buffer.duration;
+      this._emitChange();
+
+      // Arka planda waveform + analiz (sonuçlar track record'una cache'lenir)
+      this._computeWaveform(track);
+      this._analyze(track);
 
       console.log(`TrackLibrary: ${track.name} loaded and cached`);
       return buffer;
@@ -112,9 +316,10 @@ class TrackLibrary {
   }
 
   /**
-   * User-uploaded dosyayı yükle
+   * User-uploaded dosyayı yükle ve IndexedDB'ye kaydet
+   * Kayıt başarısızsa (quota, IndexedDB yok) track bu oturum için bellekte kalır
    * @param {File} file - HTML File input'tan gelen File object
-   * @returns {Promise<{id: string, buffer: AudioBuffer}>}
+   * @returns {Promise<{id: string, name: string, buffer: AudioBuffer, isPersisted: boolean, persistError: Error|null}>}
    */
   async loadFromFile(file) {
     if (!file || !(file instanceof File)) {
@@ -129,27 +334,47 @@ class TrackLibrary {
     console.log(`TrackLibrary: Loading user file "${name}"...`);
 
     try {
-      // File → ArrayBuffer → AudioBuffer
-      const arrayBuffer = await file.arrayBuffer();
-      const audioBuffer = await audioEngine.context.decodeAudioData(arrayBuffer);
-
-      // Track library'ye ekle
       const track = {
         id,
         name,
         sourceType: TrackSource.USER_UPLOAD,
-        buffer: audioBuffer,
-        isLoaded: true
+        buffer: null,
+        isLoaded: false,
+        isPersisted: false,
+        file,
+        fileName: file.name,
+        size: file.size,
+        duration: null,
+        addedAt: Date.now(),
+        cuePoints: this._normalizeCuePoints(),
+        analysis: null,
+        importedGrid: null
       };
 
+      // File → ArrayBuffer → AudioBuffer (tag'ler decode buffer'ı detach etmeden önce okunur)
+      const arrayBuffer = await file.arrayBuffer();
+      this._applyTags(track, arrayBuffer);
+      const audioBuffer = await audioEngine.context.decodeAudioData(arrayBuffer);
+      track.buffer = audioBuffer;
+      track.isLoaded = true;
+      track.duration = audioBuffer.duration;
+
+      // Track library'ye ekle (byte'lar kaydedilene kadar bellekte)
       this.tracks.set(id, track);
 
-      console.log(`TrackLibrary: User track "${name}" loaded (${audioBuffer.duration.toFixed(2)}s)`);
+      const persistError = await this._persist(track, file);
+      this._computeWaveform(track);
+      this._analyze(track);
+      this._emitChange();
+
+      console.log(`TrackLibrary: User track "${track.name}" loaded (${audioBuffer.duration.toFixed(2)}s${track.isPersisted ? ', saved' : ''})`);
 
       return {
         id,
-        name,
-        buffer: audioBuffer
+        name: track.name,
+        buffer: audioBuffer,
+        isPersisted: track.isPersisted,
+        persistError
       };
     } catch (error) {
       console.error(`Failed to load user file "${name}":`, error);
@@ -157,6 +382,241 @@ class TrackLibrary {
     }
   }
 
+  /**
+   * Upload'ı IndexedDB'ye yaz
+   * @param {Track} track
+   * @param {File} file
+   * @returns {Promise<Error|null>} - Kaydedilemediyse hata (track bellekte kalır)
+   */
+  async _persist(track, file) {
+    if (!this.storage.isSupported()) return new Error('IndexedDB not available');
+
+    try {
+      await this.storage.putTrack({
+        id: track.id,
+        name: track.name,
+        fileName: file.name,
+        mimeType: file.type,
+        size: file.size,
+        duration: track.duration,
+        addedAt: track.addedAt,
+        cuePoints: track.cuePoints,
+        analysis: track.analysis,
+        importedGrid: track.importedGrid,
+        tags: track.tags,
+        cover: track.cover
+      }, file);
+
+      // Byte'lar artık IndexedDB'de: bellekte tutmaya gerek yok
+      track.isPersisted = true;
+      track.file = null;
+      this.storage.requestPersistence();
+      return null;
+    } catch (error) {
+      if (error instanceof StorageQuotaError) {
+        console.warn(`TrackLibrary: ${error.message} - kept for this session only`);
+      } else {
+        console.error(`Failed to store "${track.name}":`, error);
+      }
+      return error;
+    }
+  }
+
+  /**
+   * Kayıtlı track metadata'sını güncelle (arka planda, hata sadece loglanır)
+   * @param {Track} track
+   * @param {Object} changes
+   */
+  _updateStored(track, changes) {
+    if (!track.isPersisted) return;
+
+    this.storage.updateMeta(track.id, changes).catch(error => {
+      console.warn(`TrackLibrary: Failed to update stored "${track.name}"`, error);
+    });
+  }
+
+  /**
+   * Herhangi bir track'in buffer'ını al (gerekirse yükle / decode et)
+   * - Preset: URL'den
+   * - User upload: IndexedDB'deki (veya bellekteki) orijinal byte'lardan
+   * @param {string} id - Track ID
+   * @returns {Promise<AudioBuffer>}
+   */
+  async loadTrack(id) {
+    const track = this.tracks.get(id);
+
+    if (!track) {
+      throw new Error(`Track not found: ${id}`);
+    }
+
+    if (track.sourceType === TrackSource.PRESET) {
+      return this.loadPreset(id);
+    }
+
+    if (track.isLoaded && track.buffer) {
+      return track.buffer;
+    }
+
+    // Aynı track'in eşzamanlı decode'ları tek istekte birleşir
+    if (!track.decodePromise) {
+      track.decodePromise = this._decodeStored(track).finally(() => {
+        track.decodePromise = null;
+      });
+    }
+    return track.decodePromise;
+  }
+
+  /**
+   * User upload'ı orijinal byte'lardan tekrar decode et
+   * @param {Track} track
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _decodeStored(track) {
+    const blob = track.file || await this.storage.getFile(track.id);
+    if (!blob) {
+      throw new Error(`Stored file missing for "${track.name}"`);
+    }
+
+    const arrayBuffer = await blob.arrayBuffer();
+    if (track.tags === undefined) {
+      // Tag okuma eklenmeden önce kaydedilmiş track
+      this._applyTags(track, arrayBuffer);
+      this._updateStored(track, { name: track.name, tags: track.tags, cover: track.cover });
+    }
+
+    const buffer = await audioEngine.context.decodeAudioData(arrayBuffer);
+    track.buffer = buffer;
+    track.isLoaded = true;
+    if (track.duration !== buffer.duration) {
+      track.duration = buffer.duration;
+      this._updateStored(track, { duration: buffer.duration });
+    }
+    this._computeWaveform(track);
+    this._analyze(track);
+    this._emitChange();
+
+    console.log(`TrackLibrary: ${track.name} decoded from storage`);
+    return buffer;
+  }
+
+  /**
+   * Dosya byte'larından tag'leri oku ve track'e yaz (decode'dan önce çağrılmalı)
+   * @param {Track} track
+   * @param {ArrayBuffer} arrayBuffer
+   */
+  _applyTags(track, arrayBuffer) {
+    this._setTags(track, readTags(arrayBuffer));
+  }
+
+  /**
+   * Tag sonucunu track'e yaz: title varsa isim olur, kapak Blob'a kopyalanır,
+   * Serato cue / grid verisi import edilir
+   * @param {Track} track
+   * @param {import('./tagReader.js').TrackTags|null} metadata
+   */
+  _setTags(track, metadata) {
+    const isFirstRead = track.tags === undefined;
+    if (track.coverUrl) {
+      URL.revokeObjectURL(track.coverUrl);
+      track.coverUrl = null;
+    }
+
+    if (!metadata) {
+      track.tags = null;
+      track.cover = null;
+      return;
+    }
+
+    const { picture, serato, ...tags } = metadata;
+    track.tags = tags;
+    track.cover = picture ? new Blob([picture.data], { type: picture.mimeType }) : null;
+    if (tags.title) track.name = tags.title;
+
+    // Sadece ilk okumada: preset'in tekrar fetch'i kullanıcının cue değişikliklerini ezmesin
+    if (serato && isFirstRead) {
+      this._applyImport(track, {
+        ...parseSeratoBeatGrid(serato.beatGrid),
+        hotCues: parseSeratoMarkers(serato.markers)
+      }, 'Serato');
+    }
+  }
+
+  /**
+   * Dış yazılımdan gelen tempo / grid / hot cue'ları track'e yaz
+   * Grid analizin yerini alır (analyzer çalışmaz), hot cue'lar sadece dolu slot'ları ezer
+   * @param {Track} track
+   * @param {Object} data
+   * @param {number|null} [data.bpm]
+   * @param {number|null} [data.firstBeatOffset]
+   * @param {Array<number|null>|null} [data.hotCues]
+   * @param {string} source - 'Rekordbox' | 'Serato'
+   * @returns {boolean} - Track'e bir şey yazıldı mı?
+   */
+  _applyImport(track, { bpm, firstBeatOffset, hotCues }, source) {
+    const changes = {};
+
+    if (bpm) {
+      track.importedGrid = { bpm, firstBeatOffset: firstBeatOffset || 0, source };
+      track.analysis = track.buffer ? analysisFromGrid(track.importedGrid, track.buffer.duration) : null;
+      changes.importedGrid = track.importedGrid;
+      changes.analysis = track.analysis;
+    }
+
+    if (hotCues?.some(time => time !== null)) {
+      const cues = [...track.cuePoints];
+      hotCues.slice(0, HOT_CUE_COUNT).forEach((time, index) => {
+        if (time !== null) cues[index] = time;
+      });
+      track.cuePoints = this._normalizeCuePoints(cues);
+      changes.cuePoints = track.cuePoints;
+    }
+
+    if (!Object.keys(changes).length) return false;
+    this._updateStored(track, changes);
+    console.log(`TrackLibrary: ${source} data applied to "${track.name}" (${bpm ? bpm.toFixed(2) + ' BPM' : 'no grid'}, ${hotCues?.filter(time => time !== null).length || 0} hot cues)`);
+    return true;
+  }
+
+  /**
+   * Track tempo'su: import edilen grid → elle girilen → tag (analizle uyuşuyorsa) → analiz
+   * @param {Track} track
+   * @returns {number|null}
+   */
+  _getBpm(track) {
+    if (track.importedGrid) return track.importedGrid.bpm;
+    if (track.bpm) return track.bpm;
+
+    const tagBpm = track.tags?.bpm || null;
+    const analyzedBpm = track.analysis?.bpm || null;
+    if (tagBpm && (!analyzedBpm || Math.abs(tagBpm - analyzedBpm) <= TAG_BPM_TOLERANCE)) return tagBpm;
+    return analyzedBpm;
+  }
+
+  /**
+   * Beat grid: tempo + o tempo'ya ait ilk downbeat
+   * Tempo analizden gelmiyorsa analizin downbeat'i bu tempo'ya taşınır (grid kaymaz)
+   * @param {Track} track
+   * @returns {{ bpm: number|null, firstBeatOffset: number }}
+   */
+  _getGrid(track) {
+    if (track.importedGrid) return { bpm: track.importedGrid.bpm, firstBeatOffset: track.importedGrid.firstBeatOffset };
+
+    const bpm = this._getBpm(track);
+    if (!track.analysis) return { bpm, firstBeatOffset: 0 };
+    return { bpm, firstBeatOffset: bpm ? fitBeatOffset(bpm, track.analysis) : track.analysis.firstBeatOffset };
+  }
+
+  /**
+   * Kapak resmi için object URL (ilk istekte oluşturulur, track silinince bırakılır)
+   * @param {Track} track
+   * @returns {string|null}
+   */
+  _getCoverUrl(track) {
+    if (!track.cover) return null;
+    if (!track.coverUrl) track.coverUrl = URL.createObjectURL(track.cover);
+    return track.coverUrl;
+  }
+
   /**
    * Track ID'ye göre AudioBuffer al
    * @param {string} id - Track ID
@@ -179,11 +639,11 @@ class TrackLibrary {
   }
 
   /**
-   * Track silme (user-uploaded için)
+   * Track silme (user-uploaded için, IndexedDB'deki kopya dahil)
    * @param {string} id - Track ID
-   * @returns {boolean} - Başarılı mı?
+   * @returns {Promise<boolean>} - Başarılı mı?
    */
-  removeTrack(id) {
+  async removeTrack(id) {
     const track = this.tracks.get(id);
 
     if (!track) {
@@ -196,11 +656,347 @@ class TrackLibrary {
       return false;
     }
 
+    if (track.isPersisted) {
+      try {
+        await this.storage.deleteTrack(id);
+      } catch (error) {
+        console.error(`Failed to delete stored "${track.name}":`, error);
+        return false;
+      }
+    }
+
+    if (track.coverUrl) URL.revokeObjectURL(track.coverUrl);
     this.tracks.delete(id);
+
+    // Playlist / crate entry'leri de silinir
+    this.playlists.forEach(playlist => {
+      if (!playlist.trackIds.includes(id)) return;
+      playlist.trackIds = playlist.trackIds.filter(trackId => trackId !== id);
+      this._savePlaylist(playlist);
+    });
+
+    this._emitChange();
     console.log(`TrackLibrary: Removed track ${track.name}`);
     return true;
   }
 
+  // ================= PLAYLISTS / CRATES =================
+
+  /**
+   * Tüm playlist / crate'ler (oluşturulma sırasına göre)
+   * @returns {Array<Playlist>} - Kopyalar
+   */
+  getPlaylists() {
+    return Array.from(this.playlists.values()).map(playlist => this._copyPlaylist(playlist));
+  }
+
+  /**
+   * @param {string} id - Playlist ID
+   * @returns {Playlist|null} - Kopya
+   */
+  getPlaylist(id) {
+    const playlist = this.playlists.get(id);
+    return playlist ? this._copyPlaylist(playlist) : null;
+  }
+
+  _copyPlaylist(playlist) {
+    return { ...playlist, trackIds: [...playlist.trackIds] };
+  }
+
+  /**
+   * Yeni playlist / crate
+   * @param {string} name
+   * @param {string} [kind] - PlaylistKind
+   * @param {Array<string>} [trackIds] - Başlangıç entry'leri
+   * @returns {Playlist}
+   */
+  createPlaylist(name, kind = PlaylistKind.PLAYLIST, trackIds = []) {
+    this.playlistCounter++;
+    const playlist = {
+      id: `${kind}_${this.playlistCounter}_${Date.now()}`,
+      name: name.trim() || 'Untitled',
+      kind: kind === PlaylistKind.CRATE ? PlaylistKind.CRATE : PlaylistKind.PLAYLIST,
+      trackIds: [],
+      createdAt: Date.now()
+    };
+
+    this.playlists.set(playlist.id, playlist);
+    this._insertEntries(playlist, trackIds, 0);
+    this._savePlaylist(playlist);
+
+    console.log(`TrackLibrary: Created ${playlist.kind} "${playlist.name}" (${playlist.trackIds.length} tracks)`);
+    return this._copyPlaylist(playlist);
+  }
+
+  /**
+   * @param {string} id - Playlist ID
+   * @param {string} name
+   * @returns {boolean} - Başarılı mı?
+   */
+  renamePlaylist(id, name) {
+    const playlist = this.playlists.get(id);
+    if (!playlist || !name.trim()) return false;
+
+    playlist.name = name.trim();
+    this._savePlaylist(playlist);
+    return true;
+  }
+
+  /**
+   * Playlist / crate'i sil (track'ler library'de kalır)
+   * @param {string} id - Playlist ID
+   * @returns {boolean} - Başarılı mı?
+   */
+  deletePlaylist(id) {
+    const playlist = this.playlists.get(id);
+    if (!playlist) return false;
+
+    this.playlists.delete(id);
+    if (this.storage.isSupported()) {
+      this.storage.deletePlaylist(id).catch(error => {
+        console.warn(`TrackLibrary: Failed to delete stored playlist "${playlist.name}"`, error);
+      });
+    }
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Entry ekle (crate'e aynı track ikinci kez eklenmez)
+   * @param {string} id - Playlist ID
+   * @param {Array<string>|string} trackIds
+   * @param {number} [index] - Ekleme yeri (default: sona)
+   * @returns {number} - Eklenen entry sayısı
+   */
+  addToPlaylist(id, trackIds, index) {
+    const playlist = this.playlists.get(id);
+    if (!playlist) return 0;
+
+    const added = this._insertEntries(playlist, [].concat(trackIds), index ?? playlist.trackIds.length);
+    if (added) this._savePlaylist(playlist);
+    return added;
+  }
+
+  _insertEntries(playlist, trackIds, index) {
+    const entries = trackIds.filter((trackId, i) => this.tracks.has(trackId)
+      && (playlist.kind !== PlaylistKind.CRATE
+        || (!playlist.trackIds.includes(trackId) && trackIds.indexOf(trackId) === i)));
+
+    const position = Math.max(0, Math.min(playlist.trackIds.length, index));
+    playlist.trackIds.splice(position, 0, ...entries);
+    return entries.length;
+  }
+
+  /**
+   * Entry sil (aynı track playlist'te birden fazla olabilir: sıra numarasıyla)
+   * @param {string} id - Playlist ID
+   * @param {number} index - Entry sırası
+   * @returns {boolean} - Başarılı mı?
+   */
+  removeFromPlaylist(id, index) {
+    const playlist = this.playlists.get(id);
+    if (!playlist || index < 0 || index >= playlist.trackIds.length) return false;
+
+    playlist.trackIds.splice(index, 1);
+    this._savePlaylist(playlist);
+    return true;
+  }
+
+  /**
+   * Entry'nin sırasını değiştir
+   * @param {string} id - Playlist ID
+   * @param {number} fromIndex
+   * @param {number} toIndex - Taşındıktan sonraki sıra
+   * @returns {boolean} - Başarılı mı?
+   */
+  moveEntry(id, fromIndex, toIndex) {
+    const playlist = this.playlists.get(id);
+    const count = playlist?.trackIds.length || 0;
+    if (!playlist || fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) return false;
+    if (fromIndex === toIndex) return true;
+
+    const [trackId] = playlist.trackIds.splice(fromIndex, 1);
+    playlist.trackIds.splice(toIndex, 0, trackId);
+    this._savePlaylist(playlist);
+    return true;
+  }
+
+  /**
+   * Playlist'i IndexedDB'ye yaz (arka planda, hata sadece loglanır) ve dinleyicilere haber ver
+   * @param {Playlist} playlist
+   */
+  _savePlaylist(playlist) {
+    this._emitChange();
+    if (!this.storage.isSupported()) return;
+
+    this.storage.putPlaylist(this._copyPlaylist(playlist)).catch(error => {
+      console.warn(`TrackLibrary: Failed to store playlist "${playlist.name}"`, error);
+    });
+  }
+
+  /**
+   * Dış kaynak entry'lerini (M3U, Rekordbox, Serato) library track'leriyle eşleştir
+   * Sıra: dosya adı → "Artist - Title" → title (büyük / küçük harf önemsiz)
+   * @param {Array<{ path?: string, title?: string|null, artist?: string|null }>} entries
+   * @returns {{ trackIds: Array<string>, unmatched: Array<Object> }} - Eşleşmeyenler kaynak haliyle
+   */
+  matchEntries(entries) {
+    const match = this._createMatcher();
+    const trackIds = [];
+    const unmatched = [];
+    entries.forEach(entry => {
+      const trackId = match(entry);
+      if (trackId) trackIds.push(trackId);
+      else unmatched.push(entry);
+    });
+
+    return { trackIds, unmatched };
+  }
+
+  /**
+   * Library'nin o anki haliyle eşleştirme fonksiyonu (indeks bir kez kurulur)
+   * @returns {Function} - (entry) => trackId | null
+   */
+  _createMatcher() {
+    const byFile = new Map();
+    const byArtistTitle = new Map();
+    const byTitle = new Map();
+    const add = (map, key, trackId) => {
+      const normalized = normalizeKey(key);
+      if (normalized && !map.has(normalized)) map.set(normalized, trackId);
+    };
+
+    this.tracks.forEach(track => {
+      const fileName = track.fileName || track.url;
+      if (fileName) add(byFile, pathToName(fileName), track.id);
+      if (track.tags?.artist) add(byArtistTitle, `${track.tags.artist} - ${track.name}`, track.id);
+      add(byTitle, track.name, track.id);
+    });
+
+    return entry => {
+      const stem = normalizeKey(entry.path ? pathToName(entry.path) : '');
+      const artistTitle = entry.artist && entry.title ? normalizeKey(`${entry.artist} - ${entry.title}`) : '';
+      const title = normalizeKey(entry.title);
+
+      return byFile.get(stem)
+        || byArtistTitle.get(artistTitle)
+        || byArtistTitle.get(stem)   // "Artist - Title.mp3"
+        || byTitle.get(title)
+        || byTitle.get(stem)
+        || null;
+    };
+  }
+
+  /**
+   * M3U / M3U8 içe aktar: entry'ler library'deki track'lerle eşleştirilir, eşleşmeyenler raporlanır
+   * @param {string} text - Dosya içeriği (m3u.js decodePlaylistText)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Dosyada #PLAYLIST satırı yoksa (örn. dosya adı)
+   * @param {string} [options.kind] - PlaylistKind
+   * @returns {{ playlist: Playlist, unmatched: Array<import('./m3u.js').M3UEntry> }}
+   */
+  importM3U(text, { name, kind = PlaylistKind.PLAYLIST } = {}) {
+    const parsed = parseM3U(text);
+    const { trackIds, unmatched } = this.matchEntries(parsed.entries);
+    const playlist = this.createPlaylist(parsed.name || name || 'Imported playlist', kind, trackIds);
+
+    this._reportUnmatched(`"${playlist.name}"`, unmatched);
+    return { playlist, unmatched };
+  }
+
+  /**
+   * Rekordbox collection.xml içe aktar
+   * - Eşleşen track'lere tempo, beat grid ve hot cue'lar yazılır
+   * - Playlist'ler (en az bir track'i eşleşenler) library playlist'i olarak oluşturulur
+   * @param {string} text - XML içeriği
+   * @returns {{ matched: number, unmatched: Array<import('./djImport.js').ImportedTrack>, playlists: Array<Playlist>, skippedPlaylists: Array<string> }}
+   * @throws {Error} - Geçerli bir Rekordbox XML değilse
+   */
+  importRekordbox(text) {
+    const { tracks, playlists } = parseRekordboxXml(text);
+    const match = this._createMatcher();
+    const trackIdByKey = new Map();
+    const unmatched = [];
+
+    tracks.forEach(entry => {
+      const trackId = match(entry);
+      if (!trackId) {
+        unmatched.push(entry);
+        return;
+      }
+      trackIdByKey.set(entry.key, trackId);
+      this._applyImport(this.tracks.get(trackId), entry, 'Rekordbox');
+    });
+
+    const created = [];
+    const skippedPlaylists = [];
+    playlists.forEach(({ name, trackKeys }) => {
+      const trackIds = trackKeys.map(key => trackIdByKey.get(key)).filter(Boolean);
+      if (trackIds.length) created.push(this.createPlaylist(name, PlaylistKind.PLAYLIST, trackIds));
+      else skippedPlaylists.push(name);
+    });
+
+    if (trackIdByKey.size) this._emitChange();
+    this._reportUnmatched('Rekordbox collection', unmatched);
+    return { matched: trackIdByKey.size, unmatched, playlists: created, skippedPlaylists };
+  }
+
+  /**
+   * Serato .crate dosyasını crate olarak içe aktar
+   * (Serato hot cue / grid'leri dosyanın kendisinde: upload'da tagReader ile okunur)
+   * @param {ArrayBuffer} arrayBuffer - .crate içeriği
+   * @param {string} name - Crate adı (djImport seratoCrateName)
+   * @returns {{ playlist: Playlist, unmatched: Array<{ path: string }> }}
+   * @throws {Error} - Geçerli bir crate dosyası değilse
+   */
+  importSeratoCrate(arrayBuffer, name) {
+    const entries = parseSeratoCrate(arrayBuffer).map(path => ({ path }));
+    const { trackIds, unmatched } = this.matchEntries(entries);
+    const playlist = this.createPlaylist(name, PlaylistKind.CRATE, trackIds);
+
+    this._reportUnmatched(`Serato crate "${playlist.name}"`, unmatched);
+    return { playlist, unmatched };
+  }
+
+  /**
+   * Eşleşmeyen import entry'lerini logla
+   * @param {string} label
+   * @param {Array<{ path: string }>} unmatched
+   */
+  _reportUnmatched(label, unmatched) {
+    if (!unmatched.length) return;
+    console.warn(`TrackLibrary: ${unmatched.length} entries of ${label} not in library`, unmatched.map(entry => entry.path));
+  }
+
+  /**
+   * Playlist'i M3U8 olarak dışa aktar (upload'lar orijinal dosya adıyla, preset'ler URL'leriyle)
+   * @param {string} id - Playlist ID
+   * @returns {string|null} - M3U8 text (playlist yoksa null)
+   */
+  exportM3U(id) {
+    const playlist = this.playlists.get(id);
+    if (!playlist) return null;
+
+    const entries = playlist.trackIds.map(trackId => {
+      const track = this.tracks.get(trackId);
+      return {
+        path: track.fileName || track.url || track.name,
+        title: track.name,
+        artist: track.tags?.artist || null,
+        duration: track.buffer?.duration || track.duration || null
+      };
+    });
+    return buildM3U({ name: playlist.name, entries });
+  }
+
+  /**
+   * Kayıtlı track'lerin kullandığı alan
+   * @returns {Promise<{ usage: number, quota: number }|null>} - Tarayıcı desteklemiyorsa null
+   */
+  getStorageUsage() {
+    return this.storage.estimate();
+  }
+
   /**
    * Track metadata al
    * @param {string} id - Track ID
@@ -218,23 +1014,157 @@ class TrackLibrary {
       name: track.name,
       sourceType: track.sourceType,
       isLoaded: track.isLoaded,
-      duration: track.buffer?.duration || null
+      isPersisted: !!track.isPersisted,
+      duration: track.buffer?.duration || track.duration || null,
+      artist: track.tags?.artist || null,
+      album: track.tags?.album || null,
+      genre: track.tags?.genre || null,
+      key: track.tags?.key || null,
+      coverUrl: this._getCoverUrl(track),
+      ...this._getGrid(track),
+      beatGridSource: track.importedGrid?.source || null,
+      isAnalyzed: track.analysis !== null || !!track.importedGrid
     };
   }
 
   /**
-   * Tüm cache'i temizle (memory management için)
+   * Track'i analiz et (BPM, downbeat, beat grid) - sonuç cache'lenir
+   * Aynı track için tekrar çağrılırsa mevcut promise / sonuç döner
+   * @param {Track} track
+   * @returns {Promise<TrackAnalysis|null>}
+   */
+  _analyze(track) {
+    if (track.analysis) return Promise.resolve(track.analysis);
+    if (track.analysisPromise) return track.analysisPromise;
+    if (!track.buffer) return Promise.resolve(null);
+
+    // Rekordbox / Serato grid'i: analiz gerekmez, sadece buffer süresine göre grid üretilir
+    if (track.importedGrid) {
+      track.analysis = analysisFromGrid(track.importedGrid, track.buffer.duration);
+      this._updateStored(track, { analysis: track.analysis });
+      return Promise.resolve(track.analysis);
+    }
+
+    track.analysisPromise = trackAnalyzer.analyze(track.buffer)
+      .then(result => {
+        // Analiz sürerken grid import edildiyse o kazanır
+        if (track.analysis) return track.analysis;
+        track.analysis = result;
+        this._updateStored(track, { analysis: result });
+        this._emitChange();
+        console.log(`TrackLibrary: ${track.name} analyzed (${result.bpm ? result.bpm.toFixed(2) + ' BPM' : 'no tempo'})`);
+        return result;
+      })
+      .catch(error => {
+        console.error(`Failed to analyze ${track.name}:`, error);
+        return null;
+      })
+      .finally(() => {
+        track.analysisPromise = null;
+      });
+
+    return track.analysisPromise;
+  }
+
+  /**
+   * Track analiz sonucunu al (analiz sürüyorsa bitmesini bekler)
+   * @param {string} id - Track ID
+   * @returns {Promise<TrackAnalysis|null>} - Track yüklü değilse null
+   */
+  getAnalysis(id) {
+    const track = this.tracks.get(id);
+    if (!track) return Promise.resolve(null);
+
+    return this._analyze(track);
+  }
+
+  /**
+   * Track'in waveform'unu hesapla - sonuç cache'lenir (buffer'lar bırakılsa da kalır, küçük)
+   * @param {Track} track
+   * @returns {Promise<import('./waveform.js').Waveform|null>}
+   */
+  _computeWaveform(track) {
+    if (track.waveform) return Promise.resolve(track.waveform);
+    if (track.waveformPromise) return track.waveformPromise;
+    if (!track.buffer) return Promise.resolve(null);
+
+    track.waveformPromise = trackAnalyzer.computeWaveform(track.buffer)
+      .then(result => {
+        track.waveform = result;
+        return result;
+      })
+      .catch(error => {
+        console.error(`Failed to compute waveform of ${track.name}:`, error);
+        return null;
+      })
+      .finally(() => {
+        track.waveformPromise = null;
+      });
+
+    return track.waveformPromise;
+  }
+
+  /**
+   * Track waveform'unu al (hesaplanıyorsa bitmesini bekler)
+   * @param {string} id - Track ID
+   * @returns {Promise<import('./waveform.js').Waveform|null>} - Track yüklü değilse null
+   */
+  getWaveform(id) {
+    const track = this.tracks.get(id);
+    if (!track) return Promise.resolve(null);
+
+    return this._computeWaveform(track);
+  }
+
+  /**
+   * Hot cue listesini sabit slot sayısına getir
+   * @param {Array<number|null>} [cues]
+   * @returns {Array<number|null>}
+   */
+  _normalizeCuePoints(cues = []) {
+    const normalized = new Array(HOT_CUE_COUNT).fill(null);
+    cues.slice(0, HOT_CUE_COUNT).forEach((time, index) => {
+      if (typeof time === 'number') normalized[index] = time;
+    });
+    return normalized;
+  }
+
+  /**
+   * Track'in kayıtlı hot cue'larını al
+   * @param {string} id - Track ID
+   * @returns {Array<number|null>} - Kopya (track record'u değiştirmez)
+   */
+  getCuePoints(id) {
+    const track = this.tracks.get(id);
+    if (!track) return this._normalizeCuePoints();
+
+    return [...track.cuePoints];
+  }
+
+  /**
+   * Track'in hot cue'larını kaydet (deck'te değiştiğinde çağrılır)
+   * @param {string} id - Track ID
+   * @param {Array<number|null>} cues
+   * @returns {boolean} - Başarılı mı?
+   */
+  setCuePoints(id, cues) {
+    const track = this.tracks.get(id);
+    if (!track) return false;
+
+    track.cuePoints = this._normalizeCuePoints(cues);
+    this._updateStored(track, { cuePoints: track.cuePoints });
+    return true;
+  }
+
+  /**
+   * Decode edilmiş buffer'ları bırak (memory management için)
+   * Track'ler, metadata ve waveform'lar kalır: sonraki loadTrack() tekrar decode eder
+   * (preset: URL'den, user upload: IndexedDB'den veya bellekteki byte'lardan)
    */
   clearCache() {
     this.tracks.forEach(track => {
-      if (track.sourceType === TrackSource.PRESET) {
-        // Preset'lerde sadece buffer'ı temizle, metadata kalsın
-        track.buffer = null;
-        track.isLoaded = false;
-      } else {
-        // User upload'ları tamamen sil
-        this.tracks.delete(track.id);
-      }
+      track.buffer = null;
+      track.isLoaded = false;
     });
 
     console.log('TrackLibrary: Cache cleared');
@@ -133,13 +133,8 @@ function showTrackInfo(trackId) {
  * 3D UI button: "Load to Deck A" click handler
  */
 async function on3DButtonClick_LoadToDeckA(trackId) {
-  // TrackLibrary'den buffer al
-  let buffer = trackLibrary.getBuffer(trackId);
-
-  // Eğer henüz yüklenmemişse, önce yükle
-  if (!buffer) {
-    buffer = await trackLibrary.loadPreset(trackId);
-  }
+  // TrackLibrary'den buffer al (cache'de yoksa yükler: preset URL'den, upload IndexedDB'den)
+  const buffer = await trackLibrary.loadTrack(trackId);
 
   // Deck'e yükle
   deck1.loadTrack(buffer);
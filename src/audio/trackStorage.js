@@ -0,0 +1,270 @@
+/**
+ * TRACK STORAGE - User upload'larını IndexedDB'de kalıcı tutma
+ *
+ * Sorumluluklar:
+ * - Orijinal dosya byte'ları (Blob) + metadata (isim, boyut, cue point'ler, analiz)
+ * - İki object store: 'tracks' (metadata, listeleme hızlı) ve 'files' (byte'lar, sadece decode'da)
+ * - Playlist / crate'ler: 'playlists' store'u (track ID listeleri)
+ * - Quota kontrolü (navigator.storage.estimate) ve QuotaExceededError yakalama
+ *
+ * AudioBuffer saklamaz: buffer'lar TrackLibrary'de cache'lenir, gerektiğinde tekrar decode edilir
+ * Test: constructor'a fake bir indexedDB / storage manager verilebilir
+ */
+
+const DB_NAME = 'dj-track-library';
+const DB_VERSION = 2;          // v2: playlists
+const META_STORE = 'tracks';
+const FILE_STORE = 'files';
+const PLAYLIST_STORE = 'playlists';
+
+// Quota'nın tamamı kullanılmaz (tarayıcı diğer site verileri için pay bırakır)
+const QUOTA_SAFETY_RATIO = 0.9;
+
+/**
+ * Kayıt quota'ya sığmadığında fırlatılır
+ */
+export class StorageQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+/**
+ * @typedef {Object} StoredTrackMeta
+ * @property {string} id
+ * @property {string} name
+ * @property {string} fileName - Orijinal dosya adı
+ * @property {string} mimeType
+ * @property {number} size - Byte
+ * @property {number} addedAt - Date.now()
+ * @property {number|null} duration - Saniye (decode etmeden listelemek için)
+ * @property {Array<number|null>} cuePoints
+ * @property {Object|null} analysis - TrackAnalysis (tekrar analiz gerekmesin)
+ * @property {Object|null} [tags] - Gömülü tag'ler (title, artist, album, genre, bpm, key)
+ * @property {Blob|null} [cover] - Gömülü kapak resmi
+ */
+
+/**
+ * IDBRequest → Promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Transaction tamamlanınca resolve (quota hataları commit'te gelir)
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * @param {Error|DOMException} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError';
+}
+
+export class TrackStorage {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB]
+   * @param {StorageManager} [options.storageManager] - navigator.storage (estimate / persist)
+   */
+  constructor({
+    indexedDB = globalThis.indexedDB,
+    storageManager = globalThis.navigator?.storage
+  } = {}) {
+    this.indexedDB = indexedDB;
+    this.storageManager = storageManager;
+    this.dbPromise = null;
+  }
+
+  /**
+   * IndexedDB kullanılabilir mi? (private mode / eski tarayıcı)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return !!this.indexedDB;
+  }
+
+  /**
+   * Database'i aç (ilk çağrıda oluşturulur)
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+          if (!db.objectStoreNames.contains(FILE_STORE)) db.createObjectStore(FILE_STORE, { keyPath: 'id' });
+          if (!db.objectStoreNames.contains(PLAYLIST_STORE)) db.createObjectStore(PLAYLIST_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Başarısız açılış tekrar denenebilsin
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Kullanılan / toplam alan (tarayıcı desteklemiyorsa null)
+   * @returns {Promise<{ usage: number, quota: number }|null>}
+   */
+  async estimate() {
+    if (!this.storageManager?.estimate) return null;
+    const { usage = 0, quota = 0 } = await this.storageManager.estimate();
+    return { usage, quota };
+  }
+
+  /**
+   * Dosya quota'ya sığar mı? (estimate yoksa yazmayı dener)
+   * @param {number} size - Byte
+   * @returns {Promise<boolean>}
+   */
+  async hasRoomFor(size) {
+    const estimate = await this.estimate();
+    if (!estimate || !estimate.quota) return true;
+    return estimate.usage + size <= estimate.quota * QUOTA_SAFETY_RATIO;
+  }
+
+  /**
+   * Tarayıcıdan kalıcı depolama iste (baskı altında silinmesin), sonuç sadece bilgi amaçlı
+   * @returns {Promise<boolean>}
+   */
+  async requestPersistence() {
+    if (!this.storageManager?.persist) return false;
+    try {
+      return await this.storageManager.persist();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Track'i kaydet (metadata + byte'lar tek transaction'da)
+   * @param {StoredTrackMeta} meta
+   * @param {Blob} blob - Orijinal dosya
+   * @throws {StorageQuotaError} - Yer yoksa
+   */
+  async putTrack(meta, blob) {
+    if (!(await this.hasRoomFor(blob.size))) {
+      throw new StorageQuotaError(`Not enough storage for "${meta.name}" (${(blob.size / 1048576).toFixed(1)} MB)`);
+    }
+
+    const db = await this._open();
+    const transaction = db.transaction([META_STORE, FILE_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).put(meta);
+    transaction.objectStore(FILE_STORE).put({ id: meta.id, blob });
+
+    try {
+      await transactionDone(transaction);
+    } catch (error) {
+      if (isQuotaError(error)) {
+        throw new StorageQuotaError(`Storage quota exceeded while saving "${meta.name}"`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Metadata alanlarını güncelle (cue point'ler, analiz)
+   * @param {string} id
+   * @param {Partial<StoredTrackMeta>} changes
+   * @returns {Promise<boolean>} - Kayıt var mıydı?
+   */
+  async updateMeta(id, changes) {
+    const db = await this._open();
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    const store = transaction.objectStore(META_STORE);
+    const meta = await promisify(store.get(id));
+    if (!meta) return false;
+
+    store.put({ ...meta, ...changes, id });
+    await transactionDone(transaction);
+    return true;
+  }
+
+  /**
+   * Tüm track metadata'sı (eklenme sırasına göre)
+   * @returns {Promise<Array<StoredTrackMeta>>}
+   */
+  async getAllMeta() {
+    const db = await this._open();
+    const metas = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    return metas.sort((a, b) => a.addedAt - b.addedAt);
+  }
+
+  /**
+   * Orijinal dosya byte'ları
+   * @param {string} id
+   * @returns {Promise<Blob|null>}
+   */
+  async getFile(id) {
+    const db = await this._open();
+    const record = await promisify(db.transaction(FILE_STORE).objectStore(FILE_STORE).get(id));
+    return record ? record.blob : null;
+  }
+
+  /**
+   * Track'i sil (metadata + byte'lar)
+   * @param {string} id
+   */
+  async deleteTrack(id) {
+    const db = await this._open();
+    const transaction = db.transaction([META_STORE, FILE_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(FILE_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Playlist / crate kaydet (varsa üzerine yazar)
+   * @param {Object} playlist - { id, name, kind, trackIds, createdAt }
+   */
+  async putPlaylist(playlist) {
+    const db = await this._open();
+    const transaction = db.transaction(PLAYLIST_STORE, 'readwrite');
+    transaction.objectStore(PLAYLIST_STORE).put(playlist);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Tüm playlist'ler (oluşturulma sırasına göre)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAllPlaylists() {
+    const db = await this._open();
+    const playlists = await promisify(db.transaction(PLAYLIST_STORE).objectStore(PLAYLIST_STORE).getAll());
+    return playlists.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * @param {string} id
+   */
+  async deletePlaylist(id) {
+    const db = await this._open();
+    const transaction = db.transaction(PLAYLIST_STORE, 'readwrite');
+    transaction.objectStore(PLAYLIST_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+}
+
+// Singleton instance
+export const trackStorage = new TrackStorage();
@@ -0,0 +1,192 @@
+/**
+ * TRACKLIST - Kayıt sırasında çalan track'lerin zaman damgalı listesi
+ *
+ * Sorumluluklar:
+ * - Deck'e track yükleme ve crossfader olaylarını toplama
+ * - "Yayındaki" track'i çıkarma: crossfader hangi taraftaysa o deck'in track'i
+ * - CUE sheet ve düz metin export
+ *
+ * Saf sınıf: Web Audio / DOM bilmez, zamanı çağıran verir (saniye)
+ */
+
+// CUE sheet zaman birimi: 75 frame / saniye
+const CUE_FRAMES_PER_SECOND = 75;
+
+// MIME subtype → CUE FILE tipi (listede olmayanlar subtype'ın büyük harfli hali, örn. WEBM)
+const CUE_FILE_TYPES = {
+  wav: 'WAVE',
+  wave: 'WAVE',
+  'x-wav': 'WAVE',
+  mpeg: 'MP3',
+  mp3: 'MP3',
+  aiff: 'AIFF',
+  'x-aiff': 'AIFF'
+};
+
+/**
+ * @typedef {Object} TracklistEntry
+ * @property {number} time - Kayıt başından itibaren (saniye)
+ * @property {number} deckId - 1 or 2
+ * @property {string} title
+ */
+
+/**
+ * Saniye → MM:SS (saat varsa H:MM:SS)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  return `${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+/**
+ * Saniye → CUE index (MM:SS:FF, dakika 99'u geçebilir)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatCueIndex(seconds) {
+  const totalFrames = Math.floor(seconds * CUE_FRAMES_PER_SECOND);
+  const frames = totalFrames % CUE_FRAMES_PER_SECOND;
+  const totalSeconds = Math.floor(totalFrames / CUE_FRAMES_PER_SECOND);
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}:${pad(frames)}`;
+}
+
+/**
+ * Kayıt MIME tipi → CUE FILE tipi ('audio/webm;codecs=opus' → 'WEBM')
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function cueFileType(mimeType) {
+  const subtype = (mimeType.split(';')[0].split('/')[1] || '').trim().toLowerCase();
+  return CUE_FILE_TYPES[subtype] || subtype.toUpperCase() || 'BINARY';
+}
+
+/**
+ * CUE sheet string'i için kaçış (çift tırnak kullanılamaz)
+ */
+function cueString(text) {
+  return String(text).replace(/"/g, "'");
+}
+
+export class Tracklist {
+  constructor() {
+    // Kayıttan bağımsız güncel durum (kayıt başladığında ilk entry buradan)
+    this.deckTitles = { 1: null, 2: null };
+    this.onAirDeckId = 1;
+
+    this.entries = [];
+    this.isRecording = false;
+  }
+
+  /**
+   * Kaydı başlat: mevcut yayındaki track 0. saniyeye yazılır
+   */
+  start() {
+    this.entries = [];
+    this.isRecording = true;
+    this._addEntryIfChanged(0);
+  }
+
+  /**
+   * Kaydı bitir (entry'ler export için kalır)
+   */
+  stop() {
+    this.isRecording = false;
+  }
+
+  /**
+   * Deck'e track yüklendi
+   * @param {number} deckId - 1 or 2
+   * @param {string} title
+   * @param {number} time - Kayıt zamanı (saniye)
+   */
+  noteTrackLoad(deckId, title, time) {
+    this.deckTitles[deckId] = title;
+    if (deckId === this.onAirDeckId) {
+      this._addEntryIfChanged(time, true);
+    }
+  }
+
+  /**
+   * Crossfader hareketi: taraf değişince yayındaki deck değişir (tam ortada önceki korunur)
+   * @param {number} value - 0.0 (A) - 1.0 (B)
+   * @param {number} time - Kayıt zamanı (saniye)
+   */
+  noteCrossfader(value, time) {
+    if (value === 0.5) return;
+
+    const deckId = value < 0.5 ? 1 : 2;
+    if (deckId === this.onAirDeckId) return;
+
+    this.onAirDeckId = deckId;
+    this._addEntryIfChanged(time);
+  }
+
+  /**
+   * Yayındaki track değiştiyse entry ekle
+   * @param {number} time
+   * @param {boolean} [reload=false] - Aynı deck'e yeni yükleme (aynı isim de olsa yeni entry)
+   */
+  _addEntryIfChanged(time, reload = false) {
+    if (!this.isRecording) return;
+
+    const title = this.deckTitles[this.onAirDeckId];
+    if (!title) return;
+
+    const last = this.entries[this.entries.length - 1];
+    if (!reload && last && last.title === title && last.deckId === this.onAirDeckId) return;
+
+    // Aynı anda birden fazla değişiklik: son durum geçerli
+    if (last && last.time === time) this.entries.pop();
+
+    this.entries.push({ time, deckId: this.onAirDeckId, title });
+  }
+
+  /**
+   * @returns {Array<TracklistEntry>}
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Düz metin tracklist ("00:00 Title [Deck A]")
+   * @returns {string}
+   */
+  toText() {
+    return this.entries
+      .map(({ time, deckId, title }) => `${formatTimestamp(time)} ${title} [Deck ${deckId === 1 ? 'A' : 'B'}]`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * CUE sheet (kayıt dosyasına referansla)
+   * @param {string} audioFileName - Örn: 'mix.wav'
+   * @param {string} mimeType - Kayıt blob'unun tipi (FILE satırındaki tip buradan)
+   * @param {string} [title='DJ Mix']
+   * @returns {string}
+   */
+  toCue(audioFileName, mimeType, title = 'DJ Mix') {
+    const fileType = cueFileType(mimeType);
+    const lines = [
+      `TITLE "${cueString(title)}"`,
+      `FILE "${cueString(audioFileName)}" ${fileType}`
+    ];
+
+    this.entries.forEach(({ time, title: trackTitle }, i) => {
+      lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+      lines.push(`    TITLE "${cueString(trackTitle)}"`);
+      lines.push(`    INDEX 01 ${formatCueIndex(time)}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
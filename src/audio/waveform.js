@@ -0,0 +1,155 @@
+/**
+ * WAVEFORM - Track'in çok çözünürlüklü, 3 bantlı peak verisi (renkli waveform için)
+ *
+ * Sorumluluklar:
+ * - Mono'ya indirip 3 banda ayırma: low (< 250 Hz), mid, high (> 2.5 kHz)
+ * - En ince seviye: BASE_SAMPLES_PER_PEAK örnekte bir peak (band başına, 0-255)
+ * - Kaba seviyeler: her biri bir öncekinin LEVEL_FACTOR katı (max ile birleştirme), overview için
+ * - getWaveformLevel(): çizim çözünürlüğüne en uygun seviye
+ *
+ * Saf fonksiyonlar: Web Worker'da (analysis.worker.js) veya main thread'de çalışır
+ */
+
+import { mixToMono } from './tempoAnalysis.js';
+
+// En ince seviye: 44.1 kHz'de ~172 peak / saniye (zoom'lu waveform)
+const BASE_SAMPLES_PER_PEAK = 256;
+
+// Seviyeler arası oran ve en kaba seviyenin peak sayısı sınırı
+const LEVEL_FACTOR = 4;
+const MIN_LEVEL_PEAKS = 1024;
+
+// Band sınırları (Hz)
+const LOW_CUTOFF = 250;
+const HIGH_CUTOFF = 2500;
+
+/**
+ * @typedef {Object} WaveformLevel
+ * @property {number} samplesPerPeak
+ * @property {Uint8Array} low - Peak genlikleri (0-255, track'in en yüksek peak'ine göre)
+ * @property {Uint8Array} mid
+ * @property {Uint8Array} high
+ */
+
+/**
+ * @typedef {Object} Waveform
+ * @property {number} sampleRate
+ * @property {number} duration - Saniye
+ * @property {Array<WaveformLevel>} levels - İnceden kabaya
+ */
+
+/**
+ * RBJ biquad filtresi (Q = 0.707)
+ * @param {string} type - 'lowpass' | 'highpass'
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @returns {Function} - (sample) => filtrelenmiş sample (state closure'da)
+ */
+function createBiquad(type, frequency, sampleRate) {
+  const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+
+  const b1 = (type === 'lowpass' ? 1 - cos : -(1 + cos)) / a0;
+  const b0 = type === 'lowpass' ? b1 / 2 : -b1 / 2;
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return x => {
+    const y = b0 * x + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x; y2 = y1; y1 = y;
+    return y;
+  };
+}
+
+/**
+ * Bir seviyeyi LEVEL_FACTOR kat kabalaştır (peak'lerin max'ı)
+ * @param {Uint8Array} peaks
+ * @returns {Uint8Array}
+ */
+function downsample(peaks) {
+  const result = new Uint8Array(Math.ceil(peaks.length / LEVEL_FACTOR));
+  for (let i = 0; i < result.length; i++) {
+    let max = 0;
+    const end = Math.min(peaks.length, (i + 1) * LEVEL_FACTOR);
+    for (let j = i * LEVEL_FACTOR; j < end; j++) {
+      if (peaks[j] > max) max = peaks[j];
+    }
+    result[i] = max;
+  }
+  return result;
+}
+
+/**
+ * PCM data'dan waveform üret
+ * @param {Array<Float32Array>} channels - AudioBuffer channel data
+ * @param {number} sampleRate
+ * @returns {Waveform}
+ */
+export function computeWaveform(channels, sampleRate) {
+  const mono = mixToMono(channels);
+  const peakCount = Math.ceil(mono.length / BASE_SAMPLES_PER_PEAK);
+  const raw = { low: new Float32Array(peakCount), mid: new Float32Array(peakCount), high: new Float32Array(peakCount) };
+
+  // Mid: iki sınır arası (highpass + lowpass zinciri)
+  const lowpass = createBiquad('lowpass', LOW_CUTOFF, sampleRate);
+  const midHighpass = createBiquad('highpass', LOW_CUTOFF, sampleRate);
+  const midLowpass = createBiquad('lowpass', HIGH_CUTOFF, sampleRate);
+  const highpass = createBiquad('highpass', HIGH_CUTOFF, sampleRate);
+  let maxPeak = 0;
+
+  for (let i = 0; i < mono.length; i++) {
+    const x = mono[i];
+    const low = lowpass(x);
+    const mid = midLowpass(midHighpass(x));
+    const high = highpass(x);
+
+    const index = (i / BASE_SAMPLES_PER_PEAK) | 0;
+    const absLow = Math.abs(low);
+    const absMid = Math.abs(mid);
+    const absHigh = Math.abs(high);
+    if (absLow > raw.low[index]) raw.low[index] = absLow;
+    if (absMid > raw.mid[index]) raw.mid[index] = absMid;
+    if (absHigh > raw.high[index]) raw.high[index] = absHigh;
+    if (Math.abs(x) > maxPeak) maxPeak = Math.abs(x);
+  }
+
+  // Track'in en yüksek peak'i = 255 (sessiz track'te bölme yok)
+  const scale = maxPeak > 0 ? 255 / maxPeak : 0;
+  const toBytes = values => Uint8Array.from(values, value => Math.min(255, Math.round(value * scale)));
+  let level = {
+    samplesPerPeak: BASE_SAMPLES_PER_PEAK,
+    low: toBytes(raw.low),
+    mid: toBytes(raw.mid),
+    high: toBytes(raw.high)
+  };
+
+  const levels = [level];
+  while (level.low.length > MIN_LEVEL_PEAKS) {
+    level = {
+      samplesPerPeak: level.samplesPerPeak * LEVEL_FACTOR,
+      low: downsample(level.low),
+      mid: downsample(level.mid),
+      high: downsample(level.high)
+    };
+    levels.push(level);
+  }
+
+  return { sampleRate, duration: mono.length / sampleRate, levels };
+}
+
+/**
+ * Çizim çözünürlüğüne uygun seviye: piksel başına örnekten kaba olmayan en kaba seviye
+ * @param {Waveform} waveform
+ * @param {number} samplesPerPixel
+ * @returns {WaveformLevel}
+ */
+export function getWaveformLevel(waveform, samplesPerPixel) {
+  let best = waveform.levels[0];
+  for (const level of waveform.levels) {
+    if (level.samplesPerPeak <= samplesPerPixel) best = level;
+  }
+  return best;
+}
@@ -0,0 +1,61 @@
+/**
+ * BITCRUSHER WORKLET - Bit depth + sample rate reduction
+ *
+ * - bitDepth: 1 - 16 bit quantization
+ * - reduction: her N örnekte bir örnek tut (sample & hold)
+ *
+ * Not: Bu dosya AudioWorkletGlobalScope'ta çalışır, import kullanmaz
+ */
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'bitDepth', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+      { name: 'reduction', defaultValue: 4, minValue: 1, maxValue: 64, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.held = [];
+    this.counter = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) return true;
+
+    const step = Math.pow(0.5, parameters.bitDepth[0] - 1);
+    const reduction = Math.max(1, Math.round(parameters.reduction[0]));
+    const channelCount = Math.min(input.length, output.length);
+    const startCounter = this.counter;
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      const inData = input[channel];
+      const outData = output[channel];
+      let counter = startCounter;
+      let held = this.held[channel] || 0;
+
+      for (let i = 0; i < inData.length; i++) {
+        if (counter % reduction === 0) {
+          held = step * Math.round(inData[i] / step);
+        }
+        outData[i] = held;
+        counter++;
+      }
+
+      this.held[channel] = held;
+      this.counter = counter % reduction;
+    }
+
+    // Mono kaynak → stereo çıkış: eksik kanalları ilk kanaldan kopyala
+    for (let channel = channelCount; channel < output.length; channel++) {
+      output[channel].set(output[0]);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
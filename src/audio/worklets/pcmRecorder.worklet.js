@@ -0,0 +1,71 @@
+/**
+ * PCM RECORDER WORKLET - Master çıkışını 16-bit stereo PCM olarak toplar
+ *
+ * - Port mesajları: { type: 'record' | 'pause' | 'stop' }
+ * - Interleaved Int16 chunk'ları ana thread'e gönderir ({ type: 'chunk', data })
+ * - 'stop' sonrası kalan örnekleri gönderip { type: 'stopped' } yollar
+ *
+ * Çıkışı yok (numberOfOutputs: 0): destination'a bağlanmadan da işlenir
+ * Not: Bu dosya AudioWorkletGlobalScope'ta çalışır, import kullanmaz
+ */
+
+// Chunk başına frame (~170ms @ 48kHz): mesaj sayısı / gecikme dengesi
+const CHUNK_FRAMES = 8192;
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.recording = false;
+    this.buffer = new Int16Array(CHUNK_FRAMES * 2);
+    this.frameCount = 0;
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type === 'record') {
+        this.recording = true;
+      } else if (data.type === 'pause') {
+        this.recording = false;
+      } else if (data.type === 'stop') {
+        this.recording = false;
+        this.flush();
+        this.port.postMessage({ type: 'stopped' });
+      }
+    };
+  }
+
+  /**
+   * Dolu kısmı gönder (buffer transfer edilir, yenisi ayrılır)
+   */
+  flush() {
+    if (this.frameCount === 0) return;
+
+    const data = this.buffer.slice(0, this.frameCount * 2);
+    this.port.postMessage({ type: 'chunk', data }, [data.buffer]);
+    this.frameCount = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.recording) return true;
+
+    // Bağlantı yoksa (input boş) sessizlik yaz: kayıt süresi gerçek zamanla uyumlu kalsın
+    const left = input && input.length > 0 ? input[0] : null;
+    const right = input && input.length > 1 ? input[1] : left;
+    const length = left ? left.length : 128;
+
+    for (let i = 0; i < length; i++) {
+      const l = left ? Math.max(-1, Math.min(1, left[i])) : 0;
+      const r = right ? Math.max(-1, Math.min(1, right[i])) : 0;
+      const offset = this.frameCount * 2;
+
+      this.buffer[offset] = l < 0 ? l * 0x8000 : l * 0x7fff;
+      this.buffer[offset + 1] = r < 0 ? r * 0x8000 : r * 0x7fff;
+      this.frameCount++;
+
+      if (this.frameCount === CHUNK_FRAMES) this.flush();
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
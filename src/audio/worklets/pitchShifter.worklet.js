@@ -0,0 +1,123 @@
+/**
+ * PITCH SHIFTER WORKLET - Key lock (master tempo) için pitch düzeltme
+ *
+ * Delay-line granular pitch shifter:
+ * - İki okuma kafası, yarım pencere faz farkıyla
+ * - sin² pencereleri (toplamları her an 1)
+ * - Okuma hızı = pitchRatio → tempo değişiminin yarattığı pitch kayması geri alınır
+ *
+ * pitchRatio === 1 iken sinyal aynen geçer (gecikme yok)
+ * Bypass açılıp kapanırken dry ↔ shifted geçişi birkaç ms'lik crossfade ile yapılır (klik olmaz)
+ * Not: Bu dosya AudioWorkletGlobalScope'ta çalışır, import kullanmaz
+ */
+
+const WINDOW_SECONDS = 0.06; // 60ms grain
+const CROSSFADE_SECONDS = 0.005; // 5ms dry ↔ shifted geçişi
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+
+    this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+
+    // Ring buffer (2'nin kuvveti → maske ile wrap)
+    let size = 1;
+    while (size < this.windowSize * 2) size *= 2;
+    this.bufferMask = size - 1;
+    this.buffers = [];
+
+    this.writeIndex = 0;
+    this.phase = 0; // 0..1 grain fazı
+    this.mix = 0; // 0 = dry (bypass), 1 = shifted
+    this.mixStep = 1 / Math.max(1, Math.round(sampleRate * CROSSFADE_SECONDS));
+  }
+
+  /**
+   * Ring buffer'dan gecikmeli örnek oku (linear interpolation)
+   */
+  _read(buffer, delay) {
+    const position = this.writeIndex - delay;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = buffer[index & this.bufferMask];
+    const b = buffer[(index + 1) & this.bufferMask];
+    return a + (b - a) * frac;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) return true;
+
+    const ratio = parameters.pitchRatio[0];
+    const bypass = Math.abs(ratio - 1) < 1e-4;
+    const targetMix = bypass ? 0 : 1;
+    const frames = input[0].length;
+
+    while (this.buffers.length < Math.min(input.length, output.length)) {
+      this.buffers.push(new Float32Array(this.bufferMask + 1));
+    }
+
+    // Gecikme her örnekte (1 - ratio) değişir → okuma hızı = ratio
+    const phaseIncrement = (1 - ratio) / this.windowSize;
+    const startWriteIndex = this.writeIndex;
+    const startPhase = this.phase;
+    const startMix = this.mix;
+
+    const channelCount = Math.min(input.length, output.length);
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      const inData = input[channel];
+      const outData = output[channel];
+      const buffer = this.buffers[channel];
+
+      this.writeIndex = startWriteIndex;
+      this.phase = startPhase;
+      this.mix = startMix;
+
+      for (let i = 0; i < frames; i++) {
+        buffer[this.writeIndex & this.bufferMask] = inData[i];
+
+        // Mix'i hedefe doğru örnek örnek kaydır (crossfade)
+        if (this.mix < targetMix) {
+          this.mix = Math.min(targetMix, this.mix + this.mixStep);
+        } else if (this.mix > targetMix) {
+          this.mix = Math.max(targetMix, this.mix - this.mixStep);
+        }
+
+        if (this.mix === 0) {
+          outData[i] = inData[i];
+        } else {
+          const phase2 = (this.phase + 0.5) % 1;
+          const gain1 = Math.sin(Math.PI * this.phase) ** 2;
+          const gain2 = Math.sin(Math.PI * phase2) ** 2;
+
+          const shifted =
+            gain1 * this._read(buffer, this.phase * this.windowSize + 1) +
+            gain2 * this._read(buffer, phase2 * this.windowSize + 1);
+          outData[i] = inData[i] + (shifted - inData[i]) * this.mix;
+
+          this.phase += phaseIncrement;
+          this.phase -= Math.floor(this.phase); // wrap 0..1 (negatif artış dahil)
+        }
+
+        this.writeIndex = (this.writeIndex + 1) & this.bufferMask;
+      }
+    }
+
+    // Mono kaynak → stereo çıkış: eksik kanalları ilk kanaldan kopyala
+    for (let channel = channelCount; channel < output.length; channel++) {
+      output[channel].set(output[0]);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
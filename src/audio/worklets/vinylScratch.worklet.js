@@ -0,0 +1,204 @@
+/**
+ * VINYL SCRATCH WORKLET - Track'i işaretli (ileri / geri) değişken hızla çalar
+ *
+ * - Platter'a dokunulunca (hand) playhead elin konumunu takip eder: jog dönüşü = track zamanı
+ * - Bırakılınca (motor) hız sabit ivmeyle motor hızına çıkar / iner (platter ataleti)
+ * - Durdurma efektleri: brake / power off / power on = motor ivmesi, spinback = geri fırlatma + sürtünme
+ * - Hız motor hızına oturunca { type: 'settled' } gönderir: Deck çalmayı buffer source'a geri verir
+ * - Pozisyon raporu ({ type: 'position', position, rate, time }) ~REPORT_BLOCKS blokta bir
+ *
+ * Port mesajları:
+ * - { type: 'load', channels, sampleRate } / { type: 'clear' } - Track PCM'i (kopya, transfer edilir)
+ * - { type: 'start', position, rate, time, loop } - Source'tan devral (aktif değilse time'da başlar)
+ * - { type: 'touch' } - Platter'a dokun: plak elde durur
+ * - { type: 'move', delta } - El, track'i delta saniye ilerletti / geri sardı
+ * - { type: 'release', rate } / { type: 'motor', rate, acceleration? } - Motor hızı (0 = motor kapalı)
+ * - { type: 'spin', rate, acceleration } - Plağı rate hızıyla fırlat, sürtünmeyle durur (spinback)
+ * - { type: 'seek', position } / { type: 'loop', loop } / { type: 'stop', time }
+ *
+ * Not: Bu dosya AudioWorkletGlobalScope'ta çalışır, import kullanmaz
+ */
+
+// Elin konumunu takip eden yay: pozisyon ve hız yumuşatma süreleri (saniye)
+const HAND_POSITION_TIME = 0.012;
+const HAND_VELOCITY_TIME = 0.004;
+
+// Varsayılan motor torku: rate / saniye (0 → 1.0x ~0.3 saniyede, Technics SL-1200 kalkışına yakın)
+const MOTOR_ACCELERATION = 3.5;
+
+// Scratch hız sınırı (rate)
+const MAX_RATE = 8;
+
+const REPORT_BLOCKS = 4;
+
+class VinylScratchProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.channels = null;
+    this.bufferRate = sampleRate;
+    this.duration = 0;
+
+    this.active = false;
+    this.startTime = 0;      // Context time: bu andan önce çıkış yok (source'tan devir)
+    this.stopTime = Infinity; // Context time: bu andan sonra çıkış yok (source'a devir)
+    this.position = 0;        // Track zamanı (saniye)
+    this.velocity = 0;        // Rate (negatif = geri)
+    this.touched = false;
+    this.handPosition = 0;
+    this.motorRate = 0;
+    this.acceleration = MOTOR_ACCELERATION; // Rate / saniye
+    this.settled = false;
+    this.loop = null;         // { start, end } aktif loop bölgesi
+    this.blockCount = 0;
+
+    this.port.onmessage = ({ data }) => this.handleMessage(data);
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case 'load':
+        this.channels = data.channels;
+        this.bufferRate = data.sampleRate;
+        this.duration = data.channels[0].length / data.sampleRate;
+        this.active = false;
+        break;
+      case 'clear':
+        this.channels = null;
+        this.active = false;
+        break;
+      case 'start':
+        if (!this.active) {
+          this.active = true;
+          this.startTime = data.time;
+          this.position = data.position;
+          this.velocity = data.rate;
+          this.motorRate = data.rate;
+          this.acceleration = MOTOR_ACCELERATION;
+        }
+        this.stopTime = Infinity;
+        this.loop = data.loop;
+        this.settled = false;
+        break;
+      case 'touch':
+        this.touched = true;
+        // El plağı yakaladığı yerde tutar: yayın dinlenme noktası (geri çekmeden durur)
+        this.handPosition = this.position + this.velocity * HAND_POSITION_TIME;
+        this.settled = false;
+        break;
+      case 'move':
+        this.handPosition += data.delta;
+        break;
+      case 'release':
+        this.touched = false;
+        this.motorRate = data.rate;
+        this.acceleration = MOTOR_ACCELERATION;
+        this.settled = false;
+        break;
+      case 'motor':
+        this.motorRate = data.rate;
+        this.acceleration = data.acceleration ?? MOTOR_ACCELERATION;
+        this.settled = false;
+        break;
+      case 'spin':
+        this.touched = false;
+        this.velocity = data.rate;
+        this.motorRate = 0;
+        this.acceleration = data.acceleration;
+        this.settled = false;
+        break;
+      case 'seek':
+        this.handPosition += data.position - this.position;
+        this.position = data.position;
+        break;
+      case 'loop':
+        this.loop = data.loop;
+        break;
+      case 'stop':
+        this.stopTime = data.time;
+        break;
+    }
+  }
+
+  /**
+   * Hızı bir örnek ilerlet: elde yay, bırakınca sabit ivme
+   * @param {number} dt - Örnek süresi (saniye)
+   */
+  updateVelocity(dt) {
+    if (this.touched) {
+      const target = (this.handPosition - this.position) / HAND_POSITION_TIME;
+      this.velocity += (target - this.velocity) * Math.min(1, dt / HAND_VELOCITY_TIME);
+      this.velocity = Math.max(-MAX_RATE, Math.min(MAX_RATE, this.velocity));
+      return;
+    }
+
+    const step = this.acceleration * dt;
+    const diff = this.motorRate - this.velocity;
+    this.velocity = Math.abs(diff) <= step ? this.motorRate : this.velocity + Math.sign(diff) * step;
+  }
+
+  /**
+   * Pozisyonu track / loop sınırlarına getir (el hedefi de aynı miktarda kayar)
+   */
+  wrapPosition() {
+    let offset = 0;
+    if (this.loop && this.position >= this.loop.end) {
+      offset = -(this.loop.end - this.loop.start);
+    } else if (this.position >= this.duration) {
+      offset = -this.duration;
+    } else if (this.position < 0) {
+      // Track başından geriye gidilmez (plak başı)
+      offset = -this.position;
+      this.velocity = Math.max(0, this.velocity);
+    }
+
+    this.position += offset;
+    this.handPosition += offset;
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    if (!this.active || !this.channels) return true;
+
+    const dt = 1 / sampleRate;
+    const frameCount = output[0].length;
+    const lastIndex = this.channels[0].length - 1;
+
+    // Pozisyon raporu blok başındaki duruma göre (time = bu bloğun ilk örneği)
+    if (this.blockCount++ % REPORT_BLOCKS === 0 && currentTime >= this.startTime) {
+      this.port.postMessage({ type: 'position', position: this.position, rate: this.velocity, time: currentTime });
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+      const time = currentTime + i * dt;
+      if (time < this.startTime) continue;
+      if (time >= this.stopTime) {
+        this.active = false;
+        break;
+      }
+
+      // Lineer interpolasyonla buffer'dan oku
+      const index = Math.min(lastIndex, this.position * this.bufferRate);
+      const base = Math.floor(index);
+      const frac = index - base;
+      const next = Math.min(lastIndex, base + 1);
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const data = this.channels[Math.min(channel, this.channels.length - 1)];
+        output[channel][i] = data[base] + (data[next] - data[base]) * frac;
+      }
+
+      this.updateVelocity(dt);
+      this.position += this.velocity * dt;
+      this.wrapPosition();
+    }
+
+    if (!this.touched && !this.settled && this.velocity === this.motorRate && this.active) {
+      this.settled = true;
+      this.port.postMessage({ type: 'settled', position: this.position, rate: this.velocity, time: currentTime + frameCount * dt });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('vinyl-scratch', VinylScratchProcessor);
@@ -2,11 +2,165 @@ import * as THREE from "three";
 
 export const interactables = [];
 
+// LED level meters (non-interactable): { id, segments: THREE.Mesh[] } - driven by main.js tick()
+export const levelMeters = [];
+
+// Single status LEDs (non-interactable, e.g. master clip) - lit with setPadLit()
+export const statusLeds = [];
+
+// Jog playhead rings (non-interactable): { deckId, segments: THREE.Mesh[] } - driven by main.js tick()
+export const jogRings = [];
+
 // Knob rotation constants (270° range, centered at 12 o'clock)
 // Offset by -90° so bypass (0.5) points up (12 o'clock) instead of right (3 o'clock)
 const KNOB_MIN_ANGLE = -Math.PI * 3 / 4 - Math.PI / 2; // -225° (7:30 position)
 const KNOB_RANGE = Math.PI * 3 / 2; // 270°
 
+// Hot cue pad colors (one per slot, like hardware performance pads)
+export const CUE_PAD_COLORS = [
+  0xff3355, 0xff8800, 0xffdd00, 0x33ff66,
+  0x00ddff, 0x3366ff, 0xaa44ff, 0xff44cc,
+];
+const PAD_OFF_COLOR = 0x2a2d33;
+
+/**
+ * Light up / dim a pad or button (cue slot filled, loop active, ...)
+ * Uses material.color so hover/active emissive effects stay independent
+ * @param {THREE.Mesh} pad - Mesh with userData.litColor
+ * @param {boolean} lit
+ */
+export function setPadLit(pad, lit) {
+  const changed = pad.userData.lit !== lit;
+  pad.userData.lit = lit;
+  pad.material.color.setHex(lit ? pad.userData.litColor : PAD_OFF_COLOR);
+  if (changed) emitControlChange(pad);
+}
+
+/**
+ * Set a knob / fader / crossfader value and move the mesh to match
+ * (value is the single source of truth for rotation / handle position)
+ * @param {THREE.Mesh} control - Mesh with userData.value
+ * @param {number} value - 0.0 - 1.0 (clamped)
+ */
+export function setControlValue(control, value) {
+  const data = control.userData;
+  value = Math.max(0, Math.min(1, value));
+  const changed = data.value !== value;
+  data.value = value;
+
+  if (data.type === "knob") {
+    control.rotation.y = KNOB_MIN_ANGLE + value * KNOB_RANGE;
+  } else if (data.type === "crossfader") {
+    control.position.x = data.minX + value * (data.maxX - data.minX);
+  } else {
+    control.position.z = data.minZ + value * (data.maxZ - data.minZ);
+  }
+
+  if (changed) emitControlChange(control);
+}
+
+/**
+ * Reset every interactable's transform from its state (session restore):
+ * value controls follow userData.value, jog platters go back to 0°
+ */
+export function resetControlTransforms() {
+  interactables.forEach(control => {
+    if (control.userData.type === "jog") {
+      control.rotation.y = 0;
+    } else if (typeof control.userData.value === "number") {
+      setControlValue(control, control.userData.value);
+    }
+  });
+}
+
+// Control state listeners (lit / value changes, whatever the source: mouse, keyboard, MIDI, sync)
+const controlChangeListeners = new Set();
+
+/**
+ * Subscribe to control state changes (setPadLit / setControlValue)
+ * @param {Function} listener - (mesh) => void
+ * @returns {Function} - Unsubscribe
+ */
+export function onControlChange(listener) {
+  controlChangeListeners.add(listener);
+  return () => controlChangeListeners.delete(listener);
+}
+
+function emitControlChange(control) {
+  controlChangeListeners.forEach(listener => listener(control));
+}
+
+// LED meter segments, bottom (toward the DJ) → top: lit when level ≥ threshold (dBFS)
+const METER_SEGMENT_DB = [-48, -42, -36, -30, -24, -18, -12, -9, -6, -3, -1, 0];
+const METER_OFF_COLOR = 0x1a1c20;
+
+/**
+ * Segment color by threshold (green → yellow → red)
+ * @param {number} db
+ * @returns {number}
+ */
+function getMeterSegmentColor(db) {
+  if (db >= -1) return 0xff2222;
+  if (db >= -6) return 0xffcc00;
+  return 0x33ff66;
+}
+
+// Jog ring: segments around the platter, lit clockwise from 12 o'clock up to the playhead
+const JOG_RING_SEGMENTS = 48;
+const JOG_RING_COLOR = 0x00ddff;
+
+/**
+ * Light a jog ring up to the playhead
+ * @param {{ segments: THREE.Mesh[] }} ring - Entry from jogRings
+ * @param {number} progress - 0.0 - 1.0 (position / track duration)
+ */
+export function setJogRingProgress(ring, progress) {
+  const litCount = Math.ceil(Math.max(0, Math.min(1, progress)) * ring.segments.length);
+
+  ring.segments.forEach((segment, i) => {
+    const lit = i < litCount;
+    if (segment.userData.lit === lit) return;
+
+    segment.userData.lit = lit;
+    segment.material.color.setHex(lit ? JOG_RING_COLOR : METER_OFF_COLOR);
+  });
+}
+
+/**
+ * Update an LED meter column
+ * @param {{ segments: THREE.Mesh[] }} meter - Entry from levelMeters
+ * @param {number} levelDb - Bar level (RMS, dBFS)
+ * @param {number} peakDb - Peak hold (dBFS), a single lit segment above the bar
+ */
+export function setMeterLevel(meter, levelDb, peakDb = levelDb) {
+  // Highest segment reached by the peak hold
+  let peakIndex = -1;
+  METER_SEGMENT_DB.forEach((db, i) => {
+    if (peakDb >= db) peakIndex = i;
+  });
+
+  meter.segments.forEach((segment, i) => {
+    const lit = levelDb >= METER_SEGMENT_DB[i] || i === peakIndex;
+    if (segment.userData.lit === lit) return;
+
+    segment.userData.lit = lit;
+    segment.material.color.setHex(lit ? segment.userData.litColor : METER_OFF_COLOR);
+  });
+}
+
+/**
+ * Stable id of an interactable, e.g. 'knob.filter.1', 'cuePad.3.2', 'jog.top.1', 'crossfader'
+ * Built from type + (controlType | action | padIndex | zone) + deckId (used by MIDI mappings)
+ * @param {Object} userData - mesh.userData
+ * @returns {string}
+ */
+export function getControlId(userData) {
+  const detail = userData.controlType ?? userData.action ?? userData.padIndex ?? userData.zone;
+  return [userData.type, detail, userData.deckId]
+    .filter(part => part !== undefined && part !== null)
+    .join(".");
+}
+
 /**
  * ARCHITECTURE PATTERN FOR INTERACTABLES:
  *
@@ -108,6 +262,41 @@ function createKnobTexture() {
   return texture;
 }
 
+/**
+ * Replace the label printed on a button (e.g. pitch range "±8" → "±16")
+ * @param {THREE.Mesh} button - Mesh created by button()
+ * @param {string} label
+ */
+export function setButtonLabel(button, label) {
+  if (button.userData.label === label) return;
+
+  button.material.map.dispose();
+  button.material.map = createButtonTexture(label);
+  button.material.needsUpdate = true;
+  button.userData.label = label;
+}
+
+// Create texture for a small button with a text label (white text, tinted by material color)
+function createButtonTexture(text) {
+  const size = 128;
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#bbbbbb";
+  ctx.fillRect(0, 0, size, size);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `bold ${text.length > 3 ? 34 : 48}px monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, size / 2, size / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+  return texture;
+}
+
 
 export function createDJController() {
   const group = new THREE.Group();
@@ -135,23 +324,26 @@ export function createDJController() {
 
   // ================= JOG =================
   /**
-   * Create a jog wheel control
+   * Create a jog wheel control: two hit zones that rotate together
+   * - ring (zone "ring"): the platter body, grabbed at its outer edge / side
+   * - top plate (zone "top"): child of the ring, touch-sensitive surface with the marker
    * @param {number} x - X position
    * @param {number} deckId - Which deck (1 or 2)
    */
   function jog(x, deckId) {
   const jogHeight = 0.15; // Taller for visibility
+  const plateHeight = 0.02;
 
-  // Create unique material for each jog
-  const jogMaterial = new THREE.MeshStandardMaterial({
-    map: jogTexture.clone(),
-    roughness: 0.4,
-    metalness: 0.6,
+  // Create unique material for each zone
+  const ringMaterial = new THREE.MeshStandardMaterial({
+    color: 0x2a2d33,
+    roughness: 0.35,
+    metalness: 0.8,
   });
 
   const j = new THREE.Mesh(
     new THREE.CylinderGeometry(0.9, 0.9, jogHeight, 48),
-    jogMaterial
+    ringMaterial
   );
 
   // No rotation - cylinder stands vertically
@@ -160,10 +352,32 @@ export function createDJController() {
 
   j.userData = {
     type: "jog",
+    zone: "ring",
     deckId: deckId
   };
   interactables.push(j);
   group.add(j);
+
+  // Top plate sits on the ring (closer to the camera: center clicks hit the plate first)
+  const plateMaterial = new THREE.MeshStandardMaterial({
+    map: jogTexture.clone(),
+    roughness: 0.4,
+    metalness: 0.6,
+  });
+
+  const plate = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.72, 0.72, plateHeight, 48),
+    plateMaterial
+  );
+  plate.position.y = jogHeight / 2 + plateHeight / 2;
+
+  plate.userData = {
+    type: "jog",
+    zone: "top",
+    deckId: deckId
+  };
+  interactables.push(plate);
+  j.add(plate);
 }
 
 
@@ -171,15 +385,51 @@ export function createDJController() {
   jog(-2.1, 1); // Left jog - Deck 1
   jog(2.1, 2);  // Right jog - Deck 2
 
+  /**
+   * Create the playhead ring of a jog: display-only LED segments over the ring zone, between
+   * the top plate and the edge (not parented: they stay still while the platter spins)
+   * Segments run clockwise like the platter, unique material each (lit state)
+   * @param {number} x - X position of the jog center
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function jogRing(x, deckId) {
+    const radius = 0.81;
+    const y = surfaceY + 0.15 + 0.01; // Ring top face (jog height 0.15)
+    const segments = Array.from({ length: JOG_RING_SEGMENTS }, (_, i) => {
+      const angle = ((i + 0.5) / JOG_RING_SEGMENTS) * Math.PI * 2; // 0 = 12 o'clock (away from the DJ)
+      const segment = new THREE.Mesh(
+        new THREE.BoxGeometry(0.075, 0.02, 0.05),
+        new THREE.MeshStandardMaterial({
+          color: METER_OFF_COLOR,
+          emissive: JOG_RING_COLOR,
+          emissiveIntensity: 0.08,
+          roughness: 0.4,
+          metalness: 0.1,
+        })
+      );
+      segment.position.set(x + Math.sin(angle) * radius, y, -0.6 - Math.cos(angle) * radius);
+      segment.rotation.y = -angle; // Long side along the circle
+      segment.userData = { lit: false };
+      group.add(segment);
+      return segment;
+    });
+
+    jogRings.push({ deckId, segments });
+  }
+
+  jogRing(-2.1, 1);
+  jogRing(2.1, 2);
+
   // ================= KNOB =================
   /**
    * Create a knob control
    * @param {number} x - X position
    * @param {number} z - Z position
-   * @param {string} controlType - What this knob controls ('filter', 'eqLow', 'eqHigh')
-   * @param {number} deckId - Which deck (1 or 2)
+   * @param {string} controlType - What this knob controls ('filter', 'eqLow', 'eqHigh', 'fxMix', 'fxParam', 'cueMix', 'masterVolume')
+   * @param {number|null} deckId - Which deck (1 or 2), null for mixer-wide knobs
+   * @param {number} [value=0.5] - Initial value (0-1)
    */
-  function knob(x, z, controlType, deckId) {
+  function knob(x, z, controlType, deckId, value = 0.5) {
     const knobHeight = 0.25; // Taller for better visibility and grip
 
     // Create unique material for each knob
@@ -203,9 +453,9 @@ export function createDJController() {
     // Each knob has its own independent control type
     k.userData = {
       type: "knob",
-      controlType: controlType,  // 'filter', 'eqLow', 'eqHigh'
-      deckId: deckId,             // 1 or 2
-      value: 0.5, // Start at neutral/bypass position (centered)
+      controlType: controlType,  // 'filter', 'eqLow', 'eqHigh', 'fxMix', 'fxParam', 'cueMix', 'masterVolume'
+      deckId: deckId,             // 1 or 2 (null = mixer)
+      value: value, // Default: neutral/bypass position (centered)
     };
 
     // Set initial rotation from value
@@ -265,6 +515,7 @@ export function createDJController() {
       deckId: deckId,        // 1 or 2
       minZ: 0.3,
       maxZ: 1.5,
+      value: 0.5,            // Handle position (0 = minZ, 1 = maxZ)
     };
 
     interactables.push(handle);
@@ -328,5 +579,324 @@ export function createDJController() {
 
   crossfader();
 
+  // ================= HOT CUE PADS =================
+  /**
+   * Create a row of hot cue performance pads (4 x 2 grid)
+   * @param {number} x - X position of the grid center
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function cuePads(x, deckId) {
+    const padHeight = 0.06;
+    const padSize = 0.36;
+    const spacing = 0.44;
+
+    for (let padIndex = 0; padIndex < CUE_PAD_COLORS.length; padIndex++) {
+      const col = padIndex % 4;
+      const row = Math.floor(padIndex / 4);
+
+      // Unique material per pad (lit state + hover effects)
+      const padMat = new THREE.MeshStandardMaterial({
+        color: PAD_OFF_COLOR,
+        roughness: 0.8,
+        metalness: 0.1,
+      });
+
+      const pad = new THREE.Mesh(
+        new THREE.BoxGeometry(padSize, padHeight, padSize),
+        padMat
+      );
+      pad.position.set(
+        x + (col - 1.5) * spacing,
+        surfaceY + padHeight / 2,
+        0.85 + row * spacing
+      );
+
+      pad.userData = {
+        type: "cuePad",
+        deckId: deckId,          // 1 or 2
+        padIndex: padIndex,      // 0 - 7 (hot cue slot)
+        litColor: CUE_PAD_COLORS[padIndex],
+        lit: false,
+      };
+
+      interactables.push(pad);
+      group.add(pad);
+    }
+  }
+
+  cuePads(-2.1, 1); // Under left jog - Deck 1
+  cuePads(2.1, 2);  // Under right jog - Deck 2
+
+  // ================= BUTTON =================
+  /**
+   * Create a small labeled button (top face shows the label)
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @param {Object} userData - Must include type (and deckId for deck buttons)
+   * @param {string} label - Text printed on the button
+   * @param {number} litColor - Color when lit (setPadLit)
+   */
+  function button(x, z, userData, label, litColor) {
+    const buttonHeight = 0.05;
+
+    // Unique material per button (lit state + hover effects)
+    const buttonMat = new THREE.MeshStandardMaterial({
+      map: createButtonTexture(label),
+      color: PAD_OFF_COLOR,
+      roughness: 0.7,
+      metalness: 0.2,
+    });
+
+    const b = new THREE.Mesh(
+      new THREE.BoxGeometry(0.26, buttonHeight, 0.2),
+      buttonMat
+    );
+    b.position.set(x, surfaceY + buttonHeight / 2, z);
+
+    b.userData = {
+      ...userData,
+      label: label,
+      litColor: litColor,
+      lit: false,
+    };
+
+    interactables.push(b);
+    group.add(b);
+    return b;
+  }
+
+  // ================= LOOP CONTROLS =================
+  /**
+   * Create a row of loop buttons between jog and cue pads
+   * @param {number} x - X position of the row center
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function loopControls(x, deckId) {
+    const loopButtons = [
+      { action: "loopIn", label: "IN" },
+      { action: "loopOut", label: "OUT" },
+      { action: "autoLoop", label: "LOOP" },
+      { action: "halve", label: "1/2" },
+      { action: "double", label: "x2" },
+      { action: "roll", label: "ROLL" },
+    ];
+    const spacing = 0.3;
+
+    loopButtons.forEach(({ action, label }, i) => {
+      button(
+        x + (i - (loopButtons.length - 1) / 2) * spacing,
+        0.47,
+        { type: "loopButton", action: action, deckId: deckId },
+        label,
+        0x33ff66
+      );
+    });
+  }
+
+  loopControls(-2.1, 1);
+  loopControls(2.1, 2);
+
+  // ================= SYNC =================
+  // Outer edge, next to the loop row (lit while tempo is locked to the other deck)
+  button(-3.2, 0.47, { type: "syncButton", deckId: 1 }, "SYNC", 0x00ddff);
+  button(3.2, 0.47, { type: "syncButton", deckId: 2 }, "SYNC", 0x00ddff);
+
+  // ================= PITCH FADER =================
+  /**
+   * Create a vertical pitch (tempo) fader on the outer edge of a deck
+   * value: 0.5 = 0%, 1.0 (toward the DJ) = +range, 0.0 = -range
+   * @param {number} x - X position
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function pitchFader(x, deckId) {
+    const centerZ = -0.65;
+    const minZ = -1.35;
+    const maxZ = 0.05;
+
+    // Track material (non-interactable)
+    const trackMat = new THREE.MeshStandardMaterial({
+      color: 0x555555,
+      roughness: 0.7,
+      metalness: 0.3,
+    });
+
+    const track = new THREE.Mesh(
+      new THREE.BoxGeometry(0.1, 0.05, maxZ - minZ + 0.1),
+      trackMat
+    );
+    track.position.set(x, surfaceY - 0.02, centerZ);
+    group.add(track);
+
+    // Center detent mark (0%)
+    const detent = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.01, 0.02),
+      new THREE.MeshStandardMaterial({ color: 0x00ddff })
+    );
+    detent.position.set(x, surfaceY + 0.005, centerZ);
+    group.add(detent);
+
+    // Handle material - unique for each pitch fader handle (interactable)
+    const handleMat = new THREE.MeshStandardMaterial({
+      color: 0x99aabb,
+      roughness: 0.5,
+      metalness: 0.6,
+    });
+
+    const handle = new THREE.Mesh(
+      new THREE.BoxGeometry(0.24, 0.08, 0.14),
+      handleMat
+    );
+    handle.position.set(x, surfaceY + 0.02, centerZ);
+
+    handle.userData = {
+      type: "pitchFader",
+      deckId: deckId,  // 1 or 2
+      minZ: minZ,
+      maxZ: maxZ,
+      value: 0.5,      // Center = 0% tempo change
+    };
+
+    interactables.push(handle);
+    group.add(handle);
+  }
+
+  pitchFader(-3.25, 1);
+  pitchFader(3.25, 2);
+
+  // Pitch range (cycles ±8 / ±16 / ±50) and key lock, above the pitch faders
+  button(-3.3, -1.62, { type: "pitchRange", deckId: 1 }, "±8", 0x99aabb);
+  button(-2.98, -1.62, { type: "keyLock", deckId: 1 }, "KEY", 0xffaa00);
+  button(3.3, -1.62, { type: "pitchRange", deckId: 2 }, "±8", 0x99aabb);
+  button(2.98, -1.62, { type: "keyLock", deckId: 2 }, "KEY", 0xffaa00);
+
+  // Jog mode (cycles VINYL / NUDGE / SEARCH, lit in vinyl mode), behind the jog
+  button(-2.62, -1.62, { type: "jogMode", deckId: 1 }, "VINYL", 0x33ff66);
+  button(2.62, -1.62, { type: "jogMode", deckId: 2 }, "VINYL", 0x33ff66);
+
+  // ================= FX UNIT =================
+  /**
+   * Create a deck's FX unit: dry/wet knob, parameter knob, on/off and effect select
+   * Sits between the jogs at the back of the controller
+   * @param {number} x - X position of the unit center
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function fxUnit(x, deckId) {
+    knob(x - 0.17, -1.2, 'fxMix', deckId);   // Dry/wet
+    knob(x + 0.17, -1.2, 'fxParam', deckId); // Effect parameter (time, decay, rate...)
+
+    button(x - 0.17, -0.85, { type: "fxButton", deckId: deckId }, "FX", 0xff3355);
+    button(x + 0.17, -0.85, { type: "fxSelect", deckId: deckId }, "ECHO", 0xaa44ff);
+  }
+
+  fxUnit(-0.72, 1);
+  fxUnit(0.72, 2);
+
+  // ================= LEVEL METERS =================
+  /**
+   * Create a segmented LED meter column (bottom toward the DJ)
+   * Segments are display-only: not interactable, unique material each (lit state)
+   * @param {number} x - X position
+   * @param {string} id - Meter id ('deck1', 'deck2', 'masterL', 'masterR')
+   */
+  function ledMeter(x, id) {
+    const bottomZ = 1.45;
+    const spacing = 0.085;
+    const segments = METER_SEGMENT_DB.map((db, i) => {
+      const segment = new THREE.Mesh(
+        new THREE.BoxGeometry(0.08, 0.02, 0.06),
+        new THREE.MeshStandardMaterial({
+          color: METER_OFF_COLOR,
+          emissive: getMeterSegmentColor(db),
+          emissiveIntensity: 0.08,
+          roughness: 0.4,
+          metalness: 0.1,
+        })
+      );
+      segment.position.set(x, surfaceY + 0.01, bottomZ - i * spacing);
+      segment.userData = { litColor: getMeterSegmentColor(db), lit: false };
+      group.add(segment);
+      return segment;
+    });
+
+    levelMeters.push({ id, segments });
+  }
+
+  // Center strip between the channel faders: deck A | master L R | deck B
+  ledMeter(-0.24, 'deck1');
+  ledMeter(-0.06, 'masterL');
+  ledMeter(0.06, 'masterR');
+  ledMeter(0.24, 'deck2');
+
+  // ================= HEADPHONE CUE =================
+  // PFL buttons above the channel faders (send the deck to the headphones)
+  button(-0.5, 0.1, { type: "pflButton", deckId: 1 }, "CUE", 0xffcc00);
+  button(0.5, 0.1, { type: "pflButton", deckId: 2 }, "CUE", 0xffcc00);
+
+  // Headphone mix (center strip): 0 = cue only, 1 = master only
+  knob(0, -0.2, 'cueMix', null);
+
+  // ================= MASTER SECTION =================
+  // Center strip, behind the headphone mix: master volume, clip LED, limiter
+  knob(0, -0.55, 'masterVolume', null, 0.7);
+
+  const clipLed = new THREE.Mesh(
+    new THREE.BoxGeometry(0.14, 0.02, 0.06),
+    new THREE.MeshStandardMaterial({
+      color: PAD_OFF_COLOR,
+      emissive: 0xff2222,
+      emissiveIntensity: 0.08,
+      roughness: 0.4,
+      metalness: 0.1,
+    })
+  );
+  clipLed.position.set(0, surfaceY + 0.01, -0.82);
+  clipLed.userData = { id: "masterClip", litColor: 0xff2222, lit: false };
+  statusLeds.push(clipLed);
+  group.add(clipLed);
+
+  // Click = limiter on/off, Shift+click = next ceiling (label shows the ceiling)
+  button(0, -1.05, { type: "limiterButton", deckId: null }, "-1.0", 0x33ddff);
+
+  // Mix recorder: click = start/stop, Shift+click = pause (blinks while paused)
+  button(0, -1.3, { type: "recordButton", deckId: null }, "REC", 0xff2222);
+
+  // ================= TRANSPORT =================
+  // Play / pause, outer corner next to the cue pads
+  button(-3.25, 1.29, { type: "playButton", deckId: 1 }, "PLAY", 0x33ff66);
+  button(3.25, 1.29, { type: "playButton", deckId: 2 }, "PLAY", 0x33ff66);
+
+  /**
+   * Create a deck's stop effect buttons in front of the cue pads
+   * BRAKE (Shift+click = brake time), SPIN (spinback), POWER (off / on, lit while the motor runs)
+   * @param {number} x - X position of the row center
+   * @param {number} deckId - Which deck (1 or 2)
+   */
+  function stopEffects(x, deckId) {
+    const stopButtons = [
+      { action: "brake", label: "BRAKE" },
+      { action: "spinback", label: "SPIN" },
+      { action: "power", label: "POWER" },
+    ];
+    const spacing = 0.3;
+
+    stopButtons.forEach(({ action, label }, i) => {
+      button(
+        x + (i - (stopButtons.length - 1) / 2) * spacing,
+        1.62,
+        { type: "stopEffect", action: action, deckId: deckId },
+        label,
+        0xff8800
+      );
+    });
+  }
+
+  stopEffects(-2.1, 1);
+  stopEffects(2.1, 2);
+
+  // Stable ids for external mappings (MIDI)
+  interactables.forEach(mesh => {
+    mesh.userData.controlId = getControlId(mesh.userData);
+  });
+
   return group;
 }
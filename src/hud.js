@@ -8,7 +8,7 @@
  * - Auto-hide timer yönetimi
  *
  * API:
- * - show({ object3D, label, value, camera })
+ * - show({ object3D, label, value, camera, image })
  * - update(value)
  * - hide()
  */
@@ -18,6 +18,7 @@ import * as THREE from 'three';
 class HUD {
   constructor() {
     this.container = null;
+    this.coverElement = null;
     this.labelElement = null;
     this.valueElement = null;
 
@@ -40,10 +41,14 @@ class HUD {
     this.container = document.createElement('div');
     this.container.className = 'hud-overlay';
     this.container.innerHTML = `
-      <div class="hud-label"></div>
-      <div class="hud-value"></div>
+      <img class="hud-cover" alt="">
+      <div class="hud-text">
+        <div class="hud-label"></div>
+        <div class="hud-value"></div>
+      </div>
     `;
 
+    this.coverElement = this.container.querySelector('.hud-cover');
     this.labelElement = this.container.querySelector('.hud-label');
     this.valueElement = this.container.querySelector('.hud-value');
 
@@ -57,8 +62,9 @@ class HUD {
    * @param {string} options.label - Control adı (örn: "Jog Wheel")
    * @param {string} options.value - Mevcut değer (örn: "1.2x")
    * @param {THREE.Camera} options.camera - Scene kamerası
+   * @param {string|null} [options.image] - Kapak resmi URL'i (track kontrolleri)
    */
-  show({ object3D, label, value, camera }) {
+  show({ object3D, label, value, camera, image = null }) {
     // Clear any pending hide timeout
     if (this.hideTimeout) {
       clearTimeout(this.hideTimeout);
@@ -71,6 +77,12 @@ class HUD {
     // Update content
     this.labelElement.textContent = label;
     this.valueElement.textContent = value;
+    if (image) {
+      if (this.coverElement.getAttribute('src') !== image) this.coverElement.src = image;
+      this.coverElement.style.display = '';
+    } else {
+      this.coverElement.style.display = 'none';
+    }
 
     // Update position
     this._updatePosition();
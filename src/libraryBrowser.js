@@ -0,0 +1,748 @@
+/**
+ * LIBRARY BROWSER - Track kütüphanesi paneli
+ *
+ * Sorumluluklar:
+ * - Arama: title + artist (büyük / küçük harf duyarsız, her kelime eşleşmeli)
+ * - Sıralama: playlist sırası, eklenme tarihi, title, artist, BPM, key (Camelot sırası), süre
+ * - Filtre: kaynak (preset / upload), genre
+ * - Görünüm: tüm library veya bir playlist / crate (oluşturma, yeniden adlandırma, silme,
+ *   entry ekleme / çıkarma / sıralama, M3U / M3U8 import / export)
+ * - Rekordbox collection.xml ve Serato .crate import (eşleşmeyen entry'ler alt satırda + console'da)
+ * - Sanal liste: sadece görünen satırlar DOM'da, binlerce track'te de akıcı
+ * - Alt satır: sonuç sayısı, depolama kullanımı veya hata mesajı
+ *
+ * Deck'leri bilmez: "Load to A / B", upload silme ve import sonrası deck güncellemesi callback'lerle
+ * main.js'e gider (assignTrackToDeck)
+ * queryTracks() saf fonksiyon: DOM'suz kullanılabilir
+ */
+
+import { TrackSource, PlaylistKind } from './audio/trackLibrary';
+import { decodePlaylistText, pathToName } from './audio/m3u';
+import { seratoCrateName } from './audio/djImport';
+import { downloadBlob } from './audio/download';
+
+// Sanal liste: sabit satır yüksekliği (px) ve görünen alanın dışında çizilen satırlar
+const ROW_HEIGHT = 28;
+const OVERSCAN_ROWS = 6;
+const LIST_HEIGHT = 220;
+
+// Görünüm: tüm track'ler (diğer değerler playlist ID'si)
+const LIBRARY_VIEW = 'library';
+
+// Müzikal ton → Camelot (minör = A, majör = B)
+const CAMELOT_MINOR = {
+  'G#': 1, 'Ab': 1, 'D#': 2, 'Eb': 2, 'A#': 3, 'Bb': 3, 'F': 4, 'C': 5, 'G': 6,
+  'D': 7, 'A': 8, 'E': 9, 'B': 10, 'F#': 11, 'Gb': 11, 'C#': 12, 'Db': 12
+};
+const CAMELOT_MAJOR = {
+  'B': 1, 'Cb': 1, 'F#': 2, 'Gb': 2, 'C#': 3, 'Db': 3, 'G#': 4, 'Ab': 4, 'D#': 5, 'Eb': 5,
+  'A#': 6, 'Bb': 6, 'F': 7, 'C': 8, 'G': 9, 'D': 10, 'A': 11, 'E': 12
+};
+
+/**
+ * Key tag'ini Camelot notasyonuna çevir
+ * Desteklenen: Camelot ('8A'), Open Key ('1m', '1d'), müzikal ('Am', 'A minor', 'C#', 'Dbmaj')
+ * @param {string|null} key
+ * @returns {string|null} - '8A', '12B' veya tanınmıyorsa null
+ */
+export function keyToCamelot(key) {
+  if (!key) return null;
+  const text = key.trim().replace(/♯/g, '#').replace(/♭/g, 'b');
+
+  let match = text.match(/^(\d{1,2})\s*([AB])$/i);
+  if (match && match[1] >= 1 && match[1] <= 12) return `${Number(match[1])}${match[2].toUpperCase()}`;
+
+  // Open Key: 1d = C majör (8B), 1m = A minör (8A)
+  match = text.match(/^(\d{1,2})\s*([dm])$/i);
+  if (match && match[1] >= 1 && match[1] <= 12) {
+    return `${((Number(match[1]) + 6) % 12) + 1}${match[2].toLowerCase() === 'm' ? 'A' : 'B'}`;
+  }
+
+  match = text.match(/^([A-Ga-g])([#b]?)\s*(m|min|minor|maj|major)?$/);
+  if (!match) return null;
+  const note = match[1].toUpperCase() + match[2];
+  const isMinor = match[3] === 'm' || match[3] === 'min' || match[3] === 'minor';
+  const number = isMinor ? CAMELOT_MINOR[note] : CAMELOT_MAJOR[note];
+  return number ? `${number}${isMinor ? 'A' : 'B'}` : null;
+}
+
+/**
+ * Camelot sırası: 1A, 1B, 2A, 2B, ...
+ * @param {string|null} key
+ * @returns {number|null}
+ */
+function keySortValue(key) {
+  const camelot = keyToCamelot(key);
+  if (!camelot) return null;
+  return parseInt(camelot, 10) * 2 + (camelot.endsWith('B') ? 1 : 0);
+}
+
+/**
+ * Sıralama alanları (label: select'te görünen)
+ */
+export const SORT_FIELDS = {
+  position: { label: 'Order', value: track => track.position }, // Playlist sırası / library'ye giriş sırası
+  addedAt: { label: 'Date added', value: track => track.addedAt || null },
+  name: { label: 'Title', value: track => track.name },
+  artist: { label: 'Artist', value: track => track.artist },
+  bpm: { label: 'BPM', value: track => track.bpm },
+  key: { label: 'Key', value: track => keySortValue(track.key) },
+  duration: { label: 'Duration', value: track => track.duration }
+};
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * İki değeri karşılaştır: boş değerler yön ne olursa olsun sonda
+ */
+function compareValues(a, b, descending) {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+
+  const result = typeof a === 'string' ? collator.compare(a, b) : a - b;
+  return descending ? -result : result;
+}
+
+/**
+ * @typedef {Object} LibraryQuery
+ * @property {string} search - Title / artist araması
+ * @property {string} sortBy - SORT_FIELDS anahtarı
+ * @property {boolean} descending
+ * @property {string} source - 'all' veya TrackSource değeri
+ * @property {string} genre - 'all' veya genre adı
+ * @property {string} view - 'library' veya playlist ID (sadece LibraryBrowser)
+ */
+
+/**
+ * Track listesini filtrele ve sırala
+ * @param {Array<Object>} tracks - trackLibrary.getTracks()
+ * @param {Partial<LibraryQuery>} [query]
+ * @returns {Array<Object>} - Yeni dizi (girdi değişmez)
+ */
+export function queryTracks(tracks, {
+  search = '',
+  sortBy = 'position',
+  descending = false,
+  source = 'all',
+  genre = 'all'
+} = {}) {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const result = tracks.filter(track => {
+    if (source !== 'all' && track.sourceType !== source) return false;
+    if (genre !== 'all' && track.genre !== genre) return false;
+    if (!words.length) return true;
+
+    const text = `${track.name} ${track.artist || ''}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+
+  const getValue = (SORT_FIELDS[sortBy] || SORT_FIELDS.position).value;
+  return result.sort((a, b) =>
+    compareValues(getValue(a), getValue(b), descending) || collator.compare(a.name, b.name));
+}
+
+/**
+ * Süre: 225.4 → "3:45"
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (!seconds) return '--:--';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * Byte: 52428800 → "50.0 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(1)} GB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+/**
+ * Gizli file input (butonla açılır), seçim sonrası sıfırlanır: aynı dosya tekrar seçilebilir
+ * @param {string} accept
+ * @param {boolean} multiple
+ * @param {Function} onFiles - (Array<File>) => void
+ * @returns {HTMLInputElement}
+ */
+function createFileInput(accept, multiple, onFiles) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.multiple = multiple;
+  input.style.display = 'none';
+  input.onchange = e => {
+    const files = Array.from(e.target.files);
+    input.value = '';
+    if (files.length) onFiles(files);
+  };
+  return input;
+}
+
+const CONTROL_STYLE = `
+  padding: 3px;
+  background: rgba(100, 180, 255, 0.1);
+  border: 1px solid rgba(100, 180, 255, 0.4);
+  color: white;
+  border-radius: 3px;
+  font-family: monospace;
+  font-size: 11px;
+`;
+
+export class LibraryBrowser {
+  /**
+   * @param {Object} options
+   * @param {Object} options.library - trackLibrary (getTracks, getPlaylists, playlist metodları, onChange, getStorageUsage)
+   * @param {Function} options.onLoad - (deckId, trackId) => void
+   * @param {Function} options.onDelete - (trackId, name) => void (sadece upload'lar)
+   * @param {Function} [options.onImport] - () => void, Rekordbox import'u deck'teki track'lerin grid / cue'larını değiştirmiş olabilir
+   */
+  constructor({ library, onLoad, onDelete, onImport = () => {} }) {
+    this.library = library;
+    this.onLoad = onLoad;
+    this.onDelete = onDelete;
+    this.onImport = onImport;
+
+    /** @type {LibraryQuery} */
+    this.query = { search: '', sortBy: 'position', descending: false, source: 'all', genre: 'all', view: LIBRARY_VIEW };
+
+    this.tracks = [];     // Tüm track'ler (getTracks snapshot)
+    this.playlists = [];  // getPlaylists snapshot
+    this.results = [];    // Görünümün filtrelenmiş + sıralanmış entry'leri (position = görünümdeki sıra)
+    this.message = null;  // Alt satırda kullanım yerine gösterilen mesaj
+    this.messageIsError = false;
+    this.addTargetId = null; // "+" butonunun eklediği playlist
+    this.framePending = false;
+    this.needsQuery = false;
+
+    this.element = this._createDOMElements();
+    this.library.onChange(() => this.refresh());
+    this.refresh();
+  }
+
+  /**
+   * Panel DOM'u (main.js track selector'a eklenir)
+   * @returns {HTMLElement}
+   */
+  _createDOMElements() {
+    const element = document.createElement('div');
+    element.innerHTML = `
+      <div style="display: flex; gap: 4px; margin-bottom: 4px;">
+        <select class="library-view" style="flex: 1; min-width: 0; ${CONTROL_STYLE}"></select>
+        <select class="library-target" title="Playlist / crate for the + buttons" style="flex: 1; min-width: 0; ${CONTROL_STYLE}"></select>
+      </div>
+      <div class="library-playlist-actions" style="display: flex; gap: 4px; margin-bottom: 4px;"></div>
+      <div class="library-import-actions" style="display: flex; gap: 4px; margin-bottom: 4px;"></div>
+      <div style="display: flex; gap: 4px; margin-bottom: 4px;">
+        <input class="library-search" type="search" placeholder="Search title / artist" style="flex: 1; min-width: 0; ${CONTROL_STYLE}">
+      </div>
+      <div style="display: flex; gap: 4px; margin-bottom: 4px;">
+        <select class="library-sort" style="flex: 1; min-width: 0; ${CONTROL_STYLE}"></select>
+        <button class="library-direction" title="Sort direction" style="cursor: pointer; ${CONTROL_STYLE}">▲</button>
+        <select class="library-source" style="flex: 1; min-width: 0; ${CONTROL_STYLE}">
+          <option value="all">All sources</option>
+          <option value="${TrackSource.PRESET}">Presets</option>
+          <option value="${TrackSource.USER_UPLOAD}">Uploads</option>
+        </select>
+        <select class="library-genre" style="flex: 1; min-width: 0; ${CONTROL_STYLE}"></select>
+      </div>
+      <div class="library-list" style="position: relative; height: ${LIST_HEIGHT}px; overflow-y: auto; border: 1px solid rgba(100, 180, 255, 0.2); border-radius: 4px;">
+        <div class="library-spacer" style="position: relative;"></div>
+      </div>
+      <div class="library-status" style="color: #aaa; margin-top: 4px;"></div>
+    `;
+
+    this.viewSelect = element.querySelector('.library-view');
+    this.targetSelect = element.querySelector('.library-target');
+    this.searchInput = element.querySelector('.library-search');
+    this.sortSelect = element.querySelector('.library-sort');
+    this.directionButton = element.querySelector('.library-direction');
+    this.sourceSelect = element.querySelector('.library-source');
+    this.genreSelect = element.querySelector('.library-genre');
+    this.listElement = element.querySelector('.library-list');
+    this.spacerElement = element.querySelector('.library-spacer');
+    this.statusElement = element.querySelector('.library-status');
+
+    Object.entries(SORT_FIELDS).forEach(([value, { label }]) => {
+      this.sortSelect.add(new Option(label, value));
+    });
+
+    this.searchInput.addEventListener('input', () => this._setQuery({ search: this.searchInput.value }));
+    this.sortSelect.addEventListener('change', () => this._setQuery({ sortBy: this.sortSelect.value }));
+    this.sourceSelect.addEventListener('change', () => this._setQuery({ source: this.sourceSelect.value }));
+    this.genreSelect.addEventListener('change', () => this._setQuery({ genre: this.genreSelect.value }));
+    this.directionButton.addEventListener('click', () => {
+      this._setQuery({ descending: !this.query.descending });
+      this.directionButton.textContent = this.query.descending ? '▼' : '▲';
+    });
+    this.viewSelect.addEventListener('change', () => this._setView(this.viewSelect.value));
+    this.targetSelect.addEventListener('change', () => {
+      this.addTargetId = this.targetSelect.value || null;
+      this._scheduleRender(false);
+    });
+
+    this._createPlaylistActions(element.querySelector('.library-playlist-actions'));
+    this._createImportActions(element.querySelector('.library-import-actions'));
+
+    // Klavye kısayolları (Space, Z/X, ...) arama kutusunda tetiklenmesin
+    this.searchInput.addEventListener('keydown', e => e.stopPropagation());
+
+    this.listElement.addEventListener('scroll', () => this._scheduleRender(false));
+
+    // Satır butonları: tek listener (satırlar her render'da yeniden oluşur)
+    this.listElement.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      const track = button && this.results[Number(button.dataset.index)];
+      if (!track) return;
+
+      const view = this.query.view;
+      switch (button.dataset.action) {
+        case 'loadA':
+          this.onLoad(1, track.id);
+          break;
+        case 'loadB':
+          this.onLoad(2, track.id);
+          break;
+        case 'add': {
+          const added = this.library.addToPlaylist(this.addTargetId, track.id);
+          const target = this.library.getPlaylist(this.addTargetId);
+          this.setMessage(added ? `Added to "${target.name}"` : `Already in "${target.name}"`, false);
+          break;
+        }
+        case 'up':
+          this.library.moveEntry(view, track.position, track.position - 1);
+          break;
+        case 'down':
+          this.library.moveEntry(view, track.position, track.position + 1);
+          break;
+        case 'removeEntry':
+          this.library.removeFromPlaylist(view, track.position);
+          break;
+        case 'delete':
+          this.onDelete(track.id, track.name);
+          break;
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * Playlist butonları: yeni playlist / crate, yeniden adlandır, sil, M3U import / export
+   * @param {HTMLElement} container
+   */
+  _createPlaylistActions(container) {
+    const importInput = createFileInput('.m3u,.m3u8,audio/x-mpegurl,application/vnd.apple.mpegurl', false, ([file]) => this._importM3U(file));
+    container.appendChild(importInput);
+
+    const actions = [
+      { text: '+ List', title: 'New playlist', onclick: () => this._createPlaylist(PlaylistKind.PLAYLIST) },
+      { text: '+ Crate', title: 'New crate', onclick: () => this._createPlaylist(PlaylistKind.CRATE) },
+      { text: '✎', title: 'Rename', needsPlaylist: true, onclick: () => this._renamePlaylist() },
+      { text: '🗑', title: 'Delete playlist / crate', needsPlaylist: true, onclick: () => this._deletePlaylist() },
+      { text: '⤓ M3U', title: 'Import M3U / M3U8', onclick: () => importInput.click() },
+      { text: '⤒ M3U', title: 'Export as M3U8', needsPlaylist: true, onclick: () => this._exportM3U() }
+    ];
+
+    this.playlistButtons = actions.map(({ text, title, needsPlaylist, onclick }) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.style.cssText = `flex: 1; cursor: pointer; ${CONTROL_STYLE}`;
+      button.onclick = onclick;
+      button.dataset.needsPlaylist = needsPlaylist ? 'true' : '';
+      container.appendChild(button);
+      return button;
+    });
+  }
+
+  _createPlaylist(kind) {
+    const name = prompt(kind === PlaylistKind.CRATE ? 'Crate name' : 'Playlist name');
+    if (!name || !name.trim()) return;
+
+    const playlist = this.library.createPlaylist(name, kind);
+    this.addTargetId = playlist.id;
+    this._setView(playlist.id);
+  }
+
+  _renamePlaylist() {
+    const playlist = this.library.getPlaylist(this.query.view);
+    const name = playlist && prompt('New name', playlist.name);
+    if (name) this.library.renamePlaylist(playlist.id, name);
+  }
+
+  _deletePlaylist() {
+    const playlist = this.library.getPlaylist(this.query.view);
+    if (!playlist || !confirm(`Delete ${playlist.kind} "${playlist.name}"? Tracks stay in the library.`)) return;
+
+    this.library.deletePlaylist(playlist.id);
+    this._setView(LIBRARY_VIEW);
+  }
+
+  /**
+   * M3U / M3U8 dosyasını playlist olarak içe aktar, eşleşmeyen entry'leri raporla
+   * @param {File} file
+   */
+  async _importM3U(file) {
+    try {
+      const text = decodePlaylistText(await file.arrayBuffer());
+      const { playlist, unmatched } = this.library.importM3U(text, { name: pathToName(file.name) });
+      this._setView(playlist.id);
+      this.setMessage(
+        `Imported "${playlist.name}": ${playlist.trackIds.length} tracks` +
+          (unmatched.length ? `, ${unmatched.length} not in library (see console)` : ''),
+        unmatched.length > 0
+      );
+    } catch (error) {
+      console.error('M3U import failed:', error);
+      this.setMessage(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * DJ yazılımı import butonları: Rekordbox XML, Serato crate'leri (birden fazla seçilebilir)
+   * @param {HTMLElement} container
+   */
+  _createImportActions(container) {
+    const rekordboxInput = createFileInput('.xml,application/xml,text/xml', false, ([file]) => this._importRekordbox(file));
+    const seratoInput = createFileInput('.crate', true, files => this._importSeratoCrates(files));
+
+    [
+      { text: '⤓ Rekordbox XML', title: 'Import tempo, beat grids, hot cues and playlists from a Rekordbox collection.xml', input: rekordboxInput },
+      { text: '⤓ Serato crates', title: 'Import .crate files from _Serato_/Subcrates (cues and grids are read from the audio files on upload)', input: seratoInput }
+    ].forEach(({ text, title, input }) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.style.cssText = `flex: 1; cursor: pointer; ${CONTROL_STYLE}`;
+      button.onclick = () => input.click();
+      container.appendChild(input);
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Rekordbox collection.xml: eşleşen track'lere grid / hot cue, playlist'ler oluşturulur
+   * @param {File} file
+   */
+  async _importRekordbox(file) {
+    try {
+      const { matched, unmatched, playlists, skippedPlaylists } = this.library.importRekordbox(await file.text());
+      if (playlists.length) this._setView(playlists[0].id);
+      if (skippedPlaylists.length) {
+        console.warn(`Rekordbox playlists without library tracks: ${skippedPlaylists.join(', ')}`);
+      }
+
+      this.setMessage(
+        `Rekordbox: ${matched} tracks updated, ${playlists.length} playlists` +
+          (unmatched.length ? `, ${unmatched.length} tracks not in library (see console)` : '') +
+          (skippedPlaylists.length ? `, ${skippedPlaylists.length} empty playlists skipped` : ''),
+        unmatched.length > 0 || matched === 0
+      );
+      if (matched) this.onImport();
+    } catch (error) {
+      console.error('Rekordbox import failed:', error);
+      this.setMessage(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Serato .crate dosyaları: her biri bir crate (alt crate'ler "Parent / Child")
+   * @param {Array<File>} files
+   */
+  async _importSeratoCrates(files) {
+    let imported = 0;
+    let tracks = 0;
+    let unmatchedCount = 0;
+    let lastPlaylist = null;
+
+    for (const file of files) {
+      try {
+        const { playlist, unmatched } = this.library.importSeratoCrate(await file.arrayBuffer(), seratoCrateName(file.name));
+        imported++;
+        tracks += playlist.trackIds.length;
+        unmatchedCount += unmatched.length;
+        lastPlaylist = playlist;
+      } catch (error) {
+        console.error(`Serato crate import failed (${file.name}):`, error);
+      }
+    }
+
+    if (lastPlaylist) this._setView(lastPlaylist.id);
+    const failed = files.length - imported;
+    this.setMessage(
+      `Serato: ${imported} crates, ${tracks} tracks` +
+        (unmatchedCount ? `, ${unmatchedCount} not in library (see console)` : '') +
+        (failed ? `, ${failed} files not readable` : ''),
+      unmatchedCount > 0 || failed > 0
+    );
+  }
+
+  _exportM3U() {
+    const playlist = this.library.getPlaylist(this.query.view);
+    if (!playlist) return;
+
+    downloadBlob(new Blob([this.library.exportM3U(playlist.id)], { type: 'audio/x-mpegurl' }), `${playlist.name}.m3u8`);
+  }
+
+  /**
+   * Görünümü değiştir: library veya playlist
+   * @param {string} view
+   */
+  _setView(view) {
+    this.query.view = this.library.getPlaylist(view) ? view : LIBRARY_VIEW;
+    this.viewSelect.value = this.query.view;
+    this.playlistButtons.forEach(button => {
+      button.disabled = !!button.dataset.needsPlaylist && this.query.view === LIBRARY_VIEW;
+    });
+    this._setQuery({});
+  }
+
+  /**
+   * Library değişti: track listesini ve genre seçeneklerini yenile
+   */
+  refresh() {
+    this.tracks = this.library.getTracks();
+    this.playlists = this.library.getPlaylists();
+    this._refreshPlaylistOptions();
+    this._refreshGenres();
+    this._refreshStatus();
+    this._scheduleRender(true);
+  }
+
+  /**
+   * Alt satır mesajı, null = depolama kullanımına dön
+   * @param {string|null} message
+   * @param {boolean} [isError] - Kırmızı gösterilir
+   */
+  setMessage(message, isError = true) {
+    this.message = message;
+    this.messageIsError = isError;
+    this._refreshStatus();
+  }
+
+  /**
+   * Görünümdeki entry'ler (position = görünümdeki sıra; playlist'te aynı track birden fazla olabilir)
+   * @returns {Array<Object>}
+   */
+  _getViewTracks() {
+    if (this.query.view === LIBRARY_VIEW) {
+      return this.tracks.map((track, position) => ({ ...track, position }));
+    }
+
+    const byId = new Map(this.tracks.map(track => [track.id, track]));
+    const playlist = this.playlists.find(p => p.id === this.query.view);
+    return (playlist?.trackIds || [])
+      .map((trackId, position) => ({ ...byId.get(trackId), position }))
+      .filter(track => track.id);
+  }
+
+  /**
+   * Görünüm ve "Add to" select'leri (playlist eklenince / silinince / adı değişince)
+   */
+  _refreshPlaylistOptions() {
+    if (!this.playlists.some(p => p.id === this.query.view)) this.query.view = LIBRARY_VIEW;
+    if (!this.playlists.some(p => p.id === this.addTargetId)) this.addTargetId = null;
+
+    const label = playlist => `${playlist.kind === PlaylistKind.CRATE ? '📦' : '📃'} ${playlist.name} (${playlist.trackIds.length})`;
+
+    this.viewSelect.innerHTML = '';
+    this.viewSelect.add(new Option(`📚 All tracks (${this.tracks.length})`, LIBRARY_VIEW));
+    this.playlists.forEach(playlist => this.viewSelect.add(new Option(label(playlist), playlist.id)));
+    this.viewSelect.value = this.query.view;
+
+    this.targetSelect.innerHTML = '';
+    this.targetSelect.add(new Option('Add to…', ''));
+    this.playlists.forEach(playlist => this.targetSelect.add(new Option(label(playlist), playlist.id)));
+    this.targetSelect.value = this.addTargetId || '';
+
+    this.playlistButtons.forEach(button => {
+      button.disabled = !!button.dataset.needsPlaylist && this.query.view === LIBRARY_VIEW;
+    });
+  }
+
+  _setQuery(changes) {
+    Object.assign(this.query, changes);
+    this.listElement.scrollTop = 0;
+    this._scheduleRender(true);
+  }
+
+  /**
+   * Render'ı bir sonraki frame'e topla (art arda gelen onChange / scroll / tuş vuruşları tek render)
+   * @param {boolean} requery - Filtre / sıralama tekrar uygulansın mı?
+   */
+  _scheduleRender(requery) {
+    this.needsQuery = this.needsQuery || requery;
+    if (this.framePending) return;
+
+    this.framePending = true;
+    requestAnimationFrame(() => {
+      this.framePending = false;
+      if (this.needsQuery) {
+        this.results = queryTracks(this._getViewTracks(), this.query);
+        this.needsQuery = false;
+        this._refreshStatus();
+      }
+      this._renderRows();
+    });
+  }
+
+  _refreshGenres() {
+    const genres = [...new Set(this.tracks.map(track => track.genre).filter(Boolean))].sort(collator.compare);
+    const options = ['all', ...genres];
+    const current = Array.from(this.genreSelect.options).map(option => option.value);
+    if (options.join('\n') === current.join('\n')) return;
+
+    this.genreSelect.innerHTML = '';
+    options.forEach(genre => this.genreSelect.add(new Option(genre === 'all' ? 'All genres' : genre, genre)));
+
+    // Seçili genre artık yoksa filtre kalkar
+    if (!genres.includes(this.query.genre)) this.query.genre = 'all';
+    this.genreSelect.value = this.query.genre;
+  }
+
+  async _refreshStatus() {
+    if (this.message) {
+      this.statusElement.textContent = this.message;
+      this.statusElement.style.color = this.messageIsError ? '#f88' : '#8f8';
+      return;
+    }
+
+    this.statusElement.style.color = '#aaa';
+    const total = this.query.view === LIBRARY_VIEW
+      ? this.tracks.length
+      : this.playlists.find(p => p.id === this.query.view)?.trackIds.length || 0;
+    const count = this.results.length === total
+      ? `${total} tracks`
+      : `${this.results.length} / ${total} tracks`;
+    this.statusElement.textContent = count;
+
+    const usage = await this.library.getStorageUsage().catch(() => null);
+    if (usage?.quota && !this.message) {
+      this.statusElement.textContent = `${count} | ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used`;
+    }
+  }
+
+  /**
+   * Sadece görünen satırları çiz
+   */
+  _renderRows() {
+    const total = this.results.length;
+    this.spacerElement.style.height = `${Math.max(total * ROW_HEIGHT, 1)}px`;
+
+    const first = Math.max(0, Math.floor(this.listElement.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const last = Math.min(total, Math.ceil((this.listElement.scrollTop + LIST_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+    const fragment = document.createDocumentFragment();
+    if (total === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = this.tracks.length ? 'No matching tracks' : 'No tracks';
+      if (this.query.view !== LIBRARY_VIEW && !this.query.search) empty.textContent = 'Empty: use "Add to…" and + in All tracks';
+      empty.style.cssText = 'color: #777; padding: 6px;';
+      fragment.appendChild(empty);
+    }
+
+    for (let i = first; i < last; i++) {
+      fragment.appendChild(this._createRow(this.results[i], i));
+    }
+    this.spacerElement.replaceChildren(fragment);
+  }
+
+  /**
+   * Liste playlist'in kendi sırasında mı? (artan sıra, arama / filtre yok)
+   * Sıra değiştirme butonları sadece bu durumda: başka görünümde taşımanın görünür etkisi yok
+   * @returns {boolean}
+   */
+  _isManualOrder() {
+    const { view, sortBy, descending, search, source, genre } = this.query;
+    if (view === LIBRARY_VIEW || sortBy !== 'position' || descending || search) return false;
+    if (source !== 'all' || genre !== 'all') return false;
+
+    const playlist = this.playlists.find(p => p.id === view);
+    return playlist?.kind === PlaylistKind.PLAYLIST;
+  }
+
+  /**
+   * @param {Object} track - Görünüm entry'si (getTracks() elemanı + position)
+   * @param {number} index - Sonuç listesindeki sıra (satır pozisyonu, butonların data-index'i)
+   * @returns {HTMLElement}
+   */
+  _createRow(track, index) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      position: absolute;
+      top: ${index * ROW_HEIGHT}px;
+      left: 0;
+      right: 0;
+      height: ${ROW_HEIGHT}px;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 0 4px;
+      box-sizing: border-box;
+      border-bottom: 1px solid rgba(100, 180, 255, 0.08);
+    `;
+
+    const text = document.createElement('div');
+    text.style.cssText = 'flex: 1; min-width: 0; line-height: 12px;';
+    const title = document.createElement('div');
+    title.textContent = track.isPersisted || track.sourceType === TrackSource.PRESET ? track.name : `${track.name} (unsaved)`;
+    const details = document.createElement('div');
+    details.textContent = [
+      track.artist,
+      track.bpm ? `${track.bpm.toFixed(1)} BPM` : null,
+      track.key,
+      formatDuration(track.duration)
+    ].filter(Boolean).join(' · ');
+    details.style.color = '#8ac';
+    [title, details].forEach(line => {
+      line.style.cssText += 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      text.appendChild(line);
+    });
+    text.title = [track.name, track.artist, track.genre].filter(Boolean).join(' - ');
+    row.appendChild(text);
+
+    const buttons = [
+      { action: 'loadA', text: 'A', color: '70, 160, 255', title: 'Load to Deck A' },
+      { action: 'loadB', text: 'B', color: '255, 70, 160', title: 'Load to Deck B' }
+    ];
+    const inPlaylist = this.query.view !== LIBRARY_VIEW;
+    if (this.addTargetId && this.addTargetId !== this.query.view) {
+      buttons.push({ action: 'add', text: '+', color: '136, 255, 136', title: 'Add to the selected playlist / crate' });
+    }
+    if (this._isManualOrder()) {
+      buttons.push({ action: 'up', text: '↑', color: '100, 180, 255', title: 'Move up' });
+      buttons.push({ action: 'down', text: '↓', color: '100, 180, 255', title: 'Move down' });
+    }
+    if (inPlaylist) {
+      buttons.push({ action: 'removeEntry', text: '−', color: '255, 100, 100', title: 'Remove from this list' });
+    } else if (track.sourceType === TrackSource.USER_UPLOAD) {
+      buttons.push({ action: 'delete', text: '✕', color: '255, 100, 100', title: 'Delete from this browser' });
+    }
+    buttons.forEach(({ action, text: label, color, title: tooltip }) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = tooltip;
+      button.dataset.action = action;
+      button.dataset.index = index;
+      button.style.cssText = `
+        padding: 2px 6px;
+        background: rgba(${color}, 0.2);
+        border: 1px solid rgba(${color}, 0.5);
+        color: white;
+        cursor: pointer;
+        border-radius: 3px;
+        font-size: 10px;
+      `;
+      row.appendChild(button);
+    });
+
+    return row;
+  }
+}
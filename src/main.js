@@ -1,11 +1,21 @@
 import "./style.css";
 import * as THREE from "three";
 import { initScene } from "./scene";
-import { interactables } from "./controller";
+import { interactables, levelMeters, statusLeds, jogRings, CUE_PAD_COLORS, setPadLit, setButtonLabel, setMeterLevel, setJogRingProgress, setControlValue, onControlChange, resetControlTransforms } from "./controller";
 import { audioEngine } from "./audio/audioEngine";
 import { trackLibrary } from "./audio/trackLibrary";
-import { Deck } from "./audio/deck";
+import { Deck, PITCH_RANGES, JOG_MODES, BRAKE_TIMES, PLATTER_SECONDS_PER_TURN } from "./audio/deck";
+import { EFFECT_LABELS } from "./audio/effects";
+import { CueOutputMode } from "./audio/cueBus";
+import { LIMITER_CEILINGS } from "./audio/limiter";
+import { mixRecorder, RECORDING_FORMATS } from "./audio/mixRecorder";
+import { downloadBlob } from "./audio/download";
+import { midiInput, midiOutput, getControlKind } from "./midi";
+import { store, selectValue, VALUE_ACTIONS } from "./store";
+import { sessionManager, SESSION_VERSION } from "./session";
 import { hud } from "./hud";
+import { LibraryBrowser } from "./libraryBrowser";
+import { WaveformDisplay } from "./waveformDisplay";
 
 const { camera, controls } = initScene();
 
@@ -13,16 +23,15 @@ const { camera, controls } = initScene();
 let deck1 = null;
 let deck2 = null;
 let audioInitialized = false;
-let activeDeckId = 1; // UI focus only (which deck's controls are highlighted)
+let libraryBrowser = null; // Created with the track selector panel
+const waveformDisplays = {}; // deckId → WaveformDisplay (created with the decks)
 
-// Crossfader state (controls which deck is heard)
-let crossfaderValue = 0.0; // 0.0 = Deck A only, 1.0 = Deck B only, 0.5 = Equal mix
+// Control values, track ownership and UI focus live in the store (src/store.js):
+// inputs dispatch actions, subscribers below apply state to audio, meshes and HUD
 
-// Track ownership (each deck has its own track)
-let deckATrackId = null; // Currently loaded track ID for Deck A
-let deckBTrackId = null; // Currently loaded track ID for Deck B
-let deckATrackName = 'No Track'; // Display name
-let deckBTrackName = 'No Track'; // Display name
+// Loop defaults
+const AUTO_LOOP_BEATS = 4;    // LOOP button / L key
+const LOOP_ROLL_BEATS = 0.25; // ROLL button / R key (held)
 
 /**
  * Assign a track to a specific deck with smooth transition
@@ -36,24 +45,16 @@ async function assignTrackToDeck(deckId, trackId) {
   if (!deck) return;
 
   try {
-    // Get track info and buffer
-    const track = trackLibrary.getTrackInfo(trackId);
-    if (!track) {
+    if (!trackLibrary.getTrackInfo(trackId)) {
       console.error(`Track ${trackId} not found`);
       return;
     }
 
-    // Load buffer (will use cache if already loaded)
-    let buffer;
-    if (track.sourceType === 'preset') {
-      buffer = await trackLibrary.loadPreset(trackId);
-    } else {
-      buffer = trackLibrary.getBuffer(trackId);
-      if (!buffer) {
-        console.error(`Track ${trackId} buffer not available`);
-        return;
-      }
-    }
+    // Load buffer (cached, fetched or decoded from stored uploads)
+    const buffer = await trackLibrary.loadTrack(trackId);
+
+    // Info after loading: embedded tags (title, BPM) are read on the first load
+    const track = trackLibrary.getTrackInfo(trackId);
 
     // Fade out current track (if playing)
     const wasPlaying = deck.isPlaying;
@@ -68,26 +69,27 @@ async function assignTrackToDeck(deckId, trackId) {
     // Stop current track and load new one
     deck.stop();
     deck.loadTrack(buffer);
+    deck.setHotCues(trackLibrary.getCuePoints(trackId));
+    deck.setBpm(track.bpm, track.firstBeatOffset);
 
     // Update track ownership state
-    if (deckId === 1) {
-      deckATrackId = trackId;
-      deckATrackName = track.name;
-    } else {
-      deckBTrackId = trackId;
-      deckBTrackName = track.name;
-    }
+    store.dispatch({ type: 'deck/loadTrack', deckId, trackId, trackName: track.name });
 
     // Fade in new track
     if (wasPlaying) {
       deck.play();
       const now = audioEngine.getCurrentTime();
       deck.gainNode.gain.cancelScheduledValues(now);
-      deck.gainNode.gain.setTargetAtTime(0.8, now, 0.03); // 100ms fade in
+      deck.gainNode.gain.setTargetAtTime(store.getState().decks[deckId].volume, now, 0.03); // 100ms fade in
     }
 
     console.log(`📀 ${deck.name}: Loaded "${track.name}"`);
+    mixRecorder.noteTrackLoad(deckId, track.name);
     updateTrackDisplay();
+    refreshCuePads(deckId);
+    refreshLoopButtons(deckId);
+    applyTrackWaveform(deckId, trackId);
+    applyTrackAnalysis(deckId, trackId);
   } catch (error) {
     console.error(`Failed to load track to ${deck.name}:`, error);
   }
@@ -105,8 +107,11 @@ async function assignUserTrackToDeck(deckId, file) {
   if (!deck) return;
 
   try {
-    // Load user track
-    const { id, buffer, name } = await trackLibrary.loadFromFile(file);
+    // Load user track (also saved to the browser's track storage)
+    const { id, buffer, name, persistError } = await trackLibrary.loadFromFile(file);
+    libraryBrowser?.setMessage(persistError
+      ? `"${name}" not saved: ${persistError.message} (until reload only)`
+      : null);
 
     // Fade out current track
     const wasPlaying = deck.isPlaying;
@@ -120,423 +125,2256 @@ async function assignUserTrackToDeck(deckId, file) {
     // Stop and load
     deck.stop();
     deck.loadTrack(buffer);
+    deck.setHotCues(trackLibrary.getCuePoints(id));
+    const trackInfo = trackLibrary.getTrackInfo(id);
+    deck.setBpm(trackInfo.bpm, trackInfo.firstBeatOffset);
 
     // Update state
-    if (deckId === 1) {
-      deckATrackId = id;
-      deckATrackName = name;
-    } else {
-      deckBTrackId = id;
-      deckBTrackName = name;
-    }
+    store.dispatch({ type: 'deck/loadTrack', deckId, trackId: id, trackName: name });
 
     // Fade in
     if (wasPlaying) {
       deck.play();
       const now = audioEngine.getCurrentTime();
       deck.gainNode.gain.cancelScheduledValues(now);
-      deck.gainNode.gain.setTargetAtTime(0.8, now, 0.03);
+      deck.gainNode.gain.setTargetAtTime(store.getState().decks[deckId].volume, now, 0.03);
     }
 
     console.log(`📀 ${deck.name}: Loaded "${name}"`);
+    mixRecorder.noteTrackLoad(deckId, name);
     updateTrackDisplay();
+    refreshCuePads(deckId);
+    refreshLoopButtons(deckId);
+    applyTrackWaveform(deckId, id);
+    applyTrackAnalysis(deckId, id);
   } catch (error) {
     console.error(`Failed to load user track to ${deck.name}:`, error);
   }
 }
 
 /**
- * Update track display UI
+ * Show the track's waveform once it is computed (runs in the analysis worker)
+ * @param {number} deckId - 1 or 2
+ * @param {string} trackId - Track ID from trackLibrary
  */
-function updateTrackDisplay() {
-  const deckAElement = document.getElementById('deck-a-track');
-  const deckBElement = document.getElementById('deck-b-track');
+async function applyTrackWaveform(deckId, trackId) {
+  const display = waveformDisplays[deckId];
+  if (!display) return;
 
-  if (deckAElement) deckAElement.textContent = deckATrackName;
-  if (deckBElement) deckBElement.textContent = deckBTrackName;
+  display.setWaveform(null);
+  const waveform = await trackLibrary.getWaveform(trackId);
+
+  // Track may have been replaced while the waveform was computed
+  if (store.getState().decks[deckId].trackId === trackId) display.setWaveform(waveform);
 }
 
 /**
- * Switch active deck (UI focus only - doesn't affect audio)
+ * Apply the track's tempo analysis to the deck once it finishes
+ * (analysis runs in a worker; cached results resolve immediately)
  * @param {number} deckId - 1 or 2
+ * @param {string} trackId - Track ID from trackLibrary
  */
-function setActiveDeck(deckId) {
-  if (!audioInitialized || activeDeckId === deckId) return;
+async function applyTrackAnalysis(deckId, trackId) {
+  await trackLibrary.getAnalysis(trackId);
 
-  const newDeck = deckId === 1 ? deck1 : deck2;
-  activeDeckId = deckId;
-  console.log(`🎯 UI Focus: ${newDeck.name}`);
+  // Track may have been replaced while analysis was running
+  const currentTrackId = store.getState().decks[deckId].trackId;
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck || currentTrackId !== trackId) return;
+
+  const { bpm, firstBeatOffset } = trackLibrary.getTrackInfo(trackId);
+  deck.setBpm(bpm, firstBeatOffset);
+  updateTrackDisplay();
+
+  // Tempo known now: keep sync lock consistent in both directions
+  const otherDeck = deckId === 1 ? deck2 : deck1;
+  if (deck.syncLocked) {
+    deck.syncTo(otherDeck, { alignPhase: false });
+    refreshPitchControls(deckId);
+  }
+  followSyncMaster(deckId);
 }
 
 /**
- * Update crossfader position (controls mix between Deck A and Deck B)
- * @param {number} value - 0.0 (Deck A only) to 1.0 (Deck B only)
+ * Toggle tempo sync of a deck to the other deck
+ * @param {number} deckId - 1 or 2
+ * @param {boolean} alignPhase - Also align beat phase (SYNC click / Y key; Shift = tempo only)
  */
-function setCrossfader(value) {
-  if (!audioInitialized || !deck1 || !deck2) return;
+function toggleSync(deckId, alignPhase) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  const otherDeck = deckId === 1 ? deck2 : deck1;
+  if (!deck || !otherDeck) return;
+
+  if (deck.syncLocked) {
+    deck.unsync();
+    console.log(`🔓 ${deck.name}: Sync off`);
+  } else if (deck.syncTo(otherDeck, { alignPhase })) {
+    console.log(`🔒 ${deck.name}: Synced to ${otherDeck.name}${alignPhase ? ' (tempo + phase)' : ' (tempo)'}`);
+  }
 
-  crossfaderValue = Math.max(0, Math.min(1, value));
+  refreshSyncButtons();
+  refreshPitchControls(deckId);
+}
 
-  const now = audioEngine.getCurrentTime();
-  const smoothTime = 0.015; // 15ms smooth transition
+/**
+ * Re-sync the other deck if it's locked to this one (master tempo changed)
+ * @param {number} masterDeckId - Deck whose tempo changed
+ */
+function followSyncMaster(masterDeckId) {
+  const master = masterDeckId === 1 ? deck1 : deck2;
+  const follower = masterDeckId === 1 ? deck2 : deck1;
+  if (!master || !follower || !follower.syncLocked) return;
 
-  // Linear crossfade (can upgrade to equal-power later)
-  const deckAGain = 1.0 - crossfaderValue; // 1.0 → 0.0
-  const deckBGain = crossfaderValue;        // 0.0 → 1.0
+  follower.syncTo(master, { alignPhase: false });
+  refreshPitchControls(masterDeckId === 1 ? 2 : 1);
+}
 
-  // Update deck gain nodes
-  deck1.deckGainNode.gain.cancelScheduledValues(now);
-  deck1.deckGainNode.gain.setTargetAtTime(deckAGain, now, smoothTime);
+/**
+ * Move a deck's pitch fader (tempo). Moving the fader by hand releases sync.
+ * @param {number} deckId - 1 or 2
+ * @param {number} value - 0.0 - 1.0 (0.5 = 0%)
+ */
+function setDeckPitch(deckId, value) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-  deck2.deckGainNode.gain.cancelScheduledValues(now);
-  deck2.deckGainNode.gain.setTargetAtTime(deckBGain, now, smoothTime);
+  if (deck.syncLocked) {
+    deck.unsync();
+    refreshSyncButtons();
+  }
 
-  console.log(`🎚️  Crossfader: ${(crossfaderValue * 100).toFixed(0)}% | A: ${(deckAGain * 100).toFixed(0)}% | B: ${(deckBGain * 100).toFixed(0)}%`);
+  deck.setPitch(value);
+  followSyncMaster(deckId);
 }
 
-async function initAudio() {
-  if (audioInitialized) return;
+/**
+ * Cycle pitch fader range ±8% → ±16% → ±50%
+ * @param {number} deckId - 1 or 2
+ */
+function cyclePitchRange(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-  try {
-    await audioEngine.init();
-    await audioEngine.resume();
+  const index = PITCH_RANGES.indexOf(deck.pitchRange);
+  deck.setPitchRange(PITCH_RANGES[(index + 1) % PITCH_RANGES.length]);
+  followSyncMaster(deckId);
+  refreshPitchControls(deckId);
+}
 
-    // Create decks
-    deck1 = new Deck('Deck A');
-    deck2 = new Deck('Deck B');
+/**
+ * Toggle key lock (master tempo)
+ * @param {number} deckId - 1 or 2
+ */
+function toggleKeyLock(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-    // Load default preset track to Deck A (no track on Deck B initially)
-    await assignTrackToDeck(1, 'preset_1');
+  deck.setKeyLock(!deck.keyLock);
+  refreshPitchControls(deckId);
+}
 
-    // Start Deck A
-    deck1.play();
+/**
+ * Cycle jog mode vinyl → nudge → search
+ * @param {number} deckId - 1 or 2
+ */
+function cycleJogMode(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-    // Initialize crossfader (default: Deck A only)
-    setCrossfader(0.0);
+  const index = JOG_MODES.indexOf(deck.jogMode);
+  deck.setJogMode(JOG_MODES[(index + 1) % JOG_MODES.length]);
+  refreshJogModeButtons();
+}
 
-    audioInitialized = true;
+/**
+ * Run a stop effect on a deck (shared by stop effect buttons and keyboard)
+ * @param {number} deckId - 1 or 2
+ * @param {string} action - 'brake' | 'spinback' | 'power' (power toggles off / on)
+ */
+function triggerStopEffect(deckId, action) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-    // Create track selector UI
-    createTrackSelectorUI();
+  if (action === 'brake') {
+    deck.brake();
+  } else if (action === 'spinback') {
+    deck.spinback();
+  } else if (deck.isPlaying) {
+    deck.powerOff();
+  } else {
+    deck.powerOn();
+  }
+  refreshPlayButtons();
+}
 
-    // Make global for console testing
-    window.deck1 = deck1;
-    window.deck2 = deck2;
-    window.trackLibrary = trackLibrary;
-    window.audioEngine = audioEngine;
-    window.setActiveDeck = setActiveDeck;
-    window.setCrossfader = setCrossfader;
-    window.assignTrackToDeck = assignTrackToDeck;
-    window.assignUserTrackToDeck = assignUserTrackToDeck;
+/**
+ * Cycle brake time 0.25 → 0.5 → 1 → 2 → 4 seconds
+ * @param {number} deckId - 1 or 2
+ */
+function cycleBrakeTime(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-    console.log('🎧 Audio system ready!');
-    console.log('📀 Deck A: Playing | Deck B: No Track');
-    console.log('💡 Use track selector UI or console to load tracks');
-    console.log('🎚️  Keyboard: Z/X = Crossfader | Space = Play/Stop | Q/W = Volume | A/S = Filter | 1/2 = Focus deck');
-  } catch (error) {
-    console.error('Audio initialization failed:', error);
-  }
+  const index = BRAKE_TIMES.indexOf(deck.brakeTime);
+  deck.setBrakeTime(BRAKE_TIMES[(index + 1) % BRAKE_TIMES.length]);
 }
 
 /**
- * Create minimal track selector UI
+ * Toggle a deck's FX unit on/off
+ * @param {number} deckId - 1 or 2
  */
-function createTrackSelectorUI() {
-  // Create UI container
-  const container = document.createElement('div');
-  container.id = 'track-selector';
-  container.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: rgba(20, 25, 35, 0.95);
-    backdrop-filter: blur(10px);
-    border: 1px solid rgba(100, 180, 255, 0.3);
-    border-radius: 8px;
-    padding: 15px;
-    color: white;
-    font-family: monospace;
-    font-size: 12px;
-    z-index: 1000;
-    min-width: 250px;
-  `;
+function toggleFx(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-  // Deck A section
-  const deckASection = document.createElement('div');
-  deckASection.innerHTML = `
-    <div style="margin-bottom: 10px; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
-      <strong style="color: #4af;">🎧 DECK A</strong>
-      <div id="deck-a-track" style="color: #6f6; margin-top: 4px;">No Track</div>
-    </div>
-  `;
+  deck.fx.setEnabled(!deck.fx.enabled);
+  console.log(`✨ ${deck.name} FX ${EFFECT_LABELS[deck.fx.type]}: ${deck.fx.enabled ? 'ON' : 'OFF'}`);
+  refreshFxButtons(deckId);
+}
 
-  // Preset buttons for Deck A
-  const presetTracksA = trackLibrary.getTracks().filter(t => t.sourceType === 'preset');
-  presetTracksA.forEach(track => {
-    const btn = document.createElement('button');
-    btn.textContent = `Load: ${track.name}`;
-    btn.style.cssText = `
-      display: block;
-      width: 100%;
-      margin: 4px 0;
-      padding: 6px;
-      background: rgba(70, 160, 255, 0.2);
-      border: 1px solid rgba(70, 160, 255, 0.5);
-      color: white;
-      cursor: pointer;
-      border-radius: 4px;
-      font-size: 11px;
-    `;
-    btn.onclick = () => assignTrackToDeck(1, track.id);
-    deckASection.appendChild(btn);
-  });
+/**
+ * Select the next effect in a deck's FX unit
+ * @param {number} deckId - 1 or 2
+ */
+function cycleFx(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-  // File upload for Deck A
-  const fileInputA = document.createElement('input');
-  fileInputA.type = 'file';
-  fileInputA.accept = 'audio/*';
-  fileInputA.style.cssText = `
-    display: block;
-    width: 100%;
-    margin-top: 8px;
-    padding: 4px;
-    font-size: 10px;
-    color: white;
-  `;
-  fileInputA.onchange = (e) => {
-    if (e.target.files[0]) {
-      assignUserTrackToDeck(1, e.target.files[0]);
-    }
-  };
-  deckASection.appendChild(fileInputA);
+  deck.fx.nextType();
+  console.log(`✨ ${deck.name} FX: ${EFFECT_LABELS[deck.fx.type]}`);
+  refreshFxButtons(deckId);
+}
 
-  // Deck B section
-  const deckBSection = document.createElement('div');
-  deckBSection.innerHTML = `
-    <div style="margin: 15px 0 10px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
-      <strong style="color: #f4a;">🎧 DECK B</strong>
-      <div id="deck-b-track" style="color: #6f6; margin-top: 4px;">No Track</div>
-    </div>
-  `;
+/**
+ * Sync FX on/off light and effect name label with the deck
+ * @param {number} deckId - 1 or 2
+ */
+function refreshFxButtons(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
 
-  // Preset buttons for Deck B
-  const presetTracksB = trackLibrary.getTracks().filter(t => t.sourceType === 'preset');
-  presetTracksB.forEach(track => {
-    const btn = document.createElement('button');
-    btn.textContent = `Load: ${track.name}`;
-    btn.style.cssText = `
-      display: block;
-      width: 100%;
-      margin: 4px 0;
-      padding: 6px;
-      background: rgba(255, 70, 160, 0.2);
-      border: 1px solid rgba(255, 70, 160, 0.5);
-      color: white;
-      cursor: pointer;
-      border-radius: 4px;
-      font-size: 11px;
-    `;
-    btn.onclick = () => assignTrackToDeck(2, track.id);
-    deckBSection.appendChild(btn);
+  interactables
+    .filter(obj => obj.userData.deckId === deckId)
+    .forEach(obj => {
+      if (obj.userData.type === "fxButton") {
+        setPadLit(obj, deck.fx.enabled);
+      } else if (obj.userData.type === "fxSelect") {
+        setButtonLabel(obj, EFFECT_LABELS[deck.fx.type]);
+      }
+    });
+}
+
+// Cue output chosen (auto on first PFL, or from the output select)
+let cueOutputConfigured = false;
+
+/**
+ * Toggle a deck's PFL (headphone cue)
+ * First PFL press configures the cue output (second device or split stereo)
+ * @param {number} deckId - 1 or 2
+ */
+async function togglePfl(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  deck.setPfl(!deck.pfl);
+  refreshPflButtons();
+
+  const { cueBus } = audioEngine;
+  if (deck.pfl && !cueOutputConfigured) {
+    cueOutputConfigured = true;
+    const mode = await cueBus.autoConfigure();
+    console.log(`🎧 Cue output: ${getCueOutputText(mode)}`);
+    refreshCueOutputSelect();
+  }
+}
+
+/**
+ * PFL button lights follow each deck's PFL state
+ */
+function refreshPflButtons() {
+  interactables
+    .filter(obj => obj.userData.type === "pflButton")
+    .forEach(button => {
+      const deck = button.userData.deckId === 1 ? deck1 : deck2;
+      setPadLit(button, !!deck && deck.pfl);
+    });
+}
+
+/**
+ * Rebuild the cue output list (devices can appear after permission / hot-plug)
+ * and select the current mode
+ */
+async function refreshCueOutputSelect() {
+  const select = document.getElementById('cue-output');
+  if (!select) return;
+
+  const { cueBus } = audioEngine;
+  const devices = await cueBus.listOutputDevices();
+
+  select.innerHTML = '';
+  const options = [
+    { value: CueOutputMode.MASTER, label: 'Off (master only)' },
+    { value: CueOutputMode.SPLIT, label: 'Split: L cue / R master' },
+    ...devices.map(device => ({ value: device.deviceId, label: `Device: ${device.label}` }))
+  ];
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
   });
 
-  // File upload for Deck B
-  const fileInputB = document.createElement('input');
-  fileInputB.type = 'file';
-  fileInputB.accept = 'audio/*';
-  fileInputB.style.cssText = `
-    display: block;
-    width: 100%;
-    margin-top: 8px;
-    padding: 4px;
-    font-size: 10px;
-    color: white;
-  `;
-  fileInputB.onchange = (e) => {
-    if (e.target.files[0]) {
-      assignUserTrackToDeck(2, e.target.files[0]);
-    }
-  };
-  deckBSection.appendChild(fileInputB);
+  select.value = cueBus.mode === CueOutputMode.DEVICE ? cueBus.deviceId : cueBus.mode;
+}
 
-  // Assemble
-  container.appendChild(deckASection);
-  container.appendChild(deckBSection);
-  document.body.appendChild(container);
+/**
+ * Toggle MIDI learn mode (click a 3D control, then move a hardware control)
+ */
+function toggleMidiLearn() {
+  midiInput.setLearning(!midiInput.learning);
+  if (!midiInput.learning) hud.hide(0);
+  refreshMidiPanel();
+}
+
+/**
+ * Download the MIDI mappings as JSON
+ */
+function exportMidiMappings() {
+  downloadBlob(new Blob([midiInput.exportMappings()], { type: 'application/json' }), 'dj-midi-mappings.json');
+}
+
+/**
+ * MIDI status line (inputs, outputs, mapping count) and learn button state
+ */
+function refreshMidiPanel() {
+  const status = document.getElementById('midi-status');
+  if (!status) return;
+
+  const inputs = midiInput.getInputNames();
+  const mappings = midiInput.getBindings().length;
+  const outputs = midiOutput.getOutputs().length;
+  status.textContent = midiInput.access
+    ? `${inputs.length ? inputs.join(', ') : 'No inputs'} | ${outputs} out | ${mappings} mappings`
+    : `No MIDI access | ${mappings} mappings`;
+
+  document.getElementById('midi-learn').textContent = midiInput.learning ? '✅ Done learning' : '🎯 Learn';
+}
+
+/**
+ * Delete an upload from the library and the browser's storage
+ * Decks keep playing an already loaded copy
+ * @param {string} trackId
+ * @param {string} name
+ */
+async function deleteStoredTrack(trackId, name) {
+  if (!confirm(`Delete "${name}" from this browser?`)) return;
+
+  const removed = await trackLibrary.removeTrack(trackId);
+  libraryBrowser?.setMessage(removed ? null : `Failed to delete "${name}"`);
+  if (removed) console.log(`🗑️  Deleted "${name}"`);
+}
+
+/**
+ * Rekordbox import may have replaced grids / hot cues of the loaded tracks
+ */
+function refreshImportedDecks() {
+  [1, 2].forEach(deckId => {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackId = store.getState().decks[deckId].trackId;
+    if (!deck || !trackId) return;
+
+    deck.setHotCues(trackLibrary.getCuePoints(trackId));
+    refreshCuePads(deckId);
+    applyTrackAnalysis(deckId, trackId);
+  });
+}
+
+/**
+ * Cue output mode text
+ * @param {string} mode - CueOutputMode
+ * @returns {string}
+ */
+function getCueOutputText(mode) {
+  switch (mode) {
+    case CueOutputMode.DEVICE:
+      return 'Headphone device';
+    case CueOutputMode.SPLIT:
+      return 'Split (L cue / R master)';
+    default:
+      return 'Off (master only)';
+  }
+}
+
+/**
+ * Toggle the master limiter (bypass)
+ */
+function toggleLimiter() {
+  const { enabled } = audioEngine.getLimiterState();
+  audioEngine.setLimiterEnabled(!enabled);
+  console.log(`🧱 Limiter: ${!enabled ? 'ON' : 'BYPASS'}`);
+  refreshMasterSection();
+}
+
+/**
+ * Select the next limiter ceiling
+ */
+function cycleLimiterCeiling() {
+  const { ceiling } = audioEngine.getLimiterState();
+  const index = LIMITER_CEILINGS.indexOf(ceiling);
+  const nextCeiling = LIMITER_CEILINGS[(index + 1) % LIMITER_CEILINGS.length];
+
+  audioEngine.configureLimiter({ ceiling: nextCeiling });
+  console.log(`🧱 Limiter ceiling: ${nextCeiling.toFixed(1)} dBFS`);
+  refreshMasterSection();
+}
+
+/**
+ * Sync limiter light / ceiling label with the engine
+ */
+function refreshMasterSection() {
+  const { enabled, ceiling } = audioEngine.getLimiterState();
+
+  interactables
+    .filter(obj => obj.userData.type === "limiterButton")
+    .forEach(button => {
+      setPadLit(button, enabled);
+      setButtonLabel(button, ceiling.toFixed(1));
+    });
+}
+
+/**
+ * Start / stop the mix recording (format from the recorder panel)
+ */
+async function toggleRecording() {
+  if (mixRecorder.state === 'stopping') return;
+
+  if (mixRecorder.state === 'inactive') {
+    const select = document.getElementById('rec-format');
+    const format = select ? select.value : 'wav';
+    try {
+      mixRecorder.start({ format });
+      console.log(`⏺️  Recording mix (${RECORDING_FORMATS[format].label})`);
+    } catch (error) {
+      console.error('Recording failed to start:', error);
+    }
+  } else {
+    const stopping = mixRecorder.stop();
+    refreshRecorderControls();
+    const recording = await stopping;
+    console.log(`⏹️  Recording stopped: ${recording.fileName} (${recording.tracklist.length} tracks)`);
+    console.log(recording.text);
+  }
+
+  refreshRecorderControls();
+}
+
+/**
+ * Pause / resume the mix recording
+ */
+function toggleRecordingPause() {
+  if (mixRecorder.state === 'recording') {
+    mixRecorder.pause();
+  } else if (mixRecorder.state === 'paused') {
+    mixRecorder.resume();
+  }
+  refreshRecorderControls();
+}
+
+/**
+ * Sync REC button light and recorder panel buttons with the recorder state
+ */
+function refreshRecorderControls() {
+  const { state } = mixRecorder;
+
+  interactables
+    .filter(obj => obj.userData.type === "recordButton")
+    .forEach(button => setPadLit(button, state === 'recording' || state === 'paused'));
+
+  const recButton = document.getElementById('rec-toggle');
+  if (!recButton) return;
+
+  recButton.textContent = state === 'inactive' ? '⏺ Record' : '⏹ Stop';
+  recButton.disabled = state === 'stopping';
+  document.getElementById('rec-pause').textContent = state === 'paused' ? '▶ Resume' : '⏸ Pause';
+  document.getElementById('rec-pause').disabled = state !== 'recording' && state !== 'paused';
+  document.getElementById('rec-format').disabled = state !== 'inactive';
+  const { lastRecording } = mixRecorder;
+  if (state === 'inactive' && lastRecording) {
+    document.getElementById('rec-time').textContent =
+      `Last: ${formatTime(lastRecording.duration)} | ${lastRecording.tracklist.length} tracks`;
+  }
+
+  const canDownload = !!lastRecording && state === 'inactive';
+  document.getElementById('rec-download').disabled = !canDownload;
+  document.getElementById('rec-download-txt').disabled = !canDownload;
+}
+
+/**
+ * Recording timer + paused blink (called every frame from tick())
+ */
+function updateRecorderDisplay() {
+  const { state } = mixRecorder;
+  if (state === 'inactive') return;
+
+  const timeDisplay = document.getElementById('rec-time');
+  if (timeDisplay) {
+    timeDisplay.textContent = `${state === 'paused' ? '⏸' : '🔴'} ${formatTime(mixRecorder.getElapsed())}`;
+  }
+
+  // Paused: REC button blinks
+  if (state === 'paused') {
+    const blinkOn = Math.floor(performance.now() / 500) % 2 === 0;
+    interactables
+      .filter(obj => obj.userData.type === "recordButton" && obj.userData.lit !== blinkOn)
+      .forEach(button => setPadLit(button, blinkOn));
+  }
+}
+
+/**
+ * Sync pitch fader position, range label and key lock light with the deck
+ * (tempo can change from sync, not only from the fader)
+ * @param {number} deckId - 1 or 2
+ */
+function refreshPitchControls(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  interactables
+    .filter(obj => obj.userData.deckId === deckId)
+    .forEach(obj => {
+      if (obj.userData.type === "pitchFader") {
+        store.dispatch({ type: 'deck/tempoChanged', deckId, value: deck.getPitchValue() });
+      } else if (obj.userData.type === "pitchRange") {
+        setButtonLabel(obj, `±${Math.round(deck.pitchRange * 100)}`);
+      } else if (obj.userData.type === "keyLock") {
+        setPadLit(obj, deck.keyLock);
+      }
+    });
+}
+
+/**
+ * Jog mode buttons show each deck's mode (lit in vinyl mode)
+ */
+function refreshJogModeButtons() {
+  interactables
+    .filter(obj => obj.userData.type === "jogMode")
+    .forEach(button => {
+      const deck = button.userData.deckId === 1 ? deck1 : deck2;
+      const mode = deck ? deck.jogMode : JOG_MODES[0];
+      setButtonLabel(button, mode.toUpperCase());
+      setPadLit(button, mode === "vinyl");
+    });
+}
+
+/**
+ * Sync button lights follow each deck's sync lock
+ */
+function refreshSyncButtons() {
+  interactables
+    .filter(obj => obj.userData.type === "syncButton")
+    .forEach(button => {
+      const deck = button.userData.deckId === 1 ? deck1 : deck2;
+      setPadLit(button, !!deck && deck.syncLocked);
+    });
+}
+
+/**
+ * Deck display tempo text
+ * @param {number} deckId - 1 or 2
+ * @returns {string}
+ */
+function getBpmText(deckId) {
+  const trackId = store.getState().decks[deckId].trackId;
+  if (!trackId) return '--- BPM';
+
+  const { bpm, isAnalyzed } = trackLibrary.getTrackInfo(trackId);
+  if (bpm) return `${bpm.toFixed(2)} BPM`;
+  return isAnalyzed ? '--- BPM' : 'Analyzing...';
+}
+
+/**
+ * Embedded tags of the deck's track (artist, album, key, cover art)
+ * @param {number} deckId - 1 or 2
+ * @returns {Object|null} - trackLibrary.getTrackInfo() result, null without a track
+ */
+function getDeckTrackInfo(deckId) {
+  const trackId = store.getState().decks[deckId].trackId;
+  return trackId ? trackLibrary.getTrackInfo(trackId) : null;
+}
+
+/**
+ * Track title for HUD labels: "Artist - Title" when the artist is tagged
+ * @param {number} deckId - 1 or 2
+ * @returns {string}
+ */
+function getTrackTitle(deckId) {
+  const trackName = store.getState().decks[deckId].trackName;
+  const artist = getDeckTrackInfo(deckId)?.artist;
+  return artist ? `${artist} - ${trackName}` : trackName;
+}
+
+/**
+ * Update track display UI
+ */
+function updateTrackDisplay() {
+  const { decks } = store.getState();
+
+  [1, 2].forEach(deckId => {
+    const prefix = deckId === 1 ? 'deck-a' : 'deck-b';
+    const trackElement = document.getElementById(`${prefix}-track`);
+    const metaElement = document.getElementById(`${prefix}-meta`);
+    const coverElement = document.getElementById(`${prefix}-cover`);
+    const bpmElement = document.getElementById(`${prefix}-bpm`);
+    if (!trackElement) return;
+
+    const info = getDeckTrackInfo(deckId);
+    trackElement.textContent = decks[deckId].trackName;
+    metaElement.textContent = info
+      ? [info.artist, info.album, info.genre].filter(Boolean).join(' · ')
+      : '';
+    coverElement.style.display = info?.coverUrl ? '' : 'none';
+    if (info?.coverUrl) coverElement.src = info.coverUrl;
+
+    const key = info?.key ? ` | Key ${info.key}` : '';
+    bpmElement.textContent = `${getBpmText(deckId)}${key}`;
+  });
+}
+
+/**
+ * Sync hot cue pad lights with the deck's cue slots
+ * @param {number} deckId - 1 or 2
+ */
+function refreshCuePads(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  interactables
+    .filter(obj => obj.userData.type === "cuePad" && obj.userData.deckId === deckId)
+    .forEach(pad => setPadLit(pad, deck.hotCues[pad.userData.padIndex] !== null));
+}
+
+/**
+ * Hot cue pad press: empty slot → set cue, filled slot → jump, Shift → delete
+ * Cue points are saved per track in trackLibrary
+ * @param {THREE.Mesh} pad - Cue pad mesh
+ * @param {boolean} deleteCue - Delete instead of set/jump
+ */
+function triggerCuePad(pad, deleteCue) {
+  const { deckId, padIndex } = pad.userData;
+  const deck = deckId === 1 ? deck1 : deck2;
+  const trackId = store.getState().decks[deckId].trackId;
+  if (!deck || !trackId) return;
+
+  if (deleteCue) {
+    deck.deleteHotCue(padIndex);
+  } else if (deck.hotCues[padIndex] === null) {
+    deck.setHotCue(padIndex);
+  } else {
+    deck.jumpToHotCue(padIndex);
+  }
+
+  trackLibrary.setCuePoints(trackId, deck.hotCues);
+  refreshCuePads(deckId);
+  refreshLoopButtons(deckId); // Jumping out of a loop exits it
+}
+
+/**
+ * Sync loop button lights with the deck's loop state
+ * @param {number} deckId - 1 or 2
+ */
+function refreshLoopButtons(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  const { active, start } = deck.loop;
+  const litByAction = {
+    loopIn: active || start !== null,
+    loopOut: active,
+    autoLoop: active,
+    halve: false,
+    double: false,
+    roll: deck.loopRoll !== null,
+  };
+
+  interactables
+    .filter(obj => obj.userData.type === "loopButton" && obj.userData.deckId === deckId)
+    .forEach(button => setPadLit(button, litByAction[button.userData.action]));
+}
+
+/**
+ * Run a loop action on a deck (shared by loop buttons and keyboard)
+ * @param {number} deckId - 1 or 2
+ * @param {string} action - 'loopIn' | 'loopOut' | 'autoLoop' | 'halve' | 'double' | 'roll'
+ */
+function triggerLoopAction(deckId, action) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  switch (action) {
+    case 'loopIn':
+      deck.loopIn();
+      break;
+    case 'loopOut':
+      deck.loopOut();
+      break;
+    case 'autoLoop':
+      // Toggle: exit active loop, otherwise start a beat loop
+      if (deck.loop.active) {
+        deck.exitLoop();
+      } else {
+        deck.autoLoop(AUTO_LOOP_BEATS);
+      }
+      break;
+    case 'halve':
+      deck.halveLoop();
+      break;
+    case 'double':
+      deck.doubleLoop();
+      break;
+    case 'roll':
+      deck.startLoopRoll(LOOP_ROLL_BEATS);
+      break;
+  }
+
+  refreshLoopButtons(deckId);
+}
+
+/**
+ * Release a momentary loop roll
+ * @param {number} deckId - 1 or 2
+ */
+function releaseLoopRoll(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  deck.endLoopRoll();
+  refreshLoopButtons(deckId);
+}
+
+/**
+ * HUD value for a deck's loop state
+ */
+function getLoopValue(deck) {
+  const { active, start, end, beats } = deck.loop;
+  if (!active) {
+    return start !== null ? `Loop in @ ${formatTime(start)}` : 'No loop';
+  }
+
+  const length = beats !== null
+    ? `${beats < 1 ? `1/${Math.round(1 / beats)}` : beats} beats`
+    : `${(end - start).toFixed(2)}s`;
+  return `${deck.loopRoll ? 'Roll' : 'Loop'}: ${length}`;
+}
+
+/**
+ * Format seconds as m:ss.s
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  // Round first: 59.96 → "1:00.0", not "0:60.0"
+  const tenths = Math.round(seconds * 10);
+  const minutes = Math.floor(tenths / 600);
+  const rest = (tenths - minutes * 600) / 10;
+  return `${minutes}:${rest < 10 ? '0' : ''}${rest.toFixed(1)}`;
+}
+
+/**
+ * Deck time text: elapsed / remaining (m:ss.s)
+ * @param {Deck} deck
+ * @returns {string}
+ */
+function getTimeText(deck) {
+  if (!deck?.audioBuffer) return '-:--.- / -:--.-';
+  const { elapsed, remaining } = deck.getTimeInfo();
+  return `${formatTime(elapsed)} / -${formatTime(remaining)}`;
+}
+
+/**
+ * Update both decks' elapsed / remaining time (every frame, DOM only written on change)
+ */
+function updateDeckTimes() {
+  [[1, deck1], [2, deck2]].forEach(([deckId, deck]) => {
+    const timeElement = document.getElementById(deckId === 1 ? 'deck-a-time' : 'deck-b-time');
+    const text = getTimeText(deck);
+    if (timeElement && timeElement.textContent !== text) timeElement.textContent = text;
+  });
+}
+
+/**
+ * Switch active deck (UI focus only - doesn't affect audio)
+ * @param {number} deckId - 1 or 2
+ */
+function setActiveDeck(deckId) {
+  if (!audioInitialized || store.getState().ui.activeDeckId === deckId) return;
+
+  const newDeck = deckId === 1 ? deck1 : deck2;
+  store.dispatch({ type: 'ui/setActiveDeck', deckId });
+  console.log(`🎯 UI Focus: ${newDeck.name}`);
+}
+
+/**
+ * Apply crossfader position to the deck gains (store subscriber, see 'mixer/setCrossfader')
+ * @param {number} crossfaderValue - 0.0 (Deck A only) to 1.0 (Deck B only)
+ */
+function applyCrossfader(crossfaderValue) {
+  if (!deck1 || !deck2) return;
+
+  const now = audioEngine.getCurrentTime();
+  const smoothTime = 0.015; // 15ms smooth transition
+
+  // Linear crossfade (can upgrade to equal-power later)
+  const deckAGain = 1.0 - crossfaderValue; // 1.0 → 0.0
+  const deckBGain = crossfaderValue;        // 0.0 → 1.0
+
+  // Update deck gain nodes
+  deck1.deckGainNode.gain.cancelScheduledValues(now);
+  deck1.deckGainNode.gain.setTargetAtTime(deckAGain, now, smoothTime);
+
+  deck2.deckGainNode.gain.cancelScheduledValues(now);
+  deck2.deckGainNode.gain.setTargetAtTime(deckBGain, now, smoothTime);
+
+  // Tracklist: on-air deck follows the crossfader side
+  mixRecorder.noteCrossfader(crossfaderValue);
+
+  console.log(`🎚️  Crossfader: ${(crossfaderValue * 100).toFixed(0)}% | A: ${(deckAGain * 100).toFixed(0)}% | B: ${(deckBGain * 100).toFixed(0)}%`);
+}
+
+async function initAudio() {
+  if (audioInitialized) return;
+
+  try {
+    await audioEngine.init();
+    await audioEngine.resume();
+
+    // Create decks
+    deck1 = new Deck('Deck A');
+    deck2 = new Deck('Deck B');
+    createWaveformPanel();
+
+    // Decks start from the store's values (fader, knobs, crossfader: Deck A only)
+    applyStateToAudio(store.getState());
+    refreshJogModeButtons();
+
+    if (!startupSession) {
+      // Load default preset track to Deck A (no track on Deck B initially)
+      await assignTrackToDeck(1, 'preset_1');
+
+      // Start Deck A
+      deck1.play();
+      refreshPlayButtons();
+    }
+
+    // LED meters follow the engine's level meters (read every frame in tick())
+    subscribeLevelMeters();
+    refreshMasterSection();
+
+    // MIDI controllers drive the same control actions as the mouse
+    midiInput.onControl(handleMidiControl);
+    midiInput.onLearn(binding => {
+      hud.update(`Learned ${binding.type.toUpperCase()} ${binding.number} (ch ${binding.channel + 1})`);
+      hud.hide(1500);
+      refreshMidiPanel();
+      sendMidiFeedback();
+    });
+    midiInput.onDevicesChange(() => {
+      refreshMidiPanel();
+      sendMidiFeedback();
+    });
+
+    // MIDI output: LEDs / motorized faders follow every control state change
+    onControlChange(obj => midiOutput.sendControl(obj.userData.controlId, obj.userData));
+    midiInput.init().then(refreshMidiPanel);
+
+    audioInitialized = true;
+
+    // Session saved on the last visit: tracks, positions, cues, loops (values already restored)
+    // Saved uploads must be listed first, their tracks can be restored too
+    if (pendingSession) {
+      const session = pendingSession;
+      pendingSession = null;
+      await trackLibrary.init();
+      await restoreDecks(session);
+    }
+    setInterval(saveSession, SESSION_AUTOSAVE_MS);
+    window.addEventListener('pagehide', saveSession);
+
+    // Create track selector UI
+    createTrackSelectorUI();
+
+    // Make global for console testing
+    window.deck1 = deck1;
+    window.deck2 = deck2;
+    window.trackLibrary = trackLibrary;
+    window.audioEngine = audioEngine;
+    window.setActiveDeck = setActiveDeck;
+    window.assignTrackToDeck = assignTrackToDeck;
+    window.assignUserTrackToDeck = assignUserTrackToDeck;
+    window.mixRecorder = mixRecorder;
+    window.midiInput = midiInput;
+    window.store = store;
+    window.sessionManager = sessionManager;
+    window.captureSession = captureSession;
+    window.restoreSession = restoreSession;
+
+    console.log('🎧 Audio system ready!');
+    console.log('📀 Deck A: Playing | Deck B: No Track');
+    console.log('💡 Use track selector UI or console to load tracks');
+    console.log('🎚️  Keyboard: Z/X = Crossfader | Space = Play/Stop | Q/W = Volume | A/S = Filter | 1/2 = Focus deck | Pads: click = set/jump, Shift+click = delete cue');
+    console.log('🔁 Loops: I/O = Loop in/out | L = Auto-loop (4 beats) | [/] = Halve/Double | R (hold) = Loop roll | Y = Sync (Shift+Y = tempo only)');
+    console.log('🎚️  Tempo: -/= = Pitch down/up | P = Pitch range (±8/16/50%) | K = Key lock');
+    console.log('🛑 Stops: B = Brake (Shift+B = brake time) | V = Spinback | N = Power off/on');
+    console.log('✨ FX: F = FX on/off | G = Next effect (Echo/Reverb/Flanger/Phaser/Bitcrusher/Gater)');
+    console.log('🔊 Master: center knob = volume | LIM button = limiter on/off (Shift+click = ceiling) | red LED = clip');
+    console.log('⏺️  Record: REC button = start/stop (Shift+click = pause) | format + download in track panel');
+    console.log('💾 Session: Autosaved (localStorage), restored on reload | Export/Import JSON in track panel');
+    console.log('🎹 MIDI: Learn in track panel → click a 3D control → move a hardware control | Export/Import JSON');
+    console.log('🎧 Cue: C = PFL on/off | CUE buttons + center knob = cue/master mix | Output select in track panel');
+  } catch (error) {
+    console.error('Audio initialization failed:', error);
+  }
+}
+
+/**
+ * Connect LED meter meshes to the engine's level meters
+ * Deck columns: RMS bar + peak hold, master columns: per-channel RMS + peak
+ */
+function subscribeLevelMeters() {
+  const meterById = id => levelMeters.find(meter => meter.id === id);
+
+  [[deck1, 'deck1'], [deck2, 'deck2']].forEach(([deck, meterId]) => {
+    const meter = meterById(meterId);
+    audioEngine.subscribeMeter(deck.name, reading => {
+      setMeterLevel(meter, reading.rmsDb, reading.peakHoldDb);
+    });
+  });
+
+  const masterL = meterById('masterL');
+  const masterR = meterById('masterR');
+  audioEngine.subscribeMeter('master', ({ channels }) => {
+    setMeterLevel(masterL, channels[0].rmsDb, channels[0].peakDb);
+    setMeterLevel(masterR, channels[1].rmsDb, channels[1].peakDb);
+  });
+
+  // Clip LED: master bus before the limiter (lit = limiter catching overs, or clipping when bypassed)
+  const clipLed = statusLeds.find(led => led.userData.id === 'masterClip');
+  audioEngine.subscribeMeter('masterPre', ({ clipping }) => {
+    if (clipLed.userData.lit !== clipping) setPadLit(clipLed, clipping);
+  });
+}
+
+/**
+ * Waveform panel (top left): zoomed waveform + overview per deck
+ * Clicking an overview seeks that deck
+ */
+function createWaveformPanel() {
+  const container = document.createElement('div');
+  container.id = 'waveforms';
+  container.style.cssText = `
+    position: fixed;
+    top: 20px;
+    left: 20px;
+    right: 340px;
+    padding: 8px 8px 2px;
+    background: rgba(20, 25, 35, 0.85);
+    border: 1px solid rgba(100, 180, 255, 0.3);
+    border-radius: 8px;
+    font-family: monospace;
+    z-index: 999;
+  `;
+
+  [[1, deck1], [2, deck2]].forEach(([deckId, deck]) => {
+    const display = new WaveformDisplay({
+      label: deck.name,
+      cueColors: CUE_PAD_COLORS,
+      onSeek: time => {
+        deck.seek(time);
+        refreshLoopButtons(deckId); // Seeking out of a loop exits it
+      }
+    });
+    waveformDisplays[deckId] = display;
+    container.appendChild(display.element);
+  });
+
+  document.body.appendChild(container);
+}
+
+/**
+ * Draw both decks' waveforms (every frame, displays skip unchanged states)
+ */
+function renderWaveforms() {
+  [[1, deck1], [2, deck2]].forEach(([deckId, deck]) => {
+    waveformDisplays[deckId]?.render(deck?.audioBuffer ? {
+      position: deck.getPosition(),
+      bpm: deck.bpm,
+      firstBeatOffset: deck.firstBeatOffset,
+      hotCues: deck.hotCues
+    } : null);
+  });
+}
+
+/**
+ * Create minimal track selector UI
+ */
+function createTrackSelectorUI() {
+  // Create UI container
+  const container = document.createElement('div');
+  container.id = 'track-selector';
+  container.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: rgba(20, 25, 35, 0.95);
+    backdrop-filter: blur(10px);
+    border: 1px solid rgba(100, 180, 255, 0.3);
+    border-radius: 8px;
+    padding: 15px;
+    color: white;
+    font-family: monospace;
+    font-size: 12px;
+    z-index: 1000;
+    min-width: 250px;
+    width: 300px;
+    max-height: calc(100vh - 40px);
+    overflow-y: auto;
+    box-sizing: border-box;
+  `;
+
+  // Deck A section
+  const deckASection = document.createElement('div');
+  deckASection.innerHTML = `
+    <div style="margin-bottom: 10px; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #4af;">🎧 DECK A</strong>
+      <div style="display: flex; gap: 8px; align-items: center; margin-top: 4px;">
+        <img id="deck-a-cover" alt="" style="display: none; width: 36px; height: 36px; object-fit: cover; border-radius: 3px;">
+        <div style="min-width: 0;">
+          <div id="deck-a-track" style="color: #6f6;">No Track</div>
+          <div id="deck-a-meta" style="color: #8ac; margin-top: 2px;"></div>
+        </div>
+      </div>
+      <div id="deck-a-bpm" style="color: #aaa; margin-top: 2px;">--- BPM</div>
+      <div id="deck-a-time" style="color: #aaa; margin-top: 2px;">-:--.- / -:--.-</div>
+    </div>
+  `;
+
+  // File upload for Deck A
+  const fileInputA = document.createElement('input');
+  fileInputA.type = 'file';
+  fileInputA.accept = 'audio/*';
+  fileInputA.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-top: 8px;
+    padding: 4px;
+    font-size: 10px;
+    color: white;
+  `;
+  fileInputA.onchange = (e) => {
+    if (e.target.files[0]) {
+      assignUserTrackToDeck(1, e.target.files[0]);
+    }
+  };
+  deckASection.appendChild(fileInputA);
+
+  // Deck B section
+  const deckBSection = document.createElement('div');
+  deckBSection.innerHTML = `
+    <div style="margin: 15px 0 10px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #f4a;">🎧 DECK B</strong>
+      <div style="display: flex; gap: 8px; align-items: center; margin-top: 4px;">
+        <img id="deck-b-cover" alt="" style="display: none; width: 36px; height: 36px; object-fit: cover; border-radius: 3px;">
+        <div style="min-width: 0;">
+          <div id="deck-b-track" style="color: #6f6;">No Track</div>
+          <div id="deck-b-meta" style="color: #8ac; margin-top: 2px;"></div>
+        </div>
+      </div>
+      <div id="deck-b-bpm" style="color: #aaa; margin-top: 2px;">--- BPM</div>
+      <div id="deck-b-time" style="color: #aaa; margin-top: 2px;">-:--.- / -:--.-</div>
+    </div>
+  `;
+
+  // File upload for Deck B
+  const fileInputB = document.createElement('input');
+  fileInputB.type = 'file';
+  fileInputB.accept = 'audio/*';
+  fileInputB.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-top: 8px;
+    padding: 4px;
+    font-size: 10px;
+    color: white;
+  `;
+  fileInputB.onchange = (e) => {
+    if (e.target.files[0]) {
+      assignUserTrackToDeck(2, e.target.files[0]);
+    }
+  };
+  deckBSection.appendChild(fileInputB);
+
+  // Headphone cue output section
+  const cueSection = document.createElement('div');
+  cueSection.innerHTML = `
+    <div style="margin: 15px 0 6px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #fc0;">🎧 CUE OUTPUT</strong>
+    </div>
+  `;
+
+  const cueOutputSelect = document.createElement('select');
+  cueOutputSelect.id = 'cue-output';
+  cueOutputSelect.style.cssText = `
+    display: block;
+    width: 100%;
+    padding: 4px;
+    background: rgba(255, 204, 0, 0.1);
+    border: 1px solid rgba(255, 204, 0, 0.5);
+    color: white;
+    border-radius: 4px;
+    font-size: 11px;
+  `;
+  cueOutputSelect.onchange = async (e) => {
+    const { cueBus } = audioEngine;
+    cueOutputConfigured = true;
+    if (e.target.value === CueOutputMode.MASTER) {
+      cueBus.disable();
+    } else if (e.target.value === CueOutputMode.SPLIT) {
+      cueBus.enableSplitMode();
+    } else {
+      await cueBus.setOutputDevice(e.target.value);
+    }
+    console.log(`🎧 Cue output: ${getCueOutputText(cueBus.mode)}`);
+    refreshCueOutputSelect();
+  };
+  cueSection.appendChild(cueOutputSelect);
+
+  // Mix recorder section
+  const recSection = document.createElement('div');
+  recSection.innerHTML = `
+    <div style="margin: 15px 0 6px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #f44;">⏺ RECORD MIX</strong>
+      <div id="rec-time" style="color: #aaa; margin-top: 4px;">Not recording</div>
+    </div>
+  `;
+
+  const recFormatSelect = document.createElement('select');
+  recFormatSelect.id = 'rec-format';
+  recFormatSelect.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-bottom: 4px;
+    padding: 4px;
+    background: rgba(255, 68, 68, 0.1);
+    border: 1px solid rgba(255, 68, 68, 0.5);
+    color: white;
+    border-radius: 4px;
+    font-size: 11px;
+  `;
+  Object.entries(RECORDING_FORMATS)
+    .filter(([format]) => mixRecorder.isSupported(format))
+    .forEach(([format, { label }]) => {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = label;
+      recFormatSelect.appendChild(option);
+    });
+  recSection.appendChild(recFormatSelect);
+
+  const recButtons = [
+    { id: 'rec-toggle', text: '⏺ Record', onclick: () => toggleRecording() },
+    { id: 'rec-pause', text: '⏸ Pause', onclick: () => toggleRecordingPause() },
+    { id: 'rec-download', text: '💾 Download (audio + CUE)', onclick: () => mixRecorder.download({ tracklistFormat: 'cue' }) },
+    { id: 'rec-download-txt', text: '📝 Tracklist (TXT)', onclick: () => mixRecorder.download({ tracklistFormat: 'txt', includeAudio: false }) }
+  ];
+  recButtons.forEach(({ id, text, onclick }) => {
+    const btn = document.createElement('button');
+    btn.id = id;
+    btn.textContent = text;
+    btn.style.cssText = `
+      display: block;
+      width: 100%;
+      margin: 4px 0;
+      padding: 6px;
+      background: rgba(255, 68, 68, 0.2);
+      border: 1px solid rgba(255, 68, 68, 0.5);
+      color: white;
+      cursor: pointer;
+      border-radius: 4px;
+      font-size: 11px;
+    `;
+    btn.onclick = onclick;
+    recSection.appendChild(btn);
+  });
+
+  // MIDI section
+  const midiSection = document.createElement('div');
+  midiSection.innerHTML = `
+    <div style="margin: 15px 0 6px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #8f8;">🎹 MIDI</strong>
+      <div id="midi-status" style="color: #aaa; margin-top: 4px;">No MIDI access</div>
+    </div>
+  `;
+
+  const midiImportInput = document.createElement('input');
+  midiImportInput.type = 'file';
+  midiImportInput.accept = 'application/json,.json';
+  midiImportInput.style.display = 'none';
+  midiImportInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const count = midiInput.importMappings(await file.text());
+      console.log(`🎹 MIDI: Imported ${count} mappings`);
+    } catch (error) {
+      console.error('MIDI mapping import failed:', error);
+    }
+    midiImportInput.value = '';
+    refreshMidiPanel();
+    sendMidiFeedback();
+  };
+  midiSection.appendChild(midiImportInput);
+
+  const midiButtons = [
+    { id: 'midi-learn', text: '🎯 Learn', onclick: () => toggleMidiLearn() },
+    { id: 'midi-export', text: '📤 Export mappings (JSON)', onclick: () => exportMidiMappings() },
+    { id: 'midi-import', text: '📥 Import mappings (JSON)', onclick: () => midiImportInput.click() }
+  ];
+  midiButtons.forEach(({ id, text, onclick }) => {
+    const btn = document.createElement('button');
+    btn.id = id;
+    btn.textContent = text;
+    btn.style.cssText = `
+      display: block;
+      width: 100%;
+      margin: 4px 0;
+      padding: 6px;
+      background: rgba(136, 255, 136, 0.15);
+      border: 1px solid rgba(136, 255, 136, 0.5);
+      color: white;
+      cursor: pointer;
+      border-radius: 4px;
+      font-size: 11px;
+    `;
+    btn.onclick = onclick;
+    midiSection.appendChild(btn);
+  });
+
+  // Session section
+  const sessionSection = document.createElement('div');
+  sessionSection.innerHTML = `
+    <div style="margin: 15px 0 6px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #fc6;">💾 SESSION</strong>
+      <div id="session-status" style="color: #aaa; margin-top: 4px;">Autosaved to this browser</div>
+    </div>
+  `;
+
+  const sessionImportInput = document.createElement('input');
+  sessionImportInput.type = 'file';
+  sessionImportInput.accept = 'application/json,.json';
+  sessionImportInput.style.display = 'none';
+  sessionImportInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      await restoreSession(sessionManager.fromJSON(await file.text()));
+      saveSession();
+      console.log(`💾 Session: Imported "${file.name}"`);
+    } catch (error) {
+      console.error('Session import failed:', error);
+    }
+    sessionImportInput.value = '';
+  };
+  sessionSection.appendChild(sessionImportInput);
+
+  const sessionButtons = [
+    { text: '📤 Export session (JSON)', onclick: () => sessionManager.download(captureSession()) },
+    { text: '📥 Import session (JSON)', onclick: () => sessionImportInput.click() }
+  ];
+  sessionButtons.forEach(({ text, onclick }) => {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.style.cssText = `
+      display: block;
+      width: 100%;
+      margin: 4px 0;
+      padding: 6px;
+      background: rgba(255, 204, 102, 0.15);
+      border: 1px solid rgba(255, 204, 102, 0.5);
+      color: white;
+      cursor: pointer;
+      border-radius: 4px;
+      font-size: 11px;
+    `;
+    btn.onclick = onclick;
+    sessionSection.appendChild(btn);
+  });
+
+  // Library browser section (presets + saved uploads, loads go through assignTrackToDeck)
+  const librarySection = document.createElement('div');
+  librarySection.innerHTML = `
+    <div style="margin: 15px 0 6px 0; border-bottom: 1px solid rgba(100,180,255,0.3); padding-bottom: 8px;">
+      <strong style="color: #6cf;">📚 LIBRARY</strong>
+    </div>
+  `;
+  libraryBrowser = new LibraryBrowser({
+    library: trackLibrary,
+    onLoad: assignTrackToDeck,
+    onDelete: deleteStoredTrack,
+    onImport: refreshImportedDecks
+  });
+  librarySection.appendChild(libraryBrowser.element);
+
+  // Assemble
+  container.appendChild(deckASection);
+  container.appendChild(deckBSection);
+  container.appendChild(librarySection);
+  container.appendChild(cueSection);
+  container.appendChild(recSection);
+  container.appendChild(midiSection);
+  container.appendChild(sessionSection);
+  document.body.appendChild(container);
+
+  refreshCueOutputSelect();
+  refreshRecorderControls();
+  updateTrackDisplay();
+}
+
+// ================= RAYCASTER =================
+const raycaster = new THREE.Raycaster();
+const mouse = new THREE.Vector2();
+
+let activeObject = null;
+let hoveredObject = null;
+let lastAngle = 0;
+let lastX = 0;
+let lastY = 0;
+
+// Store original emissive colors
+const originalEmissive = new Map();
+
+// ================= HUD HELPERS =================
+/**
+ * Show HUD for active object
+ */
+function showHUDForObject(object) {
+  const type = object.userData.type;
+  const deckId = object.userData.deckId;
+  const isFocused = deckId === store.getState().ui.activeDeckId;
+  const deckLabel = deckId === 1 ? 'A' : 'B';
+  const focusIndicator = isFocused ? '🎯' : '○';
+
+  let label = '';
+  let value = '';
+  let image = null;
+
+  if (type === 'jog') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    label = `${focusIndicator} Deck ${deckLabel} - ${getTrackTitle(deckId)}`;
+    value = deck ? getJogValue(deck) : 'Ready';
+    image = getDeckTrackInfo(deckId)?.coverUrl;
+  } else if (type === 'knob') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    const controlType = object.userData.controlType;
+    const trackName = store.getState().decks[deckId].trackName;
+
+    // Label based on control type
+    switch (controlType) {
+      case 'filter':
+        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Filter`;
+        if (deck) {
+          const { type: filterType, frequency } = deck.filterState;
+          const freqStr = frequency >= 1000
+            ? `${(frequency / 1000).toFixed(1)} kHz`
+            : `${Math.round(frequency)} Hz`;
+
+          if (filterType === 'bypass') {
+            value = 'BYPASS (OFF)';
+          } else if (filterType === 'lowpass') {
+            value = `Low-Pass: ${freqStr}`;
+          } else {
+            value = `High-Pass: ${freqStr}`;
+          }
+        }
+        break;
+      case 'eqLow':
+        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Bass`;
+        if (deck) {
+          const gainDB = deck.eqState.low.gain;
+          value = gainDB >= 0 ? `+${gainDB.toFixed(1)} dB` : `${gainDB.toFixed(1)} dB`;
+        }
+        break;
+      case 'eqHigh':
+        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Treble`;
+        if (deck) {
+          const gainDB = deck.eqState.high.gain;
+          value = gainDB >= 0 ? `+${gainDB.toFixed(1)} dB` : `${gainDB.toFixed(1)} dB`;
+        }
+        break;
+      case 'fxMix':
+      case 'fxParam':
+        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - FX ${controlType === 'fxMix' ? 'Dry/Wet' : 'Param'}`;
+        if (deck) {
+          value = getFxValue(deck, controlType);
+        }
+        break;
+      case 'cueMix':
+        label = '🎧 Headphone Mix';
+        value = audioInitialized ? getCueMixValue() : 'Ready';
+        break;
+      case 'masterVolume':
+        label = '🔊 Master Volume';
+        value = audioInitialized ? getMasterValue() : 'Ready';
+        break;
+      default:
+        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Knob`;
+        value = 'Ready';
+    }
+  } else if (type === 'fader') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} - ${trackName} - Volume`;
+    value = deck ? `${Math.round(deck.gainNode.gain.value * 100)}%` : 'Ready';
+  } else if (type === 'crossfader') {
+    const cfValue = object.userData.value;
+    const deckAPercent = Math.round((1.0 - cfValue) * 100);
+    const deckBPercent = Math.round(cfValue * 100);
+
+    label = '🎚️ Crossfader';
+    value = `A ← ${deckAPercent}% | ${deckBPercent}% → B`;
+  } else if (type === 'cuePad') {
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Hot Cue ${object.userData.padIndex + 1}`;
+    value = getCuePadValue(object);
+  } else if (type === 'loopButton') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Loop ${object.userData.label}`;
+    value = deck ? getLoopValue(deck) : 'Ready';
+  } else if (type === 'syncButton') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    label = `${focusIndicator} Deck ${deckLabel} - Sync`;
+    value = deck ? getSyncValue(deck) : 'Ready';
+  } else if (type === 'jogMode') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    label = `${focusIndicator} Deck ${deckLabel} - Jog Mode`;
+    value = deck ? getJogModeValue(deck) : 'Ready';
+  } else if (type === 'stopEffect') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - ${object.userData.label}`;
+    value = deck ? getStopEffectValue(deck, object.userData.action) : 'Ready';
+  } else if (type === 'pitchFader' || type === 'pitchRange' || type === 'keyLock') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    const controlName = { pitchFader: 'Tempo', pitchRange: 'Pitch Range', keyLock: 'Key Lock' }[type];
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - ${controlName}`;
+    value = deck ? getPitchValue(deck) : 'Ready';
+  } else if (type === 'fxButton' || type === 'fxSelect') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - FX ${type === 'fxButton' ? 'On/Off' : 'Select'}`;
+    value = deck ? getFxValue(deck, type) : 'Ready';
+  } else if (type === 'pflButton') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const trackName = store.getState().decks[deckId].trackName;
+    label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Headphone Cue`;
+    value = deck ? getPflValue(deck) : 'Ready';
+  } else if (type === 'limiterButton') {
+    label = '🧱 Master Limiter (Shift+click = ceiling)';
+    value = audioInitialized ? getMasterValue() : 'Ready';
+  } else if (type === 'playButton') {
+    const deck = deckId === 1 ? deck1 : deck2;
+    label = `${focusIndicator} Deck ${deckLabel} [${getTrackTitle(deckId)}] - Play / Pause`;
+    value = deck ? `${deck.isPlaying ? '▶️ Playing' : '⏸️ Paused'} | ${getTimeText(deck)}` : 'Ready';
+    image = getDeckTrackInfo(deckId)?.coverUrl;
+  } else if (type === 'recordButton') {
+    label = '⏺ Record Mix (Shift+click = pause)';
+    value = audioInitialized ? getRecorderValue() : 'Ready';
+  }
+
+  hud.show({
+    object3D: object,
+    label,
+    value,
+    camera,
+    image
+  });
+}
+
+/**
+ * Update HUD value during interaction
+ */
+function updateHUDValue(object) {
+  const type = object.userData.type;
+  let value = '';
+
+  if (type === 'jog') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    if (deck) {
+      value = getJogValue(deck);
+    }
+  } else if (type === 'knob') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    const controlType = object.userData.controlType;
+
+    if (controlType === 'cueMix') {
+      value = getCueMixValue();
+    } else if (controlType === 'masterVolume') {
+      value = getMasterValue();
+    } else if (deck) {
+      switch (controlType) {
+        case 'filter':
+          const { type: filterType, frequency } = deck.filterState;
+          const freqStr = frequency >= 1000
+            ? `${(frequency / 1000).toFixed(1)} kHz`
+            : `${Math.round(frequency)} Hz`;
+
+          if (filterType === 'bypass') {
+            value = 'BYPASS (OFF)';
+          } else if (filterType === 'lowpass') {
+            value = `Low-Pass: ${freqStr}`;
+          } else {
+            value = `High-Pass: ${freqStr}`;
+          }
+          break;
+        case 'eqLow':
+          const lowGainDB = deck.eqState.low.gain;
+          value = lowGainDB >= 0 ? `+${lowGainDB.toFixed(1)} dB` : `${lowGainDB.toFixed(1)} dB`;
+          break;
+        case 'eqHigh':
+          const highGainDB = deck.eqState.high.gain;
+          value = highGainDB >= 0 ? `+${highGainDB.toFixed(1)} dB` : `${highGainDB.toFixed(1)} dB`;
+          break;
+        case 'fxMix':
+        case 'fxParam':
+          value = getFxValue(deck, controlType);
+          break;
+      }
+    }
+  } else if (type === 'fader') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    if (deck) {
+      value = `${Math.round(deck.gainNode.gain.value * 100)}%`;
+    }
+  } else if (type === 'crossfader') {
+    const cfValue = object.userData.value;
+    const deckAPercent = Math.round((1.0 - cfValue) * 100);
+    const deckBPercent = Math.round(cfValue * 100);
+    value = `A ← ${deckAPercent}% | ${deckBPercent}% → B`;
+  } else if (type === 'cuePad') {
+    value = getCuePadValue(object);
+  } else if (type === 'loopButton') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getLoopValue(deck) : 'Ready';
+  } else if (type === 'syncButton') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getSyncValue(deck) : 'Ready';
+  } else if (type === 'jogMode') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getJogModeValue(deck) : 'Ready';
+  } else if (type === 'stopEffect') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getStopEffectValue(deck, object.userData.action) : 'Ready';
+  } else if (type === 'pitchFader' || type === 'pitchRange' || type === 'keyLock') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getPitchValue(deck) : 'Ready';
+  } else if (type === 'fxButton' || type === 'fxSelect') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getFxValue(deck, type) : 'Ready';
+  } else if (type === 'pflButton') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? getPflValue(deck) : 'Ready';
+  } else if (type === 'limiterButton') {
+    value = getMasterValue();
+  } else if (type === 'playButton') {
+    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+    value = deck ? `${deck.isPlaying ? '▶️ Playing' : '⏸️ Paused'} | ${getTimeText(deck)}` : 'Ready';
+  } else if (type === 'recordButton') {
+    value = getRecorderValue();
+  }
+
+  hud.update(value);
+}
+
+/**
+ * HUD value for a jog wheel (playback rate + playhead + tempo)
+ */
+function getJogValue(deck) {
+  const tempo = deck.bpm ? ` | ${deck.bpm.toFixed(2)} BPM` : '';
+  const position = deck.audioBuffer ? ` @ ${formatTime(deck.getPosition())}` : '';
+  return `Playback: ${deck.getCurrentRate().toFixed(2)}x${position}${tempo}`;
+}
+
+/**
+ * HUD value for a jog mode button (what the top plate / ring do)
+ */
+function getJogModeValue(deck) {
+  return {
+    vinyl: 'VINYL | Top: scratch, Ring: nudge',
+    nudge: 'NUDGE | Pitch bend',
+    search: 'SEARCH | Fast seek'
+  }[deck.jogMode];
+}
+
+/**
+ * HUD value for a stop effect button (platter speed + effect setting)
+ */
+function getStopEffectValue(deck, action) {
+  const setting = {
+    brake: `Brake ${deck.brakeTime}s (Shift+click = time)`,
+    spinback: 'Spinback',
+    power: deck.isPlaying ? 'Motor ON' : 'Motor OFF'
+  }[action];
+  return `${setting} | ${deck.getCurrentRate().toFixed(2)}x`;
+}
+
+/**
+ * HUD value for a PFL button (cue state + output mode)
+ */
+function getPflValue(deck) {
+  return `${deck.pfl ? 'CUE ON' : 'CUE OFF'} | ${getCueOutputText(audioEngine.cueBus.mode)}`;
+}
+
+/**
+ * HUD value for the headphone mix knob
+ */
+function getCueMixValue() {
+  const masterPercent = Math.round(audioEngine.cueBus.mix * 100);
+  return `Cue ${100 - masterPercent}% | ${masterPercent}% Master`;
+}
+
+/**
+ * HUD value for the master section (volume + limiter)
+ */
+function getMasterValue() {
+  const { enabled, ceiling, reduction } = audioEngine.getLimiterState();
+  const volume = `${Math.round(audioEngine.masterVolume * 100)}%`;
+  if (!enabled) return `${volume} | Limiter BYPASS`;
+  return `${volume} | Limiter ${ceiling.toFixed(1)} dB | GR ${reduction.toFixed(1)} dB`;
+}
+
+/**
+ * HUD value for the REC button
+ */
+function getRecorderValue() {
+  const { state } = mixRecorder;
+  if (state === 'inactive') return 'Stopped';
+  return `${state.toUpperCase()} ${formatTime(mixRecorder.getElapsed())} (${mixRecorder.format.toUpperCase()})`;
+}
+
+/**
+ * HUD value for a sync button
+ */
+function getSyncValue(deck) {
+  const bpm = deck.getEffectiveBpm();
+  const tempo = bpm ? `${bpm.toFixed(2)} BPM` : 'BPM unknown';
+  return `${deck.syncLocked ? 'SYNC ON' : 'SYNC OFF'} | ${tempo}`;
+}
+
+/**
+ * HUD value for pitch controls (tempo %, range, key lock, BPM)
+ */
+function getPitchValue(deck) {
+  const percent = (deck.tempoRate - 1) * 100;
+  const sign = percent >= 0 ? '+' : '';
+  const bpm = deck.getEffectiveBpm();
+  const tempo = bpm ? ` | ${bpm.toFixed(2)} BPM` : '';
+  const keyLock = deck.keyLock ? ' | KEY' : '';
+  return `${sign}${percent.toFixed(2)}% (±${Math.round(deck.pitchRange * 100)}%)${tempo}${keyLock}`;
+}
+
+/**
+ * HUD value for FX controls
+ * @param {Deck} deck
+ * @param {string} control - 'fxMix' | 'fxParam' | 'fxButton' | 'fxSelect'
+ */
+function getFxValue(deck, control) {
+  const { fx } = deck;
+  const name = EFFECT_LABELS[fx.type];
+  const state = fx.enabled ? 'ON' : 'OFF';
+
+  if (control === 'fxMix') return `${name} ${state} | Wet ${Math.round(fx.mix * 100)}%`;
+  if (control === 'fxParam') return `${name} ${state} | ${fx.describeParam()}`;
+  return `${name} ${state}`;
+}
+
+/**
+ * HUD value for a hot cue pad
+ */
+function getCuePadValue(pad) {
+  const deck = pad.userData.deckId === 1 ? deck1 : deck2;
+  const time = deck ? deck.hotCues[pad.userData.padIndex] : null;
+  return time === null ? 'Empty (click to set)' : `Cue @ ${formatTime(time)}`;
+}
+
+// Helper to get screen position of 3D object
+function getScreenPosition(obj, camera) {
+  const vector = new THREE.Vector3();
+  obj.getWorldPosition(vector);
+  vector.project(camera);
+
+  return {
+    x: (vector.x + 1) / 2 * window.innerWidth,
+    y: -(vector.y - 1) / 2 * window.innerHeight
+  };
+}
+
+// ================= CONTROL ACTIONS =================
+// Shared by mouse, keyboard and MIDI input: value controls dispatch store actions,
+// store subscribers move the meshes, drive audio and update the HUD
+
+// 3D control → store action (knobs by controlType, linear controls by type)
+const KNOB_ACTIONS = {
+  filter: 'deck/setFilter',
+  eqLow: 'deck/setEQLow',
+  eqHigh: 'deck/setEQHigh',
+  fxMix: 'deck/setFxMix',
+  fxParam: 'deck/setFxParam',
+  cueMix: 'mixer/setCueMix',
+  masterVolume: 'mixer/setMasterVolume'
+};
+const SLIDER_ACTIONS = {
+  fader: 'deck/setVolume',
+  pitchFader: 'deck/setPitch',
+  crossfader: 'mixer/setCrossfader'
+};
+
+/**
+ * Store action a value control dispatches (null for jogs, buttons, pads)
+ * @param {Object} userData - mesh.userData
+ * @returns {string|null}
+ */
+function getControlAction(userData) {
+  const action = userData.type === 'knob' ? KNOB_ACTIONS[userData.controlType] : SLIDER_ACTIONS[userData.type];
+  return action || null;
+}
+
+/**
+ * Set a knob / fader / pitch fader / crossfader value
+ * @param {THREE.Mesh} control
+ * @param {number} value - 0.0 - 1.0
+ */
+function setControl(control, value) {
+  const type = getControlAction(control.userData);
+  if (!type) return;
+
+  store.dispatch({ type, deckId: control.userData.deckId, value });
+}
+
+// ================= STORE → AUDIO / MESHES / HUD =================
+
+/**
+ * Apply the whole store state to the decks and mixer (decks just created)
+ * @param {Object} state
+ */
+function applyStateToAudio(state) {
+  [deck1, deck2].forEach((deck, index) => {
+    const values = state.decks[index + 1];
+    deck.setVolume(values.volume);
+    deck.setFilter(values.filter);
+    deck.setEQLow(values.eqLow);
+    deck.setEQHigh(values.eqHigh);
+    deck.fx.setMix(values.fxMix);
+    deck.fx.setParam(values.fxParam);
+    deck.setPitch(values.pitch);
+  });
+
+  applyCrossfader(state.mixer.crossfader);
+  audioEngine.cueBus.setMix(state.mixer.cueMix);
+  audioEngine.setMasterVolume(state.mixer.masterVolume);
+}
+
+/**
+ * Store subscriber: route a value action to its audio parameter
+ */
+function applyActionToAudio(state, prevState, action) {
+  if (!audioInitialized) return;
+
+  const deck = action.deckId === 1 ? deck1 : deck2;
+  const value = selectValue(state, action.type, action.deckId);
+
+  switch (action.type) {
+    case 'deck/setVolume':
+      // Channel fader controls deck's channel gain, independent of crossfader
+      deck.setVolume(value);
+      break;
+    case 'deck/setFilter':
+      deck.setFilter(value);
+      break;
+    case 'deck/setEQLow':
+      deck.setEQLow(value);
+      break;
+    case 'deck/setEQHigh':
+      deck.setEQHigh(value);
+      break;
+    case 'deck/setFxMix':
+      deck.fx.setMix(value);
+      break;
+    case 'deck/setFxParam':
+      deck.fx.setParam(value);
+      break;
+    case 'deck/setPitch':
+      // Tempo (toward the DJ = faster), releases sync
+      setDeckPitch(action.deckId, value);
+      break;
+    case 'mixer/setCrossfader':
+      applyCrossfader(value);
+      break;
+    case 'mixer/setCueMix':
+      audioEngine.cueBus.setMix(value);
+      break;
+    case 'mixer/setMasterVolume':
+      audioEngine.setMasterVolume(value);
+      break;
+    case 'session/restore':
+      applyStateToAudio(state);
+      break;
+  }
+}
+
+/**
+ * Store subscriber: knob rotation / handle position follow state
+ * (setControlValue also feeds MIDI feedback)
+ */
+function syncMeshesWithStore(state) {
+  interactables.forEach(obj => {
+    const value = selectValue(state, getControlAction(obj.userData), obj.userData.deckId);
+    if (value !== undefined && value !== obj.userData.value) {
+      setControlValue(obj, value);
+    }
+  });
+}
+
+/**
+ * Store subscriber: HUD follows the changed control
+ * (held control: live value, otherwise a short popup for keyboard / MIDI changes)
+ */
+function syncHudWithStore(state, prevState, action) {
+  if (!audioInitialized || !VALUE_ACTIONS[action.type]) return;
+
+  const object = interactables.find(obj =>
+    getControlAction(obj.userData) === action.type && (!action.deckId || obj.userData.deckId === action.deckId)
+  );
+  if (!object) return; // 'deck/tempoChanged': no control of its own
+
+  if (object === activeObject) {
+    updateHUDValue(object);
+  } else if (!activeObject) {
+    showHUDForObject(object);
+    hud.hide(800);
+  }
+}
+
+// Order matters: audio first (HUD values read from the decks)
+store.subscribe(applyActionToAudio);
+store.subscribe(syncMeshesWithStore);
+store.subscribe(syncHudWithStore);
+syncMeshesWithStore(store.getState());
+
+// ================= SESSION =================
+
+// Autosave interval (page close is saved too, this covers crashes / killed tabs)
+const SESSION_AUTOSAVE_MS = 10000;
+
+/**
+ * Collect the whole session: store values + deck state + cue points of every track
+ * @returns {import('./session').Session}
+ */
+function captureSession() {
+  const state = store.getState();
+  const decks = {};
+
+  [1, 2].forEach(deckId => {
+    const deck = deckId === 1 ? deck1 : deck2;
+    decks[deckId] = {
+      ...state.decks[deckId],
+      position: deck.getPosition(),
+      isPlaying: deck.isPlaying,
+      pitchRange: deck.pitchRange,
+      keyLock: deck.keyLock,
+      jogMode: deck.jogMode,
+      brakeTime: deck.brakeTime,
+      hotCues: [...deck.hotCues],
+      loop: { ...(deck.loopRoll ? deck.loopRoll.previousLoop : deck.loop) }, // Roll is momentary
+      fx: { type: deck.fx.type, enabled: deck.fx.enabled },
+      pfl: deck.pfl
+    };
+  });
+
+  const cuePoints = {};
+  trackLibrary.getTracks().forEach(({ id }) => {
+    const cues = trackLibrary.getCuePoints(id);
+    if (cues.some(time => time !== null)) cuePoints[id] = cues;
+  });
+
+  return {
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    activeDeckId: state.ui.activeDeckId,
+    mixer: { ...state.mixer },
+    decks,
+    cuePoints
+  };
+}
+
+/**
+ * Save the session to localStorage (only once the decks exist)
+ */
+function saveSession() {
+  if (!audioInitialized) return;
+
+  const saved = sessionManager.save(captureSession());
+  const status = document.getElementById('session-status');
+  if (status) {
+    status.textContent = saved ? `Autosaved ${new Date().toLocaleTimeString()}` : 'Autosave failed (storage full?)';
+  }
+}
+
+// Session restored before the first click: initAudio() restores its decks (exactly once)
+let pendingSession = null;
+
+/**
+ * Restore a session: values and mesh transforms right away, decks once audio is running
+ * @param {import('./session').Session} session
+ */
+async function restoreSession(session) {
+  store.dispatch({ type: 'session/restore', session });
+  resetControlTransforms();
+
+  // Decided before awaiting: a click during the wait must not restore the decks twice
+  const decksOnInit = !audioInitialized;
+  if (decksOnInit) pendingSession = session;
+
+  // Uploads' cue points need their metadata listed first (IndexedDB)
+  await trackLibrary.init();
+  Object.entries(session.cuePoints || {}).forEach(([trackId, cues]) => {
+    trackLibrary.setCuePoints(trackId, cues);
+  });
+
+  if (!decksOnInit) await restoreDecks(session);
+}
+
+/**
+ * Restore tracks, playheads, cues, loops and deck buttons
+ * @param {import('./session').Session} session
+ */
+async function restoreDecks(session) {
+  for (const deckId of [1, 2]) {
+    const deck = deckId === 1 ? deck1 : deck2;
+    const saved = session.decks[deckId];
+
+    // Deleted uploads (or another browser's session): their decks keep only the values
+    if (saved.trackId && trackLibrary.getTrackInfo(saved.trackId)) {
+      await assignTrackToDeck(deckId, saved.trackId);
+    } else if (saved.trackId) {
+      console.warn(`💾 Session: "${saved.trackName}" is not in the library, ${deck.name} left empty`);
+    }
+
+    deck.stop();
+    if (deck.syncLocked) deck.unsync();
+    if (PITCH_RANGES.includes(saved.pitchRange)) deck.setPitchRange(saved.pitchRange);
+    deck.setKeyLock(!!saved.keyLock);
+    if (saved.jogMode) deck.setJogMode(saved.jogMode);
+    if (saved.brakeTime) deck.setBrakeTime(saved.brakeTime);
+    deck.setPitch(store.getState().decks[deckId].pitch);
+    if (saved.fx) {
+      deck.fx.setType(saved.fx.type);
+      deck.fx.setEnabled(!!saved.fx.enabled);
+    }
+    if (!!saved.pfl !== deck.pfl) await togglePfl(deckId);
+
+    // Playhead, cues and loop belong to the saved track (load may have failed)
+    if (deck.audioBuffer && store.getState().decks[deckId].trackId === saved.trackId) {
+      deck.setHotCues(saved.hotCues);
+      trackLibrary.setCuePoints(saved.trackId, deck.hotCues);
+      deck.setLoop(saved.loop);
+      deck.seek(saved.position);
+      if (saved.isPlaying) deck.play();
+    }
 
+    refreshCuePads(deckId);
+    refreshLoopButtons(deckId);
+    refreshPitchControls(deckId);
+    refreshFxButtons(deckId);
+  }
+
+  refreshPlayButtons();
+  refreshSyncButtons();
+  refreshPflButtons();
+  refreshJogModeButtons();
   updateTrackDisplay();
+  console.log(`💾 Session restored (saved ${new Date(session.savedAt).toLocaleString()})`);
 }
 
-// ================= RAYCASTER =================
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
-
-let activeObject = null;
-let hoveredObject = null;
-let lastAngle = 0;
-let lastX = 0;
-let lastY = 0;
+// Uploads saved in this browser (metadata only, decoded when loaded to a deck)
+trackLibrary.init();
 
-// Store original emissive colors
-const originalEmissive = new Map();
+// Last visit's session: knobs / faders move now, decks follow on the first click
+const startupSession = sessionManager.load();
+if (startupSession) {
+  restoreSession(startupSession);
+}
 
-// ================= KNOB CONSTANTS =================
-// Knob rotation range (270 degrees total, centered at 12 o'clock)
-// Offset by -90° so bypass (0.5) points up (12 o'clock) instead of right (3 o'clock)
-const KNOB_MIN_ANGLE = -Math.PI * 3 / 4 - Math.PI / 2; // -225° (7:30 position)
-const KNOB_MAX_ANGLE = Math.PI * 3 / 4 - Math.PI / 2;  // +45° (1:30 position)
-const KNOB_RANGE = KNOB_MAX_ANGLE - KNOB_MIN_ANGLE; // 270° (3π/2)
+// Jog search: track seconds per turn. Nudge: tempo bend sensitivity, back to tempo after the last move
+const JOG_SEARCH_SECONDS_PER_TURN = 20;
+const JOG_NUDGE_SENSITIVITY = 1.0;
+const JOG_NUDGE_IDLE_MS = 100;
+const jogNudgeTimers = new Map();
 
-// ================= HUD HELPERS =================
 /**
- * Show HUD for active object
+ * Is a hand holding the deck's record? (vinyl touch: the platter follows the hand, not the motor)
+ * @param {number} deckId - 1 or 2
+ * @returns {boolean}
  */
-function showHUDForObject(object) {
-  const type = object.userData.type;
-  const deckId = object.userData.deckId;
-  const isFocused = deckId === activeDeckId;
-  const deckLabel = deckId === 1 ? 'A' : 'B';
-  const focusIndicator = isFocused ? '🎯' : '○';
+function isPlatterHeld(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (deck.platter?.touched) return true;
 
-  let label = '';
-  let value = '';
+  // Scratch fallback without the vinyl worklet: held top plate in vinyl mode
+  const data = activeObject?.userData;
+  return !!data && data.type === "jog" && data.zone === "top" && data.deckId === deckId && deck.jogMode === "vinyl";
+}
 
-  if (type === 'jog') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
-    const trackName = deckId === 1 ? deckATrackName : deckBTrackName;
-    label = `${focusIndicator} Deck ${deckLabel} - ${trackName}`;
-    value = deck ? `Playback: ${deck.playbackRate.toFixed(2)}x` : 'Ready';
-  } else if (type === 'knob') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
-    const controlType = object.userData.controlType;
-    const trackName = deckId === 1 ? deckATrackName : deckBTrackName;
+let lastJogFrameTime = performance.now();
 
-    // Label based on control type
-    switch (controlType) {
-      case 'filter':
-        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Filter`;
-        if (deck) {
-          const { type: filterType, frequency } = deck.filterState;
-          const freqStr = frequency >= 1000
-            ? `${(frequency / 1000).toFixed(1)} kHz`
-            : `${Math.round(frequency)} Hz`;
+/**
+ * Spin the jog platters with playback (33⅓ RPM × signed playback rate) and fill the playhead rings
+ * Held platters are only turned by the hand (turnJog): rotation stays continuous with scratching
+ */
+function renderJogs() {
+  const now = performance.now();
+  const dt = Math.min(0.1, (now - lastJogFrameTime) / 1000); // Cap: no jump after a hidden tab
+  lastJogFrameTime = now;
 
-          if (filterType === 'bypass') {
-            value = 'BYPASS (OFF)';
-          } else if (filterType === 'lowpass') {
-            value = `Low-Pass: ${freqStr}`;
-          } else {
-            value = `High-Pass: ${freqStr}`;
-          }
-        }
-        break;
-      case 'eqLow':
-        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Bass`;
-        if (deck) {
-          const gainDB = deck.eqState.low.gain;
-          value = gainDB >= 0 ? `+${gainDB.toFixed(1)} dB` : `${gainDB.toFixed(1)} dB`;
-        }
-        break;
-      case 'eqHigh':
-        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Treble`;
-        if (deck) {
-          const gainDB = deck.eqState.high.gain;
-          value = gainDB >= 0 ? `+${gainDB.toFixed(1)} dB` : `${gainDB.toFixed(1)} dB`;
-        }
-        break;
-      default:
-        label = `${focusIndicator} Deck ${deckLabel} [${trackName}] - Knob`;
-        value = 'Ready';
-    }
-  } else if (type === 'fader') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
-    const trackName = deckId === 1 ? deckATrackName : deckBTrackName;
-    label = `${focusIndicator} Deck ${deckLabel} - ${trackName} - Volume`;
-    value = deck ? `${Math.round(deck.gainNode.gain.value * 100)}%` : 'Ready';
-  } else if (type === 'crossfader') {
-    const cfValue = object.userData.value;
-    const deckAPercent = Math.round((1.0 - cfValue) * 100);
-    const deckBPercent = Math.round(cfValue * 100);
+  [[1, deck1], [2, deck2]].forEach(([deckId, deck]) => {
+    if (!deck) return;
 
-    label = '🎚️ Crossfader';
-    value = `A ← ${deckAPercent}% | ${deckBPercent}% → B`;
-  }
+    const platter = getControl(`jog.ring.${deckId}`);
+    if (platter && !isPlatterHeld(deckId)) {
+      platter.rotation.y -= deck.getCurrentRate() * (Math.PI * 2 / PLATTER_SECONDS_PER_TURN) * dt;
+    }
 
-  hud.show({
-    object3D: object,
-    label,
-    value,
-    camera
+    const ring = jogRings.find(entry => entry.deckId === deckId);
+    setJogRingProgress(ring, deck.audioBuffer ? deck.getPosition() / deck.audioBuffer.duration : 0);
   });
 }
 
 /**
- * Update HUD value during interaction
+ * Rotating part of a jog (the top plate is a child of the ring)
+ * @param {THREE.Mesh} jog - Either hit zone
+ * @returns {THREE.Mesh}
  */
-function updateHUDValue(object) {
-  const type = object.userData.type;
-  let value = '';
+function getJogPlatter(jog) {
+  return jog.userData.zone === "top" ? jog.parent : jog;
+}
 
-  if (type === 'jog') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
-    if (deck) {
-      value = `Playback: ${deck.playbackRate.toFixed(2)}x`;
+/**
+ * Rotate a jog and apply it to its deck by jog mode and zone:
+ * vinyl top plate scratches, ring (and nudge mode) bends the tempo, search seeks fast
+ * @param {THREE.Mesh} jog
+ * @param {number} deltaAngle - Radians (positive = counter-clockwise on screen)
+ */
+function turnJog(jog, deltaAngle) {
+  // Jog: Direct rotation (no value state)
+  getJogPlatter(jog).rotation.y -= deltaAngle;
+
+  const deck = jog.userData.deckId === 1 ? deck1 : deck2;
+  if (!audioInitialized || !deck) return;
+
+  const turns = deltaAngle / (Math.PI * 2);
+
+  if (deck.jogMode === "search") {
+    deck.search(turns * JOG_SEARCH_SECONDS_PER_TURN);
+  } else if (deck.jogMode === "vinyl" && jog.userData.zone === "top") {
+    if (deck.hasVinyl()) {
+      // Vinyl: rotation moves the record directly, backwards too (MIDI encoders send no touch)
+      if (!deck.platter?.touched) deck.touchPlatter();
+      deck.movePlatter(turns * PLATTER_SECONDS_PER_TURN);
+    } else {
+      deck.scratch(deltaAngle / Math.PI, 3.0); // -1 to 1 per half turn
     }
-  } else if (type === 'knob') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
-    const controlType = object.userData.controlType;
+  } else {
+    // Nudge: bend follows the ring's speed, tempo comes back once it stops moving
+    deck.scratch(deltaAngle / Math.PI, JOG_NUDGE_SENSITIVITY);
+    clearTimeout(jogNudgeTimers.get(deck));
+    jogNudgeTimers.set(deck, setTimeout(() => deck.resetPlaybackRate(), JOG_NUDGE_IDLE_MS));
+  }
+}
 
-    if (deck) {
-      switch (controlType) {
-        case 'filter':
-          const { type: filterType, frequency } = deck.filterState;
-          const freqStr = frequency >= 1000
-            ? `${(frequency / 1000).toFixed(1)} kHz`
-            : `${Math.round(frequency)} Hz`;
+/**
+ * Press a control: buttons, pads and jog touch
+ * @param {THREE.Mesh} object
+ * @param {Object} [modifiers]
+ * @param {boolean} [modifiers.shiftKey=false] - Alternate action (delete cue, tempo-only sync, ...)
+ */
+function pressControl(object, { shiftKey = false } = {}) {
+  if (!audioInitialized) return;
 
-          if (filterType === 'bypass') {
-            value = 'BYPASS (OFF)';
-          } else if (filterType === 'lowpass') {
-            value = `Low-Pass: ${freqStr}`;
-          } else {
-            value = `High-Pass: ${freqStr}`;
-          }
-          break;
-        case 'eqLow':
-          const lowGainDB = deck.eqState.low.gain;
-          value = lowGainDB >= 0 ? `+${lowGainDB.toFixed(1)} dB` : `${lowGainDB.toFixed(1)} dB`;
-          break;
-        case 'eqHigh':
-          const highGainDB = deck.eqState.high.gain;
-          value = highGainDB >= 0 ? `+${highGainDB.toFixed(1)} dB` : `${highGainDB.toFixed(1)} dB`;
-          break;
-      }
+  const { type, deckId } = object.userData;
+
+  if (type === "jog") {
+    // Vinyl top plate: touching holds the record. Any other jog touch: touch to play
+    const deck = deckId === 1 ? deck1 : deck2;
+    const vinylTouch = deck?.jogMode === "vinyl" && object.userData.zone === "top";
+    const holding = vinylTouch && deck.touchPlatter();
+    if (deck && !holding && !deck.isPlaying) {
+      deck.play();
+      console.log(`🎵 ${deck.name}: Started by jog touch`);
+      refreshPlayButtons();
     }
-  } else if (type === 'fader') {
-    const deck = object.userData.deckId === 1 ? deck1 : deck2;
+  } else if (type === "playButton") {
+    togglePlay(deckId);
+  } else if (type === "cuePad") {
+    // Hot cue pad: set / jump (Shift = delete)
+    triggerCuePad(object, shiftKey);
+  } else if (type === "loopButton") {
+    // Loop button (ROLL is momentary - released in releaseControl)
+    triggerLoopAction(deckId, object.userData.action);
+  } else if (type === "syncButton") {
+    // Sync to other deck (Shift = tempo only, no phase alignment)
+    toggleSync(deckId, !shiftKey);
+  } else if (type === "pitchRange") {
+    cyclePitchRange(deckId);
+  } else if (type === "keyLock") {
+    toggleKeyLock(deckId);
+  } else if (type === "jogMode") {
+    cycleJogMode(deckId);
+  } else if (type === "stopEffect") {
+    // Brake / spinback / power (Shift+BRAKE = next brake time)
+    if (shiftKey && object.userData.action === "brake") {
+      cycleBrakeTime(deckId);
+    } else {
+      triggerStopEffect(deckId, object.userData.action);
+    }
+  } else if (type === "fxButton") {
+    toggleFx(deckId);
+  } else if (type === "fxSelect") {
+    cycleFx(deckId);
+  } else if (type === "pflButton") {
+    togglePfl(deckId);
+  } else if (type === "recordButton") {
+    // Record start/stop (Shift = pause/resume)
+    if (shiftKey) {
+      toggleRecordingPause();
+    } else {
+      toggleRecording();
+    }
+  } else if (type === "limiterButton") {
+    // Limiter on/off (Shift = next ceiling)
+    if (shiftKey) {
+      cycleLimiterCeiling();
+    } else {
+      toggleLimiter();
+    }
+  }
+}
+
+/**
+ * Release a control: jog scratch reset, momentary buttons
+ * @param {THREE.Mesh} object
+ */
+function releaseControl(object) {
+  if (!audioInitialized) return;
+
+  const { type, deckId } = object.userData;
+
+  if (type === "jog") {
+    // Vinyl: motor brings the record back up to speed. Nudge / scratch fallback: back to tempo
+    const deck = deckId === 1 ? deck1 : deck2;
     if (deck) {
-      value = `${Math.round(deck.gainNode.gain.value * 100)}%`;
+      deck.releasePlatter();
+      deck.resetPlaybackRate();
     }
-  } else if (type === 'crossfader') {
-    const cfValue = object.userData.value;
-    const deckAPercent = Math.round((1.0 - cfValue) * 100);
-    const deckBPercent = Math.round(cfValue * 100);
-    value = `A ← ${deckAPercent}% | ${deckBPercent}% → B`;
+  } else if (type === "loopButton" && object.userData.action === "roll") {
+    // Loop roll is momentary
+    releaseLoopRoll(deckId);
   }
+}
 
-  hud.update(value);
+/**
+ * Play / pause a deck
+ * @param {number} deckId - 1 or 2
+ */
+function togglePlay(deckId) {
+  const deck = deckId === 1 ? deck1 : deck2;
+  if (!deck) return;
+
+  if (deck.isPlaying) {
+    deck.stop();
+    console.log(`⏸️  ${deck.name} stopped`);
+  } else {
+    deck.play();
+    console.log(`▶️  ${deck.name} playing`);
+  }
+  refreshPlayButtons();
 }
 
-// Helper to get screen position of 3D object
-function getScreenPosition(obj, camera) {
-  const vector = new THREE.Vector3();
-  obj.getWorldPosition(vector);
-  vector.project(camera);
+/**
+ * Find an interactable by its control id
+ * @param {string} controlId - e.g. 'knob.filter.1', 'fader.2', 'crossfader'
+ * @returns {THREE.Mesh|undefined}
+ */
+function getControl(controlId) {
+  return interactables.find(obj => obj.userData.controlId === controlId);
+}
 
-  return {
-    x: (vector.x + 1) / 2 * window.innerWidth,
-    y: -(vector.y - 1) / 2 * window.innerHeight
-  };
+/**
+ * Send every mapped control's current state to MIDI outputs
+ * (after connecting a device or learning a mapping)
+ */
+function sendMidiFeedback() {
+  interactables.forEach(obj => midiOutput.sendControl(obj.userData.controlId, obj.userData, true));
+}
+
+// MIDI jog: radians per encoder tick, and how long after the last tick the scratch ends
+const MIDI_JOG_ANGLE_PER_TICK = Math.PI / 64;
+const MIDI_JOG_RELEASE_MS = 80;
+const midiJogReleaseTimers = new Map();
+
+/**
+ * Apply a mapped MIDI control event (see midiInput.onControl)
+ * @param {string} controlId - mesh.userData.controlId
+ * @param {Object} event - { value } | { delta } | { pressed }
+ */
+function handleMidiControl(controlId, event) {
+  if (!audioInitialized) return;
+
+  const object = getControl(controlId);
+  if (!object) return;
+
+  if (event.value !== undefined) {
+    // Knobs / faders: HUD follows the store (see syncHudWithStore)
+    setControl(object, event.value);
+    return;
+  }
+
+  if (event.delta !== undefined) {
+    // Encoder jogs have no touch/release: scratch ends shortly after the last tick
+    turnJog(object, event.delta * MIDI_JOG_ANGLE_PER_TICK);
+    clearTimeout(midiJogReleaseTimers.get(object));
+    midiJogReleaseTimers.set(object, setTimeout(() => releaseControl(object), MIDI_JOG_RELEASE_MS));
+  } else if (event.pressed) {
+    pressControl(object);
+  } else {
+    releaseControl(object);
+  }
+
+  // HUD feedback (mouse interaction keeps priority)
+  if (!activeObject) {
+    showHUDForObject(object);
+    hud.hide(800);
+  }
+}
+
+/**
+ * PLAY and POWER button lights follow each deck's transport state
+ */
+function refreshPlayButtons() {
+  interactables
+    .filter(obj => obj.userData.type === "playButton" || (obj.userData.type === "stopEffect" && obj.userData.action === "power"))
+    .forEach(button => {
+      const deck = button.userData.deckId === 1 ? deck1 : deck2;
+      setPadLit(button, !!deck && deck.isPlaying);
+    });
 }
 
 // Mouse position
@@ -598,111 +2436,34 @@ window.addEventListener("mousemove", (e) => {
     if (deltaAngle > Math.PI) deltaAngle -= Math.PI * 2;
     if (deltaAngle < -Math.PI) deltaAngle += Math.PI * 2;
 
-    // AUDIO: Apply to deck
-    if (audioInitialized) {
-      if (activeObject.userData.type === "jog") {
-        // Jog: Direct rotation (no value state)
-        activeObject.rotation.y -= deltaAngle;
-
-        // Route to correct deck
-        const deck = activeObject.userData.deckId === 1 ? deck1 : deck2;
-        if (deck) {
-          // Scratch effect
-          const scratchDelta = deltaAngle / Math.PI; // -1 to 1
-          deck.scratch(scratchDelta, 3.0);
-        }
-      } else if (activeObject.userData.type === "knob") {
-        // Knob: Value-based (0-1), rotation derived from value
-        const sensitivity = 0.3; // How much value changes per mouse movement
-        const valueDelta = -deltaAngle * sensitivity;
-
-        // Update value (clamped 0-1)
-        activeObject.userData.value = Math.max(0, Math.min(1,
-          activeObject.userData.value + valueDelta
-        ));
-
-        // Derive rotation from value (single source of truth)
-        activeObject.rotation.y = KNOB_MIN_ANGLE + activeObject.userData.value * KNOB_RANGE;
+    if (activeObject.userData.type === "jog") {
+      turnJog(activeObject, deltaAngle);
 
-        // Route to correct deck and parameter
-        const deck = activeObject.userData.deckId === 1 ? deck1 : deck2;
-        if (deck) {
-          const controlType = activeObject.userData.controlType;
-          const value = activeObject.userData.value;
-
-          // Each knob controls its own independent parameter
-          switch (controlType) {
-            case 'filter':
-              deck.setFilter(value);
-              break;
-            case 'eqLow':
-              deck.setEQLow(value);
-              break;
-            case 'eqHigh':
-              deck.setEQHigh(value);
-              break;
-          }
-        }
+      // HUD: Update value (knob HUD follows the store)
+      if (audioInitialized) {
+        updateHUDValue(activeObject);
       }
-
-      // HUD: Update value
-      updateHUDValue(activeObject);
+    } else {
+      // Knob: Value-based (0-1), rotation derived from value
+      const sensitivity = 0.3; // How much value changes per mouse movement
+      setControl(activeObject, activeObject.userData.value - deltaAngle * sensitivity);
     }
 
     lastAngle = angle;
   }
 
-  if (activeObject.userData.type === "fader") {
-    const delta = mouse.y - lastY;
-    activeObject.position.z = THREE.MathUtils.clamp(
-      activeObject.position.z - delta * 2,
-      activeObject.userData.minZ,
-      activeObject.userData.maxZ
-    );
-
-    // AUDIO: Volume control (fader controls deck's channel gain, independent of crossfader)
-    if (audioInitialized) {
-      const deck = activeObject.userData.deckId === 1 ? deck1 : deck2;
-      if (deck) {
-        const pos = activeObject.position.z;
-        const { minZ, maxZ } = activeObject.userData;
-        const volumeValue = (pos - minZ) / (maxZ - minZ);
-
-        // Apply volume directly to deck's channel gain
-        deck.setVolume(volumeValue);
-
-        // HUD: Update value
-        updateHUDValue(activeObject);
-      }
-    }
-
+  // Linear controls: mouse delta → handle position → value (0-1)
+  if (activeObject.userData.type === "fader" || activeObject.userData.type === "pitchFader") {
+    const { minZ, maxZ } = activeObject.userData;
+    const z = THREE.MathUtils.clamp(activeObject.position.z - (mouse.y - lastY) * 2, minZ, maxZ);
+    setControl(activeObject, (z - minZ) / (maxZ - minZ));
     lastY = mouse.y;
   }
 
   if (activeObject.userData.type === "crossfader") {
-    const delta = mouse.x - lastX;
-    activeObject.position.x = THREE.MathUtils.clamp(
-      activeObject.position.x + delta * 2,
-      activeObject.userData.minX,
-      activeObject.userData.maxX
-    );
-
-    // AUDIO: Crossfader controls mix between Deck A and Deck B
-    if (audioInitialized) {
-      const pos = activeObject.position.x;
-      const { minX, maxX } = activeObject.userData;
-      const crossfaderValue = (pos - minX) / (maxX - minX); // 0.0 (left/Deck A) to 1.0 (right/Deck B)
-
-      // Update userData value
-      activeObject.userData.value = crossfaderValue;
-
-      // Apply crossfader
-      setCrossfader(crossfaderValue);
-
-      // HUD: Update value
-      updateHUDValue(activeObject);
-    }
-
+    const { minX, maxX } = activeObject.userData;
+    const x = THREE.MathUtils.clamp(activeObject.position.x + (mouse.x - lastX) * 2, minX, maxX);
+    setControl(activeObject, (x - minX) / (maxX - minX)); // 0.0 (left/Deck A) to 1.0 (right/Deck B)
     lastX = mouse.x;
   }
 });
@@ -717,6 +2478,15 @@ window.addEventListener("mousedown", async (e) => {
   raycaster.setFromCamera(mouse, camera);
   const hits = raycaster.intersectObjects(interactables);
 
+  // MIDI learn: clicked control becomes the target (no action, no drag)
+  if (hits.length && midiInput.learning) {
+    const target = hits[0].object;
+    const { controlId, type } = target.userData;
+    midiInput.setLearnTarget(controlId, getControlKind(type));
+    hud.show({ object3D: target, label: `🎹 MIDI Learn: ${controlId}`, value: 'Move a hardware control...', camera });
+    return;
+  }
+
   if (hits.length) {
     activeObject = hits[0].object;
     lastX = mouse.x;
@@ -749,15 +2519,6 @@ window.addEventListener("mousedown", async (e) => {
       const dx = e.clientX - screenPos.x;
       const dy = e.clientY - screenPos.y;
       lastAngle = Math.atan2(dy, dx);
-
-      // Touch to play: if deck isn't playing, start it (like real platter touch)
-      if (audioInitialized) {
-        const deck = activeObject.userData.deckId === 1 ? deck1 : deck2;
-        if (deck && !deck.isPlaying) {
-          deck.play();
-          console.log(`🎵 ${deck.name}: Started by jog touch`);
-        }
-      }
     } else if (activeObject.userData.type === "knob") {
       // For knob, store initial mouse angle
       const screenPos = getScreenPosition(activeObject, camera);
@@ -766,6 +2527,9 @@ window.addEventListener("mousedown", async (e) => {
       lastAngle = Math.atan2(dy, dx);
     }
 
+    // AUDIO: Buttons, pads, jog touch
+    pressControl(activeObject, { shiftKey: e.shiftKey });
+
     // HUD: Show initial state
     showHUDForObject(activeObject);
 
@@ -777,14 +2541,10 @@ window.addEventListener("mousedown", async (e) => {
 // Mouse up
 window.addEventListener("mouseup", () => {
   if (activeObject) {
-    // AUDIO: Reset scratch when releasing jog
+    // AUDIO: Jog release (scratch reset), momentary buttons (loop roll)
+    releaseControl(activeObject);
     if (activeObject.userData.type === "jog" && audioInitialized) {
-      const deck = activeObject.userData.deckId === 1 ? deck1 : deck2;
-      if (deck) {
-        deck.resetPlaybackRate();
-        // Update HUD one last time with normal rate
-        updateHUDValue(activeObject);
-      }
+      updateHUDValue(activeObject); // Update HUD one last time with normal rate
     }
 
     // HUD: Hide with delay
@@ -818,55 +2578,43 @@ window.addEventListener("mouseup", () => {
 });
 
 // ================= KEYBOARD SHORTCUTS =================
+// Deck whose loop roll is held with the R key (null = not held)
+let keyRollDeckId = null;
+
 document.addEventListener('keydown', (e) => {
   if (!audioInitialized) return;
 
+  const { decks, mixer, ui: { activeDeckId } } = store.getState();
   const activeDeck = activeDeckId === 1 ? deck1 : deck2;
   if (!activeDeck) return;
 
   // Space: Play/Stop toggle (active deck)
   if (e.code === 'Space') {
     e.preventDefault();
-    if (activeDeck.isPlaying) {
-      activeDeck.stop();
-      console.log(`⏸️  ${activeDeck.name} stopped`);
-    } else {
-      activeDeck.play();
-      console.log(`▶️  ${activeDeck.name} playing`);
-    }
+    togglePlay(activeDeckId);
   }
 
   // Q/W: Volume control (focused deck's channel fader)
-  if (e.key === 'q') {
-    const currentVol = activeDeck.gainNode.gain.value;
-    const newVol = Math.max(0, currentVol - 0.1);
-    activeDeck.setVolume(newVol);
-    console.log(`🔊 ${activeDeck.name} Volume: ${(newVol * 100).toFixed(0)}%`);
-  }
-  if (e.key === 'w') {
-    const currentVol = activeDeck.gainNode.gain.value;
-    const newVol = Math.min(1, currentVol + 0.1);
-    activeDeck.setVolume(newVol);
-    console.log(`🔊 ${activeDeck.name} Volume: ${(newVol * 100).toFixed(0)}%`);
+  if (e.key === 'q' || e.key === 'w') {
+    const step = e.key === 'w' ? 0.1 : -0.1;
+    const { volume } = store.dispatch({ type: 'deck/setVolume', deckId: activeDeckId, value: decks[activeDeckId].volume + step })
+      .decks[activeDeckId];
+    console.log(`🔊 ${activeDeck.name} Volume: ${(volume * 100).toFixed(0)}%`);
   }
 
   // Z/X: Crossfader control (mix between Deck A and Deck B)
-  if (e.key === 'z') {
-    const newValue = Math.max(0, crossfaderValue - 0.1);
-    setCrossfader(newValue);
-  }
-  if (e.key === 'x') {
-    const newValue = Math.min(1, crossfaderValue + 0.1);
-    setCrossfader(newValue);
+  if (e.key === 'z' || e.key === 'x') {
+    const step = e.key === 'x' ? 0.1 : -0.1;
+    store.dispatch({ type: 'mixer/setCrossfader', value: mixer.crossfader + step });
   }
 
   // A/S: Filter control (active deck)
   if (e.key === 'a') {
-    activeDeck.setFilter(0.2); // Low pass
+    store.dispatch({ type: 'deck/setFilter', deckId: activeDeckId, value: 0.2 }); // Low pass
     console.log(`🎛️  ${activeDeck.name} Filter: Low`);
   }
   if (e.key === 's') {
-    activeDeck.setFilter(1.0); // Full open
+    store.dispatch({ type: 'deck/setFilter', deckId: activeDeckId, value: 1.0 }); // Full open
     console.log(`🎛️  ${activeDeck.name} Filter: Open`);
   }
 
@@ -877,6 +2625,58 @@ document.addEventListener('keydown', (e) => {
   if (e.key === '2') {
     setActiveDeck(2);
   }
+
+  // I/O: Manual loop in/out, L: Auto-loop toggle, [/]: Halve/double loop (active deck)
+  if (e.key === 'i') triggerLoopAction(activeDeckId, 'loopIn');
+  if (e.key === 'o') triggerLoopAction(activeDeckId, 'loopOut');
+  if (e.key === 'l') triggerLoopAction(activeDeckId, 'autoLoop');
+  if (e.key === '[') triggerLoopAction(activeDeckId, 'halve');
+  if (e.key === ']') triggerLoopAction(activeDeckId, 'double');
+
+  // Y: Sync active deck to the other deck (Shift+Y = tempo only)
+  if (e.key.toLowerCase() === 'y') toggleSync(activeDeckId, !e.shiftKey);
+
+  // -/=: Pitch fader down/up, P: Pitch range, K: Key lock (active deck)
+  if (e.key === '-' || e.key === '=') {
+    const step = e.key === '=' ? 0.02 : -0.02;
+    store.dispatch({ type: 'deck/setPitch', deckId: activeDeckId, value: decks[activeDeckId].pitch + step });
+  }
+  if (e.key === 'p') cyclePitchRange(activeDeckId);
+  if (e.key === 'k') toggleKeyLock(activeDeckId);
+
+  // F: FX on/off, G: Next effect (active deck)
+  if (e.key === 'f') toggleFx(activeDeckId);
+  if (e.key === 'g') cycleFx(activeDeckId);
+
+  // C: Headphone cue (PFL) on/off (active deck)
+  if (e.key === 'c') togglePfl(activeDeckId);
+
+  // R (hold): Loop roll (active deck, released on the same deck even if focus changes)
+  if (e.code === 'KeyR' && !e.repeat && keyRollDeckId === null) {
+    keyRollDeckId = activeDeckId;
+    triggerLoopAction(activeDeckId, 'roll');
+  }
+
+  // B: Brake (Shift+B = brake time), V: Spinback, N: Power off/on (active deck)
+  if (e.key.toLowerCase() === 'b' && !e.repeat) {
+    if (e.shiftKey) {
+      cycleBrakeTime(activeDeckId);
+    } else {
+      triggerStopEffect(activeDeckId, 'brake');
+    }
+  }
+  if (e.key === 'v' && !e.repeat) triggerStopEffect(activeDeckId, 'spinback');
+  if (e.key === 'n' && !e.repeat) triggerStopEffect(activeDeckId, 'power');
+});
+
+document.addEventListener('keyup', (e) => {
+  if (!audioInitialized) return;
+
+  // R released: end the roll on the deck that started it (Shift / Caps Lock don't matter)
+  if (e.code === 'KeyR' && keyRollDeckId !== null) {
+    releaseLoopRoll(keyRollDeckId);
+    keyRollDeckId = null;
+  }
 });
 
 // ================= ANIMATION LOOP (HUD UPDATE) =================
@@ -885,6 +2685,15 @@ function tick() {
 
   // Update HUD position every frame
   hud.tick();
+
+  // Level meters (analysers are read once per frame) + recording timer
+  if (audioInitialized) {
+    audioEngine.updateMeters();
+    updateRecorderDisplay();
+    updateDeckTimes();
+    renderWaveforms();
+    renderJogs();
+  }
 }
 
 // Start animation loop
@@ -0,0 +1,459 @@
+/**
+ * MIDI - Web MIDI input / output ve MIDI-learn mapping
+ *
+ * Sorumluluklar:
+ * - MIDIAccess input'larını dinleme (hot-plug dahil)
+ * - CC / note mesajlarını 3D control id'lerine çevirme (binding tablosu)
+ * - MIDI-learn: hedef control seçilir, ilk gelen mesaj ona bağlanır
+ * - Mapping'leri localStorage'a kaydetme, JSON import / export
+ * - Feedback: control state'ini (lit / value) aynı binding'le output'lara gönderme
+ *   (LED'ler, motorlu fader'lar)
+ *
+ * Control'lerin ne yaptığını bilmez: main.js onControl() handler'ı ile
+ * mouse handler'larının kullandığı aynı fonksiyonları çağırır
+ * Test: attach() mock bir MIDIAccess ({ inputs: Map, outputs: Map, onstatechange }) alabilir
+ */
+
+const STORAGE_KEY = 'dj-midi-mappings';
+
+/**
+ * JSON export formatı versiyonu
+ */
+export const MIDI_MAPPING_VERSION = 1;
+
+/**
+ * Control tipine göre MIDI değer yorumu
+ * - continuous: 0-127 → 0.0-1.0 (knob, fader, crossfader)
+ * - relative: encoder tick'leri (jog)
+ * - trigger: basma / bırakma (buton, pad)
+ * @param {string} type - mesh.userData.type
+ * @returns {'continuous'|'relative'|'trigger'}
+ */
+export function getControlKind(type) {
+  if (type === 'knob' || type === 'fader' || type === 'pitchFader' || type === 'crossfader') {
+    return 'continuous';
+  }
+  if (type === 'jog') return 'relative';
+  return 'trigger';
+}
+
+/**
+ * Ham MIDI mesajını çöz (sadece CC ve note on/off)
+ * @param {Uint8Array|Array<number>} data
+ * @returns {{ type: 'cc'|'note', channel: number, number: number, value: number }|null}
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+
+  const status = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+
+  switch (status) {
+    case 0xb0:
+      return { type: 'cc', channel, number: data[1], value: data[2] };
+    case 0x90:
+      return { type: 'note', channel, number: data[1], value: data[2] }; // velocity 0 = note off
+    case 0x80:
+      return { type: 'note', channel, number: data[1], value: 0 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Eski control id'lerini güncel id'ye çevir (kayıtlı / export edilmiş mapping'ler)
+ * - 'jog.N' → 'jog.top.N' (jog'lar üst plaka / dış halka olarak ikiye ayrıldı)
+ * @param {string} controlId
+ * @returns {string}
+ */
+function migrateControlId(controlId) {
+  return controlId.replace(/^jog\.(\d+)$/, 'jog.top.$1');
+}
+
+/**
+ * Binding tablosu anahtarı
+ */
+function messageKey({ type, channel, number }) {
+  return `${type}:${channel}:${number}`;
+}
+
+/**
+ * Relative encoder değeri → tick
+ * - 'twos': 1..63 = +, 65..127 = - (two's complement, çoğu controller)
+ * - 'offset64': 64 = 0, 65 = +1, 63 = -1
+ * @param {number} value
+ * @param {string} encoding
+ * @returns {number}
+ */
+function decodeRelative(value, encoding) {
+  if (encoding === 'offset64') return value - 64;
+  return value < 64 ? value : value - 128;
+}
+
+/**
+ * @typedef {Object} MidiBinding
+ * @property {string} controlId - Örn: 'knob.filter.1', 'jog.top.2', 'crossfader'
+ * @property {'continuous'|'relative'|'trigger'} kind
+ * @property {'cc'|'note'} type
+ * @property {number} channel - 0-15
+ * @property {number} number - CC / note numarası
+ * @property {string} [encoding] - relative için 'twos' | 'offset64'
+ */
+
+export class MidiInput {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Mapping kalıcılığı (default: localStorage)
+   */
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+    this.access = null;
+
+    // messageKey → MidiBinding
+    this.bindings = new Map();
+
+    // Control handler: (controlId, event) => void
+    this.controlHandler = null;
+
+    // MIDI-learn state
+    this.learning = false;
+    this.learnTarget = null;     // { controlId, kind }
+    this.learnListeners = new Set();
+
+    // Cihaz takma / çıkarma dinleyicileri
+    this.deviceListeners = new Set();
+
+    // messageKey → donanımda bilinen son değer (gelen CC + gönderilen feedback)
+    // Motorlu fader'a kendi gönderdiği değer geri yollanmasın diye
+    this.hardwareValues = new Map();
+
+    this._load();
+  }
+
+  /**
+   * Tarayıcıdan MIDI erişimi iste ve input'ları dinle
+   * @returns {Promise<boolean>} - Web MIDI kullanılabilir mi?
+   */
+  async init() {
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+      console.warn('MIDI: Web MIDI not supported in this browser');
+      return false;
+    }
+
+    try {
+      this.attach(await navigator.requestMIDIAccess());
+      return true;
+    } catch (error) {
+      console.warn('MIDI: Access denied', error);
+      return false;
+    }
+  }
+
+  /**
+   * MIDIAccess'e bağlan (gerçek veya mock)
+   * @param {MIDIAccess} access
+   */
+  attach(access) {
+    this.access = access;
+    this._bindInputs();
+
+    // Hot-plug: yeni takılan cihazlar da dinlenir
+    access.onstatechange = () => this._bindInputs();
+  }
+
+  /**
+   * Tüm input'lara mesaj handler'ı ata
+   */
+  _bindInputs() {
+    for (const input of this.access.inputs.values()) {
+      input.onmidimessage = event => this.handleMessage(event.data);
+    }
+    console.log(`MIDI: ${this.getInputNames().length} input(s) connected`);
+    this.deviceListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Cihaz listesi değiştiğinde (ilk bağlantı dahil) çağrılır
+   * @param {Function} listener - () => void
+   * @returns {Function} - Aboneliği iptal eden fonksiyon
+   */
+  onDevicesChange(listener) {
+    this.deviceListeners.add(listener);
+    return () => this.deviceListeners.delete(listener);
+  }
+
+  /**
+   * Bağlı input cihaz adları
+   * @returns {Array<string>}
+   */
+  getInputNames() {
+    if (!this.access) return [];
+    return [...this.access.inputs.values()].map(input => input.name || input.id);
+  }
+
+  /**
+   * Eşleşen control'lere gelen olayların handler'ı
+   * Event: continuous → { value: 0-1 }, relative → { delta: tick }, trigger → { pressed: boolean }
+   * @param {Function} handler - (controlId, event) => void
+   */
+  onControl(handler) {
+    this.controlHandler = handler;
+  }
+
+  /**
+   * Ham MIDI mesajını işle
+   * @param {Uint8Array|Array<number>} data
+   */
+  handleMessage(data) {
+    const message = parseMidiMessage(data);
+    if (!message) return;
+
+    // Learn: hedef seçiliyse ilk "aktif" mesaj (note on / CC) ona bağlanır
+    if (this.learning && this.learnTarget && (message.type === 'cc' || message.value > 0)) {
+      this._learn(message);
+      return;
+    }
+
+    const binding = this.bindings.get(messageKey(message));
+    if (!binding || !this.controlHandler) return;
+
+    if (binding.kind === 'continuous') {
+      this.hardwareValues.set(messageKey(binding), message.value);
+    }
+
+    this.controlHandler(binding.controlId, this._toEvent(binding, message));
+  }
+
+  /**
+   * MIDI mesajını binding türüne göre olaya çevir
+   */
+  _toEvent(binding, message) {
+    switch (binding.kind) {
+      case 'continuous':
+        return { value: message.value / 127 };
+      case 'relative':
+        return { delta: decodeRelative(message.value, binding.encoding) };
+      default:
+        // Note: velocity > 0 basma, CC: ≥ 64 basma
+        return { pressed: message.type === 'note' ? message.value > 0 : message.value >= 64 };
+    }
+  }
+
+  // ================= MIDI-LEARN =================
+
+  /**
+   * Learn modunu aç / kapat
+   * @param {boolean} enabled
+   */
+  setLearning(enabled) {
+    this.learning = enabled;
+    this.learnTarget = null;
+    console.log(`MIDI: Learn mode ${enabled ? 'ON' : 'OFF'}`);
+  }
+
+  /**
+   * Learn hedefi (kullanıcının tıkladığı 3D control)
+   * @param {string} controlId
+   * @param {string} kind - getControlKind(type)
+   */
+  setLearnTarget(controlId, kind) {
+    if (!this.learning) return;
+    this.learnTarget = { controlId, kind };
+  }
+
+  /**
+   * Yeni binding öğrenildiğinde çağrılır
+   * @param {Function} listener - (binding: MidiBinding) => void
+   * @returns {Function} - Aboneliği iptal eden fonksiyon
+   */
+  onLearn(listener) {
+    this.learnListeners.add(listener);
+    return () => this.learnListeners.delete(listener);
+  }
+
+  /**
+   * Gelen mesajı learn hedefine bağla
+   */
+  _learn(message) {
+    const { controlId, kind } = this.learnTarget;
+    const binding = this.bind(controlId, kind, message);
+    this.learnTarget = null;
+
+    console.log(`MIDI: Learned ${messageKey(message)} → ${controlId}`);
+    this.learnListeners.forEach(listener => listener(binding));
+  }
+
+  // ================= BINDINGS =================
+
+  /**
+   * Binding ekle (aynı mesajın ve aynı control'ün önceki binding'i silinir)
+   * @param {string} controlId
+   * @param {string} kind
+   * @param {{ type: string, channel: number, number: number }} message
+   * @param {string} [encoding='twos'] - Sadece relative
+   * @returns {MidiBinding}
+   */
+  bind(controlId, kind, { type, channel, number }, encoding = 'twos') {
+    this.unbind(controlId);
+
+    const binding = { controlId, kind, type, channel, number };
+    if (kind === 'relative') binding.encoding = encoding;
+
+    this.bindings.set(messageKey(binding), binding);
+    this._save();
+    return binding;
+  }
+
+  /**
+   * Bir control'ün binding'ini sil
+   * @param {string} controlId
+   */
+  unbind(controlId) {
+    for (const [key, binding] of this.bindings) {
+      if (binding.controlId === controlId) this.bindings.delete(key);
+    }
+    this._save();
+  }
+
+  /**
+   * Tüm binding'ler
+   * @returns {Array<MidiBinding>}
+   */
+  getBindings() {
+    return [...this.bindings.values()];
+  }
+
+  /**
+   * Control'ün binding'i (yoksa null)
+   * @param {string} controlId
+   * @returns {MidiBinding|null}
+   */
+  getBinding(controlId) {
+    return this.getBindings().find(binding => binding.controlId === controlId) || null;
+  }
+
+  // ================= IMPORT / EXPORT =================
+
+  /**
+   * Mapping'leri JSON olarak dışa aktar
+   * @returns {string}
+   */
+  exportMappings() {
+    return JSON.stringify({
+      version: MIDI_MAPPING_VERSION,
+      mappings: this.getBindings()
+    }, null, 2);
+  }
+
+  /**
+   * JSON mapping'leri içe aktar (mevcutların yerine geçer)
+   * @param {string} json
+   * @returns {number} - Yüklenen binding sayısı
+   */
+  importMappings(json) {
+    const data = JSON.parse(json);
+    if (!data || data.version !== MIDI_MAPPING_VERSION || !Array.isArray(data.mappings)) {
+      throw new Error('Invalid MIDI mapping file (unsupported version or format)');
+    }
+
+    const bindings = new Map();
+    for (const binding of data.mappings) {
+      const valid = typeof binding.controlId === 'string'
+        && ['continuous', 'relative', 'trigger'].includes(binding.kind)
+        && ['cc', 'note'].includes(binding.type)
+        && Number.isInteger(binding.channel) && binding.channel >= 0 && binding.channel <= 15
+        && Number.isInteger(binding.number) && binding.number >= 0 && binding.number <= 127;
+
+      if (!valid) {
+        throw new Error(`Invalid MIDI mapping entry: ${JSON.stringify(binding)}`);
+      }
+      const controlId = migrateControlId(binding.controlId);
+      if (controlId !== binding.controlId) {
+        console.log(`MIDI: Mapping ${binding.controlId} → ${controlId}`);
+      }
+      bindings.set(messageKey(binding), { ...binding, controlId });
+    }
+
+    this.bindings = bindings;
+    this._save();
+    return bindings.size;
+  }
+
+  /**
+   * localStorage'a kaydet
+   */
+  _save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, this.exportMappings());
+    } catch (error) {
+      console.warn('MIDI: Failed to save mappings', error);
+    }
+  }
+
+  /**
+   * localStorage'dan yükle (bozuk veri yok sayılır)
+   */
+  _load() {
+    try {
+      const json = this.storage?.getItem(STORAGE_KEY);
+      if (json) this.importMappings(json);
+    } catch (error) {
+      console.warn('MIDI: Ignoring stored mappings', error);
+    }
+  }
+}
+
+/**
+ * MIDI feedback: control state'ini input binding'leri üzerinden geri gönderir
+ * - continuous: value (0-1) → 0-127 (CC veya note velocity)
+ * - trigger: lit → 127 / 0 (LED)
+ * - relative (jog): feedback yok
+ */
+export class MidiOutput {
+  /**
+   * @param {MidiInput} input - Binding tablosu ve MIDIAccess buradan okunur
+   */
+  constructor(input) {
+    this.input = input;
+  }
+
+  /**
+   * Bağlı output portları
+   * @returns {Array<MIDIOutput>}
+   */
+  getOutputs() {
+    const outputs = this.input.access?.outputs;
+    return outputs ? [...outputs.values()] : [];
+  }
+
+  /**
+   * Control state'ini gönder (binding yoksa veya değer donanımda zaten aynıysa gönderilmez)
+   * @param {string} controlId
+   * @param {{ value?: number, lit?: boolean }} state - mesh.userData
+   * @param {boolean} [force=false] - Dedupe'u atla (cihaz bağlandı / yeni binding)
+   */
+  sendControl(controlId, state, force = false) {
+    const binding = this.input.getBinding(controlId);
+    if (!binding || binding.kind === 'relative') return;
+
+    let value;
+    if (binding.kind === 'continuous') {
+      if (typeof state.value !== 'number') return;
+      value = Math.round(state.value * 127);
+    } else {
+      if (typeof state.lit !== 'boolean') return; // LED'i olmayan buton
+      value = state.lit ? 127 : 0;
+    }
+
+    const key = messageKey(binding);
+    if (!force && this.input.hardwareValues.get(key) === value) return;
+    this.input.hardwareValues.set(key, value);
+
+    const status = (binding.type === 'cc' ? 0xb0 : 0x90) | binding.channel;
+    this.getOutputs().forEach(output => output.send([status, binding.number, value]));
+  }
+}
+
+// Singleton instances
+export const midiInput = new MidiInput();
+export const midiOutput = new MidiOutput(midiInput);
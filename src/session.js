@@ -0,0 +1,159 @@
+/**
+ * SESSION - Tüm mix oturumunu JSON olarak kaydetme / geri yükleme
+ *
+ * Sorumluluklar:
+ * - Session formatı: store değerleri (knob / fader / crossfader), deck başına track, pozisyon,
+ *   çalma durumu, hot cue'lar, loop, pitch range, key lock, FX, PFL + track'lerin cue point'leri
+ * - Doğrulama (versiyon, alan tipleri)
+ * - localStorage'a kaydetme / okuma, JSON dosyası export / import
+ *
+ * Deck'leri ve mesh'leri bilmez: main.js captureSession() ile toplar, restoreSession() ile uygular
+ * User upload'lar IndexedDB'de (trackStorage): silinmiş track'ler restore'da atlanır, değerleri geri gelir
+ */
+
+import { downloadBlob } from './audio/download';
+
+const STORAGE_KEY = 'dj-session';
+
+/**
+ * JSON formatı versiyonu
+ */
+export const SESSION_VERSION = 1;
+
+/**
+ * @typedef {Object} DeckSession
+ * @property {string|null} trackId
+ * @property {string|null} trackName
+ * @property {number} position - Saniye
+ * @property {boolean} isPlaying
+ * @property {number} volume - 0-1 (store değerleri: volume, filter, eqLow, eqHigh, fxMix, fxParam, pitch)
+ * @property {number} pitchRange - ±fraction (0.08, 0.16, 0.5)
+ * @property {boolean} keyLock
+ * @property {string} [jogMode] - 'vinyl' | 'nudge' | 'search'
+ * @property {number} [brakeTime] - Brake stop length (seconds)
+ * @property {Array<number|null>} hotCues
+ * @property {{ active: boolean, start: number|null, end: number|null, beats: number|null }} loop
+ * @property {{ type: string, enabled: boolean }} fx
+ * @property {boolean} pfl
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {number} version
+ * @property {string} savedAt - ISO tarih
+ * @property {number} activeDeckId - 1 or 2
+ * @property {{ crossfader: number, cueMix: number, masterVolume: number }} mixer
+ * @property {{ 1: DeckSession, 2: DeckSession }} decks
+ * @property {Object<string, Array<number|null>>} cuePoints - Track ID → hot cue'lar
+ */
+
+const isNumberOrNull = value => value === null || Number.isFinite(value);
+
+/**
+ * Session objesini doğrula
+ * @param {Object} data
+ * @returns {Session}
+ * @throws {Error} - Desteklenmeyen versiyon veya bozuk alan
+ */
+export function validateSession(data) {
+  if (!data || data.version !== SESSION_VERSION || !data.decks || !data.mixer) {
+    throw new Error('Invalid session file (unsupported version or format)');
+  }
+
+  for (const deckId of [1, 2]) {
+    const deck = data.decks[deckId];
+    const valid = deck
+      && (deck.trackId === null || typeof deck.trackId === 'string')
+      && Number.isFinite(deck.position) && deck.position >= 0
+      && typeof deck.isPlaying === 'boolean'
+      && Array.isArray(deck.hotCues) && deck.hotCues.every(isNumberOrNull)
+      && deck.loop && isNumberOrNull(deck.loop.start) && isNumberOrNull(deck.loop.end);
+
+    if (!valid) {
+      throw new Error(`Invalid session entry for deck ${deckId}`);
+    }
+  }
+
+  if (data.cuePoints && typeof data.cuePoints !== 'object') {
+    throw new Error('Invalid session cue points');
+  }
+
+  return data;
+}
+
+export class SessionManager {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Kalıcılık (default: localStorage)
+   */
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage;
+  }
+
+  /**
+   * Session'ı JSON string'e çevir
+   * @param {Session} session
+   * @returns {string}
+   */
+  toJSON(session) {
+    return JSON.stringify(session, null, 2);
+  }
+
+  /**
+   * JSON string'den session oku
+   * @param {string} json
+   * @returns {Session}
+   * @throws {Error} - Geçersiz JSON veya format
+   */
+  fromJSON(json) {
+    return validateSession(JSON.parse(json));
+  }
+
+  /**
+   * localStorage'a kaydet
+   * @param {Session} session
+   * @returns {boolean} - Başarılı mı? (quota, private mode...)
+   */
+  save(session) {
+    try {
+      this.storage?.setItem(STORAGE_KEY, this.toJSON(session));
+      return true;
+    } catch (error) {
+      console.warn('Session: Failed to save', error);
+      return false;
+    }
+  }
+
+  /**
+   * localStorage'dan oku (yoksa veya bozuksa null)
+   * @returns {Session|null}
+   */
+  load() {
+    try {
+      const json = this.storage?.getItem(STORAGE_KEY);
+      return json ? this.fromJSON(json) : null;
+    } catch (error) {
+      console.warn('Session: Ignoring stored session', error);
+      return null;
+    }
+  }
+
+  /**
+   * Kayıtlı session'ı sil
+   */
+  clear() {
+    this.storage?.removeItem(STORAGE_KEY);
+  }
+
+  /**
+   * Session'ı JSON dosyası olarak indir
+   * @param {Session} session
+   */
+  download(session) {
+    const blob = new Blob([this.toJSON(session)], { type: 'application/json' });
+    downloadBlob(blob, `dj-session-${session.savedAt.slice(0, 16).replace('T', '-').replace(':', '')}.json`);
+  }
+}
+
+// Singleton instance
+export const sessionManager = new SessionManager();
@@ -0,0 +1,209 @@
+/**
+ * STORE - Controller state'inin tek kaynağı
+ *
+ * Sorumluluklar:
+ * - State ağacı: deck değerleri (volume, filter, EQ, FX, pitch, track), mixer (crossfader,
+ *   cue mix, master volume), UI focus (aktif deck)
+ * - İsimli action'lar: 'deck/setFilter', 'mixer/setCrossfader', ...
+ * - Reducer: saf fonksiyon, değerleri 0-1'e sınırlar, değişmeyen state'i aynı referansla döner
+ * - subscribe(): her dispatch sonrası (state, prevState, action)
+ *
+ * Audio node'larını, mesh'leri ve HUD'u bilmez: main.js subscriber'ları state'i bunlara uygular.
+ * Tüm input kaynakları (mouse, klavye, MIDI) aynı action'ları dispatch eder.
+ * Toggle / transport state'i (play, loop, sync, FX on/off, PFL) Deck'te kalır
+ */
+
+/**
+ * Değer action'ları → state alanı
+ * scope 'deck': state.decks[deckId][key], 'mixer': state.mixer[key]
+ */
+export const VALUE_ACTIONS = {
+  'deck/setVolume': { scope: 'deck', key: 'volume' },
+  'deck/setFilter': { scope: 'deck', key: 'filter' },
+  'deck/setEQLow': { scope: 'deck', key: 'eqLow' },
+  'deck/setEQHigh': { scope: 'deck', key: 'eqHigh' },
+  'deck/setFxMix': { scope: 'deck', key: 'fxMix' },
+  'deck/setFxParam': { scope: 'deck', key: 'fxParam' },
+  'deck/setPitch': { scope: 'deck', key: 'pitch' },         // Fader hareketi (sync'i bırakır)
+  'deck/tempoChanged': { scope: 'deck', key: 'pitch' },     // Deck'in kendi tempo değişimi (sync, range)
+  'mixer/setCrossfader': { scope: 'mixer', key: 'crossfader' },
+  'mixer/setCueMix': { scope: 'mixer', key: 'cueMix' },
+  'mixer/setMasterVolume': { scope: 'mixer', key: 'masterVolume' }
+};
+
+/**
+ * Deck başlangıç state'i (Deck node default'larıyla aynı)
+ */
+function createDeckState() {
+  return {
+    trackId: null,
+    trackName: 'No Track',
+    volume: 0.8,
+    filter: 0.5,   // Bypass
+    eqLow: 0.5,    // 0 dB
+    eqHigh: 0.5,   // 0 dB
+    fxMix: 0.5,
+    fxParam: 0.5,
+    pitch: 0.5     // 0% tempo
+  };
+}
+
+/**
+ * @returns {Object} - Başlangıç state'i
+ */
+export function createInitialState() {
+  return {
+    decks: { 1: createDeckState(), 2: createDeckState() },
+    mixer: {
+      crossfader: 0.0,   // 0.0 = Deck A only, 1.0 = Deck B only
+      cueMix: 0.5,
+      masterVolume: 0.7
+    },
+    ui: {
+      activeDeckId: 1    // UI focus only
+    }
+  };
+}
+
+/**
+ * Değer action'ının gösterdiği state değeri
+ * @param {Object} state
+ * @param {string} actionType - VALUE_ACTIONS anahtarı
+ * @param {number} [deckId]
+ * @returns {number|undefined}
+ */
+export function selectValue(state, actionType, deckId) {
+  const target = VALUE_ACTIONS[actionType];
+  if (!target) return undefined;
+  return target.scope === 'deck' ? state.decks[deckId]?.[target.key] : state.mixer[target.key];
+}
+
+/**
+ * Deck state'ine alan yaz (değişmediyse aynı state)
+ */
+function updateDeck(state, deckId, changes) {
+  const deck = state.decks[deckId];
+  if (!deck || Object.keys(changes).every(key => deck[key] === changes[key])) return state;
+  return { ...state, decks: { ...state.decks, [deckId]: { ...deck, ...changes } } };
+}
+
+/**
+ * Kaydedilmiş değerleri default'ların üzerine yaz (sadece bilinen sayısal alanlar, 0-1'e sınırlı)
+ * @param {Object} defaults
+ * @param {Object} [saved]
+ * @returns {Object}
+ */
+function mergeValues(defaults, saved = {}) {
+  const merged = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    if (typeof defaults[key] === 'number' && Number.isFinite(saved[key])) {
+      merged[key] = Math.max(0, Math.min(1, saved[key]));
+    }
+  });
+  return merged;
+}
+
+/**
+ * Reducer
+ * @param {Object} state
+ * @param {Object} action - { type, deckId?, value?, trackId?, trackName?, session? }
+ * @returns {Object} - Yeni state (değişiklik yoksa aynı referans)
+ */
+export function reducer(state, action) {
+  const target = VALUE_ACTIONS[action.type];
+  if (target) {
+    const value = Math.max(0, Math.min(1, action.value));
+    if (Number.isNaN(value)) return state;
+
+    if (target.scope === 'deck') {
+      return updateDeck(state, action.deckId, { [target.key]: value });
+    }
+    if (state.mixer[target.key] === value) return state;
+    return { ...state, mixer: { ...state.mixer, [target.key]: value } };
+  }
+
+  switch (action.type) {
+    case 'deck/loadTrack':
+      return updateDeck(state, action.deckId, { trackId: action.trackId, trackName: action.trackName });
+
+    case 'session/restore': {
+      // Değerler + UI focus; track'ler yüklendikçe 'deck/loadTrack' ile gelir
+      const { decks = {}, mixer, activeDeckId } = action.session;
+      return {
+        decks: {
+          1: mergeValues(state.decks[1], decks[1]),
+          2: mergeValues(state.decks[2], decks[2])
+        },
+        mixer: mergeValues(state.mixer, mixer),
+        ui: { ...state.ui, activeDeckId: activeDeckId === 2 ? 2 : 1 }
+      };
+    }
+
+    case 'ui/setActiveDeck':
+      if (state.ui.activeDeckId === action.deckId) return state;
+      return { ...state, ui: { ...state.ui, activeDeckId: action.deckId } };
+
+    default:
+      console.warn(`Store: Unknown action "${action.type}"`);
+      return state;
+  }
+}
+
+export class Store {
+  constructor(initialState = createInitialState()) {
+    this.state = initialState;
+    this.listeners = new Set();
+
+    // Subscriber içinden gelen dispatch'ler sıraya girer: her subscriber her action'ı
+    // sırayla ve güncel state ile görür
+    this.queue = [];
+    this.dispatching = false;
+  }
+
+  /**
+   * @returns {Object} - Güncel state (değiştirmeyin, dispatch kullanın)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Action uygula; state değiştiyse subscriber'lar çağrılır
+   * @param {Object} action - { type: 'deck/setFilter', deckId: 1, value: 0.3 }
+   * @returns {Object} - Yeni state (subscriber içinden çağrıldıysa action henüz uygulanmamış olabilir)
+   */
+  dispatch(action) {
+    this.queue.push(action);
+    if (this.dispatching) return this.state;
+
+    this.dispatching = true;
+    try {
+      while (this.queue.length > 0) {
+        const next = this.queue.shift();
+        const prevState = this.state;
+        this.state = reducer(prevState, next);
+
+        if (this.state !== prevState) {
+          this.listeners.forEach(listener => listener(this.state, prevState, next));
+        }
+      }
+    } finally {
+      this.dispatching = false;
+      this.queue.length = 0;
+    }
+    return this.state;
+  }
+
+  /**
+   * State değişikliklerini dinle
+   * @param {Function} listener - (state, prevState, action) => void
+   * @returns {Function} - Aboneliği iptal eden fonksiyon
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Singleton instance
+export const store = new Store();
@@ -0,0 +1,300 @@
+/**
+ * WAVEFORM DISPLAY - Deck başına renkli waveform paneli
+ *
+ * Sorumluluklar:
+ * - Zoom'lu waveform: playhead ortada sabit, track altından kayar (mouse wheel ile zoom)
+ * - Overview: tüm track, çalınan kısım karartılır, tıklayınca seek
+ * - Üstüne çizilenler: beat grid (downbeat'ler belirgin), hot cue marker'ları (pad renkleriyle)
+ * - Band renkleri: low mavi, mid turuncu, high beyaz (üst üste, yarı saydam)
+ *
+ * Deck'i bilmez: render() her frame deck durumunu alır (main.js tick), seek callback'le main.js'e gider
+ * Sadece durum değişince yeniden çizer (duran deck'te frame başına iş yok)
+ */
+
+import { getWaveformLevel } from './audio/waveform';
+
+const ZOOM_HEIGHT = 64;
+const OVERVIEW_HEIGHT = 24;
+
+// Zoom'lu görünümün kapsadığı süre (saniye), wheel ile ikiye katlanır / yarıya iner
+const DEFAULT_ZOOM_SECONDS = 8;
+const MIN_ZOOM_SECONDS = 2;
+const MAX_ZOOM_SECONDS = 32;
+
+const BEATS_PER_BAR = 4;
+
+// Çizim sırası: geniş low altta, ince high üstte
+const BAND_COLORS = [
+  ['low', 'rgba(40, 120, 255, 0.9)'],
+  ['mid', 'rgba(255, 150, 40, 0.8)'],
+  ['high', 'rgba(255, 255, 255, 0.75)']
+];
+
+const BACKGROUND_COLOR = 'rgba(10, 14, 20, 0.9)';
+const PLAYHEAD_COLOR = '#ff3355';
+
+/**
+ * Three.js hex rengi → CSS
+ * @param {number} hex
+ * @returns {string}
+ */
+function toCssColor(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Canvas'ı CSS boyutuna × devicePixelRatio getir
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean} - Boyut değişti mi?
+ */
+function fitCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+  if (canvas.width === width && canvas.height === height) return false;
+
+  canvas.width = width;
+  canvas.height = height;
+  return true;
+}
+
+/**
+ * Band peak'lerini ortadan simetrik çubuklar olarak çiz
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./audio/waveform').WaveformLevel} level
+ * @param {number} startPeak - İlk pikselin peak index'i (kesirli, negatif olabilir)
+ * @param {number} peaksPerPixel
+ * @param {number} width
+ * @param {number} height
+ */
+function drawBands(ctx, level, startPeak, peaksPerPixel, width, height) {
+  const center = height / 2;
+  const count = level.low.length;
+
+  BAND_COLORS.forEach(([band, color]) => {
+    const peaks = level[band];
+    ctx.fillStyle = color;
+
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor(startPeak + x * peaksPerPixel);
+      const to = Math.max(from + 1, Math.floor(startPeak + (x + 1) * peaksPerPixel));
+      if (to <= 0 || from >= count) continue;
+
+      // Piksele düşen peak'lerin en yükseği
+      let max = 0;
+      for (let i = Math.max(0, from); i < Math.min(count, to); i++) {
+        if (peaks[i] > max) max = peaks[i];
+      }
+
+      const barHeight = (max / 255) * center;
+      if (barHeight > 0) ctx.fillRect(x, center - barHeight, 1, barHeight * 2);
+    }
+  });
+}
+
+export class WaveformDisplay {
+  /**
+   * @param {Object} options
+   * @param {string} options.label - "Deck A"
+   * @param {Array<number>} [options.cueColors] - Hot cue slot renkleri (hex, pad'lerle aynı)
+   * @param {Function} options.onSeek - (time) => void, overview tıklaması
+   */
+  constructor({ label, cueColors = [], onSeek }) {
+    this.label = label;
+    this.cueColors = cueColors.map(toCssColor);
+    this.onSeek = onSeek;
+
+    this.waveform = null;
+    this.zoomSeconds = DEFAULT_ZOOM_SECONDS;
+    this.lastState = null; // Son çizilen durumun anahtarı (değişmediyse çizim atlanır)
+
+    // Overview'un waveform katmanı: sadece track / boyut değişince çizilir
+    this.overviewCache = document.createElement('canvas');
+
+    this.element = this._createDOMElements();
+  }
+
+  /**
+   * Panel DOM'u (main.js waveform paneline eklenir)
+   * @returns {HTMLElement}
+   */
+  _createDOMElements() {
+    const element = document.createElement('div');
+    element.style.cssText = 'position: relative; margin-bottom: 6px;';
+    element.innerHTML = `
+      <div class="waveform-label" style="position: absolute; top: 2px; left: 6px; color: rgba(100, 180, 255, 0.8); font-size: 11px; pointer-events: none;"></div>
+      <canvas class="waveform-zoom" title="Mouse wheel: zoom" style="width: 100%; height: ${ZOOM_HEIGHT}px; border-radius: 4px 4px 0 0;"></canvas>
+      <canvas class="waveform-overview" title="Click to seek" style="width: 100%; height: ${OVERVIEW_HEIGHT}px; cursor: pointer; border-radius: 0 0 4px 4px;"></canvas>
+    `;
+
+    element.querySelector('.waveform-label').textContent = this.label;
+    this.zoomCanvas = element.querySelector('.waveform-zoom');
+    this.overviewCanvas = element.querySelector('.waveform-overview');
+
+    this.overviewCanvas.addEventListener('click', e => {
+      if (!this.waveform) return;
+      const rect = this.overviewCanvas.getBoundingClientRect();
+      const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      this.onSeek(ratio * this.waveform.duration);
+    });
+
+    this.zoomCanvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      const zoom = e.deltaY > 0 ? this.zoomSeconds * 2 : this.zoomSeconds / 2;
+      this.zoomSeconds = Math.max(MIN_ZOOM_SECONDS, Math.min(MAX_ZOOM_SECONDS, zoom));
+      this.lastState = null;
+    }, { passive: false });
+
+    return element;
+  }
+
+  /**
+   * Deck'e yüklenen track'in waveform'u (null = track yok / henüz hesaplanıyor)
+   * @param {import('./audio/waveform').Waveform|null} waveform
+   */
+  setWaveform(waveform) {
+    this.waveform = waveform;
+    this.lastState = null;
+    this._renderOverviewCache();
+  }
+
+  /**
+   * Overview waveform katmanını cache canvas'a çiz
+   */
+  _renderOverviewCache() {
+    const { width, height } = this.overviewCanvas;
+    this.overviewCache.width = width;
+    this.overviewCache.height = height;
+
+    const ctx = this.overviewCache.getContext('2d');
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, width, height);
+    if (!this.waveform) return;
+
+    const { sampleRate, duration } = this.waveform;
+    const samplesPerPixel = (duration * sampleRate) / width;
+    const level = getWaveformLevel(this.waveform, samplesPerPixel);
+    drawBands(ctx, level, 0, samplesPerPixel / level.samplesPerPeak, width, height);
+  }
+
+  /**
+   * Deck durumunu çiz (her frame çağrılır, değişiklik yoksa çizmez)
+   * @param {Object|null} state - null = deck boş
+   * @param {number} state.position - Playhead (saniye)
+   * @param {number|null} state.bpm
+   * @param {number} state.firstBeatOffset
+   * @param {Array<number|null>} state.hotCues
+   */
+  render(state) {
+    const zoomResized = fitCanvas(this.zoomCanvas);
+    const overviewResized = fitCanvas(this.overviewCanvas);
+    if (overviewResized) this._renderOverviewCache();
+
+    const key = state && this.waveform
+      ? `${state.position}|${state.bpm}|${state.firstBeatOffset}|${state.hotCues.join()}|${this.zoomSeconds}`
+      : 'empty';
+    if (!zoomResized && !overviewResized && key === this.lastState) return;
+    this.lastState = key;
+
+    this._renderZoom(state);
+    this._renderOverview(state);
+  }
+
+  /**
+   * Zoom'lu waveform: playhead ortada, beat grid ve hot cue'lar üstte
+   */
+  _renderZoom(state) {
+    const canvas = this.zoomCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, width, height);
+    if (!state || !this.waveform) return;
+
+    const { sampleRate } = this.waveform;
+    const secondsPerPixel = this.zoomSeconds / width;
+    const startTime = state.position - this.zoomSeconds / 2;
+    const endTime = startTime + this.zoomSeconds;
+    const toX = time => (time - startTime) / secondsPerPixel;
+
+    const level = getWaveformLevel(this.waveform, secondsPerPixel * sampleRate);
+    const peaksPerSecond = sampleRate / level.samplesPerPeak;
+    drawBands(ctx, level, startTime * peaksPerSecond, secondsPerPixel * peaksPerSecond, width, height);
+
+    // Beat grid: downbeat'ler tam boy, diğer beat'ler üst / alt kenarda kısa çizgi
+    if (state.bpm) {
+      const beatLength = 60 / state.bpm;
+      const tick = height * 0.15;
+      for (let beat = Math.ceil((Math.max(0, startTime) - state.firstBeatOffset) / beatLength); ; beat++) {
+        const time = state.firstBeatOffset + beat * beatLength;
+        if (time > endTime) break;
+        if (time < 0) continue;
+
+        const x = Math.round(toX(time));
+        if (((beat % BEATS_PER_BAR) + BEATS_PER_BAR) % BEATS_PER_BAR === 0) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+          ctx.fillRect(x, 0, 1, height);
+        } else {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+          ctx.fillRect(x, 0, 1, tick);
+          ctx.fillRect(x, height - tick, 1, tick);
+        }
+      }
+    }
+
+    this._drawCues(ctx, state.hotCues, toX, height, Math.max(4, height * 0.12));
+
+    ctx.fillStyle = PLAYHEAD_COLOR;
+    ctx.fillRect(Math.round(width / 2) - 1, 0, 2, height);
+  }
+
+  /**
+   * Overview: cache'lenmiş waveform + çalınan kısım + hot cue'lar + playhead
+   */
+  _renderOverview(state) {
+    const canvas = this.overviewCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(this.overviewCache, 0, 0);
+    if (!state || !this.waveform) return;
+
+    const toX = time => (time / this.waveform.duration) * width;
+    const playheadX = Math.round(toX(state.position));
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(0, 0, playheadX, height);
+
+    this._drawCues(ctx, state.hotCues, toX, height, Math.max(3, height * 0.2));
+
+    ctx.fillStyle = PLAYHEAD_COLOR;
+    ctx.fillRect(playheadX - 1, 0, 2, height);
+  }
+
+  /**
+   * Hot cue marker'ları: dikey çizgi + üstte üçgen (slot rengi)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array<number|null>} hotCues
+   * @param {Function} toX - (time) => x
+   * @param {number} height
+   * @param {number} size - Üçgen boyu (piksel)
+   */
+  _drawCues(ctx, hotCues, toX, height, size) {
+    hotCues.forEach((time, index) => {
+      if (time === null) return;
+      const x = Math.round(toX(time));
+      if (x < -size || x > ctx.canvas.width + size) return;
+
+      ctx.fillStyle = this.cueColors[index] || '#ffffff';
+      ctx.fillRect(x, 0, 1, height);
+      ctx.beginPath();
+      ctx.moveTo(x - size, 0);
+      ctx.lineTo(x + size + 1, 0);
+      ctx.lineTo(x + 0.5, size);
+      ctx.closePath();
+      ctx.fill();
+    });
+  }
+}